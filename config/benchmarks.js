@@ -0,0 +1,34 @@
+// Benchmarking compares a candidate's scores with other interviews scored against the same
+// rubric version, for the same job or for jobs of the same role family.
+
+// Fewer comparable interviews than this (the candidate's included) and no percentile is given
+const parseMinSample = (value) => {
+  const parsed = Number.parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 1 ? parsed : 10
+}
+const BENCHMARK_MIN_SAMPLE = parseMinSample(process.env.BENCHMARK_MIN_SAMPLE)
+
+// Newest analyses read per benchmark, so one large role family cannot make a request slow
+const BENCHMARK_MAX_SAMPLE = 5000
+
+// How long the scores an interview is ranked against are reused, so reading analyses of one
+// job does not reload the same sample each time; a new score shows up in percentiles after this
+const BENCHMARK_CACHE_TTL_MS = 5 * 60 * 1000
+
+// Percentiles reported in aggregate statistics
+const BENCHMARK_PERCENTILES = [10, 25, 50, 75, 90]
+
+const BENCHMARK_STATUSES = ["ranked", "insufficient_sample"]
+
+const LEADERBOARD_DEFAULT_LIMIT = 50
+const LEADERBOARD_MAX_LIMIT = 200
+
+module.exports = {
+  BENCHMARK_MIN_SAMPLE,
+  BENCHMARK_MAX_SAMPLE,
+  BENCHMARK_CACHE_TTL_MS,
+  BENCHMARK_PERCENTILES,
+  BENCHMARK_STATUSES,
+  LEADERBOARD_DEFAULT_LIMIT,
+  LEADERBOARD_MAX_LIMIT,
+}
@@ -0,0 +1,45 @@
+const { getInterviewLocale } = require("./locales")
+
+// What each interview question slot can probe. Labels are what the adaptive
+// question prompt asks the model for, per interview language (see config/locales).
+const QUESTION_CATEGORIES = ["introduction", "technical_depth", "problem_solving", "behavioral", "situational", "experience"]
+
+const QUESTION_DIFFICULTIES = ["easy", "medium", "hard"]
+
+const QUESTION_KINDS = ["fixed", "adaptive"]
+
+const DEFAULT_ANSWER_TIME_LIMIT_SECONDS = 180
+
+// Used when an interview is scheduled without a template: one opener, then three follow-ups
+const DEFAULT_INTERVIEW_TEMPLATE = {
+  name: "Standard adaptive interview",
+  language: "en",
+  difficulty: "medium",
+  timeLimitMinutes: 30,
+  questions: [
+    { kind: "fixed", category: "introduction", text: "Tell me about yourself and your background." },
+    { kind: "adaptive", category: "technical_depth" },
+    { kind: "adaptive", category: "problem_solving" },
+    { kind: "adaptive", category: "experience" },
+  ],
+}
+
+const getCategoryLabel = (category, language = "en") => {
+  const { categoryLabels } = getInterviewLocale(language)
+  return categoryLabels[category] || categoryLabels.technical_depth
+}
+
+const getDifficultyLabel = (difficulty, language = "en") => {
+  const { difficultyLabels } = getInterviewLocale(language)
+  return difficultyLabels[difficulty] || difficultyLabels.medium
+}
+
+module.exports = {
+  QUESTION_CATEGORIES,
+  QUESTION_DIFFICULTIES,
+  QUESTION_KINDS,
+  DEFAULT_ANSWER_TIME_LIMIT_SECONDS,
+  DEFAULT_INTERVIEW_TEMPLATE,
+  getCategoryLabel,
+  getDifficultyLabel,
+}
@@ -0,0 +1,16 @@
+// Short language codes used across agents and interviews, mapped to the
+// BCP-47 locale codes the Indian speech vendors (Sarvam, Deepgram) expect
+const LANGUAGE_MAPPING = {
+  hi: "hi-IN", en: "en-IN", bn: "bn-IN", te: "te-IN", ta: "ta-IN",
+  mr: "mr-IN", gu: "gu-IN", kn: "kn-IN", ml: "ml-IN", pa: "pa-IN",
+  or: "or-IN", as: "as-IN", ur: "ur-IN",
+}
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_MAPPING)
+
+const toLocaleCode = (language, defaultLanguage = "hi") => {
+  const lang = language?.toLowerCase() || defaultLanguage
+  return LANGUAGE_MAPPING[lang] || LANGUAGE_MAPPING[defaultLanguage] || "hi-IN"
+}
+
+module.exports = { LANGUAGE_MAPPING, SUPPORTED_LANGUAGES, toLocaleCode }
@@ -0,0 +1,13 @@
+// Assamese interview text
+module.exports = {
+  name: "Assamese",
+  nativeName: "অসমীয়া",
+  questionLabel: "প্ৰশ্ন",
+  questionEndings: ["?", "।"],
+  fallbackQuestions: [
+    "আপোনাৰ শেহতীয়া প্ৰজেক্টত এটা জটিল সমস্যা ডিবাগ কৰিবলৈ আপুনি কেনেকৈ আগবাঢ়িব?",
+    "শেহতীয়াকৈ আপুনি লোৱা আটাইতকৈ প্ৰত্যাহ্বানমূলক কাৰিকৰী সিদ্ধান্তটো কি?",
+    "আপোনাৰ ক্ষেত্ৰৰ নতুন প্ৰযুক্তিৰ বিষয়ে আপুনি কেনেকৈ আপডেট থাকে?",
+    "আপোনাৰ কাৰিকৰী দক্ষতা নিৰন্তৰ উন্নত কৰিবলৈ আপোনাক কিহে অনুপ্ৰাণিত কৰে?",
+  ],
+}
@@ -0,0 +1,13 @@
+// Bengali interview text
+module.exports = {
+  name: "Bengali",
+  nativeName: "বাংলা",
+  questionLabel: "প্রশ্ন",
+  questionEndings: ["?", "।"],
+  fallbackQuestions: [
+    "আপনার সাম্প্রতিক প্রজেক্টে একটি জটিল সমস্যা ডিবাগ করতে আপনি কীভাবে এগোবেন?",
+    "সম্প্রতি আপনার নেওয়া সবচেয়ে চ্যালেঞ্জিং প্রযুক্তিগত সিদ্ধান্ত কোনটি?",
+    "আপনার ক্ষেত্রের নতুন প্রযুক্তি সম্পর্কে আপনি কীভাবে আপডেট থাকেন?",
+    "আপনার প্রযুক্তিগত দক্ষতা ক্রমাগত উন্নত করতে আপনাকে কী অনুপ্রাণিত করে?",
+  ],
+}
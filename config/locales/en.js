@@ -0,0 +1,73 @@
+// English interview text. Its prompts are also used for languages without prompts of their
+// own, with {languageNote} asking for the output in that language (see ./index.js).
+module.exports = {
+  name: "English",
+  nativeName: "English",
+  questionLabel: "Question",
+  questionEndings: ["?"],
+  questionMark: "?",
+  questionPrompt: `Based on the candidate's recent responses, generate ONE specific follow-up question for a technical interview.
+
+RECENT RESPONSES:
+{previousContext}
+
+JOB REQUIREMENTS: {document}
+
+Generate a {questionType} question of {difficulty} difficulty that builds on their answers. Keep it conversational and specific.{languageNote}
+
+Question:`,
+  analysisPrompt: `Score this interview against the rubric below. PROVIDE A VALID JSON RESPONSE EXACTLY MATCHING THIS STRUCTURE:
+{
+  "competencies": [
+    {
+      "key": "competencyKey",
+      "score": 7,
+      "strengths": [
+        { "point": "Specific strength", "questionIndex": 0, "quote": "The candidate's exact words from that answer" }
+      ],
+      "areasOfImprovement": [
+        { "point": "Specific area to improve", "questionIndex": 1, "quote": "The candidate's exact words from that answer" }
+      ]
+    }
+  ],
+  "focusAreas": [
+    "Key area to focus on for improvement",
+    "Another area to focus on for improvement",
+    "Third most important area to focus on"
+  ]
+}
+
+RUBRIC:
+{rubric}
+
+INTERVIEW DATA:
+{interviewData}
+
+INSTRUCTIONS:
+- Respond ONLY with the JSON
+- Ensure valid JSON syntax
+- Include exactly one entry in "competencies" for every rubric competency, using its key
+- Scores should be between 1-10; use the score anchors to calibrate them
+- Every strength and area of improvement must cite one answer: questionIndex is the number in [Q...] before it, and quote copies the candidate's words from that answer exactly, without paraphrasing or translating
+- Leave out any point you cannot support with a quote
+- Evaluate the candidate holistically across all answers
+- In focusAreas, list 3-5 specific, actionable improvement areas ordered by priority
+- Consider that this was an adaptive interview with personalized follow-up questions{languageNote}`,
+  fallbackQuestions: [
+    "How would you approach debugging a complex issue in your recent project?",
+    "What's the most challenging technical decision you've made recently?",
+    "How do you stay updated with new technologies in your field?",
+    "What motivates you to continuously improve your technical skills?",
+  ],
+  rubricLabels: { weight: "weight", anchors: "Score anchors" },
+  interviewDataLabels: { question: "Question", response: "Response" },
+  categoryLabels: {
+    introduction: "introductory",
+    technical_depth: "technical depth",
+    problem_solving: "problem-solving",
+    behavioral: "behavioral",
+    situational: "situational",
+    experience: "experience-based",
+  },
+  difficultyLabels: { easy: "easy", medium: "medium", hard: "hard" },
+}
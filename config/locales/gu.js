@@ -0,0 +1,13 @@
+// Gujarati interview text
+module.exports = {
+  name: "Gujarati",
+  nativeName: "ગુજરાતી",
+  questionLabel: "પ્રશ્ન",
+  questionEndings: ["?"],
+  fallbackQuestions: [
+    "તમારા તાજેતરના પ્રોજેક્ટમાં કોઈ જટિલ સમસ્યાને ડીબગ કરવા માટે તમે કેવી રીતે આગળ વધશો?",
+    "તાજેતરમાં તમે લીધેલો સૌથી પડકારજનક ટેકનિકલ નિર્ણય કયો છે?",
+    "તમારા ક્ષેત્રની નવી ટેકનોલોજી વિશે તમે કેવી રીતે અપડેટ રહો છો?",
+    "તમારી ટેકનિકલ કુશળતાને સતત સુધારવા માટે તમને શું પ્રેરણા આપે છે?",
+  ],
+}
@@ -0,0 +1,71 @@
+// Hindi interview text, with prompts written in Hindi
+module.exports = {
+  name: "Hindi",
+  nativeName: "हिन्दी",
+  questionLabel: "प्रश्न",
+  questionEndings: ["?", "।"],
+  questionPrompt: `उम्मीदवार के हाल के उत्तरों के आधार पर, तकनीकी साक्षात्कार के लिए एक विशिष्ट फॉलो-अप प्रश्न तैयार करें।
+
+हाल के उत्तर:
+{previousContext}
+
+नौकरी की आवश्यकताएं: {document}
+
+{difficulty} कठिनाई का एक {questionType} प्रश्न तैयार करें जो उनके उत्तरों पर आधारित हो। इसे संवादात्मक और विशिष्ट रखें।
+
+प्रश्न:`,
+  analysisPrompt: `नीचे दिए गए रूब्रिक के आधार पर इस साक्षात्कार का मूल्यांकन करें। इस संरचना के अनुसार एक वैध JSON प्रतिक्रिया प्रदान करें:
+{
+  "competencies": [
+    {
+      "key": "competencyKey",
+      "score": 7,
+      "strengths": [
+        { "point": "विशिष्ट शक्ति", "questionIndex": 0, "quote": "उस उत्तर से उम्मीदवार के सटीक शब्द" }
+      ],
+      "areasOfImprovement": [
+        { "point": "सुधार का विशिष्ट क्षेत्र", "questionIndex": 1, "quote": "उस उत्तर से उम्मीदवार के सटीक शब्द" }
+      ]
+    }
+  ],
+  "focusAreas": [
+    "सुधार के लिए मुख्य क्षेत्र",
+    "सुधार के लिए दूसरा क्षेत्र",
+    "सुधार के लिए तीसरा महत्वपूर्ण क्षेत्र"
+  ]
+}
+
+रूब्रिक:
+{rubric}
+
+साक्षात्कार डेटा:
+{interviewData}
+
+निर्देश:
+- केवल JSON के साथ उत्तर दें
+- वैध JSON सिंटैक्स सुनिश्चित करें
+- रूब्रिक की हर योग्यता के लिए "competencies" में ठीक एक प्रविष्टि दें, उसकी key का उपयोग करें
+- स्कोर 1-10 के बीच होना चाहिए; उन्हें तय करने के लिए स्कोर एंकर का उपयोग करें
+- हर शक्ति और सुधार क्षेत्र को एक उत्तर का हवाला देना चाहिए: questionIndex उससे पहले [Q...] में दी गई संख्या है, और quote में उस उत्तर से उम्मीदवार के शब्द बिना बदले या अनुवाद किए ज्यों के त्यों लिखें
+- जिस बिंदु के लिए कोई उद्धरण न हो, उसे छोड़ दें
+- सभी उत्तरों में उम्मीदवार का समग्र मूल्यांकन करें
+- focusAreas में, प्राथमिकता के अनुसार 3-5 विशिष्ट, कार्यान्वित सुधार क्षेत्रों की सूची बनाएं
+- यह व्यक्तिगत फॉलो-अप प्रश्नों के साथ एक अनुकूली साक्षात्कार था`,
+  fallbackQuestions: [
+    "आप अपनी हाल की परियोजना में एक जटिल समस्या को डिबग करने के लिए कैसे दृष्टिकोण अपनाएंगे?",
+    "हाल ही में आपने जो सबसे चुनौतीपूर्ण तकनीकी निर्णय लिया है वह क्या है?",
+    "आप अपने क्षेत्र में नई तकनीकों के साथ कैसे अपडेट रहते हैं?",
+    "आपको अपने तकनीकी कौशल में निरंतर सुधार करने के लिए क्या प्रेरित करता है?",
+  ],
+  rubricLabels: { weight: "भार", anchors: "स्कोर एंकर" },
+  interviewDataLabels: { question: "प्रश्न", response: "उत्तर" },
+  categoryLabels: {
+    introduction: "परिचयात्मक",
+    technical_depth: "तकनीकी गहराई",
+    problem_solving: "समस्या-समाधान",
+    behavioral: "व्यवहारिक",
+    situational: "परिस्थितिजन्य",
+    experience: "अनुभव-आधारित",
+  },
+  difficultyLabels: { easy: "आसान", medium: "मध्यम", hard: "कठिन" },
+}
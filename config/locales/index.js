@@ -0,0 +1,65 @@
+/**
+ * Interview text per language: the adaptive question and analysis prompts, their labels,
+ * and the fallback questions asked when question generation fails. Covers every language
+ * of the voice stack (config/languages.js).
+ *
+ * English and Hindi have prompts written in the language. The others use the English
+ * prompts with a note asking for the output in that language, so each of their files only
+ * holds what the candidate hears: fallback questions and how a question is punctuated.
+ */
+const LOCALE_RESOURCES = {
+  en: require("./en"),
+  hi: require("./hi"),
+  bn: require("./bn"),
+  te: require("./te"),
+  ta: require("./ta"),
+  mr: require("./mr"),
+  gu: require("./gu"),
+  kn: require("./kn"),
+  ml: require("./ml"),
+  pa: require("./pa"),
+  or: require("./or"),
+  as: require("./as"),
+  ur: require("./ur"),
+}
+
+// Replaces {languageNote} in the English prompts for other languages
+const LANGUAGE_NOTES = {
+  question: " Ask it in {language}; it will be read out to the candidate as written.",
+  analysis:
+    "\n- Write every point and focus area in {language}; keep the JSON keys and competency keys in English",
+}
+
+const english = LOCALE_RESOURCES.en
+
+const buildLocale = (language, resource) => {
+  const languageName = `${resource.name} (${resource.nativeName})`
+  const note = (kind) => (language === "en" ? "" : LANGUAGE_NOTES[kind].replace("{language}", languageName))
+  return {
+    ...english,
+    ...resource,
+    language,
+    questionPrompt: (resource.questionPrompt || english.questionPrompt).replace("{languageNote}", note("question")),
+    analysisPrompt: (resource.analysisPrompt || english.analysisPrompt).replace("{languageNote}", note("analysis")),
+  }
+}
+
+const INTERVIEW_LOCALES = Object.fromEntries(
+  Object.entries(LOCALE_RESOURCES).map(([language, resource]) => [language, buildLocale(language, resource)]),
+)
+
+const INTERVIEW_LANGUAGES = Object.keys(INTERVIEW_LOCALES)
+
+// "bn-IN", "BN" and "bn" are all Bengali; unknown languages fall back to English
+const toInterviewLanguage = (language) => {
+  const code = String(language || "").toLowerCase().split("-")[0]
+  return INTERVIEW_LOCALES[code] ? code : "en"
+}
+
+const getInterviewLocale = (language) => INTERVIEW_LOCALES[toInterviewLanguage(language)]
+
+module.exports = {
+  INTERVIEW_LANGUAGES,
+  toInterviewLanguage,
+  getInterviewLocale,
+}
@@ -0,0 +1,13 @@
+// Kannada interview text
+module.exports = {
+  name: "Kannada",
+  nativeName: "ಕನ್ನಡ",
+  questionLabel: "ಪ್ರಶ್ನೆ",
+  questionEndings: ["?"],
+  fallbackQuestions: [
+    "ನಿಮ್ಮ ಇತ್ತೀಚಿನ ಪ್ರಾಜೆಕ್ಟ್‌ನಲ್ಲಿನ ಸಂಕೀರ್ಣ ಸಮಸ್ಯೆಯನ್ನು ಡೀಬಗ್ ಮಾಡಲು ನೀವು ಹೇಗೆ ಮುಂದುವರಿಯುತ್ತೀರಿ?",
+    "ಇತ್ತೀಚೆಗೆ ನೀವು ತೆಗೆದುಕೊಂಡ ಅತ್ಯಂತ ಸವಾಲಿನ ತಾಂತ್ರಿಕ ನಿರ್ಧಾರ ಯಾವುದು?",
+    "ನಿಮ್ಮ ಕ್ಷೇತ್ರದ ಹೊಸ ತಂತ್ರಜ್ಞಾನಗಳ ಬಗ್ಗೆ ನೀವು ಹೇಗೆ ಅಪ್‌ಡೇಟ್ ಆಗಿರುತ್ತೀರಿ?",
+    "ನಿಮ್ಮ ತಾಂತ್ರಿಕ ಕೌಶಲ್ಯಗಳನ್ನು ನಿರಂತರವಾಗಿ ಸುಧಾರಿಸಲು ನಿಮಗೆ ಯಾವುದು ಪ್ರೇರಣೆ ನೀಡುತ್ತದೆ?",
+  ],
+}
@@ -0,0 +1,13 @@
+// Malayalam interview text
+module.exports = {
+  name: "Malayalam",
+  nativeName: "മലയാളം",
+  questionLabel: "ചോദ്യം",
+  questionEndings: ["?"],
+  fallbackQuestions: [
+    "നിങ്ങളുടെ സമീപകാല പ്രോജക്റ്റിലെ സങ്കീർണ്ണമായ ഒരു പ്രശ്നം ഡീബഗ് ചെയ്യാൻ നിങ്ങൾ എങ്ങനെ സമീപിക്കും?",
+    "അടുത്തിടെ നിങ്ങൾ എടുത്ത ഏറ്റവും വെല്ലുവിളി നിറഞ്ഞ സാങ്കേതിക തീരുമാനം ഏതാണ്?",
+    "നിങ്ങളുടെ മേഖലയിലെ പുതിയ സാങ്കേതികവിദ്യകളെക്കുറിച്ച് നിങ്ങൾ എങ്ങനെ അപ്‌ഡേറ്റ് ആയി തുടരുന്നു?",
+    "നിങ്ങളുടെ സാങ്കേതിക കഴിവുകൾ തുടർച്ചയായി മെച്ചപ്പെടുത്താൻ നിങ്ങളെ പ്രേരിപ്പിക്കുന്നത് എന്താണ്?",
+  ],
+}
@@ -0,0 +1,13 @@
+// Marathi interview text
+module.exports = {
+  name: "Marathi",
+  nativeName: "मराठी",
+  questionLabel: "प्रश्न",
+  questionEndings: ["?", "।"],
+  fallbackQuestions: [
+    "तुमच्या अलीकडील प्रकल्पातील एखादी गुंतागुंतीची समस्या डीबग करण्यासाठी तुम्ही कसा दृष्टिकोन ठेवाल?",
+    "अलीकडे तुम्ही घेतलेला सर्वात आव्हानात्मक तांत्रिक निर्णय कोणता आहे?",
+    "तुमच्या क्षेत्रातील नवीन तंत्रज्ञानाबद्दल तुम्ही कसे अद्ययावत राहता?",
+    "तुमची तांत्रिक कौशल्ये सतत सुधारण्यासाठी तुम्हाला कशामुळे प्रेरणा मिळते?",
+  ],
+}
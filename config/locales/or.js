@@ -0,0 +1,13 @@
+// Odia interview text
+module.exports = {
+  name: "Odia",
+  nativeName: "ଓଡ଼ିଆ",
+  questionLabel: "ପ୍ରଶ୍ନ",
+  questionEndings: ["?", "।"],
+  fallbackQuestions: [
+    "ଆପଣଙ୍କ ସାମ୍ପ୍ରତିକ ପ୍ରୋଜେକ୍ଟରେ ଏକ ଜଟିଳ ସମସ୍ୟାକୁ ଡିବଗ୍ କରିବା ପାଇଁ ଆପଣ କିପରି ଆଗେଇବେ?",
+    "ସମ୍ପ୍ରତି ଆପଣ ନେଇଥିବା ସବୁଠାରୁ ଚ୍ୟାଲେଞ୍ଜିଂ ବୈଷୟିକ ନିଷ୍ପତ୍ତି କ'ଣ?",
+    "ଆପଣଙ୍କ କ୍ଷେତ୍ରର ନୂଆ ପ୍ରଯୁକ୍ତିବିଦ୍ୟା ବିଷୟରେ ଆପଣ କିପରି ଅପଡେଟ୍ ରୁହନ୍ତି?",
+    "ଆପଣଙ୍କ ବୈଷୟିକ ଦକ୍ଷତାକୁ ନିରନ୍ତର ଉନ୍ନତ କରିବା ପାଇଁ ଆପଣଙ୍କୁ କ'ଣ ପ୍ରେରଣା ଦିଏ?",
+  ],
+}
@@ -0,0 +1,13 @@
+// Punjabi interview text
+module.exports = {
+  name: "Punjabi",
+  nativeName: "ਪੰਜਾਬੀ",
+  questionLabel: "ਸਵਾਲ",
+  questionEndings: ["?", "।"],
+  fallbackQuestions: [
+    "ਤੁਸੀਂ ਆਪਣੇ ਹਾਲੀਆ ਪ੍ਰੋਜੈਕਟ ਵਿੱਚ ਕਿਸੇ ਗੁੰਝਲਦਾਰ ਸਮੱਸਿਆ ਨੂੰ ਡੀਬੱਗ ਕਰਨ ਲਈ ਕਿਵੇਂ ਅੱਗੇ ਵਧੋਗੇ?",
+    "ਹਾਲ ਹੀ ਵਿੱਚ ਤੁਹਾਡੇ ਵੱਲੋਂ ਲਿਆ ਗਿਆ ਸਭ ਤੋਂ ਚੁਣੌਤੀਪੂਰਨ ਤਕਨੀਕੀ ਫੈਸਲਾ ਕਿਹੜਾ ਹੈ?",
+    "ਤੁਸੀਂ ਆਪਣੇ ਖੇਤਰ ਦੀਆਂ ਨਵੀਆਂ ਤਕਨੀਕਾਂ ਬਾਰੇ ਕਿਵੇਂ ਅੱਪਡੇਟ ਰਹਿੰਦੇ ਹੋ?",
+    "ਤੁਹਾਨੂੰ ਆਪਣੇ ਤਕਨੀਕੀ ਹੁਨਰਾਂ ਨੂੰ ਲਗਾਤਾਰ ਸੁਧਾਰਨ ਲਈ ਕੀ ਪ੍ਰੇਰਿਤ ਕਰਦਾ ਹੈ?",
+  ],
+}
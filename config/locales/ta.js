@@ -0,0 +1,13 @@
+// Tamil interview text
+module.exports = {
+  name: "Tamil",
+  nativeName: "தமிழ்",
+  questionLabel: "கேள்வி",
+  questionEndings: ["?"],
+  fallbackQuestions: [
+    "உங்கள் சமீபத்திய திட்டத்தில் ஒரு சிக்கலான பிழையை எப்படி கண்டறிந்து சரிசெய்வீர்கள்?",
+    "சமீபத்தில் நீங்கள் எடுத்த மிகவும் சவாலான தொழில்நுட்ப முடிவு எது?",
+    "உங்கள் துறையில் வரும் புதிய தொழில்நுட்பங்களை நீங்கள் எப்படி தெரிந்துகொள்கிறீர்கள்?",
+    "உங்கள் தொழில்நுட்ப திறன்களை தொடர்ந்து மேம்படுத்த உங்களை எது ஊக்குவிக்கிறது?",
+  ],
+}
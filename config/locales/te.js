@@ -0,0 +1,13 @@
+// Telugu interview text
+module.exports = {
+  name: "Telugu",
+  nativeName: "తెలుగు",
+  questionLabel: "ప్రశ్న",
+  questionEndings: ["?"],
+  fallbackQuestions: [
+    "మీ ఇటీవలి ప్రాజెక్ట్‌లో ఒక క్లిష్టమైన సమస్యను డీబగ్ చేయడానికి మీరు ఎలా ముందుకు వెళ్తారు?",
+    "ఇటీవల మీరు తీసుకున్న అత్యంత సవాలుతో కూడిన సాంకేతిక నిర్ణయం ఏమిటి?",
+    "మీ రంగంలోని కొత్త సాంకేతికతల గురించి మీరు ఎలా అప్‌డేట్‌గా ఉంటారు?",
+    "మీ సాంకేతిక నైపుణ్యాలను నిరంతరం మెరుగుపరచుకోవడానికి మిమ్మల్ని ఏది ప్రేరేపిస్తుంది?",
+  ],
+}
@@ -0,0 +1,14 @@
+// Urdu interview text
+module.exports = {
+  name: "Urdu",
+  nativeName: "اردو",
+  questionLabel: "سوال",
+  questionEndings: ["؟", "?", "۔"],
+  questionMark: "؟",
+  fallbackQuestions: [
+    "آپ اپنے حالیہ پروجیکٹ میں کسی پیچیدہ مسئلے کو ڈیبگ کرنے کے لیے کیا طریقہ اپنائیں گے؟",
+    "حال ہی میں آپ نے سب سے مشکل تکنیکی فیصلہ کون سا کیا ہے؟",
+    "آپ اپنے شعبے کی نئی ٹیکنالوجیز سے کیسے باخبر رہتے ہیں؟",
+    "آپ کو اپنی تکنیکی مہارتوں کو مسلسل بہتر بنانے کی ترغیب کس چیز سے ملتی ہے؟",
+  ],
+}
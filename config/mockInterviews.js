@@ -0,0 +1,47 @@
+// Self-serve mock interviews: candidates practice for a role or skill set without applying to a job.
+
+// 0 switches mock interviews off for independent job seekers; anything unparseable gives 3
+const parseFreeQuota = (value) => {
+  const parsed = Number(value)
+  return value !== undefined && value !== "" && Number.isInteger(parsed) && parsed >= 0 ? parsed : 3
+}
+
+// Mock interviews each candidate may start per calendar month (UTC), by the partnership type of
+// the partner that enrolled them. A null limit means unlimited. Partner.mockInterviewQuota
+// overrides the type's default for one partner.
+const MOCK_INTERVIEW_QUOTAS = {
+  // Job seekers who signed up on their own, without a partner
+  independent: parseFreeQuota(process.env.MOCK_INTERVIEW_FREE_QUOTA),
+  Basic: 10,
+  Premium: 30,
+  Enterprise: null,
+}
+
+const MAX_ROLE_LENGTH = 100
+const MAX_SKILLS = 10
+const MAX_SKILL_LENGTH = 50
+
+// Attempts per page of a candidate's history
+const HISTORY_DEFAULT_LIMIT = 20
+const HISTORY_MAX_LIMIT = 100
+
+// Most recent scored attempts a progress trend is drawn from
+const PROGRESS_MAX_ATTEMPTS = 50
+
+// Change in points per attempt (out of 10) beyond which a trend counts as improving or declining
+const TREND_SLOPE_THRESHOLD = 0.2
+
+// Attempts read for a partner's stats
+const PARTNER_STATS_MAX_ATTEMPTS = 5000
+
+module.exports = {
+  MOCK_INTERVIEW_QUOTAS,
+  MAX_ROLE_LENGTH,
+  MAX_SKILLS,
+  MAX_SKILL_LENGTH,
+  HISTORY_DEFAULT_LIMIT,
+  HISTORY_MAX_LIMIT,
+  PROGRESS_MAX_ATTEMPTS,
+  TREND_SLOPE_THRESHOLD,
+  PARTNER_STATS_MAX_ATTEMPTS,
+}
@@ -0,0 +1,34 @@
+// Default feature access per subscription plan. A null limit means unlimited.
+// Entries in Tenant.subscription.features override these per tenant.
+const TENANT_FEATURES = {
+  AGENTS: "agents", // Voice agents a tenant may keep
+  CONCURRENT_CALLS: "concurrent_calls", // Live voice sessions at once
+  API_KEYS: "api_keys", // Provider keys a tenant may register (bring your own key)
+}
+
+const PLAN_FEATURES = {
+  free: {
+    [TENANT_FEATURES.AGENTS]: { enabled: true, limit: 1 },
+    [TENANT_FEATURES.CONCURRENT_CALLS]: { enabled: true, limit: 1 },
+    [TENANT_FEATURES.API_KEYS]: { enabled: false, limit: 0 },
+  },
+  basic: {
+    [TENANT_FEATURES.AGENTS]: { enabled: true, limit: 5 },
+    [TENANT_FEATURES.CONCURRENT_CALLS]: { enabled: true, limit: 3 },
+    [TENANT_FEATURES.API_KEYS]: { enabled: true, limit: 2 },
+  },
+  premium: {
+    [TENANT_FEATURES.AGENTS]: { enabled: true, limit: 25 },
+    [TENANT_FEATURES.CONCURRENT_CALLS]: { enabled: true, limit: 10 },
+    [TENANT_FEATURES.API_KEYS]: { enabled: true, limit: 5 },
+  },
+  enterprise: {
+    [TENANT_FEATURES.AGENTS]: { enabled: true, limit: null },
+    [TENANT_FEATURES.CONCURRENT_CALLS]: { enabled: true, limit: 100 },
+    [TENANT_FEATURES.API_KEYS]: { enabled: true, limit: null },
+  },
+}
+
+const SUBSCRIPTION_PLANS = Object.keys(PLAN_FEATURES)
+
+module.exports = { TENANT_FEATURES, PLAN_FEATURES, SUBSCRIPTION_PLANS }
@@ -0,0 +1,58 @@
+// Proctoring events the interview client reports, and how much each costs the integrity score.
+// A score starts at 100; every event of a type takes perEvent points, durational events also
+// take perMinute for their length, and no type can take more than max in total.
+const PROCTORING_EVENT_WEIGHTS = {
+  tab_switch: { perEvent: 5, max: 30 },
+  window_blur: { perEvent: 3, max: 20 },
+  fullscreen_exit: { perEvent: 3, max: 15 },
+  copy_paste: { perEvent: 8, max: 40 },
+  multiple_voices: { perEvent: 10, max: 40 },
+  long_silence: { perEvent: 1, perMinute: 2, max: 15 },
+  face_absent: { perEvent: 3, perMinute: 10, max: 40 },
+}
+
+const PROCTORING_EVENT_TYPES = Object.keys(PROCTORING_EVENT_WEIGHTS)
+
+// Score bands: at or above `review` is clear, below `flagged` needs a close look
+const INTEGRITY_THRESHOLDS = { review: 80, flagged: 50 }
+
+const INTEGRITY_LEVELS = ["clear", "review", "flagged"]
+
+// Per request and per interview, so a misbehaving client cannot flood the timeline
+const MAX_EVENTS_PER_BATCH = 100
+const MAX_EVENTS_PER_INTERVIEW = 2000
+
+// Events may trail the end of the interview while the client flushes its queue
+const LATE_EVENT_GRACE_MS = 2 * 60 * 1000
+
+/**
+ * Weights with PROCTORING_WEIGHTS (JSON) merged over the defaults, e.g.
+ * {"tab_switch":{"perEvent":10},"long_silence":{"max":0}}. Unknown types are ignored.
+ */
+const loadProctoringWeights = (value = process.env.PROCTORING_WEIGHTS) => {
+  if (!value) return PROCTORING_EVENT_WEIGHTS
+
+  let overrides
+  try {
+    overrides = JSON.parse(value)
+  } catch (error) {
+    console.warn(`⚠️ [PROCTORING] Ignoring PROCTORING_WEIGHTS: ${error.message}`)
+    return PROCTORING_EVENT_WEIGHTS
+  }
+
+  return PROCTORING_EVENT_TYPES.reduce((weights, type) => {
+    weights[type] = { ...PROCTORING_EVENT_WEIGHTS[type], ...(overrides?.[type] || {}) }
+    return weights
+  }, {})
+}
+
+module.exports = {
+  PROCTORING_EVENT_WEIGHTS,
+  PROCTORING_EVENT_TYPES,
+  INTEGRITY_THRESHOLDS,
+  INTEGRITY_LEVELS,
+  MAX_EVENTS_PER_BATCH,
+  MAX_EVENTS_PER_INTERVIEW,
+  LATE_EVENT_GRACE_MS,
+  loadProctoringWeights,
+}
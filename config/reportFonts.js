@@ -0,0 +1,77 @@
+const fs = require("fs")
+const { REPORT_LABELS } = require("./reportLabels")
+
+// Fonts for PDF reports, per Unicode script. The PDF standard fonts only cover Latin, so other
+// scripts need a TrueType/OpenType font on disk: set the env variable, or install the Noto font
+// at one of the usual paths (e.g. the fonts-noto-core package).
+const FONT_DIRECTORIES = ["/usr/share/fonts/truetype/noto", "/usr/share/fonts/noto", "/usr/share/fonts/google-noto"]
+
+const notoCandidates = (family) => FONT_DIRECTORIES.map((directory) => `${directory}/${family}-{weight}.ttf`)
+
+// Script of the text in each interview language: Devanagari covers Hindi and Marathi,
+// Bengali covers Bengali and Assamese, and Urdu is written in Arabic script
+const nonLatinScript = (script, family) => ({
+  env: `REPORT_FONT_${script.toUpperCase()}`,
+  pattern: new RegExp(`\\p{Script=${script}}`, "u"),
+  candidates: notoCandidates(family),
+})
+
+const REPORT_FONT_SCRIPTS = {
+  latin: {
+    env: "REPORT_FONT_LATIN",
+    standard: { regular: "Helvetica", bold: "Helvetica-Bold" },
+    candidates: [],
+  },
+  devanagari: nonLatinScript("Devanagari", "NotoSansDevanagari"),
+  bengali: nonLatinScript("Bengali", "NotoSansBengali"),
+  gurmukhi: nonLatinScript("Gurmukhi", "NotoSansGurmukhi"),
+  gujarati: nonLatinScript("Gujarati", "NotoSansGujarati"),
+  oriya: nonLatinScript("Oriya", "NotoSansOriya"),
+  tamil: nonLatinScript("Tamil", "NotoSansTamil"),
+  telugu: nonLatinScript("Telugu", "NotoSansTelugu"),
+  kannada: nonLatinScript("Kannada", "NotoSansKannada"),
+  malayalam: nonLatinScript("Malayalam", "NotoSansMalayalam"),
+  arabic: nonLatinScript("Arabic", "NotoNaskhArabic"),
+}
+
+const findFontFile = (candidates, weight) =>
+  candidates.map((path) => path.replace("{weight}", weight)).find((path) => fs.existsSync(path)) || null
+
+/**
+ * Font files for one script: { regular, bold } paths, the standard font names for Latin,
+ * or null when no font is available. REPORT_FONT_<SCRIPT>_BOLD sets the bold face; without
+ * one the regular face is used for bold text too.
+ */
+const resolveScriptFont = (script) => {
+  const config = REPORT_FONT_SCRIPTS[script]
+  const regular = process.env[config.env] || findFontFile(config.candidates, "Regular")
+  if (!regular) return config.standard ? { ...config.standard, standard: true } : null
+
+  const bold = process.env[`${config.env}_BOLD`] || findFontFile(config.candidates, "Bold") || regular
+  return { regular, bold, standard: false }
+}
+
+// Scripts the report labels are written in (Devanagari for Hindi). Reports in those languages
+// cannot render at all without the font; the other scripts are only needed when an answer is
+// written in them.
+const REQUIRED_REPORT_SCRIPTS = Object.keys(REPORT_FONT_SCRIPTS).filter((script) => {
+  const { pattern } = REPORT_FONT_SCRIPTS[script]
+  return pattern && pattern.test(JSON.stringify(REPORT_LABELS))
+})
+
+/**
+ * Log missing report fonts at startup. Nothing else depends on them: a report that needs a
+ * missing font fails on its own with REPORT_FONT_MISSING (503).
+ */
+const checkReportFonts = () => {
+  const missing = Object.keys(REPORT_FONT_SCRIPTS).filter((script) => !resolveScriptFont(script))
+  const missingRequired = missing.filter((script) => REQUIRED_REPORT_SCRIPTS.includes(script))
+
+  missingRequired.forEach((script) =>
+    console.warn(`⚠️ [REPORT] No ${script} font; reports in its languages will fail until ${REPORT_FONT_SCRIPTS[script].env} is set`),
+  )
+  const missingOptional = missing.filter((script) => !missingRequired.includes(script))
+  if (missingOptional.length) console.log(`📄 [REPORT] No font for ${missingOptional.join(", ")} answers in reports`)
+}
+
+module.exports = { REPORT_FONT_SCRIPTS, REQUIRED_REPORT_SCRIPTS, resolveScriptFont, checkReportFonts }
@@ -0,0 +1,99 @@
+// Text of the interview PDF report, per language. Interviews in other languages get the English report.
+const REPORT_LABELS = {
+  en: {
+    locale: "en-IN",
+    title: "Interview Report",
+    recruiterCopy: "Recruiter copy (confidential)",
+    candidateCopy: "Candidate copy",
+    position: "Position",
+    candidate: "Candidate",
+    email: "Email",
+    date: "Date",
+    interviewType: "Interview type",
+    interviewTypes: { ai: "AI interview", live: "Live interview" },
+    rubric: "Rubric",
+    overallScore: "Overall score",
+    competencyScores: "Competency scores",
+    notScored: "Not scored",
+    fallbackNotice:
+      "The automatic analysis of this interview failed, so no scores are shown. A recruiter can run the analysis again.",
+    strengths: "Strengths",
+    areasOfImprovement: "Areas of improvement",
+    focusAreas: "Focus areas",
+    answerRef: (number) => `Answer ${number}`,
+    unverifiedQuote: "quote not found in the answer",
+    transcript: "Transcript",
+    questionRef: (number) => `Q${number}`,
+    noAnswer: "No answer (time ran out)",
+    recording: "Recording",
+    noRecording: "No recording available",
+    recruiterNotes: "Recruiter notes",
+    integrity: "Integrity score",
+    integrityLevels: { clear: "Clear", review: "Needs review", flagged: "Flagged" },
+    notMonitored: "No proctoring data was reported",
+    flaggedMoments: "Flagged moments",
+    proctoringEvents: {
+      tab_switch: "Tab switch",
+      window_blur: "Left the window",
+      fullscreen_exit: "Left full screen",
+      copy_paste: "Copy/paste",
+      multiple_voices: "Multiple voices",
+      long_silence: "Long silence",
+      face_absent: "Face not visible",
+    },
+    lasting: (seconds) => `for ${seconds}s`,
+    citations: (verified, total) => `${verified} of ${total} quotes verified against the answers`,
+    generated: "Generated",
+    page: (number, total) => `Page ${number} of ${total}`,
+  },
+  hi: {
+    locale: "hi-IN",
+    title: "साक्षात्कार रिपोर्ट",
+    recruiterCopy: "रिक्रूटर प्रति (गोपनीय)",
+    candidateCopy: "उम्मीदवार प्रति",
+    position: "पद",
+    candidate: "उम्मीदवार",
+    email: "ईमेल",
+    date: "दिनांक",
+    interviewType: "साक्षात्कार का प्रकार",
+    interviewTypes: { ai: "एआई साक्षात्कार", live: "लाइव साक्षात्कार" },
+    rubric: "रूब्रिक",
+    overallScore: "कुल स्कोर",
+    competencyScores: "योग्यता स्कोर",
+    notScored: "स्कोर नहीं",
+    fallbackNotice:
+      "इस साक्षात्कार का स्वचालित विश्लेषण विफल रहा, इसलिए कोई स्कोर नहीं दिखाया गया है। रिक्रूटर विश्लेषण दोबारा चला सकते हैं।",
+    strengths: "शक्तियाँ",
+    areasOfImprovement: "सुधार के क्षेत्र",
+    focusAreas: "ध्यान देने योग्य क्षेत्र",
+    answerRef: (number) => `उत्तर ${number}`,
+    unverifiedQuote: "उद्धरण उत्तर में नहीं मिला",
+    transcript: "प्रतिलेख",
+    questionRef: (number) => `प्रश्न ${number}`,
+    noAnswer: "कोई उत्तर नहीं (समय समाप्त)",
+    recording: "रिकॉर्डिंग",
+    noRecording: "कोई रिकॉर्डिंग उपलब्ध नहीं",
+    recruiterNotes: "रिक्रूटर नोट्स",
+    integrity: "सत्यनिष्ठा स्कोर",
+    integrityLevels: { clear: "ठीक", review: "समीक्षा आवश्यक", flagged: "संदिग्ध" },
+    notMonitored: "कोई प्रॉक्टरिंग डेटा नहीं मिला",
+    flaggedMoments: "चिह्नित क्षण",
+    proctoringEvents: {
+      tab_switch: "टैब बदला",
+      window_blur: "विंडो छोड़ी",
+      fullscreen_exit: "फ़ुल स्क्रीन से बाहर",
+      copy_paste: "कॉपी/पेस्ट",
+      multiple_voices: "एक से अधिक आवाज़ें",
+      long_silence: "लंबी चुप्पी",
+      face_absent: "चेहरा दिखाई नहीं दिया",
+    },
+    lasting: (seconds) => `${seconds} सेकंड तक`,
+    citations: (verified, total) => `${total} में से ${verified} उद्धरण उत्तरों से सत्यापित`,
+    generated: "तैयार किया गया",
+    page: (number, total) => `पृष्ठ ${number} / ${total}`,
+  },
+}
+
+const REPORT_LANGUAGES = Object.keys(REPORT_LABELS)
+
+module.exports = { REPORT_LABELS, REPORT_LANGUAGES }
@@ -0,0 +1,69 @@
+// Competency scores are on the same 1-10 scale the interview analysis has always used
+const SCORE_MIN = 1
+const SCORE_MAX = 10
+
+const MAX_COMPETENCIES = 12
+
+// The three dimensions every interview was scored on before rubrics existed. Analyses
+// saved without a rubric are read as if they had been scored against this one.
+const DEFAULT_RUBRIC = {
+  key: "default",
+  name: "Default interview rubric",
+  version: 1,
+  competencies: [
+    {
+      key: "selfIntroduction",
+      name: "Self introduction",
+      description: "How well they presented their background, skills and career goals",
+      weight: 1,
+      anchors: [
+        { score: 2, description: "Vague or disorganised; little about skills or goals" },
+        { score: 5, description: "Covers background and skills but lacks focus or relevance to the role" },
+        { score: 8, description: "Clear, structured and relevant to the role" },
+        { score: 10, description: "Compelling, concise story tying experience and goals to the role" },
+      ],
+    },
+    {
+      key: "projectExplanation",
+      name: "Project explanation",
+      description: "Ability to explain technical projects clearly and highlight their own contribution",
+      weight: 1,
+      anchors: [
+        { score: 2, description: "Cannot describe what the project did or their part in it" },
+        { score: 5, description: "Describes the project but not the decisions or their contribution" },
+        { score: 8, description: "Explains design choices, trade-offs and their own role" },
+        { score: 10, description: "Deep, precise explanation including impact and lessons learned" },
+      ],
+    },
+    {
+      key: "englishCommunication",
+      name: "English communication",
+      description: "Overall fluency, grammar, vocabulary and clarity across all answers",
+      weight: 1,
+      anchors: [
+        { score: 2, description: "Hard to follow; frequent errors obscure meaning" },
+        { score: 5, description: "Understandable with noticeable errors or hesitation" },
+        { score: 8, description: "Fluent and clear with minor errors" },
+        { score: 10, description: "Articulate, precise and natural throughout" },
+      ],
+    },
+  ],
+}
+
+// The default rubric's communication competency. Interviews in another language are scored on
+// communication in that language; the key stays, so stored scores keep the shape clients read.
+const COMMUNICATION_COMPETENCY_KEY = "englishCommunication"
+
+const describeCommunication = (languageName) => ({
+  name: `${languageName} communication`,
+  description: `Overall fluency, grammar, vocabulary and clarity in ${languageName} across all answers; English is not assessed`,
+})
+
+module.exports = {
+  SCORE_MIN,
+  SCORE_MAX,
+  MAX_COMPETENCIES,
+  DEFAULT_RUBRIC,
+  COMMUNICATION_COMPETENCY_KEY,
+  describeCommunication,
+}
@@ -0,0 +1,32 @@
+// Interviewer scorecards: each panel member scores the interview's rubric competencies and
+// recommends for or against hiring.
+
+// Recommendations with the value used to average them across the panel
+const RECOMMENDATION_VALUES = {
+  strong_hire: 2,
+  hire: 1,
+  no_hire: -1,
+  strong_no_hire: -2,
+}
+
+const RECOMMENDATIONS = Object.keys(RECOMMENDATION_VALUES)
+
+const SCORECARD_STATUSES = ["draft", "submitted"]
+
+// Points (out of 10) between two scores at which they count as a disagreement: the panel's
+// average against the AI's score, or the highest against the lowest interviewer score
+const DISAGREEMENT_THRESHOLD = 2
+
+const MAX_PANEL_SIZE = 10
+const MAX_COMMENT_LENGTH = 2000
+const MAX_NOTES_LENGTH = 5000
+
+module.exports = {
+  RECOMMENDATION_VALUES,
+  RECOMMENDATIONS,
+  SCORECARD_STATUSES,
+  DISAGREEMENT_THRESHOLD,
+  MAX_PANEL_SIZE,
+  MAX_COMMENT_LENGTH,
+  MAX_NOTES_LENGTH,
+}
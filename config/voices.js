@@ -0,0 +1,120 @@
+// Voice catalogs for every text-to-speech provider, plus the persona presets
+// agents can pick instead of a vendor-specific voice
+
+const voice = (id, name, gender, extra = {}) => ({ id, name, gender, ...extra })
+
+const VOICE_CATALOG = {
+  sarvam: {
+    defaultVoice: "pavithra",
+    languages: ["hi", "en", "bn", "te", "ta", "mr", "gu", "kn", "ml", "pa", "or"],
+    voices: [
+      voice("meera", "Meera", "female", { model: "bulbul:v1" }),
+      voice("pavithra", "Pavithra", "female", { model: "bulbul:v1" }),
+      voice("maitreyi", "Maitreyi", "female", { model: "bulbul:v1" }),
+      voice("diya", "Diya", "female", { model: "bulbul:v1" }),
+      voice("misha", "Misha", "female", { model: "bulbul:v1" }),
+      voice("maya", "Maya", "female", { model: "bulbul:v1" }),
+      voice("arvind", "Arvind", "male", { model: "bulbul:v1" }),
+      voice("amol", "Amol", "male", { model: "bulbul:v1" }),
+      voice("amartya", "Amartya", "male", { model: "bulbul:v1" }),
+      voice("neel", "Neel", "male", { model: "bulbul:v1" }),
+      voice("vian", "Vian", "male", { model: "bulbul:v1" }),
+      voice("arjun", "Arjun", "male", { model: "bulbul:v1" }),
+      voice("anushka", "Anushka", "female", { model: "bulbul:v2" }),
+      voice("manisha", "Manisha", "female", { model: "bulbul:v2" }),
+      voice("vidya", "Vidya", "female", { model: "bulbul:v2" }),
+      voice("arya", "Arya", "female", { model: "bulbul:v2" }),
+      voice("abhilash", "Abhilash", "male", { model: "bulbul:v2" }),
+      voice("karun", "Karun", "male", { model: "bulbul:v2" }),
+      voice("hitesh", "Hitesh", "male", { model: "bulbul:v2" }),
+    ],
+  },
+  lmnt: {
+    defaultVoice: "lily",
+    languages: ["en", "hi"],
+    voices: [
+      voice("lily", "Lily", "female"),
+      voice("ava", "Ava", "female"),
+      voice("amy", "Amy", "female"),
+      voice("juniper", "Juniper", "female"),
+      voice("morgan", "Morgan", "male"),
+      voice("daniel", "Daniel", "male"),
+      voice("ansel", "Ansel", "male"),
+      voice("zeke", "Zeke", "male"),
+    ],
+  },
+  openai: {
+    defaultVoice: "alloy",
+    languages: ["hi", "en", "bn", "te", "ta", "mr", "gu", "kn", "ml", "pa", "ur"],
+    voices: [
+      voice("alloy", "Alloy", "neutral"),
+      voice("ash", "Ash", "male"),
+      voice("coral", "Coral", "female"),
+      voice("echo", "Echo", "male"),
+      voice("fable", "Fable", "neutral"),
+      voice("onyx", "Onyx", "male"),
+      voice("nova", "Nova", "female"),
+      voice("sage", "Sage", "female"),
+      voice("shimmer", "Shimmer", "female"),
+    ],
+  },
+  // Offline test voices; audio is generated locally
+  fake: {
+    defaultVoice: "fake-female",
+    languages: null,
+    voices: [voice("fake-female", "Fake Female", "female"), voice("fake-male", "Fake Male", "male")],
+  },
+}
+
+// Provider-neutral presets stored in AgentProfile.voiceSelection
+const VOICE_PERSONAS = {
+  "male-professional": { sarvam: "arvind", lmnt: "morgan", openai: "onyx", fake: "fake-male" },
+  "female-professional": { sarvam: "pavithra", lmnt: "lily", openai: "nova", fake: "fake-female" },
+  "male-friendly": { sarvam: "amol", lmnt: "daniel", openai: "echo", fake: "fake-male" },
+  "female-friendly": { sarvam: "maya", lmnt: "ava", openai: "shimmer", fake: "fake-female" },
+  neutral: { sarvam: "pavithra", lmnt: "lily", openai: "alloy", fake: "fake-female" },
+}
+
+// Every value AgentProfile.voiceSelection may hold
+const VOICE_SELECTIONS = [
+  "default",
+  ...Object.keys(VOICE_PERSONAS),
+  ...new Set(
+    Object.entries(VOICE_CATALOG)
+      .filter(([provider]) => provider !== "fake")
+      .flatMap(([, catalog]) => catalog.voices.map((entry) => entry.id)),
+  ),
+]
+
+const findVoice = (provider, voiceId) => VOICE_CATALOG[provider]?.voices.find((entry) => entry.id === voiceId)
+
+/**
+ * Map an agent's voiceSelection onto a concrete voice of the given provider.
+ * Accepts the provider's own voice ids and persona presets. A voice that belongs to
+ * another provider is swapped for one of the same gender, so switching an agent's
+ * ttsSelection never leaves it without a voice; anything else gets the provider default.
+ */
+const resolveVoice = (provider, selection) => {
+  const catalog = VOICE_CATALOG[provider]
+  if (!catalog) throw new Error(`Unknown TTS provider "${provider}"`)
+
+  const ownVoice = findVoice(provider, selection)
+  if (ownVoice) return ownVoice
+
+  const personaVoice = VOICE_PERSONAS[selection]?.[provider]
+  if (personaVoice) return findVoice(provider, personaVoice)
+
+  if (selection && selection !== "default") {
+    const foreignVoice = Object.keys(VOICE_CATALOG)
+      .map((other) => findVoice(other, selection))
+      .find(Boolean)
+    const sameGender = foreignVoice && catalog.voices.find((entry) => entry.gender === foreignVoice.gender)
+    if (sameGender) return sameGender
+
+    console.warn(`⚠️ [TTS:${provider}] Unknown voice "${selection}", using ${catalog.defaultVoice}`)
+  }
+
+  return findVoice(provider, catalog.defaultVoice)
+}
+
+module.exports = { VOICE_CATALOG, VOICE_PERSONAS, VOICE_SELECTIONS, findVoice, resolveVoice }
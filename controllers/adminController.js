@@ -45,9 +45,9 @@ exports.getDashboardStats = async (req, res) => {
     const shortlistedApplications = await JobApplication.countDocuments({ status: 'shortlisted' });
     const rejectedApplications = await JobApplication.countDocuments({ status: 'rejected' });
     
-    // Interview statistics
-    const totalInterviews = await Interview.countDocuments();
-    const completedInterviews = await Interview.countDocuments({ screenRecordingUrl: { $ne: null } });
+    // Interview statistics; mock interviews are practice, not recruitment
+    const totalInterviews = await Interview.countDocuments({ isMock: { $ne: true } });
+    const completedInterviews = await Interview.countDocuments({ screenRecordingUrl: { $ne: null }, isMock: { $ne: true } });
     
     // Calculate average time to hire (in days)
     const applications = await JobApplication.find({ status: 'accepted' })
@@ -66,7 +66,7 @@ exports.getDashboardStats = async (req, res) => {
     // Get recent recruitment activity (last 30 days)
     const recentJobs = await Job.countDocuments({ createdAt: { $gte: thirtyDaysAgo } });
     const recentApplications = await JobApplication.countDocuments({ createdAt: { $gte: thirtyDaysAgo } });
-    const recentInterviews = await Interview.countDocuments({ createdAt: { $gte: thirtyDaysAgo } });
+    const recentInterviews = await Interview.countDocuments({ createdAt: { $gte: thirtyDaysAgo }, isMock: { $ne: true } });
     
     // Monthly data for charts
     const monthlyData = await getMonthlyData();
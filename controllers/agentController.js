@@ -0,0 +1,280 @@
+const mongoose = require("mongoose")
+const AgentProfile = require("../models/AgentProfile")
+const { GREETING_FIELDS, synthesizeForAgent, renderGreetingAudio } = require("../services/agentSpeechService")
+const { AUDIO_ENCODINGS } = require("../utils/audio")
+
+// Fields a tenant may set; tenantId always comes from the URL and audio from the TTS render
+const EDITABLE_FIELDS = [
+  "agentName",
+  "description",
+  "category",
+  "personality",
+  "language",
+  "firstMessage",
+  "systemPrompt",
+  "sttSelection",
+  "ttsSelection",
+  "llmSelection",
+  "voiceSelection",
+  "contextMemory",
+  "brandInfo",
+  "didNumber",
+  "serviceProvider",
+]
+
+const AUDIO_CONTENT_TYPES = { wav: "audio/wav", linear16: "audio/L16", mulaw: "audio/basic" }
+
+const pickEditableFields = (body = {}) =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field]
+    return fields
+  }, {})
+
+// Agents are returned without the raw greeting bytes
+const toAgentResponse = (agent) => {
+  const { audioBytes, __v, ...rest } = agent.toObject()
+  return { ...rest, hasGreetingAudio: !!audioBytes }
+}
+
+const sendValidationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid agent",
+    errors: Object.fromEntries(Object.entries(error.errors).map(([field, err]) => [field, err.message])),
+  })
+
+const sendDuplicateNameError = (res, tenantId, agentName) =>
+  res.status(409).json({
+    success: false,
+    message: `An agent named "${agentName}" already exists for tenant ${tenantId}`,
+  })
+
+const findTenantAgent = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.agentId)) return null
+  return AgentProfile.findOne({ _id: req.params.agentId, tenantId: req.tenant.tenantId })
+}
+
+// Render the greeting, keeping the agent saveable when TTS is down; calls then synthesize live
+const refreshGreetingAudio = async (agent) => {
+  try {
+    const result = await renderGreetingAudio(agent)
+    return { rendered: true, provider: result.provider, voice: result.voice, durationMs: result.durationMs }
+  } catch (error) {
+    console.error(`❌ [AGENT] Greeting render failed for "${agent.agentName}": ${error.message}`)
+    agent.audioBytes = undefined
+    agent.audioMetadata = undefined
+    return { rendered: false, error: error.message }
+  }
+}
+
+// Validate first so a bad request never costs a TTS call
+const saveAgent = async (agent, res, { renderGreeting, status = 200 }) => {
+  try {
+    await agent.validate()
+  } catch (error) {
+    if (error.name === "ValidationError") return sendValidationError(res, error)
+    throw error
+  }
+
+  const greetingAudio = renderGreeting ? await refreshGreetingAudio(agent) : undefined
+
+  try {
+    await agent.save()
+  } catch (error) {
+    if (error.code === 11000) return sendDuplicateNameError(res, agent.tenantId, agent.agentName)
+    throw error
+  }
+
+  res.status(status).json({ success: true, agent: toAgentResponse(agent), greetingAudio })
+}
+
+/**
+ * Create an agent and render its greeting audio
+ * @route POST /api/tenants/:tenantId/agents
+ * @access Private (tenant owner or admin)
+ */
+exports.createAgent = async (req, res) => {
+  try {
+    const agent = new AgentProfile({ ...pickEditableFields(req.body), tenantId: req.tenant.tenantId })
+    await saveAgent(agent, res, { renderGreeting: true, status: 201 })
+  } catch (error) {
+    console.error("Error creating agent:", error)
+    res.status(500).json({ success: false, message: "Error creating agent", error: error.message })
+  }
+}
+
+/**
+ * List the tenant's agents
+ * @route GET /api/tenants/:tenantId/agents
+ * @access Private (tenant owner or admin)
+ */
+exports.getAgents = async (req, res) => {
+  try {
+    const { search, category, language, ttsSelection, page = 1, limit = 20 } = req.query
+
+    const query = { tenantId: req.tenant.tenantId }
+    if (category) query.category = category
+    if (language) query.language = language
+    if (ttsSelection) query.ttsSelection = ttsSelection
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+      query.$or = [{ agentName: pattern }, { description: pattern }]
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1)
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+
+    const total = await AgentProfile.countDocuments(query)
+    const agents = await AgentProfile.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+
+    res.json({
+      success: true,
+      agents: agents.map(toAgentResponse),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching agents:", error)
+    res.status(500).json({ success: false, message: "Error fetching agents", error: error.message })
+  }
+}
+
+/**
+ * Get one agent
+ * @route GET /api/tenants/:tenantId/agents/:agentId
+ * @access Private (tenant owner or admin)
+ */
+exports.getAgent = async (req, res) => {
+  try {
+    const agent = await findTenantAgent(req)
+    if (!agent) {
+      return res.status(404).json({ success: false, message: "Agent not found" })
+    }
+
+    res.json({ success: true, agent: toAgentResponse(agent) })
+  } catch (error) {
+    console.error("Error fetching agent:", error)
+    res.status(500).json({ success: false, message: "Error fetching agent", error: error.message })
+  }
+}
+
+/**
+ * Update an agent; the greeting is re-rendered when its text, voice or language changes
+ * @route PUT /api/tenants/:tenantId/agents/:agentId
+ * @access Private (tenant owner or admin)
+ */
+exports.updateAgent = async (req, res) => {
+  try {
+    const agent = await findTenantAgent(req)
+    if (!agent) {
+      return res.status(404).json({ success: false, message: "Agent not found" })
+    }
+
+    agent.set(pickEditableFields(req.body))
+    const renderGreeting =
+      GREETING_FIELDS.some((field) => agent.isModified(field)) || req.query.renderGreeting === "true"
+
+    await saveAgent(agent, res, { renderGreeting })
+  } catch (error) {
+    console.error("Error updating agent:", error)
+    res.status(500).json({ success: false, message: "Error updating agent", error: error.message })
+  }
+}
+
+/**
+ * Delete an agent
+ * @route DELETE /api/tenants/:tenantId/agents/:agentId
+ * @access Private (tenant owner or admin)
+ */
+exports.deleteAgent = async (req, res) => {
+  try {
+    const agent = await findTenantAgent(req)
+    if (!agent) {
+      return res.status(404).json({ success: false, message: "Agent not found" })
+    }
+
+    await agent.deleteOne()
+    res.json({ success: true, message: "Agent deleted successfully" })
+  } catch (error) {
+    console.error("Error deleting agent:", error)
+    res.status(500).json({ success: false, message: "Error deleting agent", error: error.message })
+  }
+}
+
+/**
+ * Copy an agent, including its rendered greeting, under a new name
+ * @route POST /api/tenants/:tenantId/agents/:agentId/clone
+ * @access Private (tenant owner or admin)
+ */
+exports.cloneAgent = async (req, res) => {
+  try {
+    const source = await findTenantAgent(req)
+    if (!source) {
+      return res.status(404).json({ success: false, message: "Agent not found" })
+    }
+
+    const { _id, __v, createdAt, updatedAt, ...fields } = source.toObject()
+    const clone = new AgentProfile({
+      ...fields,
+      ...pickEditableFields(req.body),
+      agentName: req.body.agentName || `${source.agentName} (copy)`,
+      // A DID routes to exactly one agent, so the copy starts without one
+      didNumber: req.body.didNumber,
+    })
+
+    const renderGreeting = GREETING_FIELDS.some((field) => req.body[field] !== undefined)
+    await saveAgent(clone, res, { renderGreeting, status: 201 })
+  } catch (error) {
+    console.error("Error cloning agent:", error)
+    res.status(500).json({ success: false, message: "Error cloning agent", error: error.message })
+  }
+}
+
+/**
+ * Speak arbitrary text in the agent's voice
+ * @route POST /api/tenants/:tenantId/agents/:agentId/preview
+ * @access Private (tenant owner or admin)
+ */
+exports.previewAgent = async (req, res) => {
+  try {
+    const { text, format = "wav", sampleRate = 16000 } = req.body
+
+    if (!text?.trim()) {
+      return res.status(400).json({ success: false, message: "Text is required" })
+    }
+    if (!AUDIO_ENCODINGS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${AUDIO_ENCODINGS.join(", ")}` })
+    }
+
+    const agent = await findTenantAgent(req)
+    if (!agent) {
+      return res.status(404).json({ success: false, message: "Agent not found" })
+    }
+
+    const result = await synthesizeForAgent(agent, text, { encoding: format, sampleRate: parseInt(sampleRate) || 16000 })
+
+    res.set({
+      "Content-Type": format === "wav" ? AUDIO_CONTENT_TYPES.wav : `${AUDIO_CONTENT_TYPES[format]};rate=${result.sampleRate}`,
+      "Content-Length": result.audio.length,
+      "Cache-Control": "no-cache",
+      "X-TTS-Provider": result.provider,
+      "X-TTS-Voice": result.voice,
+      "X-Duration-Ms": result.durationMs,
+    })
+    res.send(result.audio)
+  } catch (error) {
+    console.error("Error previewing agent voice:", error)
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: "Error previewing agent voice",
+      error: error.message,
+    })
+  }
+}
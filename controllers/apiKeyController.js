@@ -0,0 +1,307 @@
+const mongoose = require("mongoose")
+const ApiKey = require("../models/ApiKey")
+const { testProviderKey } = require("../services/providerTestService")
+
+const DEFAULT_GRACE_HOURS = 24
+const MAX_GRACE_HOURS = 24 * 30
+const CONFIGURATION_FIELDS = ["model", "sttModel", "ttsModel", "voice", "language", "region"]
+
+// Never send encrypted material back, not even the pre-rotation key
+const toApiKeyResponse = (apiKey) => {
+  const { encryptedKey, previousEncryptedKey, __v, ...rest } = apiKey.toObject()
+  return {
+    ...rest,
+    inGracePeriod: !!apiKey.previousKeyExpiresAt && apiKey.previousKeyExpiresAt > new Date(),
+  }
+}
+
+// Returns an error message, or null when the configuration is usable
+const validateConfiguration = (configuration) => {
+  if (typeof configuration !== "object" || configuration === null || Array.isArray(configuration)) {
+    return "configuration must be an object"
+  }
+  for (const field of CONFIGURATION_FIELDS) {
+    if (configuration[field] !== undefined && configuration[field] !== null && typeof configuration[field] !== "string") {
+      return `configuration.${field} must be a string`
+    }
+  }
+  if (configuration.customSettings !== undefined) {
+    const settings = configuration.customSettings
+    if (typeof settings !== "object" || settings === null || Object.values(settings).some((value) => typeof value !== "string")) {
+      return "configuration.customSettings must map names to strings"
+    }
+  }
+  return null
+}
+
+const findTenantKey = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.keyId)) return null
+  return ApiKey.findOne({ _id: req.params.keyId, tenantId: req.tenant.tenantId })
+}
+
+const recordHealth = (apiKey, result) => {
+  if (!result.supported) return
+  apiKey.health = {
+    lastTestedAt: new Date(),
+    ok: result.ok,
+    status: result.status,
+    message: result.message,
+  }
+}
+
+/**
+ * Register a provider key for the tenant (one per provider)
+ * @route POST /api/tenants/:tenantId/api-keys
+ * @access Private (tenant owner or admin)
+ */
+exports.addApiKey = async (req, res) => {
+  try {
+    const { provider, key, keyName, configuration = {}, monthlyLimit, description, environment, skipTest } = req.body
+
+    if (!provider || !key || !keyName) {
+      return res.status(400).json({ success: false, message: "provider, key and keyName are required" })
+    }
+    const configurationError = validateConfiguration(configuration)
+    if (configurationError) {
+      return res.status(400).json({ success: false, message: configurationError })
+    }
+
+    const apiKey = new ApiKey({
+      tenantId: req.tenant.tenantId,
+      provider,
+      keyName,
+      encryptedKey: ApiKey.encryptKey(key),
+      keyPreview: ApiKey.buildKeyPreview(key),
+      configuration,
+      metadata: { addedBy: req.user.email, description, environment },
+    })
+    if (monthlyLimit !== undefined) apiKey.usage.monthlyLimit = monthlyLimit
+
+    try {
+      await apiKey.validate()
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message })
+      }
+      throw error
+    }
+
+    let connectionTest
+    if (!skipTest) {
+      connectionTest = await testProviderKey(provider, key, { configuration })
+      if (connectionTest.ok === false) {
+        return res.status(400).json({ success: false, message: `Key failed the connection test: ${connectionTest.message}`, connectionTest })
+      }
+      recordHealth(apiKey, connectionTest)
+    }
+
+    await apiKey.save()
+    console.log(`🔑 [API-KEY] ${req.tenant.tenantId} registered ${provider} key (${apiKey.keyPreview})`)
+
+    res.status(201).json({ success: true, apiKey: toApiKeyResponse(apiKey), connectionTest })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Tenant already has a ${req.body.provider} key; rotate it instead`,
+      })
+    }
+    console.error("Error adding API key:", error)
+    res.status(500).json({ success: false, message: "Error adding API key", error: error.message })
+  }
+}
+
+/**
+ * List the tenant's keys (previews only)
+ * @route GET /api/tenants/:tenantId/api-keys
+ * @access Private (tenant owner or admin)
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const query = { tenantId: req.tenant.tenantId }
+    if (req.query.provider) query.provider = req.query.provider
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === "true"
+
+    const apiKeys = await ApiKey.find(query).sort({ provider: 1 })
+
+    res.json({ success: true, apiKeys: apiKeys.map(toApiKeyResponse) })
+  } catch (error) {
+    console.error("Error fetching API keys:", error)
+    res.status(500).json({ success: false, message: "Error fetching API keys", error: error.message })
+  }
+}
+
+/**
+ * Get one key (preview only)
+ * @route GET /api/tenants/:tenantId/api-keys/:keyId
+ * @access Private (tenant owner or admin)
+ */
+exports.getApiKey = async (req, res) => {
+  try {
+    const apiKey = await findTenantKey(req)
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: "API key not found" })
+    }
+
+    res.json({ success: true, apiKey: toApiKeyResponse(apiKey) })
+  } catch (error) {
+    console.error("Error fetching API key:", error)
+    res.status(500).json({ success: false, message: "Error fetching API key", error: error.message })
+  }
+}
+
+const setActive = (isActive) => async (req, res) => {
+  const action = isActive ? "activating" : "deactivating"
+  try {
+    const apiKey = await findTenantKey(req)
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: "API key not found" })
+    }
+
+    apiKey.isActive = isActive
+    await apiKey.save()
+
+    console.log(`🔑 [API-KEY] ${req.tenant.tenantId} ${isActive ? "activated" : "deactivated"} ${apiKey.provider} key`)
+    res.json({
+      success: true,
+      message: `API key ${isActive ? "activated" : "deactivated"} successfully`,
+      apiKey: toApiKeyResponse(apiKey),
+    })
+  } catch (error) {
+    console.error(`Error ${action} API key:`, error)
+    res.status(500).json({ success: false, message: `Error ${action} API key`, error: error.message })
+  }
+}
+
+/**
+ * Resume using a key; calls stop falling back to the platform key
+ * @route PATCH /api/tenants/:tenantId/api-keys/:keyId/activate
+ * @access Private (tenant owner or admin)
+ */
+exports.activateApiKey = setActive(true)
+
+/**
+ * Stop using a key; calls fall back to the platform key where the plan allows
+ * @route PATCH /api/tenants/:tenantId/api-keys/:keyId/deactivate
+ * @access Private (tenant owner or admin)
+ */
+exports.deactivateApiKey = setActive(false)
+
+/**
+ * Replace a key; the old one stays usable as a fallback for graceHours
+ * @route POST /api/tenants/:tenantId/api-keys/:keyId/rotate
+ * @access Private (tenant owner or admin)
+ */
+exports.rotateApiKey = async (req, res) => {
+  try {
+    const { key, graceHours = DEFAULT_GRACE_HOURS, skipTest } = req.body
+
+    if (!key) {
+      return res.status(400).json({ success: false, message: "New key is required" })
+    }
+    const grace = Number(graceHours)
+    if (!Number.isFinite(grace) || grace < 0 || grace > MAX_GRACE_HOURS) {
+      return res.status(400).json({ success: false, message: `graceHours must be between 0 and ${MAX_GRACE_HOURS}` })
+    }
+
+    const apiKey = await findTenantKey(req)
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: "API key not found" })
+    }
+
+    let connectionTest
+    if (!skipTest) {
+      connectionTest = await testProviderKey(apiKey.provider, key, { configuration: apiKey.configuration })
+      if (connectionTest.ok === false) {
+        return res.status(400).json({ success: false, message: `New key failed the connection test: ${connectionTest.message}`, connectionTest })
+      }
+      recordHealth(apiKey, connectionTest)
+    }
+
+    const now = new Date()
+    if (grace > 0) {
+      apiKey.previousEncryptedKey = apiKey.encryptedKey
+      apiKey.previousKeyPreview = apiKey.keyPreview
+      apiKey.previousKeyExpiresAt = new Date(now.getTime() + grace * 60 * 60 * 1000)
+    } else {
+      apiKey.previousEncryptedKey = undefined
+      apiKey.previousKeyPreview = undefined
+      apiKey.previousKeyExpiresAt = undefined
+    }
+    apiKey.encryptedKey = ApiKey.encryptKey(key)
+    apiKey.keyPreview = ApiKey.buildKeyPreview(key)
+    apiKey.rotatedAt = now
+    await apiKey.save()
+
+    console.log(`🔄 [API-KEY] ${req.tenant.tenantId} rotated ${apiKey.provider} key, grace ${grace}h`)
+    res.json({
+      success: true,
+      message: "API key rotated successfully",
+      apiKey: toApiKeyResponse(apiKey),
+      connectionTest,
+    })
+  } catch (error) {
+    console.error("Error rotating API key:", error)
+    res.status(500).json({ success: false, message: "Error rotating API key", error: error.message })
+  }
+}
+
+/**
+ * Check the stored key against the provider without metering usage
+ * @route POST /api/tenants/:tenantId/api-keys/:keyId/test
+ * @access Private (tenant owner or admin)
+ */
+exports.testApiKey = async (req, res) => {
+  try {
+    const apiKey = await findTenantKey(req)
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: "API key not found" })
+    }
+
+    const connectionTest = await testProviderKey(apiKey.provider, apiKey.getDecryptedKey(), {
+      configuration: apiKey.configuration,
+    })
+    recordHealth(apiKey, connectionTest)
+    await apiKey.save()
+
+    res.json({ success: true, connectionTest, apiKey: toApiKeyResponse(apiKey) })
+  } catch (error) {
+    console.error("Error testing API key:", error)
+    res.status(500).json({ success: false, message: "Error testing API key", error: error.message })
+  }
+}
+
+/**
+ * Edit the key's model (LLM), sttModel, ttsModel, voice, language and region defaults; services
+ * apply them on next use
+ * @route PATCH /api/tenants/:tenantId/api-keys/:keyId/configuration
+ * @access Private (tenant owner or admin)
+ */
+exports.updateApiKeyConfiguration = async (req, res) => {
+  try {
+    const configurationError = validateConfiguration(req.body)
+    if (configurationError) {
+      return res.status(400).json({ success: false, message: configurationError })
+    }
+
+    const apiKey = await findTenantKey(req)
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: "API key not found" })
+    }
+
+    CONFIGURATION_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) apiKey.configuration[field] = req.body[field] || undefined
+    })
+    if (req.body.customSettings !== undefined) apiKey.configuration.customSettings = req.body.customSettings
+    await apiKey.save()
+
+    res.json({
+      success: true,
+      message: "API key configuration updated successfully",
+      apiKey: toApiKeyResponse(apiKey),
+    })
+  } catch (error) {
+    console.error("Error updating API key configuration:", error)
+    res.status(500).json({ success: false, message: "Error updating API key configuration", error: error.message })
+  }
+}
@@ -0,0 +1,124 @@
+const mongoose = require("mongoose")
+const CallLog = require("../models/CallLog")
+
+/**
+ * List call logs with filters
+ * @route GET /api/call-logs
+ * @access Private
+ */
+exports.getCallLogs = async (req, res) => {
+  try {
+    const {
+      tenantId,
+      agentId,
+      didNumber,
+      status,
+      endReason,
+      from,
+      to,
+      minDurationMs,
+      interrupted,
+      page = 1,
+      limit = 20,
+      order = "desc",
+    } = req.query
+
+    const query = {}
+    if (tenantId) query.tenantId = tenantId
+    if (agentId) {
+      if (!mongoose.Types.ObjectId.isValid(agentId)) {
+        return res.status(400).json({ success: false, message: "Invalid agentId" })
+      }
+      query.agentId = agentId
+    }
+    if (didNumber) query.didNumber = didNumber
+    if (status) query.status = status
+    if (endReason) query.endReason = endReason
+    if (from || to) {
+      query.startTime = {}
+      if (from) query.startTime.$gte = new Date(from)
+      if (to) query.startTime.$lte = new Date(to)
+    }
+    if (minDurationMs) query.durationMs = { $gte: parseInt(minDurationMs) }
+    if (interrupted === "true") query.interruptionCount = { $gt: 0 }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1)
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+
+    const total = await CallLog.countDocuments(query)
+    const callLogs = await CallLog.find(query)
+      .select("-turns")
+      .sort({ startTime: order === "asc" ? 1 : -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+
+    res.json({
+      success: true,
+      callLogs,
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize),
+      },
+    })
+  } catch (error) {
+    console.error("[Get Call Logs] Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch call logs",
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * Get a single call with its full turn-by-turn transcript
+ * @route GET /api/call-logs/:id
+ * @access Private
+ */
+exports.getCallLog = async (req, res) => {
+  try {
+    const { id } = req.params
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid call log id" })
+    }
+
+    const callLog = await CallLog.findById(id)
+    if (!callLog) {
+      return res.status(404).json({ success: false, message: "Call log not found" })
+    }
+
+    res.json({ success: true, callLog })
+  } catch (error) {
+    console.error("[Get Call Log] Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch call log",
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * Get the call log for a telephony stream
+ * @route GET /api/call-logs/stream/:streamSid
+ * @access Private
+ */
+exports.getCallLogByStreamSid = async (req, res) => {
+  try {
+    const callLog = await CallLog.findOne({ streamSid: req.params.streamSid }).sort({ startTime: -1 })
+    if (!callLog) {
+      return res.status(404).json({ success: false, message: "Call log not found" })
+    }
+
+    res.json({ success: true, callLog })
+  } catch (error) {
+    console.error("[Get Call Log By Stream] Error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch call log",
+      error: error.message,
+    })
+  }
+}
@@ -0,0 +1,82 @@
+const Job = require("../models/Job")
+const { isJobOwner } = require("../services/interviewAccessService")
+const {
+  BenchmarkError,
+  parseBenchmarkFilters,
+  parseLeaderboardLimit,
+  getJobBenchmarks,
+  getRoleFamilyBenchmarks,
+  getJobLeaderboard,
+} = require("../services/benchmarkService")
+
+// Role-family statistics pool jobs of every recruiter, so only recruiters and admins see them
+const BENCHMARK_ROLES = ["recruiter", "admin"]
+
+const sendBenchmarkError = (res, error) =>
+  res.status(error.statusCode).json({ success: false, message: error.message, code: error.code })
+
+// The job in the route, when the signed-in recruiter owns it (admins see every job)
+const findManagedJob = async (req) => {
+  const job = await Job.findById(req.params.jobId).select("title roleFamily recruiter").catch(() => null)
+  return job && isJobOwner(req.user, job) ? job : null
+}
+
+/**
+ * Score statistics for a job's analyzed interviews, per rubric version
+ * @route GET /api/interview-benchmarks/jobs/:jobId?from=&to=&rubricId=&rubricVersion=
+ * @access Private (Recruiter who owns the job)
+ */
+exports.getJobBenchmarks = async (req, res) => {
+  try {
+    const job = await findManagedJob(req)
+    if (!job) return res.status(404).json({ success: false, message: "Job not found" })
+
+    const benchmarks = await getJobBenchmarks(job, parseBenchmarkFilters(req.query))
+    res.json({ success: true, ...benchmarks })
+  } catch (error) {
+    if (error instanceof BenchmarkError) return sendBenchmarkError(res, error)
+    console.error("❌ [BENCHMARK] Job benchmarks failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch job benchmarks", error: error.message })
+  }
+}
+
+/**
+ * A job's candidates ranked by overall score, with their percentiles
+ * @route GET /api/interview-benchmarks/jobs/:jobId/leaderboard?from=&to=&rubricId=&rubricVersion=&limit=
+ * @access Private (Recruiter who owns the job)
+ */
+exports.getJobLeaderboard = async (req, res) => {
+  try {
+    const job = await findManagedJob(req)
+    if (!job) return res.status(404).json({ success: false, message: "Job not found" })
+
+    const leaderboard = await getJobLeaderboard(job, parseBenchmarkFilters(req.query), {
+      limit: parseLeaderboardLimit(req.query.limit),
+    })
+    res.json({ success: true, ...leaderboard })
+  } catch (error) {
+    if (error instanceof BenchmarkError) return sendBenchmarkError(res, error)
+    console.error("❌ [BENCHMARK] Leaderboard failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch leaderboard", error: error.message })
+  }
+}
+
+/**
+ * Score statistics across every job in a role family, per rubric version
+ * @route GET /api/interview-benchmarks/role-families/:roleFamily?from=&to=&rubricId=&rubricVersion=
+ * @access Private (Recruiter)
+ */
+exports.getRoleFamilyBenchmarks = async (req, res) => {
+  try {
+    if (!BENCHMARK_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ success: false, message: "Only recruiters can view benchmarks" })
+    }
+
+    const benchmarks = await getRoleFamilyBenchmarks(req.params.roleFamily, parseBenchmarkFilters(req.query))
+    res.json({ success: true, ...benchmarks })
+  } catch (error) {
+    if (error instanceof BenchmarkError) return sendBenchmarkError(res, error)
+    console.error("❌ [BENCHMARK] Role family benchmarks failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch role family benchmarks", error: error.message })
+  }
+}
@@ -1,290 +1,152 @@
 const JobApplication = require("../models/JobApplication")
-const { createRoom } = require("../services/100msService")
-const { sendEmail } = require("../services/emailService")
+const { HmsError, verifyWebhook } = require("../services/100msService")
 const { v4: uuidv4 } = require("uuid")
-const InterviewResponse = require("../models/InterviewResponse")
-const OpenAIService = require("../services/nvidiaService")
 const Interview = require("../models/Interview")
-
-// Language-specific prompts and fallbacks
-const getLanguagePrompts = (language) => {
-  const prompts = {
-    en: {
-      questionPrompt: `Based on the candidate's recent responses, generate ONE specific follow-up question for a technical interview.
-
-RECENT RESPONSES:
-{previousContext}
-
-JOB REQUIREMENTS: {document}
-
-Generate a {questionType} question that builds on their answers. Keep it conversational and specific.
-
-Question:`,
-      analysisPrompt: `PROVIDE A VALID JSON RESPONSE EXACTLY MATCHING THIS STRUCTURE:
-{
-  "overallScores": {
-    "selfIntroduction": 7,
-    "projectExplanation": 7,
-    "englishCommunication": 7
-  },
-  "feedback": {
-    "selfIntroduction": {
-      "strengths": "Detailed feedback on strengths",
-      "areasOfImprovement": "Detailed feedback on areas to improve"
-    },
-    "projectExplanation": {
-      "strengths": "Detailed feedback on strengths", 
-      "areasOfImprovement": "Detailed feedback on areas to improve"
-    },
-    "englishCommunication": {
-      "strengths": "Detailed feedback on strengths",
-      "areasOfImprovement": "Detailed feedback on areas to improve"
-    }
-  },
-  "focusAreas": [
-    "Key area to focus on for improvement",
-    "Another area to focus on for improvement", 
-    "Third most important area to focus on"
-  ]
-}
-
-INTERVIEW DATA:
-{interviewData}
-
-INSTRUCTIONS:
-- Respond ONLY with the JSON
-- Ensure valid JSON syntax
-- Scores should be between 1-10
-- Evaluate the candidate holistically across all answers
-- For Self Introduction: Assess how well they presented their background, skills, and career goals
-- For Project Explanation: Evaluate their ability to explain technical projects clearly and highlight their contributions
-- For English Communication: Assess overall fluency, grammar, vocabulary, and clarity across all answers
-- In focusAreas, list 3-5 specific, actionable improvement areas ordered by priority
-- Consider that this was an adaptive interview with personalized follow-up questions`,
-      fallbackQuestions: [
-        "How would you approach debugging a complex issue in your recent project?",
-        "What's the most challenging technical decision you've made recently?",
-        "How do you stay updated with new technologies in your field?",
-        "What motivates you to continuously improve your technical skills?",
-      ],
-      defaultAnalysis: {
-        overallScores: {
-          selfIntroduction: 5,
-          projectExplanation: 5,
-          englishCommunication: 5,
-        },
-        feedback: {
-          selfIntroduction: {
-            strengths: "Unable to generate detailed feedback",
-            areasOfImprovement: "Unable to generate detailed feedback",
-          },
-          projectExplanation: {
-            strengths: "Unable to generate detailed feedback",
-            areasOfImprovement: "Unable to generate detailed feedback",
-          },
-          englishCommunication: {
-            strengths: "Unable to generate detailed feedback",
-            areasOfImprovement: "Unable to generate detailed feedback",
-          },
-        },
-        focusAreas: [
-          "Improve communication clarity and structure",
-          "Enhance technical explanation skills",
-          "Work on presentation of self-introduction",
-        ],
-      },
-    },
-    hi: {
-      questionPrompt: `उम्मीदवार के हाल के उत्तरों के आधार पर, तकनीकी साक्षात्कार के लिए एक विशिष्ट फॉलो-अप प्रश्न तैयार करें।
-
-हाल के उत्तर:
-{previousContext}
-
-नौकरी की आवश्यकताएं: {document}
-
-एक {questionType} प्रश्न तैयार करें जो उनके उत्तरों पर आधारित हो। इसे संवादात्मक और विशिष्ट रखें।
-
-प्रश्न:`,
-      analysisPrompt: `इस संरचना के अनुसार एक वैध JSON प्रतिक्रिया प्रदान करें:
-{
-  "overallScores": {
-    "selfIntroduction": 7,
-    "projectExplanation": 7,
-    "englishCommunication": 7
-  },
-  "feedback": {
-    "selfIntroduction": {
-      "strengths": "शक्तियों पर विस्तृत फीडबैक",
-      "areasOfImprovement": "सुधार के क्षेत्रों पर विस्तृत फीडबैक"
-    },
-    "projectExplanation": {
-      "strengths": "शक्तियों पर विस्तृत फीडबैक",
-      "areasOfImprovement": "सुधार के क्षेत्रों पर विस्तृत फीडबैक"
-    },
-    "englishCommunication": {
-      "strengths": "शक्तियों पर विस्तृत फीडबैक",
-      "areasOfImprovement": "सुधार के क्षेत्रों पर विस्तृत फीडबैक"
-    }
-  },
-  "focusAreas": [
-    "सुधार के लिए मुख्य क्षेत्र",
-    "सुधार के लिए दूसरा क्षेत्र",
-    "सुधार के लिए तीसरा महत्वपूर्ण क्षेत्र"
-  ]
+const { buildDefaultAnalysis } = require("../services/interviewService")
+const {
+  InterviewStateError,
+  startInterview,
+  getNextQuestion,
+  submitAnswer,
+  completeInterview,
+  reanalyzeInterview,
+  buildInterviewState,
+} = require("../services/interviewSessionService")
+const {
+  InterviewTemplateError,
+  buildInterviewPlan,
+  resolveScheduleTemplate,
+} = require("../services/interviewTemplateService")
+const {
+  DEFAULT_RUBRIC_SNAPSHOT,
+  localizeRubric,
+  resolveInterviewRubric,
+  buildRubricSnapshot,
+  toRubricAnalysis,
+} = require("../services/rubricService")
+const {
+  InterviewScheduleError,
+  resolveInterviewSlot,
+  sendInterviewInvite,
+} = require("../services/interviewInviteService")
+const { cancelInterview } = require("../services/interviewLifecycleService")
+const {
+  InterviewAccessError,
+  buildJoinLink,
+  redeemJoinToken,
+  revokeJoinTokens,
+  isJobOwner,
+  getManagedInterviewFilter,
+} = require("../services/interviewAccessService")
+const {
+  ProctoringError,
+  recordProctoringEvents,
+  getProctoringTimeline,
+  getInterviewIntegrity,
+} = require("../services/proctoringService")
+const { createLiveRoom, issueLiveToken, handleHmsWebhook } = require("../services/liveInterviewService")
+const { ReportError, generateInterviewReport } = require("../services/interviewReportService")
+const { getInterviewBenchmark } = require("../services/benchmarkService")
+
+// Settings a recruiter may override when scheduling; the Interview schema enforces the bounds.
+// The question count always comes from the template.
+const INTERVIEW_SETTING_FIELDS = ["timeLimitMinutes", "answerTimeLimitSeconds", "language"]
+
+const pickInterviewSettings = (body = {}) =>
+  INTERVIEW_SETTING_FIELDS.reduce((settings, field) => {
+    if (body[field] !== undefined) settings[field] = body[field]
+    return settings
+  }, {})
+
+const INTERVIEW_MODES = ["ai", "live"]
+
+// Not started yet, or missed and being offered a new slot
+const RESCHEDULABLE_PHASES = ["scheduled", "reminded", "missed"]
+
+// State machine, template and slot rejections carry their own status and code
+const sendStateError = (res, error) =>
+  res.status(error.statusCode).json({ success: false, message: error.message, code: error.code })
+
+/**
+ * Exchange the token from a join link for a session token; single-use links stop working here
+ * @route POST /api/interview/join
+ * @access Public (interview link)
+ */
+exports.joinInterview = async (req, res) => {
+  try {
+    const { interview, sessionToken } = await redeemJoinToken(req.body.token)
+    res.json({ success: true, roomId: interview.roomId, sessionToken, state: buildInterviewState(interview) })
+  } catch (error) {
+    if (error instanceof InterviewAccessError) return sendStateError(res, error)
+    console.error("[Join Interview] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to join interview", error: error.message })
+  }
 }
 
-साक्षात्कार डेटा:
-{interviewData}
-
-निर्देश:
-- केवल JSON के साथ उत्तर दें
-- वैध JSON सिंटैक्स सुनिश्चित करें
-- स्कोर 1-10 के बीच होना चाहिए
-- सभी उत्तरों में उम्मीदवार का समग्र मूल्यांकन करें
-- स्व-परिचय के लिए: उन्होंने अपनी पृष्ठभूमि, कौशल और करियर लक्ष्यों को कितनी अच्छी तरह प्रस्तुत किया
-- परियोजना व्याख्या के लिए: तकनीकी परियोजनाओं को स्पष्ट रूप से समझाने और अपने योगदान को उजागर करने की उनकी क्षमता का मूल्यांकन करें
-- अंग्रेजी संचार के लिए: सभी उत्तरों में समग्र प्रवाहता, व्याकरण, शब्दावली और स्पष्टता का आकलन करें
-- focusAreas में, प्राथमिकता के अनुसार 3-5 विशिष्ट, कार्यान्वित सुधार क्षेत्रों की सूची बनाएं
-- यह व्यक्तिगत फॉलो-अप प्रश्नों के साथ एक अनुकूली साक्षात्कार था`,
-      fallbackQuestions: [
-        "आप अपनी हाल की परियोजना में एक जटिल समस्या को डिबग करने के लिए कैसे दृष्टिकोण अपनाएंगे?",
-        "हाल ही में आपने जो सबसे चुनौतीपूर्ण तकनीकी निर्णय लिया है वह क्या है?",
-        "आप अपने क्षेत्र में नई तकनीकों के साथ कैसे अपडेट रहते हैं?",
-        "आपको अपने तकनीकी कौशल में निरंतर सुधार करने के लिए क्या प्रेरित करता है?",
-      ],
-      defaultAnalysis: {
-        overallScores: {
-          selfIntroduction: 5,
-          projectExplanation: 5,
-          englishCommunication: 5,
-        },
-        feedback: {
-          selfIntroduction: {
-            strengths: "विस्तृत फीडबैक तैयार करने में असमर्थ",
-            areasOfImprovement: "विस्तृत फीडबैक तैयार करने में असमर्थ",
-          },
-          projectExplanation: {
-            strengths: "विस्तृत फीडबैक तैयार करने में असमर्थ",
-            areasOfImprovement: "विस्तृत फीडबैक तैयार करने में असमर्थ",
-          },
-          englishCommunication: {
-            strengths: "विस्तृत फीडबैक तैयार करने में असमर्थ",
-            areasOfImprovement: "विस्तृत फीडबैक तैयार करने में असमर्थ",
-          },
-        },
-        focusAreas: ["संचार स्पष्टता और संरचना में सुधार करें", "तकनीकी व्याख्या कौशल बढ़ाएं", "स्व-परिचय की प्रस्तुति पर काम करें"],
-      },
-    },
+/**
+ * Start the interview clock; safe to call again after a reconnect
+ * @route POST /api/interview/start/:roomId
+ * @access Private (interview token)
+ */
+exports.startInterview = async (req, res) => {
+  try {
+    const started = await startInterview(req.interview, { language: req.body.language })
+    res.json({ success: true, state: buildInterviewState(started) })
+  } catch (error) {
+    if (error instanceof InterviewStateError) return sendStateError(res, error)
+    console.error("[Start Interview] Error:", error)
+    res.status(500).json({ message: error.message })
   }
-
-  return prompts[language] || prompts["en"]
 }
 
-// Add new endpoint for generating adaptive questions with language support
+// Next question from the stored history; the client's own previousQA is ignored
 exports.generateAdaptiveQuestion = async (req, res) => {
-  console.log("[Generate Adaptive Question] Request received:", req.body)
+  console.log("[Generate Adaptive Question] Request received for room ID:", req.body.roomId)
   try {
-    const { roomId, previousQA, document, questionNumber, language = "en" } = req.body
+    const { language } = req.body
 
-    // Find the interview to get context
-    const interview = await Interview.findOne({ roomId })
-    if (!interview) {
-      return res.status(404).json({ message: "Interview not found" })
-    }
-
-    // Get language-specific prompts
-    const languagePrompts = getLanguagePrompts(language)
-
-    // Build context more efficiently - limit to last 2 Q&As to reduce prompt size
-    const recentQA = previousQA.slice(-2)
-    const previousContext = recentQA.map((qa, index) => `Q: ${qa.question}\nA: ${qa.answer}`).join("\n\n")
-
-    // Determine question type based on question number
-    const questionTypes = {
-      en: {
-        1: "technical depth",
-        2: "problem-solving",
-        3: "experience-based",
-      },
-      hi: {
-        1: "तकनीकी गहराई",
-        2: "समस्या-समाधान",
-        3: "अनुभव-आधारित",
-      },
-    }
-
-    const questionType =
-      questionTypes[language]?.[questionNumber] ||
-      questionTypes["en"][questionNumber] ||
-      (language === "hi" ? "तकनीकी" : "technical")
-
-    // Create language-specific prompt
-    const prompt = languagePrompts.questionPrompt
-      .replace("{previousContext}", previousContext)
-      .replace("{document}", document.substring(0, 500) + "...")
-      .replace("{questionType}", questionType)
-
-    console.log(`[Generate Adaptive Question] Using ${language} prompt`)
-
-    // Use a shorter timeout for faster response
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), 6000) // 6 second timeout
-
-    try {
-      const aiResponse = await OpenAIService.generateText(prompt, {
-        signal: controller.signal,
-        maxTokens: 150, // Increased for Hindi which may need more tokens
-      })
-      clearTimeout(timeoutId)
-
-      // Clean up the response
-      let question = aiResponse.trim()
-      question = question.replace(/^["']|["']$/g, "")
-      question = question.replace(/^(Question|प्रश्न):\s*/i, "")
-
-      if (!question.endsWith("?") && !question.endsWith("।")) {
-        question += language === "hi" ? "?" : "?"
-      }
-
-      console.log("[Generate Adaptive Question] Generated question:", question)
-
-      res.json({
-        success: true,
-        question: question,
-      })
-    } catch (error) {
-      clearTimeout(timeoutId)
-      throw error
-    }
-  } catch (error) {
-    console.error("[Generate Adaptive Question] Error:", error)
-
-    // Language-specific fallback questions
-    const languagePrompts = getLanguagePrompts(req.body.language || "en")
-    const fallbackQuestion =
-      languagePrompts.fallbackQuestions[req.body.questionNumber - 1] ||
-      languagePrompts.fallbackQuestions[languagePrompts.fallbackQuestions.length - 1]
+    const { interview: current, question } = await getNextQuestion(req.interview, { language })
 
     res.json({
       success: true,
-      question: fallbackQuestion,
+      question: question ? question.text : null,
+      questionIndex: question ? question.index : null,
+      state: buildInterviewState(current),
     })
+  } catch (error) {
+    if (error instanceof InterviewStateError) return sendStateError(res, error)
+    console.error("[Generate Adaptive Question] Error:", error)
+    res.status(500).json({ message: error.message })
   }
 }
 
 exports.scheduleInterview = async (req, res) => {
   console.log("[Schedule Interview] Request received:", req.body)
   try {
-    const { applicationId, document, date, time, questions } = req.body
+    const { applicationId, document, templateId, singleUseLink, mode = "ai" } = req.body
+    if (!INTERVIEW_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, message: `mode must be one of ${INTERVIEW_MODES.join(", ")}` })
+    }
 
     const application = await JobApplication.findById(applicationId).populate("applicant").populate("job")
 
     if (!application) {
       return res.status(404).json({ message: "Application not found" })
     }
+    if (!isJobOwner(req.user, application.job)) {
+      return res.status(403).json({ success: false, message: "Only the job's recruiter can schedule this interview" })
+    }
+
+    // Freeze the template on the interview so later edits to it don't change this one
+    const template = await resolveScheduleTemplate({ templateId, job: application.job })
+    const plan = buildInterviewPlan(template)
+    const rubric = await resolveInterviewRubric({ template, job: application.job })
+    const settings = { ...plan.settings, ...pickInterviewSettings(req.body) }
+    const slot = resolveInterviewSlot(req.body, { durationMinutes: settings.timeLimitMinutes })
 
     const roomId = uuidv4()
-    const interviewLink = `https://www.airuter.com/interview/${roomId}`
+    // Live interviews get their 100ms room up front, so a failure is reported before anyone is invited
+    const live = mode === "live" ? await createLiveRoom({ roomId, jobTitle: application.job.title }) : undefined
 
     // For the new adaptive system, we don't pre-generate all questions
     // We'll generate them dynamically during the interview
@@ -292,13 +154,20 @@ exports.scheduleInterview = async (req, res) => {
 
     const interview = new Interview({
       roomId,
-      date,
-      time,
+      mode,
+      live,
+      ...slot,
       document,
+      job: application.job._id,
+      recruiter: application.job.recruiter,
       jobTitle: application.job.title,
       applicantEmail: application.applicant.email,
       applicantId: application.applicant._id,
+      joinToken: { singleUse: singleUseLink === true },
       questions: interviewQuestions, // Start with empty array
+      template: plan.template,
+      rubric: buildRubricSnapshot(rubric),
+      settings,
     })
     await interview.save()
 
@@ -307,20 +176,32 @@ exports.scheduleInterview = async (req, res) => {
     application.interviewRoomId = roomId
     await application.save()
 
-    await sendEmail({
-      to: application.applicant.email,
-      subject: "Mock Interview Invitation",
-      text: `You have been invited for a mock interview for the position of ${application.job.title}. Please join the room on ${date} at ${time}.`,
+    const interviewLink = buildJoinLink(interview)
+    await sendInterviewInvite(interview, {
+      kind: "scheduled",
       interviewLink,
+      applicantName: application.applicant.name,
     })
 
     res.json({
       success: true,
       message: "Interview scheduled successfully!",
+      mode: interview.mode,
       interviewLink,
       questions: interviewQuestions,
+      template: { templateId: plan.template.templateId, name: plan.template.name },
+      rubric: { rubricId: interview.rubric.rubricId, name: interview.rubric.name },
+      scheduledAt: interview.scheduledAt,
+      timeZone: interview.timeZone,
     })
   } catch (error) {
+    if (
+      error instanceof InterviewTemplateError ||
+      error instanceof InterviewScheduleError ||
+      error instanceof HmsError
+    ) {
+      return sendStateError(res, error)
+    }
     console.error("[Schedule Interview] Error:", error)
     res.status(500).json({ message: error.message })
   }
@@ -330,12 +211,15 @@ exports.scheduleInterview = async (req, res) => {
 exports.rescheduleInterview = async (req, res) => {
   console.log("[Reschedule Interview] Request received:", req.body)
   try {
-    const { applicationId, document, date, time } = req.body
+    const { applicationId, document, date, time, startAt, timeZone, durationMinutes } = req.body
 
     const application = await JobApplication.findById(applicationId).populate("applicant").populate("job")
     if (!application) {
       return res.status(404).json({ message: "Application not found" })
     }
+    if (!isJobOwner(req.user, application.job)) {
+      return res.status(403).json({ success: false, message: "Only the job's recruiter can reschedule this interview" })
+    }
 
     if (!application.interviewRoomId) {
       return res.status(400).json({ message: "No existing interview to reschedule" })
@@ -346,48 +230,138 @@ exports.rescheduleInterview = async (req, res) => {
       return res.status(404).json({ message: "Interview details not found" })
     }
 
-    // Update interview details
-    if (date) interview.date = date
-    if (time) interview.time = time
+    if (!RESCHEDULABLE_PHASES.includes(interview.phase)) {
+      return res.status(409).json({ success: false, message: `A ${interview.phase} interview cannot be rescheduled` })
+    }
+
+    // Update interview details; fields left out keep their current values
+    if (date || time || startAt || timeZone || durationMinutes !== undefined) {
+      const slot = resolveInterviewSlot(
+        { date: interview.date, time: interview.time, ...req.body },
+        interview,
+      )
+      interview.set(slot)
+    }
     if (typeof document === 'string') interview.document = document
+    // A higher SEQUENCE makes calendar clients replace the earlier invite
+    interview.calendarSequence += 1
+    // A new slot gets its own reminders, and a no-show gets another chance
+    interview.phase = "scheduled"
+    interview.remindersSent = []
+    interview.closedAt = null
+    // Links from the earlier invite stop working
+    interview.joinToken.version += 1
+    interview.joinToken.redeemedAt = null
     await interview.save()
 
-    const interviewLink = `https://www.airuter.com/interview/${interview.roomId}`
+    const interviewLink = buildJoinLink(interview)
 
     // Notify the applicant
-    await sendEmail({
-      to: application.applicant.email,
-      subject: "Mock Interview Rescheduled",
-      text: `Your mock interview for ${application.job.title} has been rescheduled to ${date} at ${time}.\n\nJoin link: ${interviewLink}`,
+    await sendInterviewInvite(interview, {
+      kind: "rescheduled",
       interviewLink,
+      applicantName: application.applicant.name,
     })
 
     res.json({
       success: true,
       message: "Interview rescheduled successfully!",
       interviewLink,
+      scheduledAt: interview.scheduledAt,
+      timeZone: interview.timeZone,
     })
   } catch (error) {
+    if (error instanceof InterviewScheduleError) return sendStateError(res, error)
     console.error("[Reschedule Interview] Error:", error)
     res.status(500).json({ message: error.message })
   }
 }
 
-exports.getInterviewDetails = async (req, res) => {
-  console.log("[Get Interview Details] Request received for room ID:", req.params.roomId)
+/**
+ * Cancel an interview that has not started and notify the candidate
+ * @route POST /api/interview/cancel
+ * @access Private (Recruiter who owns the job)
+ */
+exports.cancelInterview = async (req, res) => {
   try {
-    const { roomId } = req.params
+    const { applicationId, reason } = req.body
+    if (!reason || typeof reason !== "string" || !reason.trim()) {
+      return res.status(400).json({ success: false, message: "A cancellation reason is required" })
+    }
+
+    const application = await JobApplication.findById(applicationId).populate("applicant").populate("job")
+    if (!application || !application.interviewRoomId) {
+      return res.status(404).json({ success: false, message: "No interview found for this application" })
+    }
+    if (!isJobOwner(req.user, application.job)) {
+      return res.status(403).json({ success: false, message: "Only the job's recruiter can cancel this interview" })
+    }
 
-    const interview = await Interview.findOne({ roomId })
+    const interview = await Interview.findOne({ roomId: application.interviewRoomId })
     if (!interview) {
-      console.error("[Get Interview Details] Interview not found for room ID:", roomId)
-      return res.status(404).json({ message: "Interview not found" })
+      return res.status(404).json({ success: false, message: "Interview details not found" })
     }
 
+    const cancelled = await cancelInterview(interview, {
+      reason: reason.trim(),
+      cancelledBy: req.user._id,
+      applicantName: application.applicant.name,
+    })
+
+    res.json({ success: true, message: "Interview cancelled", state: buildInterviewState(cancelled) })
+  } catch (error) {
+    if (error instanceof InterviewStateError) return sendStateError(res, error)
+    console.error("[Cancel Interview] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to cancel interview", error: error.message })
+  }
+}
+
+/**
+ * Revoke the candidate's current link and session and issue a new link, optionally
+ * switching it to or from single-use. The new link is returned, not emailed.
+ * @route POST /api/interview/link/:roomId
+ * @access Private (Recruiter who owns the job)
+ */
+exports.reissueInterviewLink = async (req, res) => {
+  try {
+    const { singleUseLink } = req.body
+    if (singleUseLink !== undefined && typeof singleUseLink !== "boolean") {
+      return res.status(400).json({ success: false, message: "singleUseLink must be a boolean" })
+    }
+
+    let interview = await revokeJoinTokens(req.interview)
+    if (singleUseLink !== undefined && interview.joinToken.singleUse !== singleUseLink) {
+      interview.joinToken.singleUse = singleUseLink
+      await interview.save()
+    }
+
+    console.log(`🔑 [INTERVIEW] Join link reissued for ${interview.roomId}`)
+    res.json({
+      success: true,
+      message: "New interview link issued; earlier links no longer work",
+      interviewLink: buildJoinLink(interview),
+      singleUse: interview.joinToken.singleUse,
+    })
+  } catch (error) {
+    console.error("[Reissue Interview Link] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to reissue interview link", error: error.message })
+  }
+}
+
+exports.getInterviewDetails = async (req, res) => {
+  console.log("[Get Interview Details] Request received for room ID:", req.params.roomId)
+  try {
+    const { interview } = req
+
     console.log("[Get Interview Details] Interview details fetched:", interview)
     res.json({
       date: interview.date,
       time: interview.time,
+      scheduledAt: interview.scheduledAt,
+      durationMinutes: interview.durationMinutes,
+      timeZone: interview.timeZone,
+      mode: interview.mode,
+      phase: interview.phase,
       jobTitle: interview.jobTitle,
       document: interview.document,
     })
@@ -400,25 +374,11 @@ exports.getInterviewDetails = async (req, res) => {
 exports.getInterviewQuestions = async (req, res) => {
   console.log("[Get Interview Questions] Request received for room ID:", req.params.roomId)
   try {
-    const { roomId } = req.params
+    const { interview } = req
 
-    const interview = await Interview.findOne({ roomId })
-
-    if (!interview) {
-      console.error("[Get Interview Questions] Interview not found for room ID:", roomId)
-      return res.status(404).json({ message: "Interview not found" })
-    }
-
-    // For the new adaptive system, we return basic questions initially
-    // The adaptive questions will be generated dynamically
-    const basicQuestions = [
-      "Tell me about yourself and your background.",
-      "What are your key strengths and how do they relate to this role?",
-      "Describe a challenging project you've worked on recently.",
-    ]
-
-    console.log("[Get Interview Questions] Returning basic questions for adaptive interview")
-    res.json({ questions: basicQuestions })
+    // Questions are generated and stored by the server as the interview progresses
+    const state = buildInterviewState(interview)
+    res.json({ questions: state.questions.map((question) => question.text), state })
   } catch (error) {
     console.error("[Get Interview Questions] Error:", error)
     res.status(500).json({ message: error.message })
@@ -429,157 +389,52 @@ exports.submitResponse = async (req, res) => {
   console.log("[Submit Response] Request received for room ID:", req.params.roomId)
   try {
     const { roomId } = req.params
-    const { question, response } = req.body
+    const { questionIndex, question, response } = req.body
 
-    await InterviewResponse.create({
-      roomId,
-      question,
-      response,
+    const { interview: updated } = await submitAnswer(req.interview, {
+      questionIndex,
+      questionText: question,
+      answer: response,
     })
 
     console.log("[Submit Response] Response saved for room ID:", roomId)
-    res.json({ success: true, message: "Response submitted successfully!" })
+    res.json({ success: true, message: "Response submitted successfully!", state: buildInterviewState(updated) })
   } catch (error) {
+    if (error instanceof InterviewStateError) return sendStateError(res, error)
     console.error("[Submit Response] Error:", error)
     res.status(500).json({ message: error.message })
   }
 }
 
+// Scores only the answers stored by the server; questions/answers in the body are ignored
 exports.analyzeResponses = async (req, res) => {
   console.log("[Analyze Responses] Request received for room ID:", req.body.roomId)
   try {
-    const { roomId, questions, answers, language = "en" } = req.body
-
-    // Ensure questions and answers are defined
-    if (!questions || !answers) {
-      throw new Error("Questions or answers are missing in the request body.")
-    }
-
-    // Find the interview by roomId
-    const interview = await Interview.findOne({ roomId })
-    if (!interview) {
-      console.error("[Analyze Responses] Interview not found for room ID:", roomId)
-      return res.status(404).json({ message: "Interview not found" })
-    }
-
-    // Get language-specific prompts
-    const languagePrompts = getLanguagePrompts(language)
-
-    // Prepare interview data
-    const interviewData = questions.map((q, i) => `Question ${i + 1}: ${q}\nResponse: ${answers[i]}`).join("\n\n")
-
-    // Create language-specific analysis prompt
-    const analysisPrompt = languagePrompts.analysisPrompt.replace("{interviewData}", interviewData)
-
-    console.log(`[Analyze Responses] Using ${language} analysis prompt`)
-
-    const aiResponse = await OpenAIService.generateText(analysisPrompt)
-
-    let parsedAnalysis
-    try {
-      // Extract JSON from the response
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/s)
-      if (!jsonMatch) {
-        console.error("No valid JSON found in response:", aiResponse)
-        throw new Error("No valid JSON object found")
-      }
-
-      // Parse the JSON
-      parsedAnalysis = JSON.parse(jsonMatch[0])
-
-      // Validate and ensure the structure is correct
-      if (!parsedAnalysis.overallScores || !parsedAnalysis.feedback || !parsedAnalysis.focusAreas) {
-        throw new Error("Invalid analysis structure")
-      }
-
-      // Ensure we have all required scores and feedback sections
-      const requiredFields = ["selfIntroduction", "projectExplanation", "englishCommunication"]
-
-      for (const field of requiredFields) {
-        // Check and set default scores if missing
-        if (!parsedAnalysis.overallScores[field]) {
-          parsedAnalysis.overallScores[field] = 5
-        }
-
-        // Check and set default feedback if missing
-        if (!parsedAnalysis.feedback[field]) {
-          parsedAnalysis.feedback[field] = {
-            strengths: languagePrompts.defaultAnalysis.feedback[field].strengths,
-            areasOfImprovement: languagePrompts.defaultAnalysis.feedback[field].areasOfImprovement,
-          }
-        } else {
-          // Ensure the feedback has both strengths and areas of improvement
-          if (!parsedAnalysis.feedback[field].strengths) {
-            parsedAnalysis.feedback[field].strengths = languagePrompts.defaultAnalysis.feedback[field].strengths
-          }
-          if (!parsedAnalysis.feedback[field].areasOfImprovement) {
-            parsedAnalysis.feedback[field].areasOfImprovement =
-              languagePrompts.defaultAnalysis.feedback[field].areasOfImprovement
-          }
-        }
-      }
-
-      // Ensure focusAreas is an array with at least 3 items
-      if (!Array.isArray(parsedAnalysis.focusAreas) || parsedAnalysis.focusAreas.length < 1) {
-        parsedAnalysis.focusAreas = languagePrompts.defaultAnalysis.focusAreas
-      }
-    } catch (parseError) {
-      console.error("Parsing error:", parseError)
-      console.error("Problematic response:", aiResponse)
+    const { roomId } = req.body
 
-      // Fallback to language-specific default analysis structure
-      parsedAnalysis = languagePrompts.defaultAnalysis
+    const { interview: completed, analysis } = await completeInterview(req.interview)
+    if (!analysis) {
+      return res.status(400).json({ success: false, message: "Interview has no answers to analyze" })
     }
 
     // Logging for debugging
-    console.log("[Analyze Responses] Generated Analysis:", JSON.stringify(parsedAnalysis, null, 2))
-
-    // Save the analysis to the interview document
-    interview.analysis = {
-      overallScores: parsedAnalysis.overallScores,
-      feedback: parsedAnalysis.feedback,
-      focusAreas: parsedAnalysis.focusAreas,
-      analyzedAt: new Date(),
-      language: language, // Store the language used for analysis
-    }
-
-    await interview.save()
+    console.log("[Analyze Responses] Generated Analysis:", JSON.stringify(analysis, null, 2))
     console.log("[Analyze Responses] Analysis saved to database for room ID:", roomId)
 
     res.json({
       success: true,
       message: "Analysis completed and saved",
-      analysis: parsedAnalysis,
+      analysis,
+      state: buildInterviewState(completed),
     })
   } catch (error) {
+    if (error instanceof InterviewStateError) return sendStateError(res, error)
     console.error("[Analyze Responses] Error:", error)
 
-    // Get language-specific default analysis
-    const languagePrompts = getLanguagePrompts(req.body.language || "en")
-    const defaultAnalysis = languagePrompts.defaultAnalysis
-
-    // Attempt to save default analysis if there's an interview
-    try {
-      if (req.body.roomId) {
-        const interview = await Interview.findOne({ roomId: req.body.roomId })
-        if (interview) {
-          interview.analysis = {
-            ...defaultAnalysis,
-            analyzedAt: new Date(),
-            language: req.body.language || "en",
-          }
-          await interview.save()
-          console.log("[Analyze Responses] Default analysis saved for room ID:", req.body.roomId)
-        }
-      }
-    } catch (saveError) {
-      console.error("[Analyze Responses] Error saving default analysis:", saveError)
-    }
-
     res.status(500).json({
       success: false,
       message: "Analysis failed",
-      analysis: defaultAnalysis,
+      analysis: buildDefaultAnalysis(localizeRubric(DEFAULT_RUBRIC_SNAPSHOT, req.body.language), req.body.language || "en"),
     })
   }
 }
@@ -591,24 +446,34 @@ exports.getInterviewAnalyses = async (req, res) => {
     // Query interviews with analysis data
     const interviews = await Interview.find({
       "analysis.analyzedAt": { $ne: null }, // Only get interviews that have been analyzed
-    }).select("roomId jobTitle applicantEmail analysis recordedAt")
+      isMock: { $ne: true }, // Candidates' practice runs are private to them
+    }).select("roomId jobTitle applicantEmail analysis integrity recordedAt")
 
     if (!interviews || interviews.length === 0) {
       console.log("[Get Interview Analyses] No analyses found")
       return res.json({ analyses: [] })
     }
 
-    const analyses = interviews.map((interview) => ({
-      roomId: interview.roomId,
-      jobTitle: interview.jobTitle,
-      applicantEmail: interview.applicantEmail,
-      scores: interview.analysis.overallScores,
-      focusAreas: interview.analysis.focusAreas,
-      analyzedAt: interview.analysis.analyzedAt,
-      recordedAt: interview.recordedAt,
-      screenRecordingUrl: interview.screenRecordingUrl,
-      language: interview.analysis.language || "en",
-    }))
+    const analyses = interviews.map((interview) => {
+      const analysis = toRubricAnalysis(interview.analysis)
+      return {
+        roomId: interview.roomId,
+        jobTitle: interview.jobTitle,
+        applicantEmail: interview.applicantEmail,
+        scores: interview.analysis.overallScores,
+        status: analysis.status,
+        rubric: analysis.rubric,
+        competencies: analysis.competencies,
+        overallScore: analysis.overallScore,
+        citations: analysis.citations,
+        focusAreas: interview.analysis.focusAreas,
+        integrity: getInterviewIntegrity(interview),
+        analyzedAt: interview.analysis.analyzedAt,
+        recordedAt: interview.recordedAt,
+        screenRecordingUrl: interview.screenRecordingUrl,
+        language: interview.analysis.language || "en",
+      }
+    })
 
     console.log("[Get Interview Analyses] Found analyses:", analyses.length)
     res.json({ analyses })
@@ -628,7 +493,7 @@ exports.getInterviewAnalysis = async (req, res) => {
     const { roomId } = req.params
 
     const interview = await Interview.findOne({ roomId }).select(
-      "roomId jobTitle applicantEmail analysis screenRecordingUrl recordedAt",
+      "roomId job jobTitle applicantEmail analysis integrity screenRecordingUrl recordedAt",
     )
 
     if (!interview || !interview.analysis || !interview.analysis.analyzedAt) {
@@ -643,7 +508,10 @@ exports.getInterviewAnalysis = async (req, res) => {
         roomId: interview.roomId,
         jobTitle: interview.jobTitle,
         applicantEmail: interview.applicantEmail,
-        analysis: interview.analysis,
+        analysis: toRubricAnalysis(interview.analysis),
+        // The candidate's percentiles; ?benchmark=false skips them for callers that do not show them
+        ...(req.query.benchmark !== "false" && { benchmark: await getInterviewBenchmark(interview) }),
+        integrity: getInterviewIntegrity(interview),
         screenRecordingUrl: interview.screenRecordingUrl,
         recordedAt: interview.recordedAt,
       },
@@ -658,9 +526,32 @@ exports.getInterviewAnalysis = async (req, res) => {
   }
 }
 
+/**
+ * Run the analysis of a completed interview again; a fallback never replaces real scores
+ * @route POST /api/interview/analysis/:roomId/rerun
+ * @access Private (Recruiter who owns the job)
+ */
+exports.rerunInterviewAnalysis = async (req, res) => {
+  try {
+    const { interview, analysis, replaced } = await reanalyzeInterview(req.interview, { requestedBy: req.user._id })
+    res.json({
+      success: true,
+      message: replaced
+        ? "Analysis completed and saved"
+        : "Analysis failed again; the previous analysis was kept",
+      replaced,
+      analysis: replaced ? toRubricAnalysis(interview.analysis) : analysis,
+    })
+  } catch (error) {
+    if (error instanceof InterviewStateError) return sendStateError(res, error)
+    console.error("[Rerun Analysis] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to re-run analysis", error: error.message })
+  }
+}
+
 exports.saveRecording = async (req, res) => {
   try {
-    const { videoUrl } = req.body
+    const { videoUrl, recordingStartedAt } = req.body
     const { roomId } = req.body
 
     if (!videoUrl) {
@@ -671,20 +562,31 @@ exports.saveRecording = async (req, res) => {
       })
     }
 
+    // Optional; lets recruiters jump from a proctoring moment to the same point in the video
+    const startedAt = recordingStartedAt ? new Date(recordingStartedAt) : null
+    if (startedAt && Number.isNaN(startedAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "recordingStartedAt must be a date-time",
+      })
+    }
+
+    // A recording, once saved, cannot be replaced from the candidate's side
     const interview = await Interview.findOneAndUpdate(
-      { roomId },
+      { roomId, screenRecordingUrl: null },
       {
         screenRecordingUrl: videoUrl,
         recordedAt: new Date(),
+        ...(startedAt ? { recordingStartedAt: startedAt } : {}),
       },
       { new: true },
     )
 
     if (!interview) {
-      console.error("Interview not found for room ID:", roomId)
-      return res.status(404).json({
+      console.error("Recording already saved for room ID:", roomId)
+      return res.status(409).json({
         success: false,
-        message: "Interview not found",
+        message: "A recording has already been saved for this interview",
       })
     }
 
@@ -706,15 +608,134 @@ exports.saveRecording = async (req, res) => {
   }
 }
 
+/**
+ * 100ms auth token for the candidate of a live interview
+ * @route POST /api/interview/live/token/:roomId
+ * @access Private (interview token)
+ */
+exports.getLiveCandidateToken = async (req, res) => {
+  try {
+    const token = issueLiveToken(req.interview, { participant: "candidate", userId: req.interview.applicantId })
+    res.json({ success: true, ...token })
+  } catch (error) {
+    if (error instanceof InterviewStateError || error instanceof HmsError) return sendStateError(res, error)
+    console.error("[Live Candidate Token] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to issue live interview token", error: error.message })
+  }
+}
+
+/**
+ * 100ms auth token for the recruiter running a live interview
+ * @route POST /api/interview/live/interviewer-token/:roomId
+ * @access Private (Recruiter who owns the job)
+ */
+exports.getLiveInterviewerToken = async (req, res) => {
+  try {
+    const token = issueLiveToken(req.interview, { participant: "interviewer", userId: req.user._id })
+    res.json({ success: true, ...token })
+  } catch (error) {
+    if (error instanceof InterviewStateError || error instanceof HmsError) return sendStateError(res, error)
+    console.error("[Live Interviewer Token] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to issue live interview token", error: error.message })
+  }
+}
+
+/**
+ * 100ms webhook: records live interview sessions opening and closing
+ * @route POST /api/interview/live/webhook
+ * @access Public (100ms, checked against HMS_WEBHOOK_SECRET)
+ */
+exports.handleHmsWebhook = async (req, res) => {
+  if (!verifyWebhook(req.headers)) {
+    return res.status(401).json({ success: false, message: "Invalid webhook secret" })
+  }
+  try {
+    const applied = await handleHmsWebhook(req.body)
+    res.json({ success: true, applied })
+  } catch (error) {
+    console.error("[100ms Webhook] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to process webhook", error: error.message })
+  }
+}
+
+/**
+ * Store a batch of proctoring events from the interview client
+ * @route POST /api/interview/proctoring/:roomId
+ * @access Private (interview token)
+ */
+exports.recordProctoringEvents = async (req, res) => {
+  try {
+    const { accepted, duplicates, rejected } = await recordProctoringEvents(req.interview, req.body.events)
+    res.json({ success: true, accepted, duplicates, rejected })
+  } catch (error) {
+    if (error instanceof ProctoringError) return sendStateError(res, error)
+    console.error("[Record Proctoring Events] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to record proctoring events", error: error.message })
+  }
+}
+
+/**
+ * Integrity score and flagged moments, with offsets into the recording
+ * @route GET /api/interview/proctoring/:roomId
+ * @access Private (Recruiter who owns the job)
+ */
+exports.getProctoringReport = async (req, res) => {
+  try {
+    const timeline = await getProctoringTimeline(req.interview)
+    res.json({
+      success: true,
+      roomId: req.interview.roomId,
+      screenRecordingUrl: req.interview.screenRecordingUrl,
+      ...timeline,
+    })
+  } catch (error) {
+    console.error("[Get Proctoring Report] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch proctoring report", error: error.message })
+  }
+}
+
+const sendReport = async (res, interview, options) => {
+  try {
+    const { filename, buffer } = await generateInterviewReport(interview, options)
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Content-Length": buffer.length,
+    })
+    res.send(buffer)
+  } catch (error) {
+    if (error instanceof ReportError) return sendStateError(res, error)
+    console.error("[Interview Report] Error:", error)
+    res.status(500).json({ success: false, message: "Failed to generate interview report", error: error.message })
+  }
+}
+
+/**
+ * Download the interview report as a PDF; ?audience=candidate gives the copy without recruiter notes
+ * @route GET /api/interview/report/:roomId?audience=recruiter|candidate&lang=en|hi
+ * @access Private (Recruiter who owns the job)
+ */
+exports.downloadInterviewReport = (req, res) =>
+  sendReport(res, req.interview, { audience: req.query.audience || "recruiter", language: req.query.lang })
+
+/**
+ * Download the candidate's copy of the interview report as a PDF
+ * @route GET /api/interview/report/:roomId/candidate?lang=en|hi
+ * @access Private (interview token)
+ */
+exports.downloadCandidateReport = (req, res) =>
+  sendReport(res, req.interview, { audience: "candidate", language: req.query.lang })
+
 exports.getInterviewRecordingsByApplicant = async (req, res) => {
   console.log("[Get Interview Recordings] Request received for applicant:", req.params.email)
   try {
     const { email } = req.params
-    const { id } = req.query // Optional applicant ID parameter
+    const id = req.params.id || req.query.id // Applicant ID from /recordings/applicant/:id or ?id=
 
     // Create a query object based on available parameters
     const query = {
       screenRecordingUrl: { $ne: null }, // Only get interviews with recordings
+      isMock: { $ne: true },
     }
 
     // If applicant ID is provided, use it (preferred method)
@@ -727,6 +748,9 @@ exports.getInterviewRecordingsByApplicant = async (req, res) => {
       return res.status(400).json({ message: "Either email or id parameter is required" })
     }
 
+    // Only interviews for the recruiter's own jobs
+    Object.assign(query, await getManagedInterviewFilter(req.user))
+
     const interviews = await Interview.find(query).select("roomId jobTitle screenRecordingUrl recordedAt")
 
     if (!interviews || interviews.length === 0) {
@@ -757,12 +781,15 @@ exports.getInterviewByApplicationId = async (req, res) => {
     // First, find the job application to get the roomId
     const application = await JobApplication.findById(applicationId)
       .populate("applicant", "name email")
-      .populate("job", "title")
+      .populate("job", "title recruiter")
 
     if (!application || !application.interviewRoomId) {
       console.log("[Get Interview By Application ID] No interview found for application ID:", applicationId)
       return res.status(404).json({ message: "No interview found for this application" })
     }
+    if (!isJobOwner(req.user, application.job)) {
+      return res.status(403).json({ success: false, message: "Not authorized to access this interview" })
+    }
 
     // Then, find the interview using the roomId
     const interview = await Interview.findOne({ roomId: application.interviewRoomId })
@@ -779,6 +806,11 @@ exports.getInterviewByApplicationId = async (req, res) => {
         roomId: interview.roomId,
         date: interview.date,
         time: interview.time,
+        scheduledAt: interview.scheduledAt,
+        durationMinutes: interview.durationMinutes,
+        timeZone: interview.timeZone,
+        mode: interview.mode,
+        live: interview.live,
         jobTitle: interview.jobTitle,
         applicant: {
           name: application.applicant.name,
@@ -788,7 +820,10 @@ exports.getInterviewByApplicationId = async (req, res) => {
         recordedAt: interview.recordedAt,
         document: interview.document,
         questions: interview.questions,
-        analysis: interview.analysis,
+        analysis: toRubricAnalysis(interview.analysis),
+        // The candidate's percentiles; ?benchmark=false skips them for callers that do not show them
+        ...(req.query.benchmark !== "false" && { benchmark: await getInterviewBenchmark(interview) }),
+        integrity: getInterviewIntegrity(interview),
       },
     })
   } catch (error) {
@@ -800,15 +835,7 @@ exports.getInterviewByApplicationId = async (req, res) => {
 exports.getInterviewRecordingsByRoomId = async (req, res) => {
   console.log("[Get Interview Recordings] Request received for room ID:", req.params.roomId)
   try {
-    const { roomId } = req.params
-
-    // Find the interview by roomId
-    const interview = await Interview.findOne({ roomId }).select("roomId jobTitle screenRecordingUrl recordedAt")
-
-    if (!interview) {
-      console.log("[Get Interview Recordings] No recording found for room ID:", roomId)
-      return res.json({ recordings: [] })
-    }
+    const { interview } = req
 
     const recording = {
       roomId: interview.roomId,
@@ -0,0 +1,159 @@
+const InterviewRubric = require("../models/InterviewRubric")
+const Job = require("../models/Job")
+const { DEFAULT_RUBRIC } = require("../config/rubrics")
+
+// Fields a recruiter may set directly; status only changes through archive
+const RUBRIC_FIELDS = ["name", "description", "job", "competencies"]
+
+const pickRubricFields = (body = {}) =>
+  RUBRIC_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field]
+    return fields
+  }, {})
+
+const findOwnRubric = (req) =>
+  InterviewRubric.findOne({ _id: req.params.id, recruiter: req.user.id }).catch(() => null)
+
+const findOwnJob = (req, jobId) => Job.findOne({ _id: jobId, recruiter: req.user.id }).catch(() => null)
+
+const sendValidationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid rubric",
+    errors: Object.values(error.errors).map((e) => e.message),
+  })
+
+/**
+ * Built-in rubric used when neither the template nor the job has one
+ * @route GET /api/interview-rubrics/default
+ * @access Private (Recruiter)
+ */
+exports.getDefaultRubric = async (req, res) => {
+  res.json({ success: true, rubric: DEFAULT_RUBRIC })
+}
+
+/**
+ * Create a rubric
+ * @route POST /api/interview-rubrics
+ * @access Private (Recruiter)
+ */
+exports.createRubric = async (req, res) => {
+  try {
+    const fields = pickRubricFields(req.body)
+    if (fields.job && !(await findOwnJob(req, fields.job))) {
+      return res.status(404).json({ success: false, message: "Job not found" })
+    }
+
+    const rubric = new InterviewRubric({ ...fields, recruiter: req.user.id })
+    await rubric.save()
+
+    console.log(`📏 [RUBRIC] Created "${rubric.name}" for recruiter ${req.user.id}`)
+    res.status(201).json({ success: true, message: "Rubric created", rubric })
+  } catch (error) {
+    if (error.name === "ValidationError") return sendValidationError(res, error)
+    console.error("❌ [RUBRIC] Create failed:", error)
+    res.status(500).json({ success: false, message: "Failed to create rubric", error: error.message })
+  }
+}
+
+/**
+ * List the recruiter's rubrics
+ * @route GET /api/interview-rubrics?job=&status=&page=&limit=
+ * @access Private (Recruiter)
+ */
+exports.getRubrics = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+
+    const query = { recruiter: req.user.id, status: req.query.status || "active" }
+    if (req.query.job) query.job = req.query.job
+
+    const [rubrics, total] = await Promise.all([
+      InterviewRubric.find(query)
+        .populate("job", "title company")
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InterviewRubric.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      rubrics,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    })
+  } catch (error) {
+    console.error("❌ [RUBRIC] List failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch rubrics", error: error.message })
+  }
+}
+
+/**
+ * Get one rubric
+ * @route GET /api/interview-rubrics/:id
+ * @access Private (Recruiter)
+ */
+exports.getRubric = async (req, res) => {
+  try {
+    const rubric = await findOwnRubric(req)
+    if (!rubric) {
+      return res.status(404).json({ success: false, message: "Rubric not found" })
+    }
+    res.json({ success: true, rubric })
+  } catch (error) {
+    console.error("❌ [RUBRIC] Fetch failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch rubric", error: error.message })
+  }
+}
+
+/**
+ * Update a rubric. Changing competencies bumps its version; interviews already
+ * scheduled keep the version they were scheduled with.
+ * @route PUT /api/interview-rubrics/:id
+ * @access Private (Recruiter)
+ */
+exports.updateRubric = async (req, res) => {
+  try {
+    const rubric = await findOwnRubric(req)
+    if (!rubric) {
+      return res.status(404).json({ success: false, message: "Rubric not found" })
+    }
+
+    const fields = pickRubricFields(req.body)
+    if (fields.job && !(await findOwnJob(req, fields.job))) {
+      return res.status(404).json({ success: false, message: "Job not found" })
+    }
+
+    rubric.set(fields)
+    await rubric.save()
+
+    res.json({ success: true, message: "Rubric updated", rubric })
+  } catch (error) {
+    if (error.name === "ValidationError") return sendValidationError(res, error)
+    console.error("❌ [RUBRIC] Update failed:", error)
+    res.status(500).json({ success: false, message: "Failed to update rubric", error: error.message })
+  }
+}
+
+/**
+ * Archive a rubric; new interviews stop using it
+ * @route DELETE /api/interview-rubrics/:id
+ * @access Private (Recruiter)
+ */
+exports.archiveRubric = async (req, res) => {
+  try {
+    const rubric = await findOwnRubric(req)
+    if (!rubric) {
+      return res.status(404).json({ success: false, message: "Rubric not found" })
+    }
+
+    rubric.status = "archived"
+    await rubric.save()
+
+    res.json({ success: true, message: "Rubric archived" })
+  } catch (error) {
+    console.error("❌ [RUBRIC] Archive failed:", error)
+    res.status(500).json({ success: false, message: "Failed to archive rubric", error: error.message })
+  }
+}
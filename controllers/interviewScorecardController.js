@@ -0,0 +1,73 @@
+const {
+  ScorecardError,
+  addPanelInterviewers,
+  saveScorecard,
+  getScorecardView,
+} = require("../services/scorecardService")
+
+const sendScorecardError = (res, error) =>
+  res.status(error.statusCode).json({ success: false, message: error.message, code: error.code })
+
+/**
+ * The interview's scorecards and the panel's consensus next to the AI analysis. Others'
+ * scores stay hidden until the signed-in interviewer has submitted their own.
+ * @route GET /api/interview-scorecards/:roomId
+ * @access Private (Recruiter who owns the job, or panel member)
+ */
+exports.getScorecards = async (req, res) => {
+  try {
+    const view = await getScorecardView(req.interview, req.user, req.panelAccess)
+    res.json({ success: true, ...view })
+  } catch (error) {
+    console.error("❌ [SCORECARD] Fetch failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch scorecards", error: error.message })
+  }
+}
+
+/**
+ * Save the signed-in interviewer's draft scorecard
+ * @route PUT /api/interview-scorecards/:roomId
+ * @access Private (Recruiter who owns the job, or panel member)
+ */
+exports.saveScorecard = async (req, res) => {
+  try {
+    const scorecard = await saveScorecard(req.interview, req.user, req.panelAccess, req.body)
+    res.json({ success: true, message: "Scorecard saved", scorecard })
+  } catch (error) {
+    if (error instanceof ScorecardError) return sendScorecardError(res, error)
+    console.error("❌ [SCORECARD] Save failed:", error)
+    res.status(500).json({ success: false, message: "Failed to save scorecard", error: error.message })
+  }
+}
+
+/**
+ * Submit the signed-in interviewer's scorecard; it cannot be changed afterwards
+ * @route POST /api/interview-scorecards/:roomId/submit
+ * @access Private (Recruiter who owns the job, or panel member)
+ */
+exports.submitScorecard = async (req, res) => {
+  try {
+    const scorecard = await saveScorecard(req.interview, req.user, req.panelAccess, req.body, { submit: true })
+    res.json({ success: true, message: "Scorecard submitted", scorecard })
+  } catch (error) {
+    if (error instanceof ScorecardError) return sendScorecardError(res, error)
+    console.error("❌ [SCORECARD] Submit failed:", error)
+    res.status(500).json({ success: false, message: "Failed to submit scorecard", error: error.message })
+  }
+}
+
+/**
+ * Add recruiters to the interview's panel by user id or email
+ * @route POST /api/interview-scorecards/:roomId/panel
+ * @access Private (Recruiter who owns the job)
+ */
+exports.addPanelInterviewers = async (req, res) => {
+  try {
+    const result = await addPanelInterviewers(req.interview, req.body.interviewers, { assignedBy: req.user._id })
+    res.json({ success: true, ...result })
+  } catch (error) {
+    if (error instanceof ScorecardError) return sendScorecardError(res, error)
+    console.error("❌ [SCORECARD] Adding panel interviewers failed:", error)
+    res.status(500).json({ success: false, message: "Failed to add interviewers", error: error.message })
+  }
+}
@@ -0,0 +1,279 @@
+const InterviewTemplate = require("../models/InterviewTemplate")
+const Job = require("../models/Job")
+const InterviewRubric = require("../models/InterviewRubric")
+const { generateQuestionBank } = require("../services/aiService")
+const { getTemplateProblems } = require("../services/interviewTemplateService")
+const { QUESTION_CATEGORIES } = require("../config/interviewTemplates")
+
+// Fields a recruiter may set directly; status only changes through approve/archive
+const TEMPLATE_FIELDS = ["name", "description", "job", "rubric", "language", "difficulty", "timeLimitMinutes", "questions"]
+
+const pickTemplateFields = (body = {}) =>
+  TEMPLATE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field]
+    return fields
+  }, {})
+
+const findOwnTemplate = (req) =>
+  InterviewTemplate.findOne({ _id: req.params.id, recruiter: req.user.id }).catch(() => null)
+
+// A template may only be tied to one of the recruiter's own jobs
+const findOwnJob = async (req, jobId) => {
+  if (!jobId) return null
+  return Job.findOne({ _id: jobId, recruiter: req.user.id }).catch(() => null)
+}
+
+const findOwnRubric = (req, rubricId) =>
+  InterviewRubric.findOne({ _id: rubricId, recruiter: req.user.id, status: "active" }).catch(() => null)
+
+// 404 message for a job or rubric the recruiter does not own, or null when both are fine
+const checkReferences = async (req, fields) => {
+  if (fields.job && !(await findOwnJob(req, fields.job))) return "Job not found"
+  if (fields.rubric && !(await findOwnRubric(req, fields.rubric))) return "Rubric not found"
+  return null
+}
+
+const sendValidationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid interview template",
+    errors: Object.values(error.errors).map((e) => e.message),
+  })
+
+/**
+ * Create a draft interview template
+ * @route POST /api/interview-templates
+ * @access Private (Recruiter)
+ */
+exports.createTemplate = async (req, res) => {
+  try {
+    const fields = pickTemplateFields(req.body)
+    const missing = await checkReferences(req, fields)
+    if (missing) {
+      return res.status(404).json({ success: false, message: missing })
+    }
+
+    const template = new InterviewTemplate({ ...fields, recruiter: req.user.id })
+    await template.save()
+
+    console.log(`📋 [TEMPLATE] Created "${template.name}" for recruiter ${req.user.id}`)
+    res.status(201).json({ success: true, message: "Interview template created", template })
+  } catch (error) {
+    if (error.name === "ValidationError") return sendValidationError(res, error)
+    console.error("❌ [TEMPLATE] Create failed:", error)
+    res.status(500).json({ success: false, message: "Failed to create interview template", error: error.message })
+  }
+}
+
+/**
+ * List the recruiter's templates
+ * @route GET /api/interview-templates?job=&status=&page=&limit=
+ * @access Private (Recruiter)
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100)
+
+    const query = { recruiter: req.user.id }
+    if (req.query.job) query.job = req.query.job
+    if (req.query.status) query.status = req.query.status
+    else query.status = { $ne: "archived" }
+
+    const [templates, total] = await Promise.all([
+      InterviewTemplate.find(query)
+        .populate("job", "title company")
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InterviewTemplate.countDocuments(query),
+    ])
+
+    res.json({
+      success: true,
+      templates,
+      pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    })
+  } catch (error) {
+    console.error("❌ [TEMPLATE] List failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch interview templates", error: error.message })
+  }
+}
+
+/**
+ * Get one template
+ * @route GET /api/interview-templates/:id
+ * @access Private (Recruiter)
+ */
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req)
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Interview template not found" })
+    }
+    res.json({ success: true, template })
+  } catch (error) {
+    console.error("❌ [TEMPLATE] Fetch failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch interview template", error: error.message })
+  }
+}
+
+/**
+ * Update a template; any change returns it to draft until approved again.
+ * Interviews already scheduled keep their own snapshot.
+ * @route PUT /api/interview-templates/:id
+ * @access Private (Recruiter)
+ */
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req)
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Interview template not found" })
+    }
+
+    const fields = pickTemplateFields(req.body)
+    const missing = await checkReferences(req, fields)
+    if (missing) {
+      return res.status(404).json({ success: false, message: missing })
+    }
+
+    template.set(fields)
+    template.status = "draft"
+    template.approvedAt = undefined
+    template.approvedBy = undefined
+    await template.save()
+
+    res.json({ success: true, message: "Interview template updated", template })
+  } catch (error) {
+    if (error.name === "ValidationError") return sendValidationError(res, error)
+    console.error("❌ [TEMPLATE] Update failed:", error)
+    res.status(500).json({ success: false, message: "Failed to update interview template", error: error.message })
+  }
+}
+
+/**
+ * Archive a template; it can no longer be used to schedule interviews
+ * @route DELETE /api/interview-templates/:id
+ * @access Private (Recruiter)
+ */
+exports.archiveTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req)
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Interview template not found" })
+    }
+
+    template.status = "archived"
+    await template.save()
+
+    res.json({ success: true, message: "Interview template archived" })
+  } catch (error) {
+    console.error("❌ [TEMPLATE] Archive failed:", error)
+    res.status(500).json({ success: false, message: "Failed to archive interview template", error: error.message })
+  }
+}
+
+/**
+ * Draft questions from the job description and add them to the template for review.
+ * Body: { count, categories, replace }. Generated questions are fixed questions marked
+ * source "generated"; the recruiter edits them and then approves the template.
+ * @route POST /api/interview-templates/:id/generate
+ * @access Private (Recruiter)
+ */
+exports.generateTemplateQuestions = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req)
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Interview template not found" })
+    }
+
+    const jobId = req.body.job || template.job
+    const job = await findOwnJob(req, jobId)
+    if (!job) {
+      return res.status(400).json({ success: false, message: "Link the template to a job to generate questions" })
+    }
+
+    const count = Math.min(Math.max(parseInt(req.body.count) || 8, 1), 20)
+    const categories = Array.isArray(req.body.categories)
+      ? req.body.categories.filter((category) => QUESTION_CATEGORIES.includes(category))
+      : QUESTION_CATEGORIES.filter((category) => category !== "introduction")
+    if (!categories.length) {
+      return res.status(400).json({ success: false, message: "No valid question categories given" })
+    }
+
+    const jobDescription = [
+      `${job.title} at ${job.company}`,
+      job.description,
+      job.requirements?.length ? `Requirements:\n- ${job.requirements.join("\n- ")}` : "",
+      job.responsibilities?.length ? `Responsibilities:\n- ${job.responsibilities.join("\n- ")}` : "",
+      job.skills?.length ? `Skills: ${job.skills.join(", ")}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n\n")
+
+    const generated = await generateQuestionBank({
+      jobDescription,
+      categories,
+      difficulty: template.difficulty,
+      language: template.language,
+      count,
+    })
+    if (!generated.length) {
+      return res.status(502).json({ success: false, message: "No usable questions were generated; please try again" })
+    }
+
+    const questions = generated.map((question) => ({ ...question, kind: "fixed", source: "generated" }))
+    const kept = req.body.replace ? [] : template.questions
+    if (kept.length + questions.length > 20) {
+      return res.status(400).json({ success: false, message: "A template can have at most 20 questions" })
+    }
+
+    template.questions = [...kept, ...questions]
+    template.job = job._id
+    template.status = "draft"
+    template.approvedAt = undefined
+    template.approvedBy = undefined
+    await template.save()
+
+    console.log(`📋 [TEMPLATE] Generated ${questions.length} questions for "${template.name}"`)
+    res.json({ success: true, message: `${questions.length} questions generated for review`, template })
+  } catch (error) {
+    if (error.name === "ValidationError") return sendValidationError(res, error)
+    console.error("❌ [TEMPLATE] Question generation failed:", error)
+    res.status(500).json({ success: false, message: "Failed to generate questions", error: error.message })
+  }
+}
+
+/**
+ * Approve a reviewed template so it can be used when scheduling interviews
+ * @route POST /api/interview-templates/:id/approve
+ * @access Private (Recruiter)
+ */
+exports.approveTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req)
+    if (!template) {
+      return res.status(404).json({ success: false, message: "Interview template not found" })
+    }
+    if (template.status === "archived") {
+      return res.status(400).json({ success: false, message: "Archived templates cannot be approved" })
+    }
+
+    const problems = getTemplateProblems(template)
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: "Template is not ready for approval", errors: problems })
+    }
+
+    template.status = "approved"
+    template.approvedAt = new Date()
+    template.approvedBy = req.user.id
+    await template.save()
+
+    console.log(`✅ [TEMPLATE] Approved "${template.name}"`)
+    res.json({ success: true, message: "Interview template approved", template })
+  } catch (error) {
+    if (error.name === "ValidationError") return sendValidationError(res, error)
+    console.error("❌ [TEMPLATE] Approval failed:", error)
+    res.status(500).json({ success: false, message: "Failed to approve interview template", error: error.message })
+  }
+}
@@ -0,0 +1,154 @@
+const { InterviewScheduleError } = require("../services/interviewInviteService")
+const { buildInterviewState } = require("../services/interviewSessionService")
+const {
+  MockInterviewError,
+  resolveMockTaker,
+  getMockQuota,
+  parseMockRequest,
+  startMockInterview,
+  getMockHistory,
+  getMockProgress,
+  getPartnerForUser,
+  getPartnerPracticeStats,
+  getPartnerCandidatePractice,
+  setPartnerMockQuota,
+} = require("../services/mockInterviewService")
+const { HISTORY_DEFAULT_LIMIT, HISTORY_MAX_LIMIT } = require("../config/mockInterviews")
+
+const sendMockError = (res, error) =>
+  res.status(error.statusCode).json({ success: false, message: error.message, code: error.code })
+
+// The signed-in candidate or job seeker; protect sets req.candidate for candidate tokens
+const getTaker = (req) => resolveMockTaker({ user: req.user, candidate: req.candidate })
+
+const parsePagination = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT),
+})
+
+/**
+ * Start a mock interview for a role or skill set, ready to join with the returned session
+ * token. An open mock interview is resumed instead of starting another.
+ * @route POST /api/mock-interviews
+ * @access Private (Candidate or job seeker)
+ */
+exports.startMockInterview = async (req, res) => {
+  try {
+    const taker = await getTaker(req)
+    const { interview, sessionToken, resumed, quota } = await startMockInterview(taker, parseMockRequest(req.body))
+    res.status(resumed ? 200 : 201).json({
+      success: true,
+      message: resumed ? "Resuming your open mock interview" : "Mock interview ready",
+      resumed,
+      roomId: interview.roomId,
+      sessionToken,
+      role: interview.mock.role,
+      skills: interview.mock.skills,
+      state: buildInterviewState(interview),
+      quota,
+    })
+  } catch (error) {
+    if (error instanceof MockInterviewError || error instanceof InterviewScheduleError) {
+      return sendMockError(res, error)
+    }
+    console.error("❌ [MOCK] Start failed:", error)
+    res.status(500).json({ success: false, message: "Failed to start mock interview", error: error.message })
+  }
+}
+
+/**
+ * This month's mock interview quota
+ * @route GET /api/mock-interviews/quota
+ * @access Private (Candidate or job seeker)
+ */
+exports.getMockQuota = async (req, res) => {
+  try {
+    const quota = await getMockQuota(await getTaker(req))
+    res.json({ success: true, quota })
+  } catch (error) {
+    if (error instanceof MockInterviewError) return sendMockError(res, error)
+    console.error("❌ [MOCK] Quota failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch mock interview quota", error: error.message })
+  }
+}
+
+/**
+ * The candidate's mock interview attempts, newest first
+ * @route GET /api/mock-interviews?page=&limit=
+ * @access Private (Candidate or job seeker)
+ */
+exports.getMockHistory = async (req, res) => {
+  try {
+    const history = await getMockHistory(await getTaker(req), parsePagination(req.query))
+    res.json({ success: true, ...history })
+  } catch (error) {
+    if (error instanceof MockInterviewError) return sendMockError(res, error)
+    console.error("❌ [MOCK] History failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch mock interviews", error: error.message })
+  }
+}
+
+/**
+ * Score trends across the candidate's scored attempts, overall and per competency
+ * @route GET /api/mock-interviews/progress
+ * @access Private (Candidate or job seeker)
+ */
+exports.getMockProgress = async (req, res) => {
+  try {
+    const progress = await getMockProgress(await getTaker(req))
+    res.json({ success: true, progress })
+  } catch (error) {
+    if (error instanceof MockInterviewError) return sendMockError(res, error)
+    console.error("❌ [MOCK] Progress failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch practice progress", error: error.message })
+  }
+}
+
+/**
+ * Practice stats across the partner's candidates
+ * @route GET /api/mock-interviews/partner/stats
+ * @access Private (Partner)
+ */
+exports.getPartnerPracticeStats = async (req, res) => {
+  try {
+    const stats = await getPartnerPracticeStats(await getPartnerForUser(req.user))
+    res.json({ success: true, ...stats })
+  } catch (error) {
+    if (error instanceof MockInterviewError) return sendMockError(res, error)
+    console.error("❌ [MOCK] Partner stats failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch practice stats", error: error.message })
+  }
+}
+
+/**
+ * One of the partner's candidates: quota, progress and attempts
+ * @route GET /api/mock-interviews/partner/candidates/:candidateId?page=&limit=
+ * @access Private (Partner)
+ */
+exports.getPartnerCandidatePractice = async (req, res) => {
+  try {
+    const partner = await getPartnerForUser(req.user)
+    const practice = await getPartnerCandidatePractice(partner, req.params.candidateId, parsePagination(req.query))
+    res.json({ success: true, ...practice })
+  } catch (error) {
+    if (error instanceof MockInterviewError) return sendMockError(res, error)
+    console.error("❌ [MOCK] Candidate practice failed:", error)
+    res.status(500).json({ success: false, message: "Failed to fetch candidate practice", error: error.message })
+  }
+}
+
+/**
+ * Override a partner's monthly mock interview quota per candidate; null restores the plan default
+ * @route PATCH /api/mock-interviews/partners/:partnerId/quota
+ * @access Private (Admin)
+ */
+exports.setPartnerMockQuota = async (req, res) => {
+  try {
+    const quota = await setPartnerMockQuota(req.params.partnerId, req.body.quota)
+    res.json({ success: true, message: "Mock interview quota updated", quota })
+  } catch (error) {
+    if (error instanceof MockInterviewError) return sendMockError(res, error)
+    console.error("❌ [MOCK] Quota update failed:", error)
+    res.status(500).json({ success: false, message: "Failed to update mock interview quota", error: error.message })
+  }
+}
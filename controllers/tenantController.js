@@ -0,0 +1,281 @@
+const crypto = require("crypto")
+const Tenant = require("../models/Tenant")
+const AgentProfile = require("../models/AgentProfile")
+const ApiKey = require("../models/ApiKey")
+const { TENANT_FEATURES, SUBSCRIPTION_PLANS } = require("../config/plans")
+const { getFeatureAccess, getActiveCallCount } = require("../services/tenantService")
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{2,63}$/
+const FEATURE_NAMES = Object.values(TENANT_FEATURES)
+
+// "Acme Health Pvt Ltd" -> "acme-health-pvt-ltd-3f9a"
+const generateTenantId = (tenantName) => {
+  const slug = tenantName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48)
+  return `${slug || "tenant"}-${crypto.randomBytes(2).toString("hex")}`
+}
+
+// Returns an error message, or null when the overrides are usable
+const validateFeatureOverrides = (features) => {
+  if (!Array.isArray(features)) return "features must be an array"
+
+  for (const feature of features) {
+    if (!FEATURE_NAMES.includes(feature?.name)) {
+      return `Unknown feature "${feature?.name}". Valid features: ${FEATURE_NAMES.join(", ")}`
+    }
+    if (feature.limit !== undefined && feature.limit !== null && !(Number.isInteger(feature.limit) && feature.limit >= 0)) {
+      return `Limit for ${feature.name} must be a non-negative integer or null`
+    }
+  }
+  return null
+}
+
+// Tenant with its effective plan features and current usage
+const buildTenantDetails = async (tenant) => {
+  const [agents, apiKeys] = await Promise.all([
+    AgentProfile.countDocuments({ tenantId: tenant.tenantId }),
+    ApiKey.countDocuments({ tenantId: tenant.tenantId }),
+  ])
+
+  return {
+    ...tenant.toObject(),
+    effectiveFeatures: Object.fromEntries(FEATURE_NAMES.map((name) => [name, getFeatureAccess(tenant, name)])),
+    usage: {
+      [TENANT_FEATURES.AGENTS]: agents,
+      [TENANT_FEATURES.API_KEYS]: apiKeys,
+      [TENANT_FEATURES.CONCURRENT_CALLS]: getActiveCallCount(tenant.tenantId),
+    },
+  }
+}
+
+const findTenantOr404 = async (req, res) => {
+  const tenant = await Tenant.findOne({ tenantId: req.params.tenantId })
+  if (!tenant) {
+    res.status(404).json({ success: false, message: "Tenant not found" })
+  }
+  return tenant
+}
+
+/**
+ * Onboard a new tenant
+ * @route POST /api/admin/tenants
+ * @access Private/Admin
+ */
+exports.createTenant = async (req, res) => {
+  try {
+    const { tenantName, email, plan = "free", endDate, features = [], settings = {} } = req.body
+
+    if (!tenantName || !email) {
+      return res.status(400).json({ success: false, message: "tenantName and email are required" })
+    }
+    if (!SUBSCRIPTION_PLANS.includes(plan)) {
+      return res.status(400).json({ success: false, message: `plan must be one of: ${SUBSCRIPTION_PLANS.join(", ")}` })
+    }
+    const featureError = validateFeatureOverrides(features)
+    if (featureError) {
+      return res.status(400).json({ success: false, message: featureError })
+    }
+
+    const tenantId = req.body.tenantId ? req.body.tenantId.toLowerCase() : generateTenantId(tenantName)
+    if (!TENANT_ID_PATTERN.test(tenantId)) {
+      return res.status(400).json({
+        success: false,
+        message: "tenantId must be 3-64 lowercase letters, digits, '-' or '_'",
+      })
+    }
+
+    const tenant = await Tenant.create({
+      tenantId,
+      tenantName,
+      email: email.toLowerCase(),
+      subscription: { plan, endDate, features },
+      settings: {
+        defaultLanguage: settings.defaultLanguage,
+        timezone: settings.timezone,
+      },
+    })
+
+    console.log(`🏢 [TENANT] Onboarded ${tenant.tenantId} on the ${plan} plan`)
+
+    res.status(201).json({
+      success: true,
+      message: "Tenant onboarded successfully",
+      tenant: await buildTenantDetails(tenant),
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern || {})[0] || "tenantId"
+      return res.status(409).json({ success: false, message: `A tenant with this ${field} already exists` })
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    console.error("Error onboarding tenant:", error)
+    res.status(500).json({ success: false, message: "Error onboarding tenant", error: error.message })
+  }
+}
+
+/**
+ * List tenants
+ * @route GET /api/admin/tenants
+ * @access Private/Admin
+ */
+exports.getTenants = async (req, res) => {
+  try {
+    const { status, plan, search, page = 1, limit = 20 } = req.query
+
+    const query = {}
+    if (status) query.status = status
+    if (plan) query["subscription.plan"] = plan
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+      query.$or = [{ tenantName: pattern }, { tenantId: pattern }, { email: pattern }]
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1)
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+
+    const total = await Tenant.countDocuments(query)
+    const tenants = await Tenant.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+
+    res.json({
+      success: true,
+      tenants: tenants.map((tenant) => ({
+        ...tenant.toObject(),
+        activeCalls: getActiveCallCount(tenant.tenantId),
+      })),
+      pagination: {
+        total,
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(total / pageSize),
+      },
+    })
+  } catch (error) {
+    console.error("Error fetching tenants:", error)
+    res.status(500).json({ success: false, message: "Error fetching tenants", error: error.message })
+  }
+}
+
+/**
+ * Get a tenant with its effective features and usage
+ * @route GET /api/admin/tenants/:tenantId
+ * @access Private/Admin
+ */
+exports.getTenant = async (req, res) => {
+  try {
+    const tenant = await findTenantOr404(req, res)
+    if (!tenant) return
+
+    res.json({ success: true, tenant: await buildTenantDetails(tenant) })
+  } catch (error) {
+    console.error("Error fetching tenant:", error)
+    res.status(500).json({ success: false, message: "Error fetching tenant", error: error.message })
+  }
+}
+
+/**
+ * Suspend a tenant; its new voice sessions and gated operations are refused
+ * @route PATCH /api/admin/tenants/:tenantId/suspend
+ * @access Private/Admin
+ */
+exports.suspendTenant = async (req, res) => {
+  try {
+    const tenant = await findTenantOr404(req, res)
+    if (!tenant) return
+
+    if (tenant.status === "suspended") {
+      return res.status(400).json({ success: false, message: "Tenant is already suspended" })
+    }
+
+    tenant.status = "suspended"
+    tenant.statusReason = req.body.reason
+    tenant.statusChangedAt = new Date()
+    await tenant.save()
+
+    console.log(`⛔ [TENANT] Suspended ${tenant.tenantId}${req.body.reason ? ` (${req.body.reason})` : ""}`)
+    res.json({ success: true, message: "Tenant suspended successfully", tenant })
+  } catch (error) {
+    console.error("Error suspending tenant:", error)
+    res.status(500).json({ success: false, message: "Error suspending tenant", error: error.message })
+  }
+}
+
+/**
+ * Reactivate a suspended or inactive tenant
+ * @route PATCH /api/admin/tenants/:tenantId/reactivate
+ * @access Private/Admin
+ */
+exports.reactivateTenant = async (req, res) => {
+  try {
+    const tenant = await findTenantOr404(req, res)
+    if (!tenant) return
+
+    if (tenant.status === "active") {
+      return res.status(400).json({ success: false, message: "Tenant is already active" })
+    }
+
+    tenant.status = "active"
+    tenant.statusReason = undefined
+    tenant.statusChangedAt = new Date()
+    await tenant.save()
+
+    console.log(`✅ [TENANT] Reactivated ${tenant.tenantId}`)
+    res.json({ success: true, message: "Tenant reactivated successfully", tenant })
+  } catch (error) {
+    console.error("Error reactivating tenant:", error)
+    res.status(500).json({ success: false, message: "Error reactivating tenant", error: error.message })
+  }
+}
+
+/**
+ * Change a tenant's plan, subscription end date or per-feature overrides
+ * @route PATCH /api/admin/tenants/:tenantId/plan
+ * @access Private/Admin
+ */
+exports.changeTenantPlan = async (req, res) => {
+  try {
+    const { plan, endDate, features } = req.body
+
+    if (plan !== undefined && !SUBSCRIPTION_PLANS.includes(plan)) {
+      return res.status(400).json({ success: false, message: `plan must be one of: ${SUBSCRIPTION_PLANS.join(", ")}` })
+    }
+    if (features !== undefined) {
+      const featureError = validateFeatureOverrides(features)
+      if (featureError) {
+        return res.status(400).json({ success: false, message: featureError })
+      }
+    }
+
+    const tenant = await findTenantOr404(req, res)
+    if (!tenant) return
+
+    const previousPlan = tenant.subscription.plan
+    if (plan && plan !== previousPlan) {
+      tenant.subscription.plan = plan
+      tenant.subscription.startDate = new Date()
+    }
+    if (endDate !== undefined) tenant.subscription.endDate = endDate
+    if (features !== undefined) tenant.subscription.features = features
+    await tenant.save()
+
+    console.log(`📦 [TENANT] ${tenant.tenantId} plan ${previousPlan} -> ${tenant.subscription.plan}`)
+    res.json({
+      success: true,
+      message: "Tenant plan updated successfully",
+      tenant: await buildTenantDetails(tenant),
+    })
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ success: false, message: error.message })
+    }
+    console.error("Error changing tenant plan:", error)
+    res.status(500).json({ success: false, message: "Error changing tenant plan", error: error.message })
+  }
+}
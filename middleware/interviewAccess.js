@@ -0,0 +1,112 @@
+const Interview = require("../models/Interview")
+const {
+  InterviewAccessError,
+  authorizeInterviewToken,
+  canManageInterview,
+} = require("../services/interviewAccessService")
+const { getPanelAccess } = require("../services/scorecardService")
+
+// Token from the join link or the session: header, then query string, then body
+const getInterviewToken = (req) => req.headers["x-interview-token"] || req.query.token || req.body?.token
+
+/**
+ * Candidate endpoints: require an interview token for the room in :roomId or body.roomId.
+ * Sets req.interview and req.interviewToken; fills body.roomId from the token when omitted.
+ */
+const requireInterviewToken = async (req, res, next) => {
+  try {
+    const roomId = req.params.roomId || req.body?.roomId
+    const { payload, interview } = await authorizeInterviewToken(getInterviewToken(req), { roomId })
+
+    if (!req.params.roomId && req.body && !req.body.roomId) req.body.roomId = payload.roomId
+    req.interview = interview
+    req.interviewToken = payload
+    next()
+  } catch (error) {
+    if (error instanceof InterviewAccessError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      })
+    }
+    console.error("Error checking interview token:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error checking interview access",
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * Recruiter endpoints keyed by :roomId: the signed-in user must own the interview's job.
+ * Must run after protect. Sets req.interview.
+ */
+const requireInterviewManager = async (req, res, next) => {
+  try {
+    const interview = await Interview.findOne({ roomId: req.params.roomId })
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      })
+    }
+
+    if (!(await canManageInterview(req.user, interview))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this interview",
+      })
+    }
+
+    req.interview = interview
+    next()
+  } catch (error) {
+    console.error("Error loading interview:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error loading interview",
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * Scorecard endpoints keyed by :roomId: the signed-in user must own the interview's job or be
+ * on its panel. Must run after protect. Sets req.interview and req.panelAccess.
+ */
+const requireInterviewPanel = async (req, res, next) => {
+  try {
+    const interview = await Interview.findOne({ roomId: req.params.roomId })
+
+    if (!interview) {
+      return res.status(404).json({
+        success: false,
+        message: "Interview not found",
+      })
+    }
+
+    const access = await getPanelAccess(req.user, interview)
+    if (!access.manager && !access.scorecard) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this interview",
+      })
+    }
+
+    req.interview = interview
+    req.panelAccess = access
+    next()
+  } catch (error) {
+    console.error("Error loading interview:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error loading interview",
+      error: error.message,
+    })
+  }
+}
+
+module.exports = { getInterviewToken, requireInterviewToken, requireInterviewManager, requireInterviewPanel }
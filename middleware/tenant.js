@@ -0,0 +1,73 @@
+const Tenant = require("../models/Tenant")
+const { TenantAccessError, assertFeatureAvailable } = require("../services/tenantService")
+
+// Platform admins manage every tenant; anyone else only the tenant registered to their email
+const canAccessTenant = (user, tenant) => {
+  if (!user) return false
+  if (user.role === "admin") return true
+  return !!user.email && user.email.toLowerCase() === tenant.email.toLowerCase()
+}
+
+/**
+ * Load the tenant named by :tenantId into req.tenant.
+ * Must run after protect; 404 for unknown tenants, 403 when the user does not own it.
+ */
+const loadTenant = async (req, res, next) => {
+  try {
+    const tenant = await Tenant.findOne({ tenantId: req.params.tenantId })
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: "Tenant not found",
+      })
+    }
+
+    if (!canAccessTenant(req.user, tenant)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this tenant",
+      })
+    }
+
+    req.tenant = tenant
+    next()
+  } catch (error) {
+    console.error("Error loading tenant:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error loading tenant",
+      error: error.message,
+    })
+  }
+}
+
+/**
+ * Gate a tenant operation on its plan. Runs after loadTenant.
+ * countUsage(req) resolves to how much of the feature the tenant already uses.
+ */
+const requireFeature = (feature, countUsage = async () => 0) => async (req, res, next) => {
+  try {
+    assertFeatureAvailable(req.tenant, feature, await countUsage(req))
+    next()
+  } catch (error) {
+    if (error instanceof TenantAccessError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        feature: error.feature,
+        limit: error.limit,
+      })
+    }
+
+    console.error("Error checking tenant feature:", error)
+    res.status(500).json({
+      success: false,
+      message: "Error checking tenant plan",
+      error: error.message,
+    })
+  }
+}
+
+module.exports = { loadTenant, canAccessTenant, requireFeature }
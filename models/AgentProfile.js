@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { VOICE_SELECTIONS } = require("../config/voices")
 
 const agentSchema = new mongoose.Schema({
   // Tenant Information
@@ -20,12 +21,12 @@ const agentSchema = new mongoose.Schema({
   systemPrompt: { type: String, required: true },
   sttSelection: {
     type: String,
-    enum: ["deepgram", "whisper", "google", "azure", "aws"],
+    enum: ["deepgram", "sarvam", "whisper", "google", "azure", "aws"],
     default: "deepgram",
   },
   ttsSelection: {
     type: String,
-    enum: ["sarvam", "elevenlabs", "openai", "google", "azure", "aws"],
+    enum: ["sarvam", "lmnt", "openai", "elevenlabs", "google", "azure", "aws"],
     default: "sarvam",
   },
   llmSelection: {
@@ -35,33 +36,7 @@ const agentSchema = new mongoose.Schema({
   },
   voiceSelection: {
     type: String,
-    enum: [
-      "default",
-      "male-professional",
-      "female-professional", 
-      "male-friendly",
-      "female-friendly",
-      "neutral",
-      "abhilash",
-      "anushka",
-      "meera",
-      "pavithra",
-      "maitreyi",
-      "arvind",
-      "amol",
-      "amartya",
-      "diya",
-      "neel",
-      "misha",
-      "vian",
-      "arjun",
-      "maya",
-      "manisha",
-      "vidya",
-      "arya",
-      "karun",
-      "hitesh"
-    ],
+    enum: VOICE_SELECTIONS,
     default: "default",
   },
   contextMemory: { type: String },
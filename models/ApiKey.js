@@ -1,5 +1,5 @@
 const mongoose = require("mongoose")
-const crypto = require("crypto")
+const { encrypt, decrypt } = require("../utils/encryption")
 
 const apiKeySchema = new mongoose.Schema({
   tenantId: {
@@ -14,6 +14,7 @@ const apiKeySchema = new mongoose.Schema({
       "openai",
       "deepgram",
       "sarvam",
+      "lmnt",
       "elevenlabs",
       "google_cloud",
       "azure_speech",
@@ -41,15 +42,30 @@ const apiKeySchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Rotation: the replaced key keeps working until previousKeyExpiresAt
+  previousEncryptedKey: { type: String },
+  previousKeyPreview: { type: String },
+  previousKeyExpiresAt: { type: Date },
+  rotatedAt: { type: Date },
+  // Outcome of the latest connection test
+  health: {
+    lastTestedAt: { type: Date },
+    ok: { type: Boolean },
+    status: { type: Number },
+    message: { type: String },
+  },
   usage: {
     totalRequests: { type: Number, default: 0 },
     lastUsed: { type: Date },
     monthlyUsage: { type: Number, default: 0 },
-    monthlyLimit: { type: Number, default: 10000 },
+    monthlyLimit: { type: Number, default: 10000 }, // null = unlimited
+    periodStart: { type: Date }, // Start of the month monthlyUsage counts from
   },
   configuration: {
     // Provider-specific settings
-    model: String, // For OpenAI: gpt-4, gpt-3.5-turbo
+    model: String, // LLM model, for OpenAI: gpt-4, gpt-3.5-turbo
+    sttModel: String, // Speech-to-text model, e.g. Deepgram nova-2
+    ttsModel: String, // Text-to-speech model, e.g. OpenAI tts-1, Sarvam bulbul:v1
     voice: String, // For TTS providers
     language: String, // Default language
     region: String, // For regional APIs
@@ -71,47 +87,34 @@ const apiKeySchema = new mongoose.Schema({
 // Compound index for tenant + provider uniqueness
 apiKeySchema.index({ tenantId: 1, provider: 1 }, { unique: true })
 
+// First instant (UTC) of the metering month containing date
+apiKeySchema.statics.getUsagePeriodStart = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+
 apiKeySchema.pre("save", function (next) {
+  if (!this.usage.periodStart) {
+    this.usage.periodStart = this.constructor.getUsagePeriodStart()
+  }
   this.updatedAt = Date.now()
   next()
 })
 
-// Encryption/Decryption methods
-apiKeySchema.statics.encryptKey = (key) => {
-  const algorithm = "aes-256-cbc"
-  const secretKey = crypto
-    .createHash("sha256")
-    .update(process.env.ENCRYPTION_SECRET || "default-secret-key-change-in-production")
-    .digest()
-  const iv = crypto.randomBytes(16)
+// Versioned AES-256-GCM; see utils/encryption.js for master key configuration
+apiKeySchema.statics.encryptKey = (key) => encrypt(key)
 
-  const cipher = crypto.createCipheriv(algorithm, secretKey, iv)
-  let encrypted = cipher.update(key, "utf8", "hex")
-  encrypted += cipher.final("hex")
+apiKeySchema.statics.decryptKey = (encryptedKey) => decrypt(encryptedKey)
 
-  return iv.toString("hex") + ":" + encrypted
+apiKeySchema.methods.getDecryptedKey = function () {
+  return this.constructor.decryptKey(this.encryptedKey)
 }
 
-apiKeySchema.statics.decryptKey = (encryptedKey) => {
-  const algorithm = "aes-256-cbc"
-  const secretKey = crypto
-    .createHash("sha256")
-    .update(process.env.ENCRYPTION_SECRET || "default-secret-key-change-in-production")
-    .digest()
-
-  const parts = encryptedKey.split(":")
-  const iv = Buffer.from(parts[0], "hex")
-  const encrypted = parts[1]
-
-  const decipher = crypto.createDecipheriv(algorithm, secretKey, iv)
-  let decrypted = decipher.update(encrypted, "hex", "utf8")
-  decrypted += decipher.final("utf8")
-
-  return decrypted
+// The pre-rotation key while its grace period lasts, otherwise null
+apiKeySchema.methods.getDecryptedPreviousKey = function (now = new Date()) {
+  if (!this.previousEncryptedKey || !this.previousKeyExpiresAt || this.previousKeyExpiresAt <= now) return null
+  return this.constructor.decryptKey(this.previousEncryptedKey)
 }
 
-apiKeySchema.methods.getDecryptedKey = function () {
-  return this.constructor.decryptKey(this.encryptedKey)
-}
+// "sk-proj-abc..." style preview; the full key is never returned by the API
+apiKeySchema.statics.buildKeyPreview = (key) => `${key.slice(0, 8)}...`
 
 module.exports = mongoose.model("ApiKey", apiKeySchema)
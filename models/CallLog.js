@@ -0,0 +1,58 @@
+const mongoose = require("mongoose")
+
+const turnSchema = new mongoose.Schema(
+  {
+    index: { type: Number, required: true },
+    userText: { type: String },
+    assistantText: { type: String },
+    // What the caller actually heard when the reply was cut off
+    heardText: { type: String },
+    interrupted: { type: Boolean, default: false },
+    startedAt: { type: Date, default: Date.now },
+    latency: {
+      sttMs: { type: Number }, // Final transcript lag behind the live audio
+      llmFirstTokenMs: { type: Number }, // Utterance dispatched -> first LLM token
+      ttsFirstByteMs: { type: Number }, // First phrase sent to TTS -> first audio byte out
+      responseMs: { type: Number }, // Utterance dispatched -> first audio byte out
+    },
+  },
+  { _id: false },
+)
+
+const callLogSchema = new mongoose.Schema({
+  streamSid: { type: String, required: true, index: true },
+
+  // Agent that handled the call (null agentId means the default agent was used)
+  tenantId: { type: String, index: true },
+  agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", index: true },
+  agentName: { type: String },
+  didNumber: { type: String },
+
+  startTime: { type: Date, default: Date.now, index: true },
+  endTime: { type: Date },
+  durationMs: { type: Number },
+  status: {
+    type: String,
+    enum: ["in-progress", "completed"],
+    default: "in-progress",
+  },
+  endReason: {
+    type: String,
+    enum: ["stream_stopped", "connection_closed", "error"],
+  },
+
+  turns: [turnSchema],
+  interruptionCount: { type: Number, default: 0 },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+})
+
+callLogSchema.index({ tenantId: 1, startTime: -1 })
+
+callLogSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("CallLog", callLogSchema)
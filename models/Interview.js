@@ -1,4 +1,81 @@
 const mongoose = require('mongoose');
+const { QUESTION_KINDS, QUESTION_CATEGORIES, QUESTION_DIFFICULTIES } = require('../config/interviewTemplates');
+const { SCORE_MIN, SCORE_MAX } = require('../config/rubrics');
+const { INTEGRITY_LEVELS } = require('../config/proctoring');
+
+// scheduled -> (reminded) -> in_progress -> analyzing -> completed, driven only by the server.
+// Off the happy path: missed (never joined before the link expired), expired (joined but
+// abandoned without answering), cancelled (by the recruiter).
+// ai: the candidate answers generated questions alone; live: a recruiter interviews them on 100ms video
+const INTERVIEW_MODES = ['ai', 'live'];
+
+const INTERVIEW_PHASES = [
+  'scheduled',
+  'reminded',
+  'in_progress',
+  'analyzing',
+  'completed',
+  'missed',
+  'expired',
+  'cancelled'
+];
+
+// Question slots copied from the InterviewTemplate at scheduling time
+const templateSlotSchema = new mongoose.Schema({
+  kind: { type: String, enum: QUESTION_KINDS, required: true },
+  text: String,
+  category: { type: String, enum: QUESTION_CATEGORIES },
+  difficulty: { type: String, enum: QUESTION_DIFFICULTIES },
+  timeLimitSeconds: Number
+}, { _id: false });
+
+// Rubric competencies copied at scheduling time, so later rubric edits don't change how this interview is scored
+const rubricCompetencySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  name: { type: String, required: true },
+  description: String,
+  weight: { type: Number, default: 1 },
+  anchors: [{ _id: false, score: Number, description: String }]
+}, { _id: false });
+
+// scored: from the model's reply; fallback: placeholder saved when the model failed, not a real score
+const ANALYSIS_STATUSES = ['scored', 'fallback'];
+
+// One strength or area of improvement, citing the candidate's own words from one answer
+const analysisFindingSchema = new mongoose.Schema({
+  type: { type: String, enum: ['strength', 'improvement'], required: true },
+  point: { type: String, required: true },
+  questionIndex: { type: Number, default: null },
+  quote: { type: String, default: null },
+  // The quote was found in the stored answer to questionIndex
+  verified: { type: Boolean, default: false }
+}, { _id: false });
+
+const competencyScoreSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  name: String,
+  weight: Number,
+  // null when the model gave no usable score for this competency
+  score: { type: Number, min: SCORE_MIN, max: SCORE_MAX, default: null },
+  findings: [analysisFindingSchema],
+  // Verified quotes and the findings joined as text, in the shape older clients read
+  evidence: [String],
+  strengths: String,
+  areasOfImprovement: String
+}, { _id: false });
+
+const interviewQuestionSchema = new mongoose.Schema({
+  index: { type: Number, required: true },
+  text: { type: String, required: true },
+  kind: { type: String, enum: QUESTION_KINDS, default: 'adaptive' },
+  category: { type: String, enum: QUESTION_CATEGORIES },
+  timeLimitSeconds: { type: Number },
+  askedAt: { type: Date, required: true },
+  answer: { type: String, default: null },
+  answeredAt: { type: Date, default: null },
+  // Closed without an answer because the per-question time limit passed
+  timedOut: { type: Boolean, default: false }
+}, { _id: false });
 
 const interviewSchema = new mongoose.Schema({
   roomId: {
@@ -6,6 +83,11 @@ const interviewSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  mode: {
+    type: String,
+    enum: INTERVIEW_MODES,
+    default: 'ai'
+  },
   date: {
     type: String,
     required: true,
@@ -14,6 +96,38 @@ const interviewSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // UTC start of the slot; date/time above are the same moment as wall-clock strings in timeZone
+  scheduledAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  durationMinutes: {
+    type: Number,
+    default: 30,
+    min: 5,
+    max: 480
+  },
+  // IANA zone the interview was scheduled in, and the candidate's own zone for their emails
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  },
+  candidateTimeZone: {
+    type: String,
+    default: null
+  },
+  // RFC 5545 SEQUENCE of the last calendar invite sent; bumped on every update
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  // Reminder offsets already handled for the current slot; cleared on reschedule
+  remindersSent: [{
+    _id: false,
+    offsetMinutes: Number,
+    sentAt: Date
+  }],
   document: {
     type: String,
     required: true,
@@ -31,6 +145,39 @@ const interviewSchema = new mongoose.Schema({
     ref: 'User', // Assuming the applicant is stored in a User model
     required: true,
   },
+  // Practice interviews the candidate started on their own; they have no application, job or recruiter
+  isMock: {
+    type: Boolean,
+    default: false
+  },
+  mock: {
+    role: String,
+    skills: [String],
+    // Set when the candidate was enrolled by a partner, for the partner's practice stats
+    partner: { type: mongoose.Schema.Types.ObjectId, ref: 'Partner' },
+    candidate: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate' },
+    // Claims the candidate's one open mock interview (see the unique index below). Cleared when
+    // the next mock interview is started after this one has closed, so a closed one may still hold it
+    active: { type: Boolean, default: undefined }
+  },
+  // Job and its recruiter, for ownership checks; unset on interviews scheduled before they were stored
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    index: true
+  },
+  recruiter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Candidate join links are signed tokens carrying this version; bumping it revokes every link
+  joinToken: {
+    version: { type: Number, default: 1 },
+    singleUse: { type: Boolean, default: false },
+    // Set when a single-use link is redeemed
+    redeemedAt: { type: Date, default: null }
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -43,8 +190,101 @@ const interviewSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // When the screen recording began, so proctoring moments can be shown as offsets into it
+  recordingStartedAt: {
+    type: Date,
+    default: null
+  },
+  // Computed from the ProctoringEvent timeline (see services/proctoringService); unset until
+  // the client reports its first event
+  integrity: {
+    score: { type: Number, min: 0, max: 100 },
+    level: { type: String, enum: INTEGRITY_LEVELS },
+    eventCount: Number,
+    // { [eventType]: { count, totalDurationMs, penalty } }
+    breakdown: mongoose.Schema.Types.Mixed,
+    computedAt: Date
+  },
+  phase: {
+    type: String,
+    enum: INTERVIEW_PHASES,
+    default: 'scheduled'
+  },
+  settings: {
+    questionCount: { type: Number, default: 4, min: 1, max: 20 },
+    timeLimitMinutes: { type: Number, default: 30, min: 1, max: 240 },
+    answerTimeLimitSeconds: { type: Number, default: 180, min: 10, max: 1800 },
+    language: { type: String, default: 'en' }
+  },
+  // Frozen copy of the template this interview was scheduled with
+  template: {
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'InterviewTemplate' },
+    name: String,
+    difficulty: { type: String, enum: QUESTION_DIFFICULTIES },
+    slots: [templateSlotSchema]
+  },
+  // Unset for interviews scheduled before rubrics; those are scored with the default rubric
+  rubric: {
+    rubricId: { type: mongoose.Schema.Types.ObjectId, ref: 'InterviewRubric' },
+    name: String,
+    version: Number,
+    competencies: [rubricCompetencySchema]
+  },
+  questions: [interviewQuestionSchema],
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  deadlineAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // When the interview left the happy path: missed, expired or cancelled
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  cancellation: {
+    reason: String,
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  // Live interviews: the 100ms room, and its sessions as reported by 100ms webhooks
+  live: {
+    hmsRoomId: { type: String, index: true },
+    hmsTemplateId: String,
+    sessions: [{
+      _id: false,
+      sessionId: { type: String, required: true },
+      startedAt: Date,
+      endedAt: { type: Date, default: null }
+    }]
+  },
   // New fields for storing analysis data
   analysis: {
+    rubric: {
+      rubricId: { type: mongoose.Schema.Types.ObjectId, ref: 'InterviewRubric' },
+      name: String,
+      version: Number
+    },
+    // Unset on analyses saved before fallbacks were flagged; read those as scored
+    status: { type: String, enum: ANALYSIS_STATUSES },
+    // Why a fallback was saved: model_error or unparseable
+    fallbackReason: { type: String, default: null },
+    // Per-competency scores against the interview's rubric and their weighted average
+    competencies: [competencyScoreSchema],
+    overallScore: { type: Number, min: SCORE_MIN, max: SCORE_MAX, default: null },
+    citations: {
+      total: Number,
+      verified: Number
+    },
+    // How many times the analysis has been run, and who asked for the latest re-run
+    runs: { type: Number, default: 0 },
+    rerunBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Legacy fields, still written when the default rubric is used
     overallScores: {
       selfIntroduction: {
         type: Number,
@@ -80,10 +320,39 @@ const interviewSchema = new mongoose.Schema({
     analyzedAt: {
       type: Date,
       default: null
-    }
+    },
+    language: String
   }
 });
 
+// The question asked but not yet answered or timed out, if any
+interviewSchema.methods.getPendingQuestion = function () {
+  const last = this.questions[this.questions.length - 1];
+  return last && !last.answeredAt && !last.timedOut ? last : null;
+};
+
+interviewSchema.methods.getAnsweredQuestions = function () {
+  return this.questions.filter((question) => question.answeredAt && !question.timedOut);
+};
+
+// Milliseconds left before the whole-interview deadline; null before it starts
+interviewSchema.methods.getRemainingMs = function (now = new Date()) {
+  if (!this.deadlineAt) return null;
+  return Math.max(0, this.deadlineAt.getTime() - now.getTime());
+};
+
+interviewSchema.index({ phase: 1, scheduledAt: 1 });
+// Benchmarks and leaderboards read a job's analyzed interviews by date
+interviewSchema.index({ job: 1, startedAt: -1 });
+// A candidate's mock interview history and monthly quota, and a partner's practice stats
+interviewSchema.index({ isMock: 1, applicantId: 1, createdAt: -1 });
+interviewSchema.index({ 'mock.partner': 1, createdAt: -1 });
+// At most one open mock interview per candidate, so concurrent starts cannot each create one
+interviewSchema.index(
+  { applicantId: 1 },
+  { unique: true, partialFilterExpression: { isMock: true, 'mock.active': true } }
+);
+
 const Interview = mongoose.model('Interview', interviewSchema);
 
 module.exports = Interview;
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose")
+const { SCORE_MIN, SCORE_MAX, MAX_COMPETENCIES } = require("../config/rubrics")
+
+// What a given score on a competency looks like
+const anchorSchema = new mongoose.Schema(
+  {
+    score: { type: Number, required: true, min: SCORE_MIN, max: SCORE_MAX },
+    description: { type: String, required: true, trim: true },
+  },
+  { _id: false },
+)
+
+const competencySchema = new mongoose.Schema(
+  {
+    // Stable identifier used in analyses and scorecards, e.g. "objectionHandling"
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/, "Competency key must be a letter followed by letters, digits or _"],
+    },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    weight: { type: Number, default: 1, min: 0.1, max: 100 },
+    anchors: [anchorSchema],
+  },
+  { _id: false },
+)
+
+const interviewRubricSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+  recruiter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Optional: a rubric for one job is used for its interviews unless a template names another
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job",
+    index: true,
+  },
+  competencies: {
+    type: [competencySchema],
+    validate: [
+      {
+        validator: (competencies) => competencies.length > 0 && competencies.length <= MAX_COMPETENCIES,
+        message: `A rubric needs between 1 and ${MAX_COMPETENCIES} competencies`,
+      },
+      {
+        validator: (competencies) => new Set(competencies.map((c) => c.key)).size === competencies.length,
+        message: "Competency keys must be unique",
+      },
+    ],
+  },
+  // Bumped whenever the competencies change, so scores from different versions are not compared
+  version: { type: Number, default: 1 },
+  status: {
+    type: String,
+    enum: ["active", "archived"],
+    default: "active",
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+})
+
+interviewRubricSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified("competencies")) this.version += 1
+  this.updatedAt = Date.now()
+  next()
+})
+
+// Frozen copy stored on Interview.rubric
+interviewRubricSchema.methods.toSnapshot = function () {
+  return {
+    rubricId: this._id,
+    name: this.name,
+    version: this.version,
+    competencies: this.competencies.map((competency) => ({
+      key: competency.key,
+      name: competency.name,
+      description: competency.description,
+      weight: competency.weight,
+      anchors: competency.anchors.map(({ score, description }) => ({ score, description })),
+    })),
+  }
+}
+
+module.exports = mongoose.model("InterviewRubric", interviewRubricSchema)
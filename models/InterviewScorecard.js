@@ -0,0 +1,87 @@
+const mongoose = require("mongoose")
+const { SCORE_MIN, SCORE_MAX } = require("../config/rubrics")
+const {
+  RECOMMENDATIONS,
+  SCORECARD_STATUSES,
+  MAX_COMMENT_LENGTH,
+  MAX_NOTES_LENGTH,
+} = require("../config/scorecards")
+
+const scorecardCompetencySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    name: String,
+    // Null for a competency this interviewer did not assess
+    score: { type: Number, min: SCORE_MIN, max: SCORE_MAX, default: null },
+    comment: { type: String, trim: true, maxlength: MAX_COMMENT_LENGTH, default: "" },
+  },
+  { _id: false },
+)
+
+// One panel member's judgment of an interview, against the interview's rubric. Drafts are
+// editable; a submitted scorecard is locked.
+const interviewScorecardSchema = new mongoose.Schema({
+  interview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Interview",
+    required: true,
+  },
+  roomId: {
+    type: String,
+    required: true,
+  },
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Who put the interviewer on the panel; themselves when the job's recruiter scores it
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  status: {
+    type: String,
+    enum: SCORECARD_STATUSES,
+    default: "draft",
+  },
+  // Rubric version the competencies were copied from
+  rubric: {
+    rubricId: { type: mongoose.Schema.Types.ObjectId, ref: "InterviewRubric", default: null },
+    version: Number,
+  },
+  competencies: [scorecardCompetencySchema],
+  recommendation: {
+    type: String,
+    enum: [...RECOMMENDATIONS, null],
+    default: null,
+  },
+  // Private to the interviewer who wrote them: never shown to the recruiter, the panel or the candidate
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: MAX_NOTES_LENGTH,
+    default: "",
+  },
+  submittedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+interviewScorecardSchema.index({ interview: 1, interviewer: 1 }, { unique: true })
+
+interviewScorecardSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+module.exports = mongoose.model("InterviewScorecard", interviewScorecardSchema)
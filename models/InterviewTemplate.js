@@ -0,0 +1,95 @@
+const mongoose = require("mongoose")
+const {
+  QUESTION_CATEGORIES,
+  QUESTION_DIFFICULTIES,
+  QUESTION_KINDS,
+  DEFAULT_ANSWER_TIME_LIMIT_SECONDS,
+} = require("../config/interviewTemplates")
+
+// One question slot: fixed slots are asked verbatim, adaptive slots are generated from earlier answers
+const templateQuestionSchema = new mongoose.Schema({
+  kind: { type: String, enum: QUESTION_KINDS, default: "fixed" },
+  text: {
+    type: String,
+    trim: true,
+    required: function () {
+      return this.kind === "fixed"
+    },
+  },
+  category: { type: String, enum: QUESTION_CATEGORIES, default: "technical_depth" },
+  difficulty: { type: String, enum: QUESTION_DIFFICULTIES }, // Falls back to the template difficulty
+  timeLimitSeconds: { type: Number, min: 10, max: 1800, default: DEFAULT_ANSWER_TIME_LIMIT_SECONDS },
+  source: { type: String, enum: ["manual", "generated"], default: "manual" },
+})
+
+const interviewTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: String,
+  recruiter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Optional: a template without a job is reusable across the recruiter's jobs
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Job",
+    index: true,
+  },
+  // Scoring rubric for interviews scheduled with this template; falls back to the job's rubric
+  rubric: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "InterviewRubric",
+  },
+  language: { type: String, default: "en" },
+  difficulty: { type: String, enum: QUESTION_DIFFICULTIES, default: "medium" },
+  timeLimitMinutes: { type: Number, min: 1, max: 240, default: 30 },
+  questions: {
+    type: [templateQuestionSchema],
+    validate: {
+      validator: (questions) => questions.length <= 20,
+      message: "A template can have at most 20 questions",
+    },
+  },
+  // Only approved templates can be used to schedule interviews; any edit returns a template to draft
+  status: {
+    type: String,
+    enum: ["draft", "approved", "archived"],
+    default: "draft",
+  },
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+})
+
+interviewTemplateSchema.pre("save", function (next) {
+  this.updatedAt = Date.now()
+  next()
+})
+
+// Frozen copy stored on Interview.template so later edits never change a scheduled interview
+interviewTemplateSchema.methods.toSnapshot = function () {
+  return {
+    templateId: this._id,
+    name: this.name,
+    difficulty: this.difficulty,
+    slots: this.questions.map((question) => ({
+      kind: question.kind,
+      text: question.kind === "fixed" ? question.text : undefined,
+      category: question.category,
+      difficulty: question.difficulty || this.difficulty,
+      timeLimitSeconds: question.timeLimitSeconds,
+    })),
+  }
+}
+
+module.exports = mongoose.model("InterviewTemplate", interviewTemplateSchema)
@@ -66,6 +66,13 @@ const jobSchema = new mongoose.Schema({
     type: [String],
     required: true
   },
+  // Groups similar jobs across companies (e.g. "backend engineering") for interview benchmarks
+  roleFamily: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
   benefits: {
     type: [String],
     default: []
@@ -127,6 +134,7 @@ const jobSchema = new mongoose.Schema({
 // Index for better performance on partner access queries
 jobSchema.index({ 'partnerAccess.partnerId': 1, 'partnerAccess.access': 1 });
 jobSchema.index({ visibility: 1, status: 1 });
+jobSchema.index({ roleFamily: 1 });
 
 // Method to check if partner has access to this job
 jobSchema.methods.hasPartnerAccess = function(partnerId) {
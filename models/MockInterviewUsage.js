@@ -0,0 +1,26 @@
+const mongoose = require("mongoose")
+
+// Mock interviews one candidate has started in a calendar month (UTC). Quota is reserved by
+// incrementing `count` only while it is under the limit, so concurrent starts cannot overshoot it.
+const mockInterviewUsageSchema = new mongoose.Schema({
+  // The User id an Interview's applicantId holds
+  applicantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // First instant of the month, UTC
+  month: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+})
+
+mockInterviewUsageSchema.index({ applicantId: 1, month: 1 }, { unique: true })
+
+module.exports = mongoose.model("MockInterviewUsage", mockInterviewUsageSchema)
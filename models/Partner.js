@@ -146,6 +146,14 @@ const partnerSchema = new mongoose.Schema({
     default: 'Basic'
   },
   
+  // Mock interviews each of this partner's candidates may start per month;
+  // null uses the partnership type's default from config/mockInterviews
+  mockInterviewQuota: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  
   // Previous role information (if converted from recruiter)
   previousRole: {
     type: String,
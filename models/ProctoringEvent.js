@@ -0,0 +1,49 @@
+const mongoose = require("mongoose")
+const { PROCTORING_EVENT_TYPES } = require("../config/proctoring")
+
+// One entry on an interview's proctoring timeline, as reported by the interview client
+const proctoringEventSchema = new mongoose.Schema({
+  interview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Interview",
+    required: true,
+  },
+  roomId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: PROCTORING_EVENT_TYPES,
+    required: true,
+  },
+  // Client-generated id, so a batch retried after a dropped response is not stored twice
+  clientEventId: {
+    type: String,
+    required: true,
+  },
+  occurredAt: {
+    type: Date,
+    required: true,
+  },
+  // For events with a length: how long the face was absent, the silence lasted, etc.
+  durationMs: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Small client-supplied context such as { action: "paste", chars: 240 }
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+proctoringEventSchema.index({ interview: 1, clientEventId: 1 }, { unique: true })
+proctoringEventSchema.index({ interview: 1, occurredAt: 1 })
+
+module.exports = mongoose.model("ProctoringEvent", proctoringEventSchema)
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose")
+const { SUBSCRIPTION_PLANS } = require("../config/plans")
 
 const tenantSchema = new mongoose.Schema({
   tenantId: {
@@ -21,10 +22,12 @@ const tenantSchema = new mongoose.Schema({
     enum: ["active", "inactive", "suspended"],
     default: "active",
   },
+  statusReason: { type: String }, // Why the tenant was suspended or deactivated
+  statusChangedAt: { type: Date },
   subscription: {
     plan: {
       type: String,
-      enum: ["free", "basic", "premium", "enterprise"],
+      enum: SUBSCRIPTION_PLANS,
       default: "free",
     },
     startDate: { type: Date, default: Date.now },
@@ -0,0 +1,34 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const { protect } = require("../middleware/auth")
+const { loadTenant, requireFeature } = require("../middleware/tenant")
+const { TENANT_FEATURES } = require("../config/plans")
+const AgentProfile = require("../models/AgentProfile")
+const {
+  createAgent,
+  getAgents,
+  getAgent,
+  updateAgent,
+  deleteAgent,
+  cloneAgent,
+  previewAgent,
+} = require("../controllers/agentController")
+
+// Every route is scoped to /api/tenants/:tenantId/agents
+router.use(protect, loadTenant)
+
+// New agents count against the plan's agent limit
+const checkAgentLimit = requireFeature(TENANT_FEATURES.AGENTS, (req) =>
+  AgentProfile.countDocuments({ tenantId: req.tenant.tenantId }),
+)
+
+router.route("/").get(getAgents).post(checkAgentLimit, createAgent)
+
+router.route("/:agentId").get(getAgent).put(updateAgent).delete(deleteAgent)
+
+router.post("/:agentId/clone", checkAgentLimit, cloneAgent)
+
+// Synthesize arbitrary text in the agent's voice
+router.post("/:agentId/preview", previewAgent)
+
+module.exports = router
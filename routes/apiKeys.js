@@ -0,0 +1,43 @@
+const express = require("express")
+const router = express.Router({ mergeParams: true })
+const { protect } = require("../middleware/auth")
+const { loadTenant, requireFeature } = require("../middleware/tenant")
+const { TENANT_FEATURES } = require("../config/plans")
+const ApiKey = require("../models/ApiKey")
+const {
+  addApiKey,
+  getApiKeys,
+  getApiKey,
+  activateApiKey,
+  deactivateApiKey,
+  rotateApiKey,
+  testApiKey,
+  updateApiKeyConfiguration,
+} = require("../controllers/apiKeyController")
+
+// Every route is scoped to /api/tenants/:tenantId/api-keys
+router.use(protect, loadTenant)
+
+// Registering a key counts against the plan's bring-your-own-key allowance
+const checkApiKeyLimit = requireFeature(TENANT_FEATURES.API_KEYS, (req) =>
+  ApiKey.countDocuments({ tenantId: req.tenant.tenantId }),
+)
+
+router.route("/").get(getApiKeys).post(checkApiKeyLimit, addApiKey)
+
+router.get("/:keyId", getApiKey)
+
+router.patch("/:keyId/activate", activateApiKey)
+
+router.patch("/:keyId/deactivate", deactivateApiKey)
+
+// Swap in a new key; the old one stays valid for the grace period
+router.post("/:keyId/rotate", rotateApiKey)
+
+// Cheap authenticated request against the provider
+router.post("/:keyId/test", testApiKey)
+
+// Model / voice / language / region defaults applied by the services
+router.patch("/:keyId/configuration", updateApiKeyConfiguration)
+
+module.exports = router
@@ -0,0 +1,15 @@
+const express = require("express")
+const router = express.Router()
+const { protect } = require("../middleware/auth")
+const { getCallLogs, getCallLog, getCallLogByStreamSid } = require("../controllers/callLogController")
+
+// List calls with filters (tenantId, agentId, didNumber, status, endReason, from, to, minDurationMs, interrupted)
+router.get("/", protect, getCallLogs)
+
+// Look up a call by its telephony stream id
+router.get("/stream/:streamSid", protect, getCallLogByStreamSid)
+
+// Full call with per-turn transcript and latencies
+router.get("/:id", protect, getCallLog)
+
+module.exports = router
@@ -3,7 +3,7 @@ const router = express.Router();
 const Chat = require('../models/Chat');
 const { protect } = require('../middleware/auth');
 const OpenAI = require('openai');
-const { LMNTStreamingClient } = require('../websocket/lmntStreaming');
+const { createTTSProvider, getVoiceCatalog } = require('../services/tts');
 
 const fs = require('fs');
 const path = require('path');
@@ -73,15 +73,36 @@ router.get('/history', protect, async (req, res) => {
   }
 });
 
-// Text-to-speech synthesis endpoint
+const AUDIO_CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  linear16: 'audio/L16',
+  mulaw: 'audio/basic'
+};
+
+// Voice catalogs for every TTS provider
+router.get('/voices', (req, res) => {
+  res.json({ success: true, providers: getVoiceCatalog() });
+});
+
+router.get('/voices/:provider', (req, res) => {
+  const catalog = getVoiceCatalog(req.params.provider);
+  if (!catalog) {
+    return res.status(404).json({ success: false, message: `Unknown TTS provider "${req.params.provider}"` });
+  }
+  res.json({ success: true, ...catalog });
+});
+
+// Text-to-speech synthesis endpoint; MP3 by default, or wav/linear16/mulaw from any provider
 router.post('/synthesize', async (req, res) => {
   try {
     const {
       text,
+      provider = 'lmnt',
       voice = 'lily',
-      model = 'aurora',
-      format = 'mp3',
+      model,
       language = 'en',
+      format = 'mp3',
       sample_rate = 16000,
       speed = 1.0
     } = req.body;
@@ -90,39 +111,34 @@ router.post('/synthesize', async (req, res) => {
       return res.status(400).json({ error: 'Text is required' });
     }
 
-    if (!process.env.LMNT_API_KEY) {
-      console.error('LMNT API key is missing from environment variables');
-      return res.status(500).json({ error: 'LMNT API key not configured' });
-    }
-
-    console.log('Initializing LMNT client...');
-    const lmntClient = new LMNTStreamingClient(process.env.LMNT_API_KEY);
-
-    console.log('Connecting to LMNT service...');
-    await lmntClient.connect({
-      voice,
-      model,
-      format,
+    const ttsProvider = createTTSProvider(provider, {
       language,
-      sample_rate,
+      voice,
+      ...(model && { model }),
+      encoding: format,
+      sampleRate: Number(sample_rate),
       speed
     });
 
-    console.log('Synthesizing text...');
-    const audioBuffer = await lmntClient.synthesize(text);
+    if (!ttsProvider.supportsEncoding(format)) {
+      return res.status(400).json({ error: `${ttsProvider.name} cannot produce ${format} audio` });
+    }
 
-    console.log('Synthesis complete, sending response...');
-    lmntClient.close();
+    console.log(`Synthesizing text with ${ttsProvider.name}...`);
+    const result = await ttsProvider.synthesize(text);
 
-    // Set appropriate headers
+    const rawPcm = format === 'linear16' || format === 'mulaw';
     res.set({
-      'Content-Type': 'audio/mpeg',
-      'Content-Length': audioBuffer.length,
-      'Cache-Control': 'no-cache'
+      'Content-Type': rawPcm ? `${AUDIO_CONTENT_TYPES[format]};rate=${result.sampleRate}` : AUDIO_CONTENT_TYPES[format],
+      'Content-Length': result.audio.length,
+      'Cache-Control': 'no-cache',
+      'X-TTS-Provider': result.provider,
+      'X-TTS-Voice': result.voice,
+      'X-Sample-Rate': result.sampleRate,
+      ...(result.durationMs !== null && { 'X-Duration-Ms': result.durationMs })
     });
 
-    // Send the audio data
-    res.send(audioBuffer);
+    res.send(result.audio);
 
   } catch (error) {
     console.error('Text-to-speech synthesis error:', error);
@@ -0,0 +1,16 @@
+const express = require("express")
+const router = express.Router()
+const { protect } = require("../middleware/auth")
+const {
+  getJobBenchmarks,
+  getJobLeaderboard,
+  getRoleFamilyBenchmarks,
+} = require("../controllers/interviewBenchmarkController")
+
+router.use(protect)
+
+router.get("/jobs/:jobId", getJobBenchmarks)
+router.get("/jobs/:jobId/leaderboard", getJobLeaderboard)
+router.get("/role-families/:roleFamily", getRoleFamilyBenchmarks)
+
+module.exports = router
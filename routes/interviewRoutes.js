@@ -1,5 +1,7 @@
 const express = require("express")
 const router = express.Router()
+const { protect } = require("../middleware/auth")
+const { requireInterviewToken, requireInterviewManager } = require("../middleware/interviewAccess")
 const {
   scheduleInterview,
   getInterviewDetails,
@@ -13,29 +15,49 @@ const {
   getInterviewRecordingsByRoomId,
   generateAdaptiveQuestion, // Add the new function
   rescheduleInterview,
+  startInterview,
+  cancelInterview,
+  joinInterview,
+  reissueInterviewLink,
+  recordProctoringEvents,
+  getProctoringReport,
+  getLiveCandidateToken,
+  getLiveInterviewerToken,
+  handleHmsWebhook,
+  rerunInterviewAnalysis,
+  downloadInterviewReport,
+  downloadCandidateReport,
 } = require("../controllers/interviewController")
 
-// Existing routes...
-router.post("/schedule", scheduleInterview)
-router.post("/reschedule", rescheduleInterview)
-router.get("/details/:roomId", getInterviewDetails)
-router.get("/questions/:roomId", getInterviewQuestions)
-router.post("/response/:roomId", submitResponse)
-router.post("/analyze", analyzeResponses)
-router.post("/save-recording", saveRecording)
-router.get("/recordings/email/:email", getInterviewRecordingsByApplicant)
+// Recruiter routes: signed in and owning the interview's job
+router.post("/schedule", protect, scheduleInterview)
+router.post("/reschedule", protect, rescheduleInterview)
+router.post("/cancel", protect, cancelInterview)
+router.post("/link/:roomId", protect, requireInterviewManager, reissueInterviewLink)
+router.get("/recordings/email/:email", protect, getInterviewRecordingsByApplicant)
+router.get("/analysis/:roomId", protect, requireInterviewManager, getInterviewAnalysis)
+router.post("/analysis/:roomId/rerun", protect, requireInterviewManager, rerunInterviewAnalysis)
+router.get("/recordings/applicant/:id", protect, getInterviewRecordingsByApplicant)
+router.get("/application/:applicationId", protect, getInterviewByApplicationId)
+router.get("/recordings/room/:roomId", protect, requireInterviewManager, getInterviewRecordingsByRoomId)
+router.get("/proctoring/:roomId", protect, requireInterviewManager, getProctoringReport)
+router.post("/live/interviewer-token/:roomId", protect, requireInterviewManager, getLiveInterviewerToken)
+router.get("/report/:roomId", protect, requireInterviewManager, downloadInterviewReport)
 
-// Add the new route for generating adaptive questions
-router.post("/generate-adaptive-question", generateAdaptiveQuestion)
+// Candidate routes: the token from the join link, or the session token /join exchanged it for
+router.post("/join", joinInterview)
+router.post("/start/:roomId", requireInterviewToken, startInterview)
+router.get("/details/:roomId", requireInterviewToken, getInterviewDetails)
+router.get("/questions/:roomId", requireInterviewToken, getInterviewQuestions)
+router.post("/response/:roomId", requireInterviewToken, submitResponse)
+router.post("/analyze", requireInterviewToken, analyzeResponses)
+router.post("/save-recording", requireInterviewToken, saveRecording)
+router.post("/generate-adaptive-question", requireInterviewToken, generateAdaptiveQuestion)
+router.post("/proctoring/:roomId", requireInterviewToken, recordProctoringEvents)
+router.post("/live/token/:roomId", requireInterviewToken, getLiveCandidateToken)
+router.get("/report/:roomId/candidate", requireInterviewToken, downloadCandidateReport)
 
-// Add the new route for getting analysis by room ID
-router.get("/analysis/:roomId", getInterviewAnalysis)
-router.get("/recordings/applicant/:id", getInterviewRecordingsByApplicant)
-
-// Add this new route
-router.get("/application/:applicationId", getInterviewByApplicationId)
-
-// Add this new route
-router.get("/recordings/room/:roomId", getInterviewRecordingsByRoomId)
+// 100ms webhooks, verified by their shared secret
+router.post("/live/webhook", handleHmsWebhook)
 
 module.exports = router
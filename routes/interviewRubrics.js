@@ -0,0 +1,23 @@
+const express = require("express")
+const router = express.Router()
+const { protect } = require("../middleware/auth")
+const {
+  getDefaultRubric,
+  createRubric,
+  getRubrics,
+  getRubric,
+  updateRubric,
+  archiveRubric,
+} = require("../controllers/interviewRubricController")
+
+// Rubrics belong to the signed-in recruiter
+router.use(protect)
+
+router.route("/").get(getRubrics).post(createRubric)
+
+// Must come before /:id
+router.get("/default", getDefaultRubric)
+
+router.route("/:id").get(getRubric).put(updateRubric).delete(archiveRubric)
+
+module.exports = router
@@ -0,0 +1,18 @@
+const express = require("express")
+const router = express.Router()
+const { protect } = require("../middleware/auth")
+const { requireInterviewManager, requireInterviewPanel } = require("../middleware/interviewAccess")
+const {
+  getScorecards,
+  saveScorecard,
+  submitScorecard,
+  addPanelInterviewers,
+} = require("../controllers/interviewScorecardController")
+
+router.use(protect)
+
+router.route("/:roomId").get(requireInterviewPanel, getScorecards).put(requireInterviewPanel, saveScorecard)
+router.post("/:roomId/submit", requireInterviewPanel, submitScorecard)
+router.post("/:roomId/panel", requireInterviewManager, addPanelInterviewers)
+
+module.exports = router
@@ -0,0 +1,27 @@
+const express = require("express")
+const router = express.Router()
+const { protect } = require("../middleware/auth")
+const {
+  createTemplate,
+  getTemplates,
+  getTemplate,
+  updateTemplate,
+  archiveTemplate,
+  generateTemplateQuestions,
+  approveTemplate,
+} = require("../controllers/interviewTemplateController")
+
+// Templates belong to the signed-in recruiter
+router.use(protect)
+
+router.route("/").get(getTemplates).post(createTemplate)
+
+router.route("/:id").get(getTemplate).put(updateTemplate).delete(archiveTemplate)
+
+// Draft a question bank from the linked job's description
+router.post("/:id/generate", generateTemplateQuestions)
+
+// Only approved templates can be used to schedule interviews
+router.post("/:id/approve", approveTemplate)
+
+module.exports = router
@@ -0,0 +1,26 @@
+const express = require("express")
+const router = express.Router()
+const { protect, optionalAuth, isAdmin } = require("../middleware/auth")
+const {
+  startMockInterview,
+  getMockQuota,
+  getMockHistory,
+  getMockProgress,
+  getPartnerPracticeStats,
+  getPartnerCandidatePractice,
+  setPartnerMockQuota,
+} = require("../controllers/mockInterviewController")
+
+// Candidates and job seekers; the interview itself then runs on /api/interview with the session token
+router.route("/").get(protect, getMockHistory).post(protect, startMockInterview)
+router.get("/quota", protect, getMockQuota)
+router.get("/progress", protect, getMockProgress)
+
+// Partners, for their own candidates
+router.get("/partner/stats", protect, getPartnerPracticeStats)
+router.get("/partner/candidates/:candidateId", protect, getPartnerCandidatePractice)
+
+// Admins
+router.patch("/partners/:partnerId/quota", optionalAuth, isAdmin, setPartnerMockQuota)
+
+module.exports = router
@@ -0,0 +1,27 @@
+const express = require("express")
+const router = express.Router()
+const { optionalAuth, isAdmin } = require("../middleware/auth")
+const {
+  createTenant,
+  getTenants,
+  getTenant,
+  suspendTenant,
+  reactivateTenant,
+  changeTenantPlan,
+} = require("../controllers/tenantController")
+
+// Tenant administration is admin only
+router.use(optionalAuth, isAdmin)
+
+router.route("/").get(getTenants).post(createTenant)
+
+router.get("/:tenantId", getTenant)
+
+router.patch("/:tenantId/suspend", suspendTenant)
+
+router.patch("/:tenantId/reactivate", reactivateTenant)
+
+// Plan, subscription end date and per-feature overrides
+router.patch("/:tenantId/plan", changeTenantPlan)
+
+module.exports = router
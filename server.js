@@ -30,9 +30,36 @@ const cookieParser = require("cookie-parser")
 const profileRoutess = require("./routes/profileRoutes")
 const { validateToken, checkAuth } = require("./middleware/candidateAuth")
 const { setupUnifiedVoiceServer } = require("./websocket/unifiedVoiceServer")
+const { setupInterviewServer } = require("./websocket/interviewServer")
 const adminProfileRoutes = require("./routes/adminProfile")
 const partnerProfileRoutes = require("./routes/partnerProfile")
 const candidateProfileRoutes = require("./routes/candidateProfile")
+const callLogRoutes = require("./routes/callLogs")
+const agentRoutes = require("./routes/agents")
+const tenantRoutes = require("./routes/tenants")
+const apiKeyRoutes = require("./routes/apiKeys")
+const interviewTemplateRoutes = require("./routes/interviewTemplates")
+const interviewRubricRoutes = require("./routes/interviewRubrics")
+const interviewBenchmarkRoutes = require("./routes/interviewBenchmarks")
+const interviewScorecardRoutes = require("./routes/interviewScorecards")
+const mockInterviewRoutes = require("./routes/mockInterviews")
+const { startApiKeyMaintenance } = require("./services/apiKeyService")
+const { migrateLegacyInterviewTimes } = require("./services/interviewInviteService")
+const { startInterviewScheduler } = require("./services/interviewLifecycleService")
+const { checkVoiceSessionAllowed } = require("./services/tenantService")
+const { assertEncryptionConfigured } = require("./utils/encryption")
+const { checkReportFonts } = require("./config/reportFonts")
+
+// Tenant provider keys are sealed with these master keys; never run production on a default
+try {
+  assertEncryptionConfigured()
+} catch (error) {
+  console.error(`❌ [ENCRYPTION] ${error.message}`)
+  process.exit(1)
+}
+
+// PDF reports in Hindi need a Devanagari font on disk; see config/reportFonts
+checkReportFonts()
 
 const app = express()
 const server = http.createServer(app)
@@ -72,7 +99,12 @@ server.listen(PORT, () => {
   console.log("=".repeat(80))
 })
 
-connectDB()
+connectDB().then(() => {
+  startApiKeyMaintenance()
+  migrateLegacyInterviewTimes()
+    .catch((error) => console.error(`❌ [INVITE] Interview time migration failed: ${error.message}`))
+    .finally(() => startInterviewScheduler())
+})
 
 app.use(
   cors({
@@ -220,8 +252,14 @@ app.use("/api/jobss", partnerJobAccessRoutes)
 app.use("/api/applications", jobApplicationRoutes)
 app.use("/api/jobs-applied", jobsAppliedRoutes)
 app.use("/api/interview", interviewRoutes)
+app.use("/api/interview-templates", interviewTemplateRoutes)
+app.use("/api/interview-rubrics", interviewRubricRoutes)
+app.use("/api/interview-benchmarks", interviewBenchmarkRoutes)
+app.use("/api/interview-scorecards", interviewScorecardRoutes)
+app.use("/api/mock-interviews", mockInterviewRoutes)
 app.use("/api/company/profile", companyProfileRoutes)
 app.use("/api/datastore", datastoreRoutes)
+app.use("/api/admin/tenants", tenantRoutes)
 app.use("/api/admin", adminRoutes)
 app.use("/api/admin", adminAuthRoutes)
 app.use("/api/admin", userManagementRoutes)
@@ -233,6 +271,9 @@ app.use("/api/profile", profileRoutess)
 app.use("/api/admin", adminProfileRoutes)
 app.use("/api/partner", partnerProfileRoutes)
 app.use("/api/candidate", candidateProfileRoutes)
+app.use("/api/call-logs", callLogRoutes)
+app.use("/api/tenants/:tenantId/agents", agentRoutes)
+app.use("/api/tenants/:tenantId/api-keys", apiKeyRoutes)
 
 // Candidate authentication routes
 app.use("/api/candidate", candidateAuth)
@@ -292,6 +333,7 @@ console.log("🔧 Setting up WebSocket servers...")
 setupWebSocketServer(wss)
 setupDeepgramServer(deepgramWss)
 setupUnifiedVoiceServer(unifiedVoiceWss)
+setupInterviewServer(interviewWss)
 console.log("✅ All WebSocket servers configured")
 
 // Enhanced WebSocket upgrade handler with detailed logging
@@ -307,9 +349,27 @@ server.on("upgrade", (request, socket, head) => {
 
   if (pathname.startsWith("/ws/unified-voice")) {
     console.log("📞 Routing to Unified Voice WebSocket (SIP Communication)")
-    unifiedVoiceWss.handleUpgrade(request, socket, head, (ws) => {
-      unifiedVoiceWss.emit("connection", ws, request)
-    })
+    // Early refusal for suspended tenants named in the URL. Calls that identify their tenant
+    // only through the agent, customParameters or the dialed number get through here; the
+    // unified voice server's "start" handling (reserveCallSlot) is what enforces suspension
+    const tenantId = new URL(pathname, "http://localhost").searchParams.get("tenantId")
+    checkVoiceSessionAllowed(tenantId)
+      .then(({ allowed, reason }) => {
+        if (!allowed) {
+          console.log(`⛔ Rejecting voice session for tenant ${tenantId}: ${reason}`)
+          socket.write("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n")
+          socket.destroy()
+          return
+        }
+        unifiedVoiceWss.handleUpgrade(request, socket, head, (ws) => {
+          unifiedVoiceWss.emit("connection", ws, request)
+        })
+      })
+      .catch((error) => {
+        console.error("❌ Tenant check failed during upgrade:", error.message)
+        socket.write("HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n")
+        socket.destroy()
+      })
   } else if (pathname.startsWith("/ws/transcribe")) {
     console.log("🎙️ Routing to Deepgram Transcription WebSocket")
     deepgramWss.handleUpgrade(request, socket, head, (ws) => {
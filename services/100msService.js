@@ -1,27 +1,131 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const jwt = require('jsonwebtoken');
 
+// 100ms REST API (rooms) and locally signed tokens. Management tokens authorise our own API
+// calls; auth tokens let one peer join one room with one role. Both are HS256 JWTs signed
+// with the app secret from the 100ms dashboard (Developer > App access keys).
+const HMS_API_BASE_URL = process.env.HMS_API_BASE_URL || 'https://api.100ms.live/v2';
+const MANAGEMENT_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_AUTH_TOKEN_TTL_SECONDS = Number(process.env.HMS_AUTH_TOKEN_TTL_SECONDS) || 30 * 60;
+
+// axios-compatible client used for every API call; swap it out in tests with setHttpClient()
+let httpClient = axios;
+
+const setHttpClient = (client) => {
+  httpClient = client || axios;
+};
+
+class HmsError extends Error {
+  constructor(message, { code, statusCode = 502 } = {}) {
+    super(message);
+    this.name = 'HmsError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const getCredentials = () => {
+  const accessKey = process.env.HMS_ACCESS_KEY;
+  const secret = process.env.HMS_SECRET;
+  if (!accessKey || !secret) {
+    throw new HmsError('100ms app access key and secret are missing. Set HMS_ACCESS_KEY and HMS_SECRET.', {
+      code: 'HMS_NOT_CONFIGURED',
+      statusCode: 503
+    });
+  }
+  return { accessKey, secret };
+};
+
+const signToken = (claims, expiresIn) => {
+  const { accessKey, secret } = getCredentials();
+  return jwt.sign({ access_key: accessKey, version: 2, ...claims }, secret, {
+    algorithm: 'HS256',
+    expiresIn,
+    jwtid: crypto.randomUUID(),
+    notBefore: 0
+  });
+};
+
+let managementToken = null;
+
+// Reused until it is within a minute of expiring; HMS_ACCESS_TOKEN still works for setups without a secret
+const getManagementToken = (now = Date.now()) => {
+  if (!process.env.HMS_SECRET && process.env.HMS_ACCESS_TOKEN) return process.env.HMS_ACCESS_TOKEN;
+
+  if (!managementToken || managementToken.expiresAt - 60 * 1000 <= now) {
+    managementToken = {
+      token: signToken({ type: 'management' }, MANAGEMENT_TOKEN_TTL_SECONDS),
+      expiresAt: now + MANAGEMENT_TOKEN_TTL_SECONDS * 1000
+    };
+  }
+  return managementToken.token;
+};
+
+/**
+ * Token for one peer to join `roomId` as `role` (a role defined in the room's template).
+ * Signed locally, so issuing one needs no call to 100ms.
+ */
+const issueAuthToken = ({ roomId, userId, role, ttlSeconds = DEFAULT_AUTH_TOKEN_TTL_SECONDS }) => {
+  if (!roomId || !userId || !role) throw new Error('roomId, userId and role are required');
+  return {
+    token: signToken({ type: 'app', room_id: roomId, user_id: String(userId), role }, ttlSeconds),
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000)
+  };
+};
+
+// Create a room; template_id defaults to HMS_TEMPLATE_ID. Resolves to the room from the API.
 const createRoom = async (roomDetails) => {
   try {
-    // Verify the token is loaded correctly
-    if (!process.env.HMS_ACCESS_TOKEN) {
-      throw new Error('100ms access token is missing. Please check your .env file.');
-    }
-
     // Remove the duration field from the request body
     const { duration, ...rest } = roomDetails;
+    const body = { template_id: process.env.HMS_TEMPLATE_ID, ...rest };
+    if (!body.template_id) {
+      throw new HmsError('No 100ms template for the room. Set HMS_TEMPLATE_ID.', {
+        code: 'HMS_NOT_CONFIGURED',
+        statusCode: 503
+      });
+    }
 
-    const response = await axios.post('https://api.100ms.live/v2/rooms', rest, {
+    const response = await httpClient.post(`${HMS_API_BASE_URL}/rooms`, body, {
       headers: {
-        'Authorization': `Bearer ${process.env.HMS_ACCESS_TOKEN}`,
+        'Authorization': `Bearer ${getManagementToken()}`,
         'Content-Type': 'application/json'
       }
     });
 
     return response.data;
   } catch (error) {
-    console.error('Error creating 100ms room:', error);
-    throw error;
+    console.error('Error creating 100ms room:', error.response?.data || error.message);
+    if (error instanceof HmsError) throw error;
+    throw new HmsError(`100ms room could not be created: ${error.response?.data?.message || error.message}`, {
+      code: 'HMS_ROOM_FAILED'
+    });
   }
 };
 
-module.exports = { createRoom };
\ No newline at end of file
+/**
+ * Check the shared secret 100ms sends with every webhook. Configure a custom header in the
+ * dashboard's webhook settings with the name in HMS_WEBHOOK_HEADER (default
+ * x-hms-webhook-secret) and the value in HMS_WEBHOOK_SECRET.
+ */
+const verifyWebhook = (headers) => {
+  const expected = process.env.HMS_WEBHOOK_SECRET;
+  if (!expected) return false;
+
+  const received = headers[(process.env.HMS_WEBHOOK_HEADER || 'x-hms-webhook-secret').toLowerCase()];
+  if (typeof received !== 'string') return false;
+
+  const a = crypto.createHash('sha256').update(received).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+module.exports = {
+  HmsError,
+  setHttpClient,
+  getManagementToken,
+  issueAuthToken,
+  createRoom,
+  verifyWebhook
+};
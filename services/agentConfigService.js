@@ -0,0 +1,138 @@
+const mongoose = require("mongoose")
+const AgentProfile = require("../models/AgentProfile")
+
+// Prompt used when a call cannot be matched to a stored agent
+const DEFAULT_SYSTEM_PROMPT = `You are Aitota, a polite, emotionally intelligent AI customer care executive. You speak fluently in English and Hindi. Use natural, conversational language with warmth and empathy. Keep responses short—just 1–2 lines. End each message with a friendly follow-up question to keep the conversation going. When speaking Hindi, use Devanagari script (e.g., नमस्ते, कैसे मदद कर सकता हूँ?). Your goal is to make customers feel heard, supported, and valued.
+
+💬 Example Conversations (2 English + 2 Hindi)
+---
+🗨️ English Example 1
+👤: I forgot my password.
+🤖: No worries, I can help reset it. Should I send the reset link to your email now?
+---
+🗨️ English Example 2
+👤: How can I track my order?
+🤖: I'll check it for you—could you share your order ID please?
+---
+🗨️ Hindi Example 1
+👤: मेरा रिचार्ज नहीं हुआ है।
+🤖: क्षमा कीजिए, मैं तुरंत जाँच करता हूँ। क्या आप अपना मोबाइल नंबर बता सकते हैं?
+---
+🗨️ Hindi Example 2
+👤: मुझे नया पता जोड़ना है।
+🤖: बिल्कुल, कृपया नया पता बताइए। क्या आप इसे डिलीवरी एड्रेस भी बनाना चाहेंगे?`
+
+// Fallback agent used when no AgentProfile matches the call
+const DEFAULT_AGENT_CONFIG = {
+  agentId: null,
+  tenantId: null,
+  agentName: "हिंदी सहायक",
+  language: "hi",
+  voiceSelection: "pavithra",
+  firstMessage: "नमस्कार! एआई तोता में संपर्क करने के लिए धन्यवाद। बताइए, मैं आपकी किस प्रकार मदद कर सकता हूँ?",
+  systemPrompt: DEFAULT_SYSTEM_PROMPT,
+  personality: "friendly",
+  category: "customer service",
+  contextMemory: "customer service conversation in Hindi",
+  brandInfo: null,
+  sttSelection: "deepgram",
+  ttsSelection: "sarvam",
+  llmSelection: "openai",
+  greetingAudio: null,
+  greetingAudioFormat: null,
+  isDefault: true,
+}
+
+// Flatten a stored AgentProfile into the shape the voice pipeline consumes
+const toAgentConfig = (agent) => ({
+  agentId: agent._id.toString(),
+  tenantId: agent.tenantId,
+  agentName: agent.agentName,
+  language: agent.language || DEFAULT_AGENT_CONFIG.language,
+  voiceSelection: agent.voiceSelection || DEFAULT_AGENT_CONFIG.voiceSelection,
+  firstMessage: agent.firstMessage,
+  systemPrompt: agent.systemPrompt,
+  personality: agent.personality,
+  category: agent.category,
+  contextMemory: agent.contextMemory,
+  brandInfo: agent.brandInfo,
+  sttSelection: agent.sttSelection,
+  ttsSelection: agent.ttsSelection,
+  llmSelection: agent.llmSelection,
+  greetingAudio: agent.getAudioBase64(),
+  greetingAudioFormat: agent.audioBytes
+    ? { format: agent.audioMetadata?.format, sampleRate: agent.audioMetadata?.sampleRate }
+    : null,
+  isDefault: false,
+})
+
+/**
+ * Find the agent that should handle a call.
+ * An explicit agentId wins, then the tenant's agent, then the dialed DID number. A requested
+ * agentId that does not exist for the tenant never falls through to another of its agents:
+ * the call gets the default agent instead.
+ * Always resolves to a config; falls back to DEFAULT_AGENT_CONFIG when nothing matches.
+ */
+const resolveAgentConfig = async ({ tenantId, agentId, didNumber } = {}) => {
+  try {
+    let agent = null
+
+    if (agentId) {
+      if (mongoose.Types.ObjectId.isValid(agentId)) {
+        const query = { _id: agentId }
+        if (tenantId) query.tenantId = tenantId
+        agent = await AgentProfile.findOne(query)
+      }
+      if (!agent) {
+        console.log(`⚠️ [AGENT] Agent ${agentId} not found for tenant ${tenantId || "-"}, using default agent`)
+        return { ...DEFAULT_AGENT_CONFIG }
+      }
+    }
+
+    if (!agent && tenantId) {
+      agent = await AgentProfile.findOne({ tenantId }).sort({ updatedAt: -1 })
+    }
+
+    if (!agent && didNumber) {
+      agent = await AgentProfile.findOne({ didNumber })
+    }
+
+    if (!agent) {
+      console.log(
+        `⚠️ [AGENT] No agent matched (tenantId=${tenantId || "-"}, agentId=${agentId || "-"}, did=${didNumber || "-"}), using default agent`,
+      )
+      return { ...DEFAULT_AGENT_CONFIG }
+    }
+
+    console.log(`🤖 [AGENT] Resolved agent "${agent.agentName}" (${agent._id}) for tenant ${agent.tenantId}`)
+    return toAgentConfig(agent)
+  } catch (error) {
+    console.error(`❌ [AGENT] Lookup failed, using default agent: ${error.message}`)
+    return { ...DEFAULT_AGENT_CONFIG }
+  }
+}
+
+// Compose the LLM system prompt from the agent's stored settings
+const buildSystemPrompt = (agentConfig) => {
+  const sections = [agentConfig.systemPrompt || DEFAULT_SYSTEM_PROMPT]
+
+  if (agentConfig.brandInfo) {
+    sections.push(`Brand information:\n${agentConfig.brandInfo}`)
+  }
+  if (agentConfig.contextMemory) {
+    sections.push(`Context: ${agentConfig.contextMemory}`)
+  }
+  if (agentConfig.personality) {
+    sections.push(`Personality: ${agentConfig.personality}`)
+  }
+  sections.push(`Language: ${agentConfig.language}`)
+
+  return sections.join("\n\n")
+}
+
+module.exports = {
+  DEFAULT_AGENT_CONFIG,
+  DEFAULT_SYSTEM_PROMPT,
+  resolveAgentConfig,
+  buildSystemPrompt,
+}
@@ -0,0 +1,52 @@
+const { createTTSProvider, getTTSProviderName } = require("./tts")
+const { keyProviderFor, resolveApiKey, applyKeyConfiguration, withKeyFallback } = require("./apiKeyService")
+
+// Stored greetings are WAV at the telephony rate, so calls can play them without resampling
+const GREETING_AUDIO_FORMAT = { encoding: "wav", sampleRate: 8000 }
+
+/**
+ * Speak text in an agent's configured TTS provider and voice, using the
+ * tenant's own key (and its stored configuration) for that provider when it has one.
+ */
+const synthesizeForAgent = async (agent, text, format = GREETING_AUDIO_FORMAT) => {
+  const providerName = getTTSProviderName(agent.ttsSelection)
+  const keyProvider = keyProviderFor(providerName)
+  const key = keyProvider ? await resolveApiKey({ tenantId: agent.tenantId, provider: keyProvider }) : null
+
+  const options = applyKeyConfiguration(
+    {
+      language: agent.language,
+      voice: agent.voiceSelection,
+      encoding: format.encoding,
+      sampleRate: format.sampleRate,
+    },
+    key,
+    "tts",
+  )
+
+  return withKeyFallback(key, (apiKey) => createTTSProvider(providerName, { ...options, apiKey }).synthesize(text))
+}
+
+// Render the agent's firstMessage into audioBytes/audioMetadata (not saved)
+const renderGreetingAudio = async (agent) => {
+  const result = await synthesizeForAgent(agent, agent.firstMessage)
+
+  agent.audioBytes = result.audio
+  agent.audioMetadata = {
+    format: result.encoding,
+    sampleRate: result.sampleRate,
+    channels: 1,
+    size: result.audio.length,
+    generatedAt: new Date(),
+    language: agent.language,
+    speaker: result.voice,
+    provider: result.provider,
+  }
+
+  return result
+}
+
+// Fields that change what the stored greeting sounds like
+const GREETING_FIELDS = ["firstMessage", "ttsSelection", "voiceSelection", "language"]
+
+module.exports = { GREETING_AUDIO_FORMAT, GREETING_FIELDS, synthesizeForAgent, renderGreetingAudio }
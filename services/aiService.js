@@ -1,17 +1,41 @@
 const OpenAI = require('openai');
+const { QUESTION_CATEGORIES, QUESTION_DIFFICULTIES } = require('../config/interviewTemplates');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
-const generateQuestionsFromDocument = async (document) => {
-  const prompt = `Generate 5 technical interview questions based on the following document:\n\n${document}`;
+/**
+ * Draft interview questions from a job description.
+ * Resolves to [{ text, category, difficulty }]; entries with an unknown category are dropped.
+ */
+const generateQuestionBank = async ({ jobDescription, categories = QUESTION_CATEGORIES, difficulty = 'medium', language = 'en', count = 8 }) => {
+  const prompt = `You are preparing a structured job interview.
+
+JOB DESCRIPTION:
+${jobDescription.substring(0, 4000)}
+
+Write ${count} interview questions in language "${language}" at ${difficulty} difficulty.
+Spread them across these categories: ${categories.join(', ')}.
+
+Respond ONLY with JSON of the form:
+{ "questions": [{ "text": "question", "category": "one of the categories above", "difficulty": "easy|medium|hard" }] }`;
+
   const response = await openai.chat.completions.create({
-    model: 'gpt-4',
+    model: 'gpt-4o-mini',
     messages: [{ role: 'user', content: prompt }],
-    max_tokens: 500,
+    response_format: { type: 'json_object' },
+    max_tokens: 1500,
   });
-  return response.choices[0].message.content.split('\n').filter((q) => q.trim());
+
+  const parsed = JSON.parse(response.choices[0].message.content);
+  return (parsed.questions || [])
+    .filter((question) => typeof question.text === 'string' && question.text.trim() && categories.includes(question.category))
+    .map((question) => ({
+      text: question.text.trim(),
+      category: question.category,
+      difficulty: QUESTION_DIFFICULTIES.includes(question.difficulty) ? question.difficulty : difficulty,
+    }));
 };
 
-module.exports = { generateQuestionsFromDocument };
\ No newline at end of file
+module.exports = { generateQuestionBank };
\ No newline at end of file
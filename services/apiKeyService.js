@@ -0,0 +1,323 @@
+const ApiKey = require("../models/ApiKey")
+const Tenant = require("../models/Tenant")
+const { encrypt, decrypt, needsReencryption, getCurrentKeyVersion } = require("../utils/encryption")
+
+// Platform-owned keys, used when a tenant has not registered its own
+const PLATFORM_KEY_ENV = {
+  openai: "OPENAI_API_KEY",
+  deepgram: "DEEPGRAM_API_KEY",
+  sarvam: "SARVAM_API_KEY",
+  lmnt: "LMNT_API_KEY",
+  elevenlabs: "ELEVENLABS_API_KEY",
+}
+
+// Enterprise tenants bring their own keys for these; they never bill the platform
+const BYOK_PROVIDERS = ["deepgram", "sarvam", "openai"]
+
+const USAGE_RESET_INTERVAL_MS = 60 * 60 * 1000
+
+class ApiKeyError extends Error {
+  constructor(message, { code, statusCode = 503, tenantId = null, provider = null } = {}) {
+    super(message)
+    this.name = "ApiKeyError"
+    this.code = code
+    this.statusCode = statusCode
+    this.tenantId = tenantId
+    this.provider = provider
+  }
+}
+
+const getPlatformKey = (provider) => {
+  const envName = PLATFORM_KEY_ENV[provider]
+  return envName ? process.env[envName] : undefined
+}
+
+// ApiKey provider billed for an adapter, or null for adapters without a vendor (e.g. "fake")
+const keyProviderFor = (providerName) => (PLATFORM_KEY_ENV[providerName] ? providerName : null)
+
+// Providers whose platform key is not set; logged at startup instead of exiting
+const getMissingPlatformKeys = (providers = Object.keys(PLATFORM_KEY_ENV)) =>
+  providers.filter((provider) => !getPlatformKey(provider)).map((provider) => PLATFORM_KEY_ENV[provider])
+
+/**
+ * Zero monthlyUsage for every key still counting a previous month.
+ * Idempotent, so it is safe to run on a timer and before metering a single key.
+ */
+const resetMonthlyUsage = async (filter = {}, now = new Date()) => {
+  const periodStart = ApiKey.getUsagePeriodStart(now)
+  const result = await ApiKey.updateMany(
+    {
+      ...filter,
+      $or: [{ "usage.periodStart": { $lt: periodStart } }, { "usage.periodStart": { $exists: false } }],
+    },
+    { $set: { "usage.monthlyUsage": 0, "usage.periodStart": periodStart, updatedAt: now } },
+  )
+
+  if (result.modifiedCount > 0 && !filter._id) {
+    console.log(`🔄 [API-KEY] Reset monthly usage for ${result.modifiedCount} keys`)
+  }
+  return result.modifiedCount
+}
+
+// Drop pre-rotation keys once their grace period is over
+const purgeExpiredPreviousKeys = async (now = new Date()) => {
+  const result = await ApiKey.updateMany(
+    { previousKeyExpiresAt: { $lte: now } },
+    { $unset: { previousEncryptedKey: "", previousKeyPreview: "", previousKeyExpiresAt: "" }, $set: { updatedAt: now } },
+  )
+
+  if (result.modifiedCount > 0) {
+    console.log(`🔄 [API-KEY] Retired ${result.modifiedCount} rotated keys`)
+  }
+  return result.modifiedCount
+}
+
+/**
+ * Re-seal every stored key (and pre-rotation key) not yet on the current master key version.
+ * Each update is conditional on the ciphertext it read, so a concurrent rotation is never overwritten.
+ * Resolves to { scanned, migrated, failed }; failures (e.g. a retired master key) are logged, not thrown.
+ */
+const reencryptApiKeys = async () => {
+  const currentPrefix = new RegExp(`^v${getCurrentKeyVersion()}:`)
+  const cursor = ApiKey.find({
+    $or: [
+      { encryptedKey: { $not: currentPrefix } },
+      { previousEncryptedKey: { $exists: true, $ne: null, $not: currentPrefix } },
+    ],
+  })
+    .select("tenantId provider encryptedKey previousEncryptedKey")
+    .lean()
+    .cursor()
+
+  const summary = { scanned: 0, migrated: 0, failed: 0 }
+  for await (const apiKey of cursor) {
+    summary.scanned++
+    try {
+      const update = {}
+      if (needsReencryption(apiKey.encryptedKey)) {
+        update.encryptedKey = encrypt(decrypt(apiKey.encryptedKey))
+      }
+      if (apiKey.previousEncryptedKey && needsReencryption(apiKey.previousEncryptedKey)) {
+        update.previousEncryptedKey = encrypt(decrypt(apiKey.previousEncryptedKey))
+      }
+      if (!Object.keys(update).length) continue
+
+      const result = await ApiKey.updateOne(
+        { _id: apiKey._id, encryptedKey: apiKey.encryptedKey, previousEncryptedKey: apiKey.previousEncryptedKey ?? null },
+        { $set: update },
+      )
+      if (result.modifiedCount > 0) summary.migrated++
+    } catch (error) {
+      summary.failed++
+      console.error(`❌ [API-KEY] Could not re-encrypt ${apiKey.tenantId}/${apiKey.provider} key: ${error.message}`)
+    }
+  }
+
+  if (summary.scanned > 0) {
+    console.log(
+      `🔐 [API-KEY] Re-encrypted ${summary.migrated}/${summary.scanned} keys to v${getCurrentKeyVersion()}` +
+        (summary.failed ? `, ${summary.failed} failed` : ""),
+    )
+  }
+  return summary
+}
+
+let maintenanceTimer = null
+
+// Check hourly; a month boundary or grace expiry is picked up within the hour it passes
+const startApiKeyMaintenance = () => {
+  if (maintenanceTimer) return maintenanceTimer
+
+  const runMaintenance = () =>
+    Promise.all([resetMonthlyUsage(), purgeExpiredPreviousKeys()]).catch((error) =>
+      console.error(`❌ [API-KEY] Maintenance failed: ${error.message}`),
+    )
+
+  runMaintenance()
+  // Once per start is enough: the master key version only changes with a redeploy
+  reencryptApiKeys().catch((error) => console.error(`❌ [API-KEY] Re-encryption failed: ${error.message}`))
+  maintenanceTimer = setInterval(runMaintenance, USAGE_RESET_INTERVAL_MS)
+  maintenanceTimer.unref()
+  return maintenanceTimer
+}
+
+const stopApiKeyMaintenance = () => {
+  clearInterval(maintenanceTimer)
+  maintenanceTimer = null
+}
+
+// Count one request against a tenant key; null when the monthly limit is already used up
+const meterKeyUsage = async (keyId) => {
+  await resetMonthlyUsage({ _id: keyId })
+
+  return ApiKey.findOneAndUpdate(
+    {
+      _id: keyId,
+      isActive: true,
+      $expr: {
+        $or: [
+          { $eq: [{ $ifNull: ["$usage.monthlyLimit", null] }, null] },
+          { $lt: ["$usage.monthlyUsage", "$usage.monthlyLimit"] },
+        ],
+      },
+    },
+    {
+      $inc: { "usage.totalRequests": 1, "usage.monthlyUsage": 1 },
+      $set: { "usage.lastUsed": new Date() },
+    },
+    { new: true },
+  )
+}
+
+// Give back a request counted by meterKeyUsage for work that was then refused
+const releaseKeyUsage = (keyId) =>
+  ApiKey.updateOne(
+    { _id: keyId, "usage.monthlyUsage": { $gt: 0 } },
+    { $inc: { "usage.totalRequests": -1, "usage.monthlyUsage": -1 } },
+  )
+
+/**
+ * Resolve the key to use for one provider request.
+ * Uses the tenant's active key when there is one (metered against its monthly limit),
+ * otherwise the platform key from the environment. Enterprise tenants must have their
+ * own key for BYOK_PROVIDERS. Throws ApiKeyError when no usable key exists.
+ *
+ * Resolves to { apiKey, previousApiKey, source: "tenant" | "platform", keyId, configuration, usage };
+ * previousApiKey is set while a rotated-out key is still within its grace period.
+ */
+const resolveApiKey = async ({ tenantId, provider } = {}) => {
+  if (!provider) throw new ApiKeyError("Provider is required to resolve an API key", { code: "PROVIDER_REQUIRED" })
+
+  if (tenantId) {
+    const tenantKey = await ApiKey.findOne({ tenantId, provider, isActive: true })
+
+    if (tenantKey) {
+      const metered = await meterKeyUsage(tenantKey._id)
+      if (!metered) {
+        throw new ApiKeyError(
+          `Monthly limit of ${tenantKey.usage.monthlyLimit} requests reached for tenant ${tenantId}'s ${provider} key; it resets at the start of next month`,
+          { code: "MONTHLY_LIMIT_EXCEEDED", statusCode: 429, tenantId, provider },
+        )
+      }
+
+      return {
+        apiKey: metered.getDecryptedKey(),
+        previousApiKey: metered.getDecryptedPreviousKey(),
+        source: "tenant",
+        keyId: metered._id.toString(),
+        configuration: metered.toObject().configuration || null,
+        usage: {
+          totalRequests: metered.usage.totalRequests,
+          monthlyUsage: metered.usage.monthlyUsage,
+          monthlyLimit: metered.usage.monthlyLimit,
+        },
+      }
+    }
+
+    if (BYOK_PROVIDERS.includes(provider)) {
+      const tenant = await Tenant.findOne({ tenantId }).select("subscription.plan")
+      if (tenant?.subscription?.plan === "enterprise") {
+        throw new ApiKeyError(`Enterprise tenant ${tenantId} has no active ${provider} API key`, {
+          code: "TENANT_KEY_REQUIRED",
+          statusCode: 403,
+          tenantId,
+          provider,
+        })
+      }
+    }
+  }
+
+  const platformKey = getPlatformKey(provider)
+  if (!platformKey) {
+    throw new ApiKeyError(`No ${provider} API key configured for tenant ${tenantId || "-"} or the platform`, {
+      code: "KEY_NOT_CONFIGURED",
+      tenantId,
+      provider,
+    })
+  }
+
+  return { apiKey: platformKey, previousApiKey: null, source: "platform", keyId: null, configuration: null, usage: null }
+}
+
+const CONFIGURABLE_FIELDS = ["voice", "language", "region"]
+
+// Where each slot's model is stored: one OpenAI key serves both the LLM and TTS, so they
+// cannot share a field
+const MODEL_FIELDS = { llm: "model", stt: "sttModel", tts: "ttsModel" }
+
+/**
+ * Fill adapter options for `slot` ("stt", "tts" or "llm") from the key's stored configuration:
+ * that slot's model, voice, language and region.
+ * Values the caller already chose win; a "default" voice counts as unset.
+ */
+const applyKeyConfiguration = (options, resolvedKey, slot) => {
+  const configuration = resolvedKey?.configuration
+  if (!configuration) return options
+
+  const merged = { ...options }
+  const fill = (option, value) => {
+    const current = merged[option]
+    if (value && (current === undefined || current === null || current === "default")) {
+      merged[option] = value
+    }
+  }
+  CONFIGURABLE_FIELDS.forEach((field) => fill(field, configuration[field]))
+  if (MODEL_FIELDS[slot]) fill("model", configuration[MODEL_FIELDS[slot]])
+  return merged
+}
+
+/**
+ * Run operation(apiKey) and, if the vendor rejects the key (401/403) while a rotated-out
+ * key is still in its grace period, retry once with the previous key.
+ */
+const withKeyFallback = async (resolvedKey, operation) => {
+  try {
+    return await operation(resolvedKey?.apiKey)
+  } catch (error) {
+    if (!resolvedKey?.previousApiKey || ![401, 403].includes(error.status)) throw error
+
+    console.warn(`⚠️ [API-KEY] Key ${resolvedKey.keyId} rejected, retrying with the pre-rotation key`)
+    return operation(resolvedKey.previousApiKey)
+  }
+}
+
+/**
+ * Resolve keys for several providers at once, e.g. everything a voice call needs.
+ * Takes { slot: provider } and resolves to { slot: resolvedKey }; null providers are skipped.
+ * Slots sharing a provider share one key and count once. Keys are resolved one at a time, and
+ * when one fails the usage already counted for the others is given back.
+ */
+const resolveApiKeys = async (tenantId, providersBySlot) => {
+  const resolvedByProvider = new Map()
+  try {
+    for (const provider of new Set(Object.values(providersBySlot).filter(Boolean))) {
+      resolvedByProvider.set(provider, await resolveApiKey({ tenantId, provider }))
+    }
+  } catch (error) {
+    const metered = [...resolvedByProvider.values()].filter((resolved) => resolved.keyId)
+    await Promise.all(metered.map((resolved) => releaseKeyUsage(resolved.keyId)))
+    throw error
+  }
+
+  return Object.fromEntries(
+    Object.entries(providersBySlot).map(([slot, provider]) => [slot, provider ? resolvedByProvider.get(provider) : null]),
+  )
+}
+
+module.exports = {
+  ApiKeyError,
+  PLATFORM_KEY_ENV,
+  BYOK_PROVIDERS,
+  getPlatformKey,
+  getMissingPlatformKeys,
+  keyProviderFor,
+  resolveApiKey,
+  resolveApiKeys,
+  applyKeyConfiguration,
+  withKeyFallback,
+  resetMonthlyUsage,
+  purgeExpiredPreviousKeys,
+  reencryptApiKeys,
+  startApiKeyMaintenance,
+  stopApiKeyMaintenance,
+}
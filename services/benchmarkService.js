@@ -0,0 +1,387 @@
+const Interview = require("../models/Interview")
+const Job = require("../models/Job")
+const JobApplication = require("../models/JobApplication")
+const {
+  BENCHMARK_MIN_SAMPLE,
+  BENCHMARK_MAX_SAMPLE,
+  BENCHMARK_CACHE_TTL_MS,
+  BENCHMARK_PERCENTILES,
+  LEADERBOARD_DEFAULT_LIMIT,
+  LEADERBOARD_MAX_LIMIT,
+} = require("../config/benchmarks")
+const { SCORE_MIN, SCORE_MAX } = require("../config/rubrics")
+const { toRubricAnalysis } = require("./rubricService")
+const { getInterviewIntegrity } = require("./proctoringService")
+
+/**
+ * Candidate benchmarking: how an interview's scores compare with other interviews for the
+ * same job, or for every job in the same role family.
+ *
+ * Only scored analyses count (fallbacks have no scores), and only against analyses of the
+ * same rubric version: a 7 on one rubric says nothing about a 7 on another. A group smaller
+ * than BENCHMARK_MIN_SAMPLE still gets its statistics but no percentiles, and is reported
+ * as "insufficient_sample".
+ */
+
+class BenchmarkError extends Error {
+  constructor(message, { code, statusCode = 400 } = {}) {
+    super(message)
+    this.name = "BenchmarkError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+// Enough of the analysis to rank it; findings, evidence and focus areas are left out
+const SCORE_FIELDS = [
+  "roomId",
+  "applicantEmail",
+  "applicantId",
+  "startedAt",
+  "integrity",
+  "analysis.analyzedAt",
+  "analysis.status",
+  "analysis.language",
+  "analysis.rubric",
+  "analysis.overallScore",
+  "analysis.overallScores",
+  "analysis.feedback",
+  "analysis.competencies.key",
+  "analysis.competencies.name",
+  "analysis.competencies.weight",
+  "analysis.competencies.score",
+  "analysis.competencies.strengths",
+].join(" ")
+
+const round = (value) => Math.round(value * 10) / 10
+
+// Rubric version an analysis was scored against; the built-in rubric has no id
+const getRubricId = (rubric) => (rubric?.rubricId ? String(rubric.rubricId) : "default")
+const getRubricKey = (rubric) => `${getRubricId(rubric)}@${rubric?.version || 1}`
+
+const describeRubric = (rubric) => ({
+  rubricId: rubric?.rubricId || null,
+  name: rubric?.name,
+  version: rubric?.version || 1,
+})
+
+// Interpolated between the closest ranks; `sorted` is ascending
+const percentileOf = (sorted, percentile) => {
+  const position = ((sorted.length - 1) * percentile) / 100
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower))
+}
+
+// Share of `values` below `score`, ties counting half, as 0-100
+const percentileRank = (values, score) => {
+  const below = values.filter((value) => value < score).length
+  const equal = values.filter((value) => value === score).length
+  return Math.round(((below + equal / 2) / values.length) * 100)
+}
+
+// Interviews per whole score; an overall score of 7.6 counts towards 7
+const buildDistribution = (values) => {
+  const distribution = []
+  for (let score = SCORE_MIN; score <= SCORE_MAX; score += 1) {
+    distribution.push({ score, count: values.filter((value) => Math.floor(value) === score).length })
+  }
+  return distribution
+}
+
+const summarize = (values) => {
+  if (!values.length) return { count: 0, mean: null, min: null, max: null, percentiles: null, distribution: [] }
+
+  const sorted = [...values].sort((a, b) => a - b)
+  return {
+    count: sorted.length,
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    percentiles: Object.fromEntries(BENCHMARK_PERCENTILES.map((p) => [`p${p}`, percentileOf(sorted, p)])),
+    distribution: buildDistribution(sorted),
+  }
+}
+
+const getBenchmarkStatus = (sampleSize) => (sampleSize >= BENCHMARK_MIN_SAMPLE ? "ranked" : "insufficient_sample")
+
+const getCompetencyScores = (entries, key) =>
+  entries
+    .map((entry) => entry.analysis.competencies.find((competency) => competency.key === key)?.score)
+    .filter(Number.isFinite)
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === null || value === "") return null
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new BenchmarkError(`${name} must be a date`, { code: "INVALID_FILTER" })
+  }
+  return date
+}
+
+/**
+ * Filters from a query string: from/to (interview start, inclusive), rubricId ("default"
+ * for the built-in rubric) and rubricVersion.
+ */
+const parseBenchmarkFilters = (query = {}) => {
+  const from = parseDate(query.from, "from")
+  const to = parseDate(query.to, "to")
+  if (from && to && from > to) {
+    throw new BenchmarkError("from must be before to", { code: "INVALID_FILTER" })
+  }
+
+  let rubricVersion = null
+  if (query.rubricVersion !== undefined && query.rubricVersion !== "") {
+    rubricVersion = Number(query.rubricVersion)
+    if (!Number.isInteger(rubricVersion) || rubricVersion < 1) {
+      throw new BenchmarkError("rubricVersion must be a positive whole number", { code: "INVALID_FILTER" })
+    }
+  }
+
+  return { from, to, rubricId: query.rubricId ? String(query.rubricId) : null, rubricVersion }
+}
+
+const parseLeaderboardLimit = (value) => {
+  if (value === undefined || value === "") return LEADERBOARD_DEFAULT_LIMIT
+  const limit = Number(value)
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new BenchmarkError("limit must be a positive whole number", { code: "INVALID_FILTER" })
+  }
+  return Math.min(limit, LEADERBOARD_MAX_LIMIT)
+}
+
+const matchesRubricFilters = (analysis, { rubricId, rubricVersion } = {}) =>
+  (!rubricId || rubricId === getRubricId(analysis.rubric)) &&
+  (!rubricVersion || rubricVersion === (analysis.rubric?.version || 1))
+
+// Interviews of these jobs, including ones stored before interviews recorded their job
+const getJobsInterviewFilter = async (jobIds) => {
+  const legacyRoomIds = await JobApplication.find({ job: { $in: jobIds }, interviewRoomId: { $ne: null } }).distinct(
+    "interviewRoomId",
+  )
+  return { $or: [{ job: { $in: jobIds } }, { job: null, roomId: { $in: legacyRoomIds } }] }
+}
+
+// Scored analyses of these jobs' interviews, newest first, as { interview, analysis }
+const loadScoredInterviews = async (jobIds, { from, to } = {}) => {
+  const query = {
+    ...(await getJobsInterviewFilter(jobIds)),
+    "analysis.analyzedAt": { $ne: null },
+    "analysis.status": { $ne: "fallback" },
+  }
+  if (from || to) query.startedAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) }
+
+  const interviews = await Interview.find(query)
+    .select(SCORE_FIELDS)
+    .sort({ startedAt: -1 })
+    .limit(BENCHMARK_MAX_SAMPLE)
+    .lean()
+  return interviews
+    .map((interview) => ({ interview, analysis: toRubricAnalysis(interview.analysis) }))
+    .filter(({ analysis }) => analysis.status === "scored" && Number.isFinite(analysis.overallScore))
+}
+
+// Entries per rubric version, in order of each version's newest interview
+const groupByRubric = (entries) =>
+  entries.reduce((groups, entry) => {
+    const key = getRubricKey(entry.analysis.rubric)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(entry)
+    return groups
+  }, new Map())
+
+// Statistics of one rubric version's interviews
+const describeGroup = (entries) => {
+  const { rubric, competencies } = entries[0].analysis
+  return {
+    rubric: describeRubric(rubric),
+    sampleSize: entries.length,
+    status: getBenchmarkStatus(entries.length),
+    overall: summarize(entries.map((entry) => entry.analysis.overallScore)),
+    competencies: competencies.map((competency) => ({
+      key: competency.key,
+      name: competency.name,
+      ...summarize(getCompetencyScores(entries, competency.key)),
+    })),
+  }
+}
+
+const describeJob = (job) => ({ jobId: job._id, title: job.title, roleFamily: job.roleFamily || null })
+
+const buildBenchmarks = async (jobIds, filters) => {
+  const entries = (await loadScoredInterviews(jobIds, filters)).filter((entry) =>
+    matchesRubricFilters(entry.analysis, filters),
+  )
+  return { minSample: BENCHMARK_MIN_SAMPLE, groups: [...groupByRubric(entries).values()].map(describeGroup) }
+}
+
+/**
+ * Score statistics for a job's analyzed interviews, one group per rubric version.
+ */
+const getJobBenchmarks = async (job, filters = {}) => ({
+  job: describeJob(job),
+  ...(await buildBenchmarks([job._id], filters)),
+})
+
+/**
+ * Score statistics across every job in a role family, one group per rubric version.
+ * Only aggregates are returned; the jobs may belong to other recruiters.
+ */
+const getRoleFamilyBenchmarks = async (roleFamily, filters = {}) => {
+  const name = String(roleFamily || "").trim().toLowerCase()
+  const jobIds = name ? await Job.find({ roleFamily: name }).distinct("_id") : []
+  if (!jobIds.length) {
+    throw new BenchmarkError(`No jobs in role family "${name}"`, { code: "ROLE_FAMILY_NOT_FOUND", statusCode: 404 })
+  }
+  return { roleFamily: name, jobCount: jobIds.length, ...(await buildBenchmarks(jobIds, filters)) }
+}
+
+// Percentiles of `analysis` within `entries`, which include it
+const rankWithin = (entries, analysis) => {
+  const sampleSize = entries.length
+  const status = getBenchmarkStatus(sampleSize)
+  if (status !== "ranked") return { status, sampleSize, minSample: BENCHMARK_MIN_SAMPLE }
+
+  return {
+    status,
+    sampleSize,
+    minSample: BENCHMARK_MIN_SAMPLE,
+    overall: {
+      score: analysis.overallScore,
+      percentile: percentileRank(
+        entries.map((entry) => entry.analysis.overallScore),
+        analysis.overallScore,
+      ),
+    },
+    competencies: analysis.competencies
+      .filter((competency) => Number.isFinite(competency.score))
+      .map((competency) => ({
+        key: competency.key,
+        name: competency.name,
+        score: competency.score,
+        percentile: percentileRank(getCompetencyScores(entries, competency.key), competency.score),
+      })),
+  }
+}
+
+// Comparison data for getInterviewBenchmark, by key: { expiresAt, value }. Oldest entries are
+// dropped past COMPARISON_CACHE_MAX_ENTRIES, since each can hold a full sample.
+const COMPARISON_CACHE_MAX_ENTRIES = 100
+const comparisonCache = new Map()
+
+const cachedComparison = async (key, load, now = Date.now()) => {
+  const cached = comparisonCache.get(key)
+  if (cached && cached.expiresAt > now) return cached.value
+
+  const value = await load()
+  comparisonCache.delete(key)
+  comparisonCache.set(key, { expiresAt: now + BENCHMARK_CACHE_TTL_MS, value })
+  if (comparisonCache.size > COMPARISON_CACHE_MAX_ENTRIES) comparisonCache.delete(comparisonCache.keys().next().value)
+  return value
+}
+
+// Job of an interview, through its application for interviews stored before they recorded it
+const resolveInterviewJob = async (interview) => {
+  if (interview.job) return Job.findById(interview.job).select("title roleFamily recruiter").lean()
+  const application = await JobApplication.findOne({ interviewRoomId: interview.roomId })
+    .populate("job", "title roleFamily recruiter")
+    .lean()
+  return application?.job || null
+}
+
+/**
+ * Where an analyzed interview stands among the job's other interviews and, when the job has
+ * a role family, among that family's. Null when the interview has no scores or no job.
+ * The samples it ranks against are reused for BENCHMARK_CACHE_TTL_MS.
+ */
+const getInterviewBenchmark = async (interview) => {
+  const analysis = toRubricAnalysis(interview.analysis)
+  if (analysis?.status !== "scored" || !Number.isFinite(analysis.overallScore)) return null
+
+  const job = await resolveInterviewJob(interview)
+  if (!job) return null
+
+  const rubricKey = getRubricKey(analysis.rubric)
+  const compare = async (jobIds, cacheKey) => {
+    const scored = await cachedComparison(`scores:${cacheKey}`, () => loadScoredInterviews(jobIds))
+    const others = scored.filter(
+      (entry) => entry.interview.roomId !== interview.roomId && getRubricKey(entry.analysis.rubric) === rubricKey,
+    )
+    return rankWithin([...others, { analysis }], analysis)
+  }
+
+  const familyJobIds = job.roleFamily
+    ? await cachedComparison(`family:${job.roleFamily}`, () => Job.find({ roleFamily: job.roleFamily }).distinct("_id"))
+    : []
+  return {
+    rubric: describeRubric(analysis.rubric),
+    job: await compare([job._id], `job:${job._id}`),
+    roleFamily: familyJobIds.length
+      ? { name: job.roleFamily, ...(await compare(familyJobIds, `family:${job.roleFamily}`)) }
+      : null,
+  }
+}
+
+/**
+ * A job's candidates ranked by overall score. Scores from different rubric versions are never
+ * ranked together: without rubric filters, the version of the newest interview is used, and
+ * `rubrics` lists the versions available.
+ */
+const getJobLeaderboard = async (job, filters = {}, { limit = LEADERBOARD_DEFAULT_LIMIT } = {}) => {
+  const scored = await loadScoredInterviews([job._id], filters)
+  const rubrics = [...groupByRubric(scored).values()].map((entries) => ({
+    ...describeRubric(entries[0].analysis.rubric),
+    count: entries.length,
+  }))
+
+  const matching = scored.filter((entry) => matchesRubricFilters(entry.analysis, filters))
+  const rubricKey = matching.length ? getRubricKey(matching[0].analysis.rubric) : null
+  const entries = matching
+    .filter((entry) => getRubricKey(entry.analysis.rubric) === rubricKey)
+    .sort((a, b) => b.analysis.overallScore - a.analysis.overallScore)
+
+  const status = getBenchmarkStatus(entries.length)
+  const overallScores = entries.map((entry) => entry.analysis.overallScore)
+
+  // Equal scores share a rank: 1, 2, 2, 4
+  let rank = 0
+  const ranked = entries.slice(0, limit).map(({ interview, analysis }, index) => {
+    if (index === 0 || analysis.overallScore < entries[index - 1].analysis.overallScore) rank = index + 1
+    return {
+      rank,
+      roomId: interview.roomId,
+      applicantEmail: interview.applicantEmail,
+      applicantId: interview.applicantId,
+      startedAt: interview.startedAt,
+      overallScore: analysis.overallScore,
+      percentile: status === "ranked" ? percentileRank(overallScores, analysis.overallScore) : null,
+      benchmarkStatus: status,
+      competencies: analysis.competencies.map((competency) => ({
+        key: competency.key,
+        name: competency.name,
+        score: competency.score,
+      })),
+      integrity: getInterviewIntegrity(interview),
+    }
+  })
+
+  return {
+    job: describeJob(job),
+    rubric: rubricKey ? describeRubric(entries[0].analysis.rubric) : null,
+    rubrics,
+    status,
+    sampleSize: entries.length,
+    minSample: BENCHMARK_MIN_SAMPLE,
+    entries: ranked,
+  }
+}
+
+module.exports = {
+  BenchmarkError,
+  parseBenchmarkFilters,
+  parseLeaderboardLimit,
+  getJobBenchmarks,
+  getRoleFamilyBenchmarks,
+  getInterviewBenchmark,
+  getJobLeaderboard,
+}
@@ -0,0 +1,98 @@
+const CallLog = require("../models/CallLog")
+
+// Persists one CallLog per voice session. Every write is best-effort:
+// a database hiccup must never take down a live call.
+class CallLogRecorder {
+  constructor() {
+    this.callLogId = null
+    this.pending = Promise.resolve()
+    this.startTime = null
+    this.turnCount = 0
+    this.ended = false
+  }
+
+  // Chain writes so turns land in order and after the document exists
+  enqueue(label, operation) {
+    this.pending = this.pending.then(operation).catch((error) => {
+      console.error(`❌ [CALL-LOG] ${label} failed: ${error.message}`)
+    })
+    return this.pending
+  }
+
+  start({ streamSid, agentConfig, didNumber }) {
+    this.startTime = new Date()
+
+    return this.enqueue("create", async () => {
+      const callLog = await CallLog.create({
+        streamSid,
+        tenantId: agentConfig.tenantId,
+        agentId: agentConfig.agentId,
+        agentName: agentConfig.agentName,
+        didNumber,
+        startTime: this.startTime,
+      })
+      this.callLogId = callLog._id
+      console.log(`🗂️ [CALL-LOG] Created ${callLog._id} for stream ${streamSid}`)
+    })
+  }
+
+  // Turns are mutable while in flight; they are written once via finishTurn
+  createTurn(userText, sttMs) {
+    return {
+      index: this.turnCount++,
+      userText,
+      assistantText: "",
+      heardText: null,
+      interrupted: false,
+      startedAt: new Date(),
+      latency: { sttMs },
+      isFinished: false,
+    }
+  }
+
+  finishTurn(turn) {
+    if (!turn || turn.isFinished) return this.pending
+    turn.isFinished = true
+
+    const { isFinished, ...entry } = turn
+    return this.enqueue("turn", async () => {
+      if (!this.callLogId) return
+      const update = { $push: { turns: entry }, $set: { updatedAt: new Date() } }
+      if (entry.interrupted) update.$inc = { interruptionCount: 1 }
+      await CallLog.updateOne({ _id: this.callLogId }, update)
+    })
+  }
+
+  // Interruptions outside a user turn (e.g. over the greeting)
+  recordInterruption() {
+    return this.enqueue("interruption", async () => {
+      if (!this.callLogId) return
+      await CallLog.updateOne({ _id: this.callLogId }, { $inc: { interruptionCount: 1 } })
+    })
+  }
+
+  end(endReason) {
+    if (this.ended || !this.startTime) return this.pending
+    this.ended = true
+
+    const endTime = new Date()
+    return this.enqueue("end", async () => {
+      if (!this.callLogId) return
+      await CallLog.updateOne(
+        { _id: this.callLogId },
+        {
+          $set: {
+            endTime,
+            durationMs: endTime - this.startTime,
+            status: "completed",
+            endReason,
+            updatedAt: endTime,
+          },
+        },
+      )
+      console.log(`🗂️ [CALL-LOG] Closed ${this.callLogId} (${endReason}, ${endTime - this.startTime}ms)`)
+    })
+  }
+}
+
+module.exports = { CallLogRecorder }
@@ -8,7 +8,7 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-const sendEmail = async ({ to, subject, text, interviewLink }) => {
+const sendEmail = async ({ to, subject, text, interviewLink, icalEvent }) => {
     try {
       const transporter = nodemailer.createTransport({
         service: 'gmail',
@@ -24,6 +24,11 @@ const sendEmail = async ({ to, subject, text, interviewLink }) => {
         subject,
         text: `${text}\n\nInterview Link: ${interviewLink}`,
       };
+
+      // { method, content } of an .ics invite; sent as a text/calendar part calendar clients act on
+      if (icalEvent) {
+        mailOptions.icalEvent = { filename: 'invite.ics', ...icalEvent };
+      }
   
       await transporter.sendMail(mailOptions);
     } catch (error) {
@@ -0,0 +1,179 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const Interview = require("../models/Interview")
+const Job = require("../models/Job")
+const JobApplication = require("../models/JobApplication")
+const { JWT_SECRET } = require("../auth/config")
+const { getJoinDeadline } = require("./interviewSessionService")
+const { getInterviewLink } = require("./interviewInviteService")
+
+/**
+ * Who may touch an interview.
+ *
+ * Candidates hold a signed join token from their invite link, bound to the room, the applicant
+ * and the interview's joinToken.version. Redeeming it at /join yields a session token for the
+ * interview itself. A single-use link can be redeemed once; reusable links also work directly.
+ * Recruiters use normal auth and must own the interview's job.
+ */
+
+const TOKEN_SECRET = process.env.INTERVIEW_TOKEN_SECRET || JWT_SECRET
+const JOIN_TOKEN = "interview_join"
+const SESSION_TOKEN = "interview_session"
+
+// Links for interviews without a slot time, and the margin after a session for finishing analysis
+const UNSCHEDULED_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000
+const SESSION_MARGIN_MS = 60 * 60 * 1000
+
+class InterviewAccessError extends Error {
+  constructor(message, { code, statusCode = 401 } = {}) {
+    super(message)
+    this.name = "InterviewAccessError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+const getSessionLengthMs = (interview) => interview.settings.timeLimitMinutes * 60 * 1000 + SESSION_MARGIN_MS
+
+const signToken = (interview, type, expiresAt, extra = {}) =>
+  jwt.sign(
+    {
+      typ: type,
+      roomId: interview.roomId,
+      sub: String(interview.applicantId),
+      ver: interview.joinToken.version,
+      jti: crypto.randomBytes(8).toString("hex"),
+      ...extra,
+    },
+    TOKEN_SECRET,
+    { expiresIn: Math.max(60, Math.floor((expiresAt - Date.now()) / 1000)) },
+  )
+
+// A join link stays valid until the join window closes plus the length of the interview
+const issueJoinToken = (interview, now = new Date()) => {
+  const joinDeadline = getJoinDeadline(interview)
+  const expiresAt = joinDeadline
+    ? joinDeadline.getTime() + getSessionLengthMs(interview)
+    : now.getTime() + UNSCHEDULED_LINK_TTL_MS
+  return signToken(interview, JOIN_TOKEN, expiresAt, { su: interview.joinToken.singleUse })
+}
+
+const issueSessionToken = (interview, now = new Date()) =>
+  signToken(interview, SESSION_TOKEN, now.getTime() + getSessionLengthMs(interview))
+
+const buildJoinLink = (interview) => getInterviewLink(interview.roomId, issueJoinToken(interview))
+
+const decodeToken = (token) => {
+  if (!token) throw new InterviewAccessError("Interview token is required", { code: "TOKEN_REQUIRED" })
+  try {
+    return jwt.verify(token, TOKEN_SECRET)
+  } catch (error) {
+    const expired = error.name === "TokenExpiredError"
+    throw new InterviewAccessError(expired ? "Interview link has expired" : "Interview token is invalid", {
+      code: expired ? "TOKEN_EXPIRED" : "TOKEN_INVALID",
+    })
+  }
+}
+
+// The token still matches the interview: same applicant and a version that has not been revoked
+const assertTokenMatches = (payload, interview) => {
+  if (!interview) throw new InterviewAccessError("Interview not found", { code: "INTERVIEW_NOT_FOUND", statusCode: 404 })
+  if (payload.sub !== String(interview.applicantId) || payload.ver !== interview.joinToken.version) {
+    throw new InterviewAccessError("Interview link is no longer valid", { code: "TOKEN_REVOKED" })
+  }
+}
+
+/**
+ * Validate a token presented on a candidate endpoint. Session tokens and reusable join links
+ * are accepted; single-use links must be redeemed first. Resolves to { payload, interview }.
+ */
+const authorizeInterviewToken = async (token, { roomId } = {}) => {
+  const payload = decodeToken(token)
+  if (payload.typ !== SESSION_TOKEN && !(payload.typ === JOIN_TOKEN && !payload.su)) {
+    throw new InterviewAccessError("Redeem the interview link before using it", { code: "TOKEN_NOT_REDEEMED" })
+  }
+  if (roomId && roomId !== payload.roomId) {
+    throw new InterviewAccessError("Token is for a different interview", { code: "TOKEN_ROOM_MISMATCH", statusCode: 403 })
+  }
+
+  const interview = await Interview.findOne({ roomId: payload.roomId })
+  assertTokenMatches(payload, interview)
+  return { payload, interview }
+}
+
+/**
+ * Exchange a join link token for a session token. A single-use link is marked redeemed
+ * atomically, so two browsers opening the same link cannot both get in.
+ */
+const redeemJoinToken = async (token, now = new Date()) => {
+  const payload = decodeToken(token)
+  if (payload.typ !== JOIN_TOKEN) {
+    throw new InterviewAccessError("Not an interview link token", { code: "TOKEN_INVALID" })
+  }
+
+  let interview = await Interview.findOne({ roomId: payload.roomId })
+  assertTokenMatches(payload, interview)
+
+  if (interview.joinToken.singleUse) {
+    interview = await Interview.findOneAndUpdate(
+      { _id: interview._id, "joinToken.version": payload.ver, "joinToken.redeemedAt": null },
+      { $set: { "joinToken.redeemedAt": now } },
+      { new: true },
+    )
+    if (!interview) {
+      throw new InterviewAccessError("Interview link has already been used", { code: "TOKEN_ALREADY_USED" })
+    }
+  }
+
+  console.log(`🔑 [INTERVIEW] Join link redeemed for ${interview.roomId}`)
+  return { interview, sessionToken: issueSessionToken(interview, now) }
+}
+
+// Revoke every link and session for the interview; resolves to the updated document
+const revokeJoinTokens = (interview) =>
+  Interview.findOneAndUpdate(
+    { _id: interview._id },
+    { $inc: { "joinToken.version": 1 }, $set: { "joinToken.redeemedAt": null } },
+    { new: true },
+  )
+
+const isAdmin = (user) => user?.role === "admin"
+
+const isJobOwner = (user, job) => !!user && (isAdmin(user) || !!job?.recruiter?.equals(user._id))
+
+/**
+ * Whether `user` may manage the interview: admins, or the recruiter who owns its job.
+ * Interviews stored before job/recruiter were recorded are resolved through their application.
+ */
+const canManageInterview = async (user, interview) => {
+  if (!user || !interview) return false
+  if (isAdmin(user)) return true
+  if (interview.recruiter) return interview.recruiter.equals(user._id)
+
+  const application = await JobApplication.findOne({ interviewRoomId: interview.roomId }).populate("job", "recruiter")
+  return isJobOwner(user, application?.job)
+}
+
+// Interview query restricting a listing to what `user` may manage; empty for admins
+const getManagedInterviewFilter = async (user) => {
+  if (isAdmin(user)) return {}
+
+  const jobIds = await Job.find({ recruiter: user._id }).distinct("_id")
+  const legacyRoomIds = await JobApplication.find({ job: { $in: jobIds }, interviewRoomId: { $ne: null } }).distinct(
+    "interviewRoomId",
+  )
+  return { $or: [{ recruiter: user._id }, { recruiter: null, roomId: { $in: legacyRoomIds } }] }
+}
+
+module.exports = {
+  InterviewAccessError,
+  issueJoinToken,
+  issueSessionToken,
+  buildJoinLink,
+  authorizeInterviewToken,
+  redeemJoinToken,
+  revokeJoinTokens,
+  isJobOwner,
+  canManageInterview,
+  getManagedInterviewFilter,
+}
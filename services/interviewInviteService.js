@@ -0,0 +1,213 @@
+const Interview = require("../models/Interview")
+const { sendEmail } = require("./emailService")
+const { buildCalendarEvent } = require("../utils/ics")
+const { isValidTimeZone, parseLocalDateTime, toLocalDateTimeStrings, formatDateTime } = require("../utils/timeZone")
+
+// Zone assumed for requests without one and for interviews stored before time zones existed
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_INTERVIEW_TIMEZONE || "UTC"
+
+// ISO 8601 with an explicit offset; without one, Date would guess the server's zone
+const ISO_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/
+
+// Candidate-facing room URL; `token` is a signed join token (see services/interviewAccessService)
+const getInterviewLink = (roomId, token) =>
+  `https://www.airuter.com/interview/${roomId}${token ? `?token=${encodeURIComponent(token)}` : ""}`
+
+class InterviewScheduleError extends Error {
+  constructor(message, { code, statusCode = 400 } = {}) {
+    super(message)
+    this.name = "InterviewScheduleError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Slot fields for an Interview from a scheduling request: either startAt (ISO 8601 with an
+ * offset) or date ("2026-10-20") + time ("14:30") as wall-clock time in timeZone.
+ * `current` supplies the zone and duration to keep when the request leaves them out.
+ */
+const resolveInterviewSlot = (body, current = {}) => {
+  const timeZone = body.timeZone || current.timeZone || DEFAULT_TIME_ZONE
+  if (!isValidTimeZone(timeZone)) {
+    throw new InterviewScheduleError(`Unknown time zone "${timeZone}"`, { code: "INVALID_TIME_ZONE" })
+  }
+  const candidateTimeZone = body.candidateTimeZone || current.candidateTimeZone || null
+  if (candidateTimeZone && !isValidTimeZone(candidateTimeZone)) {
+    throw new InterviewScheduleError(`Unknown time zone "${candidateTimeZone}"`, { code: "INVALID_TIME_ZONE" })
+  }
+
+  let scheduledAt
+  if (body.startAt) {
+    scheduledAt = ISO_WITH_OFFSET.test(body.startAt) ? new Date(body.startAt) : null
+    if (!scheduledAt || Number.isNaN(scheduledAt.getTime())) {
+      throw new InterviewScheduleError("startAt must be an ISO 8601 date-time with a time zone offset", {
+        code: "INVALID_START",
+      })
+    }
+  } else {
+    scheduledAt = parseLocalDateTime(body.date, body.time, timeZone)
+    if (!scheduledAt) {
+      throw new InterviewScheduleError("date must be YYYY-MM-DD and time HH:mm", { code: "INVALID_START" })
+    }
+  }
+
+  const durationMinutes = Number(body.durationMinutes ?? current.durationMinutes ?? 30)
+  if (!Number.isFinite(durationMinutes) || durationMinutes < 5 || durationMinutes > 480) {
+    throw new InterviewScheduleError("durationMinutes must be between 5 and 480", { code: "INVALID_DURATION" })
+  }
+
+  return {
+    scheduledAt,
+    durationMinutes,
+    timeZone,
+    candidateTimeZone,
+    ...toLocalDateTimeStrings(scheduledAt, timeZone),
+  }
+}
+
+// What the emails call the interview: AI interviews are mock interviews, live ones are with a recruiter
+const INTERVIEW_NAMES = {
+  ai: { title: "Mock Interview", noun: "mock interview" },
+  live: { title: "Live Interview", noun: "live video interview" },
+}
+
+const INVITE_COPY = {
+  scheduled: {
+    method: "REQUEST",
+    subject: (name) => `${name.title} Invitation`,
+    intro: (jobTitle, name) => `You have been invited for a ${name.noun} for the position of ${jobTitle}.`,
+  },
+  rescheduled: {
+    method: "REQUEST",
+    subject: (name) => `${name.title} Rescheduled`,
+    intro: (jobTitle, name) => `Your ${name.noun} for ${jobTitle} has been rescheduled.`,
+  },
+  // Reminders carry no .ics; the calendar event from the invite is still current
+  reminder: {
+    method: null,
+    subject: (name) => `${name.title} Reminder`,
+    intro: (jobTitle, name) => `Reminder: your ${name.noun} for ${jobTitle} is coming up.`,
+  },
+  cancelled: {
+    method: "CANCEL",
+    subject: (name) => `${name.title} Cancelled`,
+    intro: (jobTitle, name) => `Your ${name.noun} for ${jobTitle} has been cancelled.`,
+  },
+}
+
+const getInterviewName = (interview) => INTERVIEW_NAMES[interview.mode] || INTERVIEW_NAMES.ai
+
+// Email body with the slot shown in the candidate's zone, and the scheduling zone too when it differs
+const buildInviteText = (interview, { kind, interviewLink, reason }) => {
+  const copy = INVITE_COPY[kind]
+  const locale = interview.settings?.language || "en"
+  const recipientZone = interview.candidateTimeZone || interview.timeZone
+  const lines = [copy.intro(interview.jobTitle, getInterviewName(interview)), ""]
+
+  lines.push(`When: ${formatDateTime(interview.scheduledAt, recipientZone, locale)}`)
+  if (recipientZone !== interview.timeZone) {
+    lines.push(`Scheduled as: ${formatDateTime(interview.scheduledAt, interview.timeZone, locale)}`)
+  }
+  lines.push(`Duration: ${interview.durationMinutes} minutes`)
+  if (reason) lines.push("", `Reason: ${reason}`)
+  if (kind !== "cancelled") lines.push("", `Join link: ${interviewLink}`)
+  return lines.join("\n")
+}
+
+const buildInviteEvent = (interview, { kind, interviewLink, applicantName }) => {
+  const copy = INVITE_COPY[kind]
+  return {
+    method: copy.method,
+    content: buildCalendarEvent({
+      method: copy.method,
+      uid: `interview-${interview.roomId}@airuter.com`,
+      sequence: interview.calendarSequence,
+      start: interview.scheduledAt,
+      end: new Date(interview.scheduledAt.getTime() + interview.durationMinutes * 60 * 1000),
+      summary: `Interview: ${interview.jobTitle}`,
+      description: `${copy.intro(interview.jobTitle, getInterviewName(interview))}\n\nJoin link: ${interviewLink}`,
+      location: interviewLink,
+      url: interviewLink,
+      organizer: process.env.EMAIL_USER ? { name: "Airuter", email: process.env.EMAIL_USER } : null,
+      attendee: { name: applicantName, email: interview.applicantEmail },
+    }),
+  }
+}
+
+/**
+ * Email the candidate about a scheduled, rescheduled or cancelled interview with a matching
+ * .ics REQUEST or CANCEL, or remind them of it. Callers bump interview.calendarSequence before
+ * re-sending for a known interview, so calendar clients replace the earlier event.
+ */
+const sendInterviewInvite = async (interview, { kind, interviewLink, applicantName, reason }) => {
+  const copy = INVITE_COPY[kind]
+  if (!copy) throw new Error(`Unknown invite kind "${kind}"`)
+  const name = getInterviewName(interview)
+
+  // Interviews whose legacy date strings could not be migrated get a plain email
+  if (!interview.scheduledAt) {
+    return sendEmail({
+      to: interview.applicantEmail,
+      subject: copy.subject(name),
+      text: `${copy.intro(interview.jobTitle, name)} Date: ${interview.date} at ${interview.time}.`,
+      interviewLink,
+    })
+  }
+
+  await sendEmail({
+    to: interview.applicantEmail,
+    subject: copy.subject(name),
+    text: buildInviteText(interview, { kind, interviewLink, reason }),
+    interviewLink,
+    icalEvent: copy.method
+      ? buildInviteEvent(interview, { kind, interviewLink, applicantName })
+      : undefined,
+  })
+  console.log(`📅 [INVITE] Sent ${kind} invite (sequence ${interview.calendarSequence}) for ${interview.roomId}`)
+}
+
+/**
+ * Fill scheduledAt for interviews stored with only free-form date/time strings, reading them
+ * as wall-clock time in DEFAULT_INTERVIEW_TIMEZONE. Unparseable ones are left for a human.
+ */
+const migrateLegacyInterviewTimes = async ({ timeZone = DEFAULT_TIME_ZONE } = {}) => {
+  const result = { scanned: 0, migrated: 0, failed: 0 }
+  const cursor = Interview.find({ scheduledAt: null }).select("roomId date time settings").cursor()
+
+  for await (const interview of cursor) {
+    result.scanned += 1
+    const scheduledAt = parseLocalDateTime(interview.date, interview.time, timeZone)
+    if (!scheduledAt) {
+      result.failed += 1
+      console.warn(`⚠️ [INVITE] Could not read "${interview.date} ${interview.time}" for ${interview.roomId}`)
+      continue
+    }
+
+    const { modifiedCount } = await Interview.updateOne(
+      { _id: interview._id, scheduledAt: null },
+      {
+        $set: {
+          scheduledAt,
+          timeZone,
+          durationMinutes: interview.settings?.timeLimitMinutes || 30,
+        },
+      },
+    )
+    result.migrated += modifiedCount
+  }
+
+  if (result.scanned) {
+    console.log(`📅 [INVITE] Migrated ${result.migrated}/${result.scanned} legacy interview times (${result.failed} unreadable)`)
+  }
+  return result
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  InterviewScheduleError,
+  getInterviewLink,
+  resolveInterviewSlot,
+  sendInterviewInvite,
+  migrateLegacyInterviewTimes,
+}
@@ -0,0 +1,200 @@
+const Interview = require("../models/Interview")
+const {
+  InterviewStateError,
+  ANSWER_GRACE_MS,
+  JOINABLE_PHASES,
+  getJoinDeadline,
+  closeJoinableInterview,
+  completeInterview,
+} = require("./interviewSessionService")
+const { sendInterviewInvite, getInterviewLink } = require("./interviewInviteService")
+const { buildJoinLink } = require("./interviewAccessService")
+
+/**
+ * Background upkeep for scheduled interviews: reminder emails before the slot, no-shows once
+ * the join window closes, and interviews abandoned mid-way after their deadline.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+// "24h,1h" or "1440,60" -> [1440, 60] minutes, largest first; bare numbers are minutes
+const parseReminderOffsets = (value) =>
+  String(value || "24h,1h")
+    .split(",")
+    .map((entry) => {
+      const match = /^\s*(\d+(?:\.\d+)?)\s*([hm]?)\s*$/i.exec(entry)
+      if (!match) return null
+      return Math.round(Number(match[1]) * (match[2].toLowerCase() === "h" ? 60 : 1))
+    })
+    .filter((minutes) => minutes > 0)
+    .sort((a, b) => b - a)
+
+const REMINDER_OFFSETS_MINUTES = parseReminderOffsets(process.env.INTERVIEW_REMINDER_OFFSETS)
+
+/**
+ * Email one reminder per interview whose slot is within a reminder offset. When several
+ * offsets are due at once (an interview booked at short notice) only one email goes out and
+ * all of them are recorded, so the candidate is not reminded twice in a row.
+ */
+const sendDueReminders = async (now = new Date()) => {
+  if (!REMINDER_OFFSETS_MINUTES.length) return 0
+
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS_MINUTES[0] * 60 * 1000)
+  const cursor = Interview.find({
+    phase: { $in: JOINABLE_PHASES },
+    scheduledAt: { $gt: now, $lte: horizon },
+  }).cursor()
+
+  let sent = 0
+  for await (const interview of cursor) {
+    const handled = interview.remindersSent.map((reminder) => reminder.offsetMinutes)
+    const minutesLeft = (interview.scheduledAt.getTime() - now.getTime()) / 60000
+    const due = REMINDER_OFFSETS_MINUTES.filter((offset) => offset >= minutesLeft && !handled.includes(offset))
+    if (!due.length) continue
+
+    // Claim the reminder first so a second server instance cannot send it too
+    const claimed = await Interview.findOneAndUpdate(
+      {
+        _id: interview._id,
+        phase: { $in: JOINABLE_PHASES },
+        scheduledAt: interview.scheduledAt,
+        "remindersSent.offsetMinutes": { $nin: due },
+      },
+      {
+        $set: { phase: "reminded" },
+        $push: { remindersSent: { $each: due.map((offsetMinutes) => ({ offsetMinutes, sentAt: now })) } },
+      },
+      { new: true },
+    )
+    if (!claimed) continue
+
+    try {
+      await sendInterviewInvite(claimed, { kind: "reminder", interviewLink: buildJoinLink(claimed) })
+      sent += 1
+    } catch (error) {
+      console.error(`❌ [LIFECYCLE] Reminder for ${claimed.roomId} failed: ${error.message}`)
+    }
+  }
+  return sent
+}
+
+// Interviews nobody joined before the join window closed
+const markNoShows = async (now = new Date()) => {
+  const cursor = Interview.find({ phase: { $in: JOINABLE_PHASES }, scheduledAt: { $lte: now } }).cursor()
+
+  let missed = 0
+  for await (const interview of cursor) {
+    if (getJoinDeadline(interview) > now) continue
+    if (await closeJoinableInterview(interview, "missed", { now })) {
+      missed += 1
+      console.log(`🚫 [LIFECYCLE] ${interview.roomId} marked as a no-show`)
+    }
+  }
+  return missed
+}
+
+/**
+ * Interviews still in progress after their deadline, usually because the browser was closed.
+ * Stored answers are analyzed as usual; with none, the interview is marked expired.
+ */
+const closeAbandonedInterviews = async (now = new Date()) => {
+  const cursor = Interview.find({
+    phase: "in_progress",
+    deadlineAt: { $lte: new Date(now.getTime() - ANSWER_GRACE_MS) },
+  }).cursor()
+
+  let closed = 0
+  for await (const interview of cursor) {
+    try {
+      if (interview.getAnsweredQuestions().length) {
+        await completeInterview(interview, { now })
+      } else {
+        const expired = await Interview.findOneAndUpdate(
+          { _id: interview._id, phase: "in_progress" },
+          { $set: { phase: "expired", closedAt: now } },
+        )
+        if (!expired) continue
+        console.log(`⌛ [LIFECYCLE] ${interview.roomId} expired without answers`)
+      }
+      closed += 1
+    } catch (error) {
+      if (error instanceof InterviewStateError) continue
+      console.error(`❌ [LIFECYCLE] Closing ${interview.roomId} failed: ${error.message}`)
+    }
+  }
+  return closed
+}
+
+/**
+ * Cancel an interview that has not started and email the candidate a calendar CANCEL.
+ * Resolves to the cancelled document.
+ */
+const cancelInterview = async (interview, { reason, cancelledBy, applicantName, now = new Date() }) => {
+  const cancelled = await closeJoinableInterview(interview, "cancelled", {
+    now,
+    set: { cancellation: { reason, cancelledBy } },
+    // Also revokes the candidate's join link
+    inc: { calendarSequence: 1, "joinToken.version": 1 },
+  })
+  if (!cancelled) {
+    const current = await Interview.findById(interview._id)
+    const message =
+      current?.phase === "cancelled"
+        ? "Interview is already cancelled"
+        : "Only interviews that have not started can be cancelled"
+    throw new InterviewStateError(message, { code: "INTERVIEW_NOT_CANCELLABLE" })
+  }
+
+  console.log(`🛑 [LIFECYCLE] ${cancelled.roomId} cancelled: ${reason}`)
+  await sendInterviewInvite(cancelled, {
+    kind: "cancelled",
+    interviewLink: getInterviewLink(cancelled.roomId),
+    applicantName,
+    reason,
+  })
+  return cancelled
+}
+
+let schedulerTimer = null
+let sweepRunning = false
+
+const runLifecycleSweep = async (now = new Date()) => {
+  if (sweepRunning) return
+  sweepRunning = true
+  try {
+    await sendDueReminders(now)
+    await markNoShows(now)
+    await closeAbandonedInterviews(now)
+  } catch (error) {
+    console.error(`❌ [LIFECYCLE] Sweep failed: ${error.message}`)
+  } finally {
+    sweepRunning = false
+  }
+}
+
+const startInterviewScheduler = () => {
+  if (schedulerTimer) return schedulerTimer
+
+  console.log(`⏰ [LIFECYCLE] Reminders at ${REMINDER_OFFSETS_MINUTES.join(", ")} minutes before interviews`)
+  runLifecycleSweep()
+  schedulerTimer = setInterval(runLifecycleSweep, SWEEP_INTERVAL_MS)
+  schedulerTimer.unref()
+  return schedulerTimer
+}
+
+const stopInterviewScheduler = () => {
+  clearInterval(schedulerTimer)
+  schedulerTimer = null
+}
+
+module.exports = {
+  REMINDER_OFFSETS_MINUTES,
+  parseReminderOffsets,
+  sendDueReminders,
+  markNoShows,
+  closeAbandonedInterviews,
+  cancelInterview,
+  runLifecycleSweep,
+  startInterviewScheduler,
+  stopInterviewScheduler,
+}
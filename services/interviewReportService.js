@@ -0,0 +1,387 @@
+const PDFDocument = require("pdfkit")
+const User = require("../models/User")
+const { REPORT_LABELS, REPORT_LANGUAGES } = require("../config/reportLabels")
+const { REPORT_FONT_SCRIPTS, resolveScriptFont } = require("../config/reportFonts")
+const { SCORE_MAX } = require("../config/rubrics")
+const { toRubricAnalysis } = require("./rubricService")
+const { getProctoringTimeline } = require("./proctoringService")
+const { formatDateTime } = require("../utils/timeZone")
+
+/**
+ * Downloadable PDF report of an analyzed interview.
+ *
+ * The recruiter copy adds notes the candidate must not see: the integrity score with its
+ * flagged moments, quotes the server could not verify, and citation statistics. The report
+ * is assembled as plain data first (buildReportData) and then drawn (renderReportPdf).
+ */
+
+const REPORT_AUDIENCES = ["recruiter", "candidate"]
+
+const COLORS = {
+  text: "#111827",
+  muted: "#6b7280",
+  accent: "#2563eb",
+  track: "#e5e7eb",
+  warning: "#b45309",
+}
+
+class ReportError extends Error {
+  constructor(message, { code, statusCode = 400 } = {}) {
+    super(message)
+    this.name = "ReportError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+// Requested language, else the interview's own, else English
+const resolveReportLanguage = (requested, interview) =>
+  [requested, interview.analysis?.language, interview.settings?.language].find((language) =>
+    REPORT_LANGUAGES.includes(language),
+  ) || "en"
+
+const formatOffset = (seconds) => {
+  const minutes = Math.floor(seconds / 60)
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`
+}
+
+// Findings of one type; the candidate copy leaves out quotes the server could not verify
+const toReportFindings = (findings = [], type, audience) =>
+  findings
+    .filter((finding) => finding.type === type)
+    .map((finding) => ({
+      point: finding.point,
+      quote: finding.verified || audience === "recruiter" ? finding.quote : null,
+      answerNumber: finding.questionIndex === null || finding.questionIndex === undefined ? null : finding.questionIndex + 1,
+      verified: !!finding.verified,
+    }))
+
+/**
+ * Everything the PDF shows, resolved to display strings in `language`.
+ * `applicant` is { name, email }; `proctoring` is the recruiter timeline, if any.
+ */
+const buildReportData = (interview, { audience = "recruiter", language = "en", applicant = {}, proctoring = null, now = new Date() } = {}) => {
+  const labels = REPORT_LABELS[language]
+  const analysis = toRubricAnalysis(interview.analysis) || {}
+  const recruiter = audience === "recruiter"
+  const when = interview.scheduledAt || interview.startedAt
+  const zone = interview.candidateTimeZone || interview.timeZone || "UTC"
+
+  const fields = [
+    [labels.position, interview.jobTitle],
+    [labels.candidate, applicant.name || interview.applicantEmail],
+    recruiter && [labels.email, applicant.email || interview.applicantEmail],
+    when && [labels.date, formatDateTime(when, zone, labels.locale)],
+    [labels.interviewType, labels.interviewTypes[interview.mode || "ai"]],
+    analysis.rubric?.name && [labels.rubric, analysis.rubric.name],
+  ].filter(Boolean)
+
+  const transcript = interview.questions.map((question) => ({
+    label: labels.questionRef(question.index + 1),
+    question: question.text,
+    answer: question.answeredAt && !question.timedOut ? question.answer : null,
+  }))
+
+  let recruiterNotes = null
+  if (recruiter) {
+    const integrity = proctoring?.integrity
+    recruiterNotes = {
+      integrity: integrity ? `${integrity.score}/100 (${labels.integrityLevels[integrity.level]})` : labels.notMonitored,
+      moments: (proctoring?.moments || []).map((moment) =>
+        [
+          moment.offsetSeconds === null ? null : formatOffset(moment.offsetSeconds),
+          labels.proctoringEvents[moment.type] || moment.type,
+          moment.durationSeconds ? labels.lasting(moment.durationSeconds) : null,
+        ]
+          .filter(Boolean)
+          .join("  "),
+      ),
+      citations: analysis.citations?.total ? labels.citations(analysis.citations.verified, analysis.citations.total) : null,
+    }
+  }
+
+  return {
+    language,
+    audience,
+    labels,
+    title: labels.title,
+    copyLabel: recruiter ? labels.recruiterCopy : labels.candidateCopy,
+    fields,
+    fallback: analysis.status === "fallback",
+    overallScore: analysis.overallScore ?? null,
+    competencies: (analysis.competencies || []).map((competency) => ({
+      name: competency.name || competency.key,
+      score: competency.score ?? null,
+      strengths: toReportFindings(competency.findings, "strength", audience),
+      improvements: toReportFindings(competency.findings, "improvement", audience),
+      // Analyses from before findings existed only have the joined text
+      strengthsText: competency.findings?.length ? null : competency.strengths,
+      improvementsText: competency.findings?.length ? null : competency.areasOfImprovement,
+    })),
+    focusAreas: analysis.focusAreas || [],
+    transcript,
+    recordingUrl: interview.screenRecordingUrl || null,
+    recruiterNotes,
+    generatedAt: formatDateTime(now, zone, labels.locale),
+  }
+}
+
+// Scripts a report uses, judged from all of its text
+const getReportScripts = (report) => {
+  const text = JSON.stringify(report)
+  return Object.keys(REPORT_FONT_SCRIPTS).filter((script) => {
+    const { pattern } = REPORT_FONT_SCRIPTS[script]
+    return !pattern || pattern.test(text)
+  })
+}
+
+// Font per script for this report; fails when a script in the text has no font installed
+const resolveReportFonts = (report) =>
+  getReportScripts(report).reduce((fonts, script) => {
+    const font = resolveScriptFont(script)
+    if (!font) {
+      throw new ReportError(
+        `No font for ${script} text in the report. Install fonts-noto-core or set ${REPORT_FONT_SCRIPTS[script].env} to a font file.`,
+        { code: "REPORT_FONT_MISSING", statusCode: 503 },
+      )
+    }
+    fonts[script] = font
+    return fonts
+  }, {})
+
+// Split text into runs of one script each; spaces, digits and punctuation stay with the run they are in
+const splitByScript = (text, scripts) => {
+  const runs = []
+  for (const char of text) {
+    const script = scripts.find((name) => REPORT_FONT_SCRIPTS[name].pattern?.test(char))
+    const last = runs[runs.length - 1]
+    if (!script && last) last.text += char
+    else if (last && last.script === (script || "latin")) last.text += char
+    else runs.push({ script: script || "latin", text: char })
+  }
+  return runs
+}
+
+/**
+ * Draw the report. Resolves to the PDF as a Buffer.
+ */
+const renderReportPdf = (report) =>
+  new Promise((resolve, reject) => {
+    const fonts = resolveReportFonts(report)
+    const scripts = Object.keys(fonts)
+    const labels = report.labels
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      bufferPages: true,
+      info: { Title: `${report.title}: ${report.fields[0]?.[1] || ""}` },
+    })
+
+    const chunks = []
+    doc.on("data", (chunk) => chunks.push(chunk))
+    doc.on("end", () => resolve(Buffer.concat(chunks)))
+    doc.on("error", reject)
+
+    for (const [script, font] of Object.entries(fonts)) {
+      if (font.standard) continue
+      doc.registerFont(`${script}-regular`, font.regular)
+      doc.registerFont(`${script}-bold`, font.bold)
+    }
+    const fontFor = (script, bold) => {
+      const font = fonts[script] || fonts.latin
+      if (font.standard) return bold ? font.bold : font.regular
+      return `${fonts[script] ? script : "latin"}-${bold ? "bold" : "regular"}`
+    }
+
+    const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+
+    // Write text in as many font runs as it has scripts; the last run keeps the caller's
+    // `continued`, so a label can still be followed by its value on the same line
+    const write = (text, { bold = false, size = 10, color = COLORS.text, continued = false, ...options } = {}) => {
+      const runs = splitByScript(String(text ?? ""), scripts)
+      doc.fontSize(size).fillColor(color)
+      if (!runs.length) return doc.text("", { ...options, continued })
+      runs.forEach((run, index) => {
+        doc.font(fontFor(run.script, bold)).text(run.text, { ...options, continued: index < runs.length - 1 || continued })
+      })
+    }
+
+    const ensureSpace = (height) => {
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage()
+    }
+
+    const heading = (text) => {
+      ensureSpace(40)
+      doc.moveDown(0.8)
+      write(text, { bold: true, size: 13, color: COLORS.accent })
+      doc.moveDown(0.3)
+    }
+
+    // Header
+    write(report.title, { bold: true, size: 20 })
+    write(report.copyLabel, { size: 10, color: COLORS.muted })
+    doc.moveDown(0.8)
+    for (const [label, value] of report.fields) {
+      write(`${label}: `, { bold: true, continued: true })
+      write(value)
+    }
+
+    // Scores and chart
+    heading(labels.competencyScores)
+    if (report.fallback) {
+      write(labels.fallbackNotice, { color: COLORS.warning })
+    } else {
+      if (report.overallScore !== null) {
+        write(`${labels.overallScore}: ${report.overallScore}/${SCORE_MAX}`, { bold: true, size: 12 })
+        doc.moveDown(0.4)
+      }
+      const labelWidth = 170
+      const barWidth = contentWidth - labelWidth - 60
+      for (const competency of report.competencies) {
+        ensureSpace(22)
+        const y = doc.y
+        write(competency.name, { width: labelWidth - 10, height: 14, ellipsis: true, lineBreak: false })
+        const barX = doc.page.margins.left + labelWidth
+        doc.rect(barX, y + 1, barWidth, 10).fill(COLORS.track)
+        if (competency.score !== null) {
+          doc.rect(barX, y + 1, (barWidth * competency.score) / SCORE_MAX, 10).fill(COLORS.accent)
+        }
+        doc.x = doc.page.margins.left
+        doc.y = y
+        write(competency.score === null ? labels.notScored : `${competency.score}/${SCORE_MAX}`, {
+          align: "right",
+          width: contentWidth,
+          color: competency.score === null ? COLORS.muted : COLORS.text,
+        })
+        doc.x = doc.page.margins.left
+        doc.y = y + 20
+      }
+    }
+
+    // Feedback per competency
+    const writeFindings = (title, findings, fallbackText) => {
+      if (!findings.length && !fallbackText) return
+      write(title, { bold: true })
+      if (fallbackText) write(fallbackText, { indent: 10 })
+      for (const finding of findings) {
+        ensureSpace(30)
+        write(`• ${finding.point}`, { indent: 10 })
+        if (!finding.quote) continue
+        const source = finding.answerNumber ? ` (${labels.answerRef(finding.answerNumber)})` : ""
+        const unverified = finding.verified ? "" : ` [${labels.unverifiedQuote}]`
+        write(`"${finding.quote}"${source}${unverified}`, {
+          indent: 22,
+          size: 9,
+          color: finding.verified ? COLORS.muted : COLORS.warning,
+        })
+      }
+      doc.moveDown(0.3)
+    }
+
+    if (!report.fallback) {
+      for (const competency of report.competencies) {
+        const hasFeedback =
+          competency.strengths.length ||
+          competency.improvements.length ||
+          competency.strengthsText ||
+          competency.improvementsText
+        if (!hasFeedback) continue
+        heading(competency.name)
+        writeFindings(labels.strengths, competency.strengths, competency.strengthsText)
+        writeFindings(labels.areasOfImprovement, competency.improvements, competency.improvementsText)
+      }
+    }
+
+    if (report.focusAreas.length) {
+      heading(labels.focusAreas)
+      report.focusAreas.forEach((area, index) => write(`${index + 1}. ${area}`, { indent: 10 }))
+    }
+
+    heading(labels.transcript)
+    for (const entry of report.transcript) {
+      ensureSpace(40)
+      write(`${entry.label}. ${entry.question}`, { bold: true })
+      write(entry.answer ?? labels.noAnswer, { indent: 10, color: entry.answer ? COLORS.text : COLORS.muted })
+      doc.moveDown(0.5)
+    }
+
+    heading(labels.recording)
+    if (report.recordingUrl) {
+      doc.font(fontFor("latin", false)).fontSize(10).fillColor(COLORS.accent)
+      doc.text(report.recordingUrl, { link: report.recordingUrl, underline: true })
+    } else {
+      write(labels.noRecording, { color: COLORS.muted })
+    }
+
+    if (report.recruiterNotes) {
+      heading(labels.recruiterNotes)
+      write(`${labels.integrity}: `, { bold: true, continued: true })
+      write(report.recruiterNotes.integrity)
+      if (report.recruiterNotes.moments.length) {
+        doc.moveDown(0.3)
+        write(labels.flaggedMoments, { bold: true })
+        report.recruiterNotes.moments.forEach((moment) => write(`• ${moment}`, { indent: 10 }))
+      }
+      if (report.recruiterNotes.citations) {
+        doc.moveDown(0.3)
+        write(report.recruiterNotes.citations, { color: COLORS.muted })
+      }
+    }
+
+    // Footer on every page; the bottom margin is lifted so the footer does not start a new page
+    const range = doc.bufferedPageRange()
+    for (let index = range.start; index < range.start + range.count; index += 1) {
+      doc.switchToPage(index)
+      const bottom = doc.page.margins.bottom
+      doc.page.margins.bottom = 0
+      doc.x = doc.page.margins.left
+      doc.y = doc.page.height - 35
+      write(`${labels.generated}: ${report.generatedAt}   ·   ${labels.page(index + 1, range.count)}`, {
+        size: 8,
+        color: COLORS.muted,
+        width: contentWidth,
+        align: "center",
+        lineBreak: false,
+      })
+      doc.page.margins.bottom = bottom
+    }
+
+    doc.end()
+  })
+
+/**
+ * PDF report for an analyzed interview. Resolves to { filename, buffer, language }.
+ */
+const generateInterviewReport = async (interview, { audience = "recruiter", language } = {}) => {
+  if (!REPORT_AUDIENCES.includes(audience)) {
+    throw new ReportError(`audience must be one of ${REPORT_AUDIENCES.join(", ")}`, { code: "INVALID_AUDIENCE" })
+  }
+  if (language && !REPORT_LANGUAGES.includes(language)) {
+    throw new ReportError(`Reports are available in ${REPORT_LANGUAGES.join(", ")}`, { code: "INVALID_LANGUAGE" })
+  }
+  if (!interview.analysis?.analyzedAt) {
+    throw new ReportError("Interview has not been analyzed yet", { code: "REPORT_NOT_READY", statusCode: 409 })
+  }
+
+  const reportLanguage = resolveReportLanguage(language, interview)
+  const applicant = await User.findById(interview.applicantId).select("name email").lean()
+  const proctoring = audience === "recruiter" ? await getProctoringTimeline(interview) : null
+
+  const report = buildReportData(interview, { audience, language: reportLanguage, applicant: applicant || {}, proctoring })
+  const buffer = await renderReportPdf(report)
+  console.log(`📄 [REPORT] ${audience} report (${reportLanguage}) for ${interview.roomId}: ${buffer.length} bytes`)
+
+  return {
+    filename: `interview-report-${interview.roomId}-${audience}-${reportLanguage}.pdf`,
+    buffer,
+    language: reportLanguage,
+  }
+}
+
+module.exports = {
+  REPORT_AUDIENCES,
+  ReportError,
+  buildReportData,
+  renderReportPdf,
+  generateInterviewReport,
+}
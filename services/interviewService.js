@@ -0,0 +1,266 @@
+const OpenAIService = require("./nvidiaService")
+const { getCategoryLabel, getDifficultyLabel } = require("../config/interviewTemplates")
+const { getInterviewLocale } = require("../config/locales")
+const { isDefaultRubric, clampScore, computeOverallScore, toLegacyScores } = require("./rubricService")
+const { containsQuote } = require("../utils/quoteMatch")
+
+const QUESTION_TIMEOUT_MS = 6000
+
+const getFallbackQuestion = (language, questionNumber) => {
+  const { fallbackQuestions } = getInterviewLocale(language)
+  return fallbackQuestions[questionNumber - 1] || fallbackQuestions[fallbackQuestions.length - 1]
+}
+
+/**
+ * Generate one follow-up question from the candidate's latest answers.
+ * previousQA is [{ question, answer }]; only the last two are sent to keep the prompt short.
+ * category and difficulty come from the interview template slot being filled.
+ * Falls back to a canned question when generation fails, so it never throws.
+ */
+const generateAdaptiveQuestion = async ({
+  previousQA = [],
+  document = "",
+  questionNumber,
+  category = "technical_depth",
+  difficulty = "medium",
+  language = "en",
+}) => {
+  try {
+    const locale = getInterviewLocale(language)
+
+    const previousContext = previousQA
+      .slice(-2)
+      .map((qa) => `Q: ${qa.question}\nA: ${qa.answer}`)
+      .join("\n\n")
+
+    const prompt = locale.questionPrompt
+      .replace("{previousContext}", previousContext)
+      .replace("{document}", document.substring(0, 500) + "...")
+      .replace("{questionType}", getCategoryLabel(category, language))
+      .replace("{difficulty}", getDifficultyLabel(difficulty, language))
+
+    console.log(`[Generate Adaptive Question] Using ${locale.language} prompt`)
+
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), QUESTION_TIMEOUT_MS)
+
+    try {
+      const aiResponse = await OpenAIService.generateText(prompt, {
+        signal: controller.signal,
+        max_tokens: 150, // Indian scripts need more tokens than English
+      })
+
+      let question = aiResponse.trim()
+      question = question.replace(/^["']|["']$/g, "")
+      question = question.replace(new RegExp(`^(Question|${locale.questionLabel})\\s*:\\s*`, "iu"), "")
+
+      if (!locale.questionEndings.some((ending) => question.endsWith(ending))) {
+        question += locale.questionMark
+      }
+
+      console.log("[Generate Adaptive Question] Generated question:", question)
+      return question
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  } catch (error) {
+    console.error("[Generate Adaptive Question] Error:", error)
+    return getFallbackQuestion(language, questionNumber)
+  }
+}
+
+// Rubric as plain text for the analysis prompt
+const formatRubric = (rubric, locale) =>
+  rubric.competencies
+    .map((competency) => {
+      const lines = [
+        `- ${competency.key} (${competency.name}, ${locale.rubricLabels.weight} ${competency.weight})` +
+          (competency.description ? `: ${competency.description}` : ""),
+      ]
+      if (competency.anchors?.length) {
+        const anchors = competency.anchors.map((anchor) => `${anchor.score} = ${anchor.description}`).join("; ")
+        lines.push(`  ${locale.rubricLabels.anchors}: ${anchors}`)
+      }
+      return lines.join("\n")
+    })
+    .join("\n")
+
+// Rubric fields plus the weighted overall score; default-rubric analyses also carry the legacy fields
+const finishAnalysis = (rubric, competencies, focusAreas, { status = "scored", fallbackReason = null } = {}) => {
+  const findings = competencies.flatMap((competency) => competency.findings)
+  return {
+    status,
+    fallbackReason,
+    rubric: { rubricId: rubric.rubricId || null, name: rubric.name, version: rubric.version },
+    competencies,
+    overallScore: computeOverallScore(competencies),
+    ...(isDefaultRubric(rubric) ? toLegacyScores(competencies) : {}),
+    focusAreas,
+    citations: { total: findings.length, verified: findings.filter((finding) => finding.verified).length },
+  }
+}
+
+/**
+ * Placeholder saved when the model call fails or its reply cannot be used. It has no scores
+ * and status "fallback", so clients can tell it apart from a real analysis.
+ */
+const buildDefaultAnalysis = (rubric, language = "en", reason = "model_error") => {
+  const competencies = rubric.competencies.map((competency) => ({
+    key: competency.key,
+    name: competency.name,
+    weight: competency.weight,
+    score: null,
+    findings: [],
+    evidence: [],
+  }))
+  return finishAnalysis(rubric, competencies, [], { status: "fallback", fallbackReason: reason })
+}
+
+// Answers as the model sees them: [Q<index>] matches the questionIndex it must cite
+const formatInterviewData = (answers, locale) => {
+  const { question, response } = locale.interviewDataLabels
+  return answers
+    .map((entry) => `[Q${entry.index}] ${question}: ${entry.question}\n${response}: ${entry.answer}`)
+    .join("\n\n")
+}
+
+/**
+ * Check a finding's quote against the stored answers. A quote found in a different answer
+ * than the one cited (models often count questions from 1) is re-pointed at that answer
+ * when exactly one answer contains it.
+ */
+const verifyFinding = (finding, answers) => {
+  if (!finding.quote) return finding
+  const cited = answers.find((entry) => entry.index === finding.questionIndex)
+  if (cited && containsQuote(cited.answer, finding.quote)) return { ...finding, verified: true }
+
+  const matches = answers.filter((entry) => containsQuote(entry.answer, finding.quote))
+  if (matches.length === 1) return { ...finding, questionIndex: matches[0].index, verified: true }
+  return finding
+}
+
+// Model feedback items for one side (strengths or improvements); a bare string is one uncited point
+const parseFindings = (items, type, answers) =>
+  (Array.isArray(items) ? items : [items])
+    .map((item) => (typeof item === "string" ? { point: item } : item))
+    .filter((item) => item && typeof item.point === "string" && item.point.trim())
+    .slice(0, 5)
+    .map((item) => {
+      const questionIndex = Number(item.questionIndex)
+      return verifyFinding(
+        {
+          type,
+          point: item.point.trim(),
+          questionIndex: Number.isInteger(questionIndex) ? questionIndex : null,
+          quote: typeof item.quote === "string" && item.quote.trim() ? item.quote.trim() : null,
+          verified: false,
+        },
+        answers,
+      )
+    })
+
+// Findings of one type as a paragraph, for clients reading strengths/areasOfImprovement
+const joinFindings = (findings, type) =>
+  findings
+    .filter((finding) => finding.type === type)
+    .map((finding) => finding.point)
+    .join(" ")
+
+/**
+ * Parse the model's JSON into one entry per rubric competency, verifying every quote against
+ * the stored answers. Competencies the model skipped get no score; a reply that scores none
+ * of them is unusable and throws.
+ */
+const parseAnalysis = (aiResponse, rubric, answers) => {
+  const jsonMatch = aiResponse.match(/\{[\s\S]*\}/s)
+  if (!jsonMatch) {
+    console.error("No valid JSON found in response:", aiResponse)
+    throw new Error("No valid JSON object found")
+  }
+
+  const parsedAnalysis = JSON.parse(jsonMatch[0])
+  if (!Array.isArray(parsedAnalysis.competencies)) {
+    throw new Error("Invalid analysis structure")
+  }
+
+  const competencies = rubric.competencies.map((competency) => {
+    const scored = parsedAnalysis.competencies.find((entry) => entry?.key === competency.key) || {}
+    const score = Number(scored.score)
+    const findings = [
+      ...parseFindings(scored.strengths, "strength", answers),
+      ...parseFindings(scored.areasOfImprovement, "improvement", answers),
+    ]
+    return {
+      key: competency.key,
+      name: competency.name,
+      weight: competency.weight,
+      score: scored.score !== undefined && scored.score !== null && Number.isFinite(score) ? clampScore(score) : null,
+      findings,
+      evidence: findings.filter((finding) => finding.verified).map((finding) => finding.quote),
+      strengths: joinFindings(findings, "strength"),
+      areasOfImprovement: joinFindings(findings, "improvement"),
+    }
+  })
+  if (competencies.every((competency) => competency.score === null)) {
+    throw new Error("No competency was scored")
+  }
+
+  const focusAreas = Array.isArray(parsedAnalysis.focusAreas)
+    ? parsedAnalysis.focusAreas.filter((area) => typeof area === "string" && area.trim())
+    : []
+  return finishAnalysis(rubric, competencies, focusAreas)
+}
+
+/**
+ * Score answered questions, given as [{ index, question, answer }], against a rubric
+ * (see services/rubricService.getInterviewRubric).
+ * An unusable model reply yields a fallback analysis; a failed model call throws.
+ */
+const buildInterviewAnalysis = async ({ answers, rubric, language = "en" }) => {
+  const locale = getInterviewLocale(language)
+
+  const analysisPrompt = locale.analysisPrompt
+    .replace("{rubric}", formatRubric(rubric, locale))
+    .replace("{interviewData}", formatInterviewData(answers, locale))
+
+  console.log(`[Analyze Responses] Using ${locale.language} analysis prompt with rubric "${rubric.name}"`)
+  const aiResponse = await OpenAIService.generateText(analysisPrompt)
+
+  try {
+    const analysis = parseAnalysis(aiResponse, rubric, answers)
+    console.log(`[Analyze Responses] ${analysis.citations.verified}/${analysis.citations.total} quotes verified`)
+    return analysis
+  } catch (parseError) {
+    console.error("Parsing error:", parseError)
+    console.error("Problematic response:", aiResponse)
+    return buildDefaultAnalysis(rubric, language, "unparseable")
+  }
+}
+
+const saveInterviewAnalysis = async (interview, analysis, language = "en", { rerunBy = null } = {}) => {
+  interview.analysis = {
+    status: analysis.status,
+    fallbackReason: analysis.fallbackReason,
+    rubric: analysis.rubric,
+    competencies: analysis.competencies,
+    overallScore: analysis.overallScore,
+    overallScores: analysis.overallScores,
+    feedback: analysis.feedback,
+    focusAreas: analysis.focusAreas,
+    citations: analysis.citations,
+    runs: (interview.analysis?.runs || 0) + 1,
+    rerunBy,
+    analyzedAt: new Date(),
+    language,
+  }
+  await interview.save()
+  return interview
+}
+
+module.exports = {
+  getFallbackQuestion,
+  generateAdaptiveQuestion,
+  buildDefaultAnalysis,
+  buildInterviewAnalysis,
+  saveInterviewAnalysis,
+}
@@ -0,0 +1,431 @@
+const Interview = require("../models/Interview")
+const InterviewResponse = require("../models/InterviewResponse")
+const {
+  generateAdaptiveQuestion,
+  buildDefaultAnalysis,
+  buildInterviewAnalysis,
+  saveInterviewAnalysis,
+} = require("./interviewService")
+const { getTemplateSlot } = require("./interviewTemplateService")
+const { getInterviewRubric, toRubricAnalysis } = require("./rubricService")
+
+/**
+ * Server-side interview state machine.
+ *
+ *   scheduled --remind--> reminded
+ *   scheduled/reminded --start--> in_progress --complete/deadline--> analyzing --> completed
+ *   scheduled/reminded --join window passed--> missed
+ *   scheduled/reminded --cancel--> cancelled
+ *   in_progress --abandoned without answers--> expired
+ *
+ * The Interview document is the only source of question history: questions are
+ * generated and stored here, answers are accepted only for the pending question
+ * and within its time limit, and analysis reads stored answers only. Every
+ * transition is a conditional update, so two tabs or a replayed request cannot
+ * skip, repeat or reorder questions.
+ */
+
+// Allowance for network latency on top of the per-question limit
+const ANSWER_GRACE_MS = 5000
+
+// How long after the slot starts the candidate may still join
+const JOIN_GRACE_MINUTES = Number(process.env.INTERVIEW_JOIN_GRACE_MINUTES) || 30
+
+// Phases from which the candidate can still start the interview
+const JOINABLE_PHASES = ["scheduled", "reminded"]
+
+class InterviewStateError extends Error {
+  constructor(message, { code, statusCode = 409 } = {}) {
+    super(message)
+    this.name = "InterviewStateError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+const getAnswerDeadline = (interview, question) =>
+  new Date(
+    question.askedAt.getTime() + (question.timeLimitSeconds || interview.settings.answerTimeLimitSeconds) * 1000,
+  )
+
+const isPastDeadline = (interview, now = new Date()) => !!interview.deadlineAt && interview.deadlineAt <= now
+
+// Last moment the join link works; null for interviews stored without a slot time
+const getJoinDeadline = (interview) =>
+  interview.scheduledAt ? new Date(interview.scheduledAt.getTime() + JOIN_GRACE_MINUTES * 60 * 1000) : null
+
+const CLOSED_PHASE_ERRORS = {
+  cancelled: ["Interview was cancelled", "INTERVIEW_CANCELLED"],
+  missed: ["Interview link has expired", "INTERVIEW_LINK_EXPIRED"],
+  expired: ["Interview link has expired", "INTERVIEW_LINK_EXPIRED"],
+}
+
+// Live interviews happen on 100ms video; the AI question flow does not apply to them
+const assertAiInterview = (interview) => {
+  if (interview.mode === "live") {
+    throw new InterviewStateError("This is a live interview; join it on video", { code: "LIVE_INTERVIEW" })
+  }
+}
+
+const assertNotClosed = (interview) => {
+  const closed = CLOSED_PHASE_ERRORS[interview.phase]
+  if (closed) throw new InterviewStateError(closed[0], { code: closed[1], statusCode: 410 })
+}
+
+/**
+ * Move a joinable interview to `phase` (missed or cancelled) unless it started in the meantime.
+ * Resolves to the updated document, or null when it was no longer joinable.
+ */
+const closeJoinableInterview = (interview, phase, { now = new Date(), set = {}, inc } = {}) =>
+  Interview.findOneAndUpdate(
+    { _id: interview._id, phase: { $in: JOINABLE_PHASES } },
+    { $set: { phase, closedAt: now, ...set }, ...(inc ? { $inc: inc } : {}) },
+    { new: true },
+  )
+
+// Re-read after a conditional update lost a race
+const reload = async (interview) => {
+  const fresh = await Interview.findById(interview._id)
+  if (!fresh) throw new InterviewStateError("Interview not found", { code: "INTERVIEW_NOT_FOUND", statusCode: 404 })
+  return fresh
+}
+
+/**
+ * Move a scheduled interview to in_progress and start its clock.
+ * Starting an interview that is already running is a no-op, so reconnects are safe.
+ * Joining after the join window marks the interview missed.
+ */
+const startInterview = async (interview, { language, now = new Date() } = {}) => {
+  assertAiInterview(interview)
+  if (interview.phase === "in_progress") return interview
+  assertNotClosed(interview)
+  if (!JOINABLE_PHASES.includes(interview.phase)) {
+    throw new InterviewStateError("Interview has already finished", { code: "INTERVIEW_FINISHED" })
+  }
+
+  const joinDeadline = getJoinDeadline(interview)
+  if (joinDeadline && joinDeadline <= now) {
+    await closeJoinableInterview(interview, "missed", { now })
+    throw new InterviewStateError("Interview link has expired", { code: "INTERVIEW_LINK_EXPIRED", statusCode: 410 })
+  }
+
+  const update = {
+    phase: "in_progress",
+    startedAt: now,
+    deadlineAt: new Date(now.getTime() + interview.settings.timeLimitMinutes * 60 * 1000),
+  }
+  if (language) update["settings.language"] = language
+
+  const started = await Interview.findOneAndUpdate(
+    { _id: interview._id, phase: { $in: JOINABLE_PHASES } },
+    { $set: update },
+    { new: true },
+  )
+  if (started) {
+    console.log(`▶️ [INTERVIEW] ${interview.roomId} started; deadline ${started.deadlineAt.toISOString()}`)
+    return started
+  }
+  return startInterview(await reload(interview), { now })
+}
+
+// Close the pending question when its answer window has passed; returns the current document
+const closeTimedOutQuestion = async (interview, now = new Date()) => {
+  const pending = interview.getPendingQuestion()
+  if (!pending || getAnswerDeadline(interview, pending).getTime() + ANSWER_GRACE_MS > now.getTime()) {
+    return interview
+  }
+
+  const path = `questions.${pending.index}`
+  const closed = await Interview.findOneAndUpdate(
+    { _id: interview._id, [`${path}.answeredAt`]: null, [`${path}.timedOut`]: false },
+    { $set: { [`${path}.timedOut`]: true } },
+    { new: true },
+  )
+  console.log(`⏱️ [INTERVIEW] ${interview.roomId} question ${pending.index} timed out`)
+  return closed || reload(interview)
+}
+
+const assertInProgress = (interview) => {
+  assertAiInterview(interview)
+  assertNotClosed(interview)
+  if (JOINABLE_PHASES.includes(interview.phase)) {
+    throw new InterviewStateError("Interview has not started", { code: "INTERVIEW_NOT_STARTED" })
+  }
+  if (interview.phase !== "in_progress") {
+    throw new InterviewStateError("Interview has already finished", { code: "INTERVIEW_FINISHED" })
+  }
+}
+
+/**
+ * The question the candidate should answer now, generating and storing the next one when needed.
+ * Starts a scheduled interview. Resolves to { interview, question }, where question is null once
+ * the configured number of questions or the time limit is used up; the caller should then complete.
+ */
+const getNextQuestion = async (interview, { language, now = new Date() } = {}) => {
+  if (JOINABLE_PHASES.includes(interview.phase)) interview = await startInterview(interview, { language, now })
+  assertInProgress(interview)
+
+  if (isPastDeadline(interview, now)) return { interview, question: null }
+
+  interview = await closeTimedOutQuestion(interview, now)
+  const pending = interview.getPendingQuestion()
+  if (pending) return { interview, question: pending }
+
+  const index = interview.questions.length
+  const slot = getTemplateSlot(interview, index)
+  if (index >= interview.settings.questionCount || !slot) return { interview, question: null }
+
+  // Fixed slots are asked verbatim; adaptive slots are generated from the answers so far
+  const previousQA = interview
+    .getAnsweredQuestions()
+    .map((question) => ({ question: question.text, answer: question.answer }))
+  const text =
+    slot.kind === "fixed"
+      ? slot.text
+      : await generateAdaptiveQuestion({
+          previousQA,
+          document: interview.document,
+          questionNumber: index + 1, // 1-based, like the fallback question list
+          category: slot.category,
+          difficulty: slot.difficulty || interview.template?.difficulty,
+          language: interview.settings.language,
+        })
+
+  // Only append if nobody else asked question `index` while we were generating it
+  const updated = await Interview.findOneAndUpdate(
+    { _id: interview._id, phase: "in_progress", questions: { $size: index } },
+    {
+      $push: {
+        questions: {
+          index,
+          text,
+          kind: slot.kind,
+          category: slot.category,
+          timeLimitSeconds: slot.timeLimitSeconds,
+          askedAt: new Date(),
+        },
+      },
+    },
+    { new: true },
+  )
+  if (!updated) {
+    const fresh = await reload(interview)
+    return { interview: fresh, question: fresh.phase === "in_progress" ? fresh.getPendingQuestion() : null }
+  }
+
+  console.log(`❓ [INTERVIEW] ${interview.roomId} asked question ${index + 1}/${interview.settings.questionCount}`)
+  return { interview: updated, question: updated.questions[index] }
+}
+
+/**
+ * Record the answer to the pending question.
+ * questionIndex (or questionText) must name the pending question; anything else is out of order.
+ */
+const submitAnswer = async (interview, { questionIndex, questionText, answer, now = new Date() }) => {
+  assertInProgress(interview)
+
+  if (isPastDeadline(interview, now)) {
+    throw new InterviewStateError("Interview time limit has passed", { code: "INTERVIEW_TIME_EXPIRED", statusCode: 410 })
+  }
+
+  const pending = interview.getPendingQuestion()
+  if (!pending) {
+    throw new InterviewStateError("No question is awaiting an answer", { code: "NO_PENDING_QUESTION" })
+  }
+  const namesPending =
+    questionIndex !== undefined && questionIndex !== null
+      ? Number(questionIndex) === pending.index
+      : questionText === undefined || questionText === pending.text
+  if (!namesPending) {
+    throw new InterviewStateError(`Answer is for the wrong question; question ${pending.index} is pending`, {
+      code: "OUT_OF_ORDER",
+    })
+  }
+
+  const text = typeof answer === "string" ? answer.trim() : ""
+  if (!text) {
+    throw new InterviewStateError("Answer is required", { code: "ANSWER_REQUIRED", statusCode: 400 })
+  }
+
+  if (getAnswerDeadline(interview, pending).getTime() + ANSWER_GRACE_MS <= now.getTime()) {
+    await closeTimedOutQuestion(interview, now)
+    throw new InterviewStateError("Time for this question has run out", { code: "ANSWER_TIME_EXPIRED" })
+  }
+
+  const path = `questions.${pending.index}`
+  const updated = await Interview.findOneAndUpdate(
+    { _id: interview._id, phase: "in_progress", [`${path}.answeredAt`]: null, [`${path}.timedOut`]: false },
+    { $set: { [`${path}.answer`]: text, [`${path}.answeredAt`]: now } },
+    { new: true },
+  )
+  if (!updated) {
+    throw new InterviewStateError("Question was already answered", { code: "ALREADY_ANSWERED" })
+  }
+
+  // Kept for readers of the per-room response collection
+  await InterviewResponse.updateOne(
+    { roomId: interview.roomId, question: pending.text },
+    { $set: { response: text }, $setOnInsert: { createdAt: now } },
+    { upsert: true },
+  )
+
+  return { interview: updated, question: updated.questions[pending.index] }
+}
+
+// Score the stored answers; a failed model call gives a fallback analysis flagged as such
+const runAnalysis = async (interview) => {
+  const language = interview.settings.language
+  const rubric = getInterviewRubric(interview)
+  try {
+    return await buildInterviewAnalysis({
+      answers: interview.getAnsweredQuestions().map((question) => ({
+        index: question.index,
+        question: question.text,
+        answer: question.answer,
+      })),
+      rubric,
+      language,
+    })
+  } catch (error) {
+    console.error(`❌ [INTERVIEW] Analysis failed for ${interview.roomId}: ${error.message}`)
+    return buildDefaultAnalysis(rubric, language, "model_error")
+  }
+}
+
+/**
+ * Score the stored answers and close the interview. Safe to call more than once:
+ * a completed interview is returned as is.
+ */
+const completeInterview = async (interview, { now = new Date() } = {}) => {
+  if (interview.phase === "completed") {
+    return { interview, analysis: interview.analysis?.analyzedAt ? interview.analysis : null }
+  }
+  if (interview.phase === "analyzing") {
+    throw new InterviewStateError("Interview is already being analyzed", { code: "ANALYSIS_IN_PROGRESS" })
+  }
+  assertInProgress(interview)
+
+  const claimed = await Interview.findOneAndUpdate(
+    { _id: interview._id, phase: "in_progress" },
+    { $set: { phase: "analyzing" } },
+    { new: true },
+  )
+  if (!claimed) return completeInterview(await reload(interview), { now })
+
+  const answered = claimed.getAnsweredQuestions()
+  claimed.phase = "completed"
+  claimed.completedAt = now
+
+  try {
+    if (!answered.length) {
+      await claimed.save()
+      console.log(`✅ [INTERVIEW] ${claimed.roomId} completed without answers`)
+      return { interview: claimed, analysis: null }
+    }
+
+    const analysis = await runAnalysis(claimed)
+    await saveInterviewAnalysis(claimed, analysis, claimed.settings.language)
+    console.log(`✅ [INTERVIEW] ${claimed.roomId} completed with ${answered.length} answers`)
+    return { interview: claimed, analysis }
+  } catch (error) {
+    // Let a later attempt finish the job instead of leaving the interview stuck in analyzing
+    await Interview.updateOne({ _id: claimed._id, phase: "analyzing" }, { $set: { phase: "in_progress" } })
+    throw error
+  }
+}
+
+/**
+ * Run the analysis of a completed interview again, e.g. after a fallback. A fallback result
+ * never replaces a real analysis. Resolves to { interview, analysis, replaced }.
+ */
+const reanalyzeInterview = async (interview, { requestedBy = null } = {}) => {
+  assertAiInterview(interview)
+  if (interview.phase === "analyzing") {
+    throw new InterviewStateError("Interview is already being analyzed", { code: "ANALYSIS_IN_PROGRESS" })
+  }
+  if (interview.phase !== "completed") {
+    throw new InterviewStateError("Only completed interviews can be analyzed again", {
+      code: "INTERVIEW_NOT_COMPLETED",
+    })
+  }
+  if (!interview.getAnsweredQuestions().length) {
+    throw new InterviewStateError("Interview has no answers to analyze", { code: "NO_ANSWERS" })
+  }
+
+  const claimed = await Interview.findOneAndUpdate(
+    { _id: interview._id, phase: "completed" },
+    { $set: { phase: "analyzing" } },
+    { new: true },
+  )
+  if (!claimed) return reanalyzeInterview(await reload(interview), { requestedBy })
+
+  try {
+    const analysis = await runAnalysis(claimed)
+    const previous = toRubricAnalysis(claimed.analysis)
+    const hadScores = !!previous?.analyzedAt && previous.status !== "fallback"
+    const replaced = analysis.status !== "fallback" || !hadScores
+
+    claimed.phase = "completed"
+    if (replaced) {
+      await saveInterviewAnalysis(claimed, analysis, claimed.settings.language, { rerunBy: requestedBy })
+    } else {
+      await claimed.save()
+    }
+    console.log(`🔁 [INTERVIEW] ${claimed.roomId} re-analyzed (${analysis.status}${replaced ? "" : ", kept previous"})`)
+    return { interview: claimed, analysis, replaced }
+  } catch (error) {
+    await Interview.updateOne({ _id: claimed._id, phase: "analyzing" }, { $set: { phase: "completed" } })
+    throw error
+  }
+}
+
+// What a client may see about the session; answers stay server-side
+const buildInterviewState = (interview, now = new Date()) => {
+  const pending = interview.phase === "in_progress" ? interview.getPendingQuestion() : null
+  return {
+    roomId: interview.roomId,
+    mode: interview.mode,
+    phase: interview.phase,
+    language: interview.settings.language,
+    questionCount: interview.settings.questionCount,
+    answered: interview.getAnsweredQuestions().length,
+    questions: interview.questions.map((question) => ({
+      index: question.index,
+      text: question.text,
+      askedAt: question.askedAt,
+      answeredAt: question.answeredAt,
+      timedOut: question.timedOut,
+    })),
+    currentQuestion: pending
+      ? {
+          index: pending.index,
+          text: pending.text,
+          askedAt: pending.askedAt,
+          answerDeadlineAt: getAnswerDeadline(interview, pending),
+        }
+      : null,
+    startedAt: interview.startedAt,
+    deadlineAt: interview.deadlineAt,
+    remainingMs: interview.getRemainingMs(now),
+    completedAt: interview.completedAt,
+    scheduledAt: interview.scheduledAt,
+    joinDeadlineAt: getJoinDeadline(interview),
+    closedAt: interview.closedAt,
+  }
+}
+
+module.exports = {
+  InterviewStateError,
+  ANSWER_GRACE_MS,
+  JOINABLE_PHASES,
+  getAnswerDeadline,
+  isPastDeadline,
+  getJoinDeadline,
+  closeJoinableInterview,
+  startInterview,
+  getNextQuestion,
+  submitAnswer,
+  completeInterview,
+  reanalyzeInterview,
+  buildInterviewState,
+}
@@ -0,0 +1,93 @@
+const InterviewTemplate = require("../models/InterviewTemplate")
+const { DEFAULT_INTERVIEW_TEMPLATE, DEFAULT_ANSWER_TIME_LIMIT_SECONDS } = require("../config/interviewTemplates")
+
+class InterviewTemplateError extends Error {
+  constructor(message, { code, statusCode = 400 } = {}) {
+    super(message)
+    this.name = "InterviewTemplateError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+// Reasons a template cannot be approved yet; empty when it is ready
+const getTemplateProblems = (template) => {
+  const problems = []
+  if (!template.questions.length) problems.push("Template has no questions")
+  template.questions.forEach((question, index) => {
+    if (question.kind === "fixed" && !question.text?.trim()) {
+      problems.push(`Question ${index + 1} is fixed but has no text`)
+    }
+  })
+  if (template.questions[0]?.kind === "adaptive") {
+    problems.push("The first question must be fixed; adaptive questions build on earlier answers")
+  }
+  return problems
+}
+
+const DEFAULT_SNAPSHOT = {
+  name: DEFAULT_INTERVIEW_TEMPLATE.name,
+  difficulty: DEFAULT_INTERVIEW_TEMPLATE.difficulty,
+  slots: DEFAULT_INTERVIEW_TEMPLATE.questions.map((question) => ({
+    ...question,
+    difficulty: DEFAULT_INTERVIEW_TEMPLATE.difficulty,
+    timeLimitSeconds: DEFAULT_ANSWER_TIME_LIMIT_SECONDS,
+  })),
+}
+
+/**
+ * Template snapshot and session settings for a new Interview.
+ * Pass null for the built-in default template.
+ */
+const buildInterviewPlan = (template) => {
+  const snapshot = template ? template.toSnapshot() : DEFAULT_SNAPSHOT
+  const source = template || DEFAULT_INTERVIEW_TEMPLATE
+
+  return {
+    template: snapshot,
+    settings: {
+      questionCount: snapshot.slots.length,
+      timeLimitMinutes: source.timeLimitMinutes,
+      language: source.language,
+    },
+  }
+}
+
+/**
+ * Template to schedule an interview for `job` with: the requested one, or the job's
+ * newest approved template, or null for the default. A requested template must be
+ * approved and owned by the job's recruiter, and either generic or made for this job.
+ */
+const resolveScheduleTemplate = async ({ templateId, job }) => {
+  if (!templateId) {
+    return InterviewTemplate.findOne({ job: job._id, status: "approved" }).sort({ approvedAt: -1 })
+  }
+
+  const template = await InterviewTemplate.findById(templateId).catch(() => null)
+  if (!template || !template.recruiter.equals(job.recruiter)) {
+    throw new InterviewTemplateError("Interview template not found", { code: "TEMPLATE_NOT_FOUND", statusCode: 404 })
+  }
+  if (template.job && !template.job.equals(job._id)) {
+    throw new InterviewTemplateError("Interview template belongs to a different job", { code: "TEMPLATE_JOB_MISMATCH" })
+  }
+  if (template.status !== "approved") {
+    throw new InterviewTemplateError("Interview template must be approved before it is used", {
+      code: "TEMPLATE_NOT_APPROVED",
+    })
+  }
+  return template
+}
+
+// Slot for question `index`; interviews scheduled before templates use the default plan
+const getTemplateSlot = (interview, index) => {
+  const slots = interview.template?.slots?.length ? interview.template.slots : DEFAULT_SNAPSHOT.slots
+  return slots[index] || null
+}
+
+module.exports = {
+  InterviewTemplateError,
+  getTemplateProblems,
+  buildInterviewPlan,
+  resolveScheduleTemplate,
+  getTemplateSlot,
+}
@@ -0,0 +1,160 @@
+const Interview = require("../models/Interview")
+const { createRoom, issueAuthToken } = require("./100msService")
+const { InterviewStateError, JOINABLE_PHASES, getJoinDeadline } = require("./interviewSessionService")
+
+/**
+ * Live interviews: a recruiter interviews the candidate on 100ms video.
+ *
+ * Scheduling creates a 100ms room for the interview. Shortly before the slot, the recruiter
+ * and the candidate each ask for an auth token with their own role. 100ms webhooks report
+ * when a session opens and closes, which moves the interview to in_progress and completed;
+ * a reconnect after the close opens a new session and reopens the interview.
+ */
+
+// Roles as named in the 100ms template
+const LIVE_ROLES = {
+  interviewer: process.env.HMS_INTERVIEWER_ROLE || "host",
+  candidate: process.env.HMS_CANDIDATE_ROLE || "guest",
+}
+
+// Tokens are handed out from this long before the slot until this long after its planned end
+const EARLY_JOIN_MINUTES = 15
+const OVERRUN_MINUTES = 60
+
+// Create the 100ms room for a new live interview; resolves to the Interview.live fields
+const createLiveRoom = async ({ roomId, jobTitle }) => {
+  const room = await createRoom({
+    name: `interview-${roomId}`,
+    description: `Interview: ${jobTitle}`.slice(0, 100),
+  })
+  console.log(`🎥 [LIVE] Created 100ms room ${room.id} for ${roomId}`)
+  return { hmsRoomId: room.id, hmsTemplateId: room.template_id, sessions: [] }
+}
+
+// Why `participant` cannot join right now, or null when they can
+const getJoinRefusal = (interview, participant, now) => {
+  if (interview.mode !== "live" || !interview.live?.hmsRoomId) {
+    return ["Interview is not a live interview", "NOT_LIVE_INTERVIEW", 409]
+  }
+  if (interview.phase === "cancelled") return ["Interview was cancelled", "INTERVIEW_CANCELLED", 410]
+  if (![...JOINABLE_PHASES, "in_progress", "completed"].includes(interview.phase)) {
+    return ["Interview is closed", "INTERVIEW_FINISHED", 410]
+  }
+  if (!interview.scheduledAt) return null
+
+  const start = interview.scheduledAt.getTime()
+  if (now.getTime() < start - EARLY_JOIN_MINUTES * 60 * 1000) {
+    return [`The room opens ${EARLY_JOIN_MINUTES} minutes before the interview`, "ROOM_NOT_OPEN", 409]
+  }
+  if (now.getTime() > start + (interview.durationMinutes + OVERRUN_MINUTES) * 60 * 1000) {
+    return ["Interview is over", "INTERVIEW_FINISHED", 410]
+  }
+  // The candidate may not first show up after the join window; a reconnect is fine
+  const joinDeadline = getJoinDeadline(interview)
+  if (participant === "candidate" && JOINABLE_PHASES.includes(interview.phase) && joinDeadline <= now) {
+    return ["Interview link has expired", "INTERVIEW_LINK_EXPIRED", 410]
+  }
+  return null
+}
+
+/**
+ * Short-lived 100ms auth token for the interviewer or the candidate of a live interview.
+ * Resolves to { token, expiresAt, role, hmsRoomId }.
+ */
+const issueLiveToken = (interview, { participant, userId, now = new Date() }) => {
+  const role = LIVE_ROLES[participant]
+  if (!role) throw new Error(`Unknown live interview participant "${participant}"`)
+
+  const refusal = getJoinRefusal(interview, participant, now)
+  if (refusal) {
+    const [message, code, statusCode] = refusal
+    throw new InterviewStateError(message, { code, statusCode })
+  }
+
+  const { token, expiresAt } = issueAuthToken({ roomId: interview.live.hmsRoomId, userId, role })
+  console.log(`🎥 [LIVE] Issued ${participant} token for ${interview.roomId}`)
+  return { token, expiresAt, role, hmsRoomId: interview.live.hmsRoomId }
+}
+
+const parseTime = (value, fallback) => {
+  const date = value ? new Date(value) : null
+  return date && !Number.isNaN(date.getTime()) ? date : fallback
+}
+
+// A session opened in the interview's room: record it and mark the interview in progress
+const recordSessionOpen = async (interview, { sessionId, startedAt }) => {
+  const { modifiedCount } = await Interview.updateOne(
+    { _id: interview._id, "live.sessions.sessionId": { $ne: sessionId } },
+    { $push: { "live.sessions": { sessionId, startedAt } } },
+  )
+  // Already known: a repeated webhook, or the open arriving after the close
+  if (!modifiedCount) return
+
+  // Reopens an interview completed by an earlier session's close, for reconnects, and one the
+  // no-show sweep marked missed before this webhook arrived
+  const started = await Interview.findOneAndUpdate(
+    { _id: interview._id, phase: { $in: [...JOINABLE_PHASES, "missed", "completed"] } },
+    { $set: { phase: "in_progress", completedAt: null, closedAt: null, startedAt: interview.startedAt || startedAt } },
+    { new: true },
+  )
+  if (started) console.log(`▶️ [LIVE] ${interview.roomId} session ${sessionId} started`)
+}
+
+// A session closed: record its end and complete the interview unless another session is still open
+const recordSessionClose = async (interview, { sessionId, startedAt, endedAt }) => {
+  const closed = await Interview.findOneAndUpdate(
+    { _id: interview._id, "live.sessions.sessionId": sessionId },
+    { $set: { "live.sessions.$.endedAt": endedAt } },
+    { new: true },
+  )
+  // The close arrived before the open (webhooks are not ordered); store the whole session
+  const updated =
+    closed ||
+    (await Interview.findOneAndUpdate(
+      { _id: interview._id, "live.sessions.sessionId": { $ne: sessionId } },
+      { $push: { "live.sessions": { sessionId, startedAt, endedAt } } },
+      { new: true },
+    ))
+  if (!updated || updated.live.sessions.some((session) => !session.endedAt)) return
+
+  // Missed when the close is the first event seen after the join window closed
+  const completed = await Interview.findOneAndUpdate(
+    { _id: interview._id, phase: { $in: ["in_progress", "missed"] } },
+    { $set: { phase: "completed", completedAt: endedAt, closedAt: null, startedAt: interview.startedAt || startedAt } },
+  )
+  if (completed) console.log(`⏹️ [LIVE] ${interview.roomId} session ${sessionId} ended`)
+}
+
+const SESSION_EVENT_HANDLERS = {
+  "session.open.success": recordSessionOpen,
+  "session.close.success": recordSessionClose,
+}
+
+/**
+ * Apply one 100ms webhook event. Only session open/close events for rooms we created are
+ * used; everything else is acknowledged and ignored. Safe to receive the same event twice.
+ * Resolves to true when the event was applied.
+ */
+const handleHmsWebhook = async (event) => {
+  const handler = SESSION_EVENT_HANDLERS[event?.type]
+  const data = event?.data || {}
+  if (!handler || !data.room_id || !data.session_id) return false
+
+  const interview = await Interview.findOne({ "live.hmsRoomId": data.room_id })
+  if (!interview) return false
+
+  const receivedAt = parseTime(event.timestamp, new Date())
+  await handler(interview, {
+    sessionId: data.session_id,
+    startedAt: parseTime(data.session_started_at, receivedAt),
+    endedAt: parseTime(data.session_stopped_at, receivedAt),
+  })
+  return true
+}
+
+module.exports = {
+  LIVE_ROLES,
+  createLiveRoom,
+  issueLiveToken,
+  handleHmsWebhook,
+}
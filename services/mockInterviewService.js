@@ -0,0 +1,628 @@
+const { v4: uuidv4 } = require("uuid")
+const Interview = require("../models/Interview")
+const Candidate = require("../models/Candidate")
+const Partner = require("../models/Partner")
+const MockInterviewUsage = require("../models/MockInterviewUsage")
+const {
+  MOCK_INTERVIEW_QUOTAS,
+  MAX_ROLE_LENGTH,
+  MAX_SKILLS,
+  MAX_SKILL_LENGTH,
+  PROGRESS_MAX_ATTEMPTS,
+  TREND_SLOPE_THRESHOLD,
+  PARTNER_STATS_MAX_ATTEMPTS,
+} = require("../config/mockInterviews")
+const { QUESTION_DIFFICULTIES } = require("../config/interviewTemplates")
+const { INTERVIEW_LANGUAGES } = require("../config/locales")
+const { buildInterviewPlan } = require("./interviewTemplateService")
+const { DEFAULT_RUBRIC_SNAPSHOT, toRubricAnalysis } = require("./rubricService")
+const { resolveInterviewSlot } = require("./interviewInviteService")
+const { issueSessionToken } = require("./interviewAccessService")
+const { JOINABLE_PHASES, getJoinDeadline } = require("./interviewSessionService")
+
+/**
+ * Self-serve mock interviews.
+ *
+ * A mock interview is an ordinary AI interview flagged isMock, started by the candidate for a
+ * role or skill set instead of being scheduled from a JobApplication. It has no job or
+ * recruiter, always uses the default template and rubric (so attempts are comparable over
+ * time), and is run through the usual candidate endpoints with the session token issued here.
+ *
+ * The one taking it is either a partner-enrolled Candidate or a job seeker's User; either way
+ * the interview's applicantId is a User id. Each may start a monthly quota of mock interviews,
+ * set by the enrolling partner's partnership type or the partner's own override, and counted
+ * in MockInterviewUsage.
+ */
+
+class MockInterviewError extends Error {
+  constructor(message, { code, statusCode = 400 } = {}) {
+    super(message)
+    this.name = "MockInterviewError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+// User roles that practice on their own; recruiters and partners practice through a candidate account
+const PRACTICE_ROLES = ["jobSeeker", "user", "candidate"]
+
+// Enough of an attempt to list it and chart its scores
+const ATTEMPT_FIELDS = [
+  "roomId",
+  "applicantId",
+  "phase",
+  "mock",
+  "settings.language",
+  "createdAt",
+  "startedAt",
+  "completedAt",
+  "analysis.analyzedAt",
+  "analysis.status",
+  "analysis.language",
+  "analysis.rubric",
+  "analysis.overallScore",
+  "analysis.overallScores",
+  "analysis.competencies.key",
+  "analysis.competencies.name",
+  "analysis.competencies.weight",
+  "analysis.competencies.score",
+].join(" ")
+
+const round = (value) => Math.round(value * 10) / 10
+
+const average = (values) => (values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null)
+
+const getMonthStart = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+const getNextMonthStart = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+
+const getPartnerId = (candidate) => candidate.partner?._id || candidate.partner
+
+/**
+ * Who is practicing, from the signed-in User or Candidate: { applicantId, email, name,
+ * candidateId, partner }. A job seeker who was also enrolled by a partner counts as that
+ * partner's candidate.
+ */
+const resolveMockTaker = async ({ user, candidate }) => {
+  if (!candidate) {
+    if (!user || !PRACTICE_ROLES.includes(user.role)) {
+      throw new MockInterviewError("Mock interviews are for candidates and job seekers", {
+        code: "MOCK_NOT_ALLOWED",
+        statusCode: 403,
+      })
+    }
+    candidate = await Candidate.findOne({ user: user._id })
+  }
+  if (candidate?.isActive === false) {
+    throw new MockInterviewError("Account is inactive", { code: "ACCOUNT_INACTIVE", statusCode: 403 })
+  }
+
+  const partner = candidate ? await Partner.findById(getPartnerId(candidate)) : null
+  return {
+    applicantId: candidate ? candidate.user : user._id,
+    email: candidate ? candidate.email : user.email,
+    name: candidate ? candidate.name : user.name,
+    candidateId: candidate?._id || null,
+    partner,
+  }
+}
+
+// The monthly limit for a partner's candidates, or for independent job seekers when partner is null
+const getQuotaLimit = (partner) => {
+  if (!partner || partner.isActive === false) {
+    return { plan: "independent", limit: MOCK_INTERVIEW_QUOTAS.independent }
+  }
+  const plan = partner.partnershipType
+  const override = partner.mockInterviewQuota
+  return {
+    plan,
+    limit: override !== null && override !== undefined ? override : MOCK_INTERVIEW_QUOTAS[plan],
+    ...(override !== null && override !== undefined && { override: true }),
+  }
+}
+
+const describeQuota = ({ plan, limit }, used, now) => ({
+  plan,
+  limit,
+  used,
+  remaining: limit === null ? null : Math.max(0, limit - used),
+  resetsAt: getNextMonthStart(now),
+})
+
+const countStartedThisMonth = (applicantId, month, { excludeId } = {}) =>
+  Interview.countDocuments({
+    isMock: true,
+    applicantId,
+    createdAt: { $gte: month },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  })
+
+// This month's usage; every mock interview started counts, whether or not it was finished
+const getMockQuota = async ({ applicantId, partner }, now = new Date()) => {
+  const month = getMonthStart(now)
+  const usage = await MockInterviewUsage.findOne({ applicantId, month }).lean()
+  const used = usage ? usage.count : await countStartedThisMonth(applicantId, month)
+  return describeQuota(getQuotaLimit(partner), used, now)
+}
+
+// Create the month's counter, seeded with the mock interviews already started in it other
+// than `excludeId`, the one being reserved for
+const ensureUsageCounter = async (applicantId, month, excludeId) => {
+  if (await MockInterviewUsage.exists({ applicantId, month })) return
+
+  const started = await countStartedThisMonth(applicantId, month, { excludeId })
+  try {
+    await MockInterviewUsage.updateOne({ applicantId, month }, { $setOnInsert: { count: started } }, { upsert: true })
+  } catch (error) {
+    // A concurrent start created it first
+    if (error.code !== 11000) throw error
+  }
+}
+
+// Take one mock interview from this month's quota for `interview`; null when the limit is already used up
+const reserveMockInterview = async (interview, limit, now) => {
+  const { applicantId } = interview
+  const month = getMonthStart(now)
+  await ensureUsageCounter(applicantId, month, interview._id)
+
+  return MockInterviewUsage.findOneAndUpdate(
+    { applicantId, month, ...(limit !== null && { count: { $lt: limit } }) },
+    { $inc: { count: 1 } },
+    { new: true },
+  )
+}
+
+const parseSkills = (skills) => {
+  if (skills === undefined || skills === null) return []
+  const list = typeof skills === "string" ? skills.split(",") : skills
+  if (!Array.isArray(list) || list.some((skill) => typeof skill !== "string")) {
+    throw new MockInterviewError("skills must be a list of strings", { code: "INVALID_MOCK_REQUEST" })
+  }
+
+  const seen = new Set()
+  const unique = list
+    .map((skill) => skill.trim())
+    .filter((skill) => {
+      const key = skill.toLowerCase()
+      if (!skill || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+  if (unique.length > MAX_SKILLS) {
+    throw new MockInterviewError(`Choose at most ${MAX_SKILLS} skills`, { code: "INVALID_MOCK_REQUEST" })
+  }
+  const tooLong = unique.find((skill) => skill.length > MAX_SKILL_LENGTH)
+  if (tooLong) {
+    throw new MockInterviewError(`Skill "${tooLong.slice(0, 20)}..." is longer than ${MAX_SKILL_LENGTH} characters`, {
+      code: "INVALID_MOCK_REQUEST",
+    })
+  }
+  return unique
+}
+
+/**
+ * What to practice, from a start request: { role, skills, difficulty, language, timeZone }.
+ * A role, at least one skill, or both are required.
+ */
+const parseMockRequest = (body = {}) => {
+  if (body.role !== undefined && body.role !== null && typeof body.role !== "string") {
+    throw new MockInterviewError("role must be a string", { code: "INVALID_MOCK_REQUEST" })
+  }
+  const role = (body.role || "").trim()
+  if (role.length > MAX_ROLE_LENGTH) {
+    throw new MockInterviewError(`role must be at most ${MAX_ROLE_LENGTH} characters`, { code: "INVALID_MOCK_REQUEST" })
+  }
+
+  const skills = parseSkills(body.skills)
+  if (!role && !skills.length) {
+    throw new MockInterviewError("Choose a role or at least one skill to practice", { code: "MOCK_TOPIC_REQUIRED" })
+  }
+
+  const { difficulty, language, timeZone } = body
+  if (difficulty !== undefined && !QUESTION_DIFFICULTIES.includes(difficulty)) {
+    throw new MockInterviewError(`difficulty must be one of ${QUESTION_DIFFICULTIES.join(", ")}`, {
+      code: "INVALID_MOCK_REQUEST",
+    })
+  }
+  if (language !== undefined && !INTERVIEW_LANGUAGES.includes(language)) {
+    throw new MockInterviewError(`language must be one of ${INTERVIEW_LANGUAGES.join(", ")}`, {
+      code: "INVALID_MOCK_REQUEST",
+    })
+  }
+
+  return { role: role || null, skills, difficulty, language, timeZone }
+}
+
+// Stands in for the job requirements the question prompt is built from
+const buildPracticeBrief = ({ role, skills }) =>
+  [
+    "Practice interview; the candidate has not applied for a specific job.",
+    role && `Role: ${role}`,
+    skills.length && `Skills: ${skills.join(", ")}`,
+  ]
+    .filter(Boolean)
+    .join("\n")
+
+const isOpenMockInterview = (interview, now) => {
+  if (interview.phase === "in_progress") return interview.getRemainingMs(now) > 0
+  return JOINABLE_PHASES.includes(interview.phase) && getJoinDeadline(interview) > now
+}
+
+// The candidate's mock interview that can still be joined or is under way, if any
+const findOpenMockInterview = async (applicantId, now) => {
+  const open = await Interview.findOne({
+    isMock: true,
+    applicantId,
+    phase: { $in: [...JOINABLE_PHASES, "in_progress"] },
+  }).sort({ createdAt: -1 })
+  return open && isOpenMockInterview(open, now) ? open : null
+}
+
+/**
+ * Save `interview` as the candidate's open mock interview; the unique index on mock.active
+ * lets only one start win. Resolves to null when saved, or to the open mock interview a
+ * concurrent start saved first.
+ */
+const claimMockInterview = async (interview, now) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await interview.save()
+      return null
+    } catch (error) {
+      if (error.code !== 11000) throw error
+    }
+
+    const holder = await Interview.findOne({ isMock: true, applicantId: interview.applicantId, "mock.active": true })
+    if (holder && isOpenMockInterview(holder, now)) return holder
+    // The claim is left over from a mock interview that has closed since; release it and retry
+    if (holder) await Interview.updateOne({ _id: holder._id, "mock.active": true }, { $set: { "mock.active": false } })
+  }
+  throw new MockInterviewError("Another mock interview is being started; try again", {
+    code: "MOCK_START_CONFLICT",
+    statusCode: 409,
+  })
+}
+
+const resumeMockInterview = async (interview, taker, now) => ({
+  interview,
+  sessionToken: issueSessionToken(interview, now),
+  resumed: true,
+  quota: await getMockQuota(taker, now),
+})
+
+/**
+ * Start a mock interview for `taker`, ready to join at once. Resolves to { interview,
+ * sessionToken, resumed, quota }. A mock interview that is still open is handed back instead
+ * of starting another (the request's topic is then ignored), so reconnecting costs no quota.
+ */
+const startMockInterview = async (taker, options, { now = new Date() } = {}) => {
+  const open = await findOpenMockInterview(taker.applicantId, now)
+  if (open) return resumeMockInterview(open, taker, now)
+
+  const plan = buildInterviewPlan(null)
+  const template = options.difficulty
+    ? {
+        ...plan.template,
+        difficulty: options.difficulty,
+        slots: plan.template.slots.map((slot) => ({ ...slot, difficulty: options.difficulty })),
+      }
+    : plan.template
+  const settings = { ...plan.settings, ...(options.language && { language: options.language }) }
+  const slot = resolveInterviewSlot(
+    { startAt: now.toISOString(), timeZone: options.timeZone },
+    { durationMinutes: settings.timeLimitMinutes },
+  )
+
+  const interview = new Interview({
+    roomId: uuidv4(),
+    mode: "ai",
+    ...slot,
+    document: buildPracticeBrief(options),
+    jobTitle: options.role || options.skills.join(", "),
+    applicantEmail: taker.email,
+    applicantId: taker.applicantId,
+    isMock: true,
+    mock: {
+      role: options.role,
+      skills: options.skills,
+      partner: taker.partner?._id || null,
+      candidate: taker.candidateId,
+      active: true,
+    },
+    template,
+    rubric: DEFAULT_RUBRIC_SNAPSHOT,
+    settings,
+    createdAt: now,
+  })
+  const holder = await claimMockInterview(interview, now)
+  if (holder) return resumeMockInterview(holder, taker, now)
+
+  // Quota is only taken once this start owns the open slot; without quota the claim is undone
+  const quotaLimit = getQuotaLimit(taker.partner)
+  let usage = null
+  try {
+    usage = await reserveMockInterview(interview, quotaLimit.limit, now)
+  } finally {
+    if (!usage) await Interview.deleteOne({ _id: interview._id })
+  }
+  if (!usage) {
+    const { limit } = quotaLimit
+    throw new MockInterviewError(
+      `Your plan allows ${limit} mock interview${limit === 1 ? "" : "s"} a month; more are available from ${getNextMonthStart(now).toISOString().slice(0, 10)}`,
+      { code: "MOCK_QUOTA_REACHED", statusCode: 403 },
+    )
+  }
+
+  const limit = quotaLimit.limit === null ? "unlimited" : quotaLimit.limit
+  console.log(`🎯 [MOCK] ${interview.roomId} started by ${taker.applicantId} (${usage.count}/${limit} this month)`)
+
+  return {
+    interview,
+    sessionToken: issueSessionToken(interview, now),
+    resumed: false,
+    quota: describeQuota(quotaLimit, usage.count, now),
+  }
+}
+
+const isScored = (analysis) => !!analysis?.analyzedAt && analysis.status === "scored"
+
+const toAttempt = (interview) => {
+  const analysis = toRubricAnalysis(interview.analysis)
+  return {
+    roomId: interview.roomId,
+    role: interview.mock?.role || null,
+    skills: interview.mock?.skills || [],
+    phase: interview.phase,
+    language: interview.settings?.language,
+    createdAt: interview.createdAt,
+    startedAt: interview.startedAt,
+    completedAt: interview.completedAt,
+    analysis: analysis?.analyzedAt
+      ? {
+          status: analysis.status,
+          overallScore: isScored(analysis) ? analysis.overallScore : null,
+          competencies: isScored(analysis)
+            ? analysis.competencies.map(({ key, name, score }) => ({ key, name, score }))
+            : [],
+        }
+      : null,
+  }
+}
+
+// A page of attempts matching `filter`, newest first
+const listAttempts = async (filter, { page = 1, limit }) => {
+  const query = { isMock: true, ...filter }
+  const [interviews, total] = await Promise.all([
+    Interview.find(query)
+      .select(ATTEMPT_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Interview.countDocuments(query),
+  ])
+  return {
+    attempts: interviews.map(toAttempt),
+    pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+  }
+}
+
+// Least-squares change per attempt, so one unusually good or bad attempt does not set the trend
+const getSlope = (scores) => {
+  const meanX = (scores.length - 1) / 2
+  const meanY = scores.reduce((sum, score) => sum + score, 0) / scores.length
+  let covariance = 0
+  let variance = 0
+  scores.forEach((score, index) => {
+    covariance += (index - meanX) * (score - meanY)
+    variance += (index - meanX) ** 2
+  })
+  return covariance / variance
+}
+
+const getTrend = (slope) => {
+  if (slope === null) return "insufficient_data"
+  if (slope >= TREND_SLOPE_THRESHOLD) return "improving"
+  if (slope <= -TREND_SLOPE_THRESHOLD) return "declining"
+  return "steady"
+}
+
+// Summary of one score series, oldest first: [{ roomId, at, score }]
+const describeSeries = (points) => {
+  const scores = points.map((point) => point.score)
+  const slope = scores.length > 1 ? round(getSlope(scores)) : null
+  return {
+    attempts: scores.length,
+    first: scores.length ? round(scores[0]) : null,
+    latest: scores.length ? round(scores[scores.length - 1]) : null,
+    best: scores.length ? round(Math.max(...scores)) : null,
+    average: average(scores),
+    change: scores.length > 1 ? round(scores[scores.length - 1] - scores[0]) : null,
+    slope,
+    trend: getTrend(slope),
+    series: points,
+  }
+}
+
+/**
+ * Overall and per-competency score trends across scored attempts, oldest first. Fallback
+ * analyses carry no real scores and are left out.
+ */
+const buildProgress = (interviews) => {
+  const overall = []
+  const competencies = new Map()
+
+  interviews.forEach((interview) => {
+    const analysis = toRubricAnalysis(interview.analysis)
+    if (!isScored(analysis)) return
+    const at = interview.startedAt || interview.createdAt
+
+    if (Number.isFinite(analysis.overallScore)) {
+      overall.push({ roomId: interview.roomId, at, score: analysis.overallScore })
+    }
+    analysis.competencies.forEach(({ key, name, score }) => {
+      if (!Number.isFinite(score)) return
+      if (!competencies.has(key)) competencies.set(key, { key, name, points: [] })
+      const entry = competencies.get(key)
+      // Names are localized per attempt; show the latest one
+      entry.name = name
+      entry.points.push({ roomId: interview.roomId, at, score })
+    })
+  })
+
+  return {
+    scoredAttempts: overall.length,
+    overall: describeSeries(overall),
+    competencies: [...competencies.values()].map(({ key, name, points }) => ({ key, name, ...describeSeries(points) })),
+  }
+}
+
+// The last PROGRESS_MAX_ATTEMPTS analyzed attempts matching `filter`, oldest first
+const loadProgress = async (filter) => {
+  const interviews = await Interview.find({ isMock: true, ...filter, "analysis.analyzedAt": { $ne: null } })
+    .select(ATTEMPT_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(PROGRESS_MAX_ATTEMPTS)
+  return buildProgress(interviews.reverse())
+}
+
+const getMockHistory = (taker, pagination) => listAttempts({ applicantId: taker.applicantId }, pagination)
+
+const getMockProgress = (taker) => loadProgress({ applicantId: taker.applicantId })
+
+// The signed-in partner's own profile
+const getPartnerForUser = async (user) => {
+  if (user?.role !== "partner") {
+    throw new MockInterviewError("Access denied. Partner role required.", { code: "PARTNER_ONLY", statusCode: 403 })
+  }
+  const partner = await Partner.findOne({ user: user._id })
+  if (!partner) {
+    throw new MockInterviewError("Partner profile not found", { code: "PARTNER_NOT_FOUND", statusCode: 404 })
+  }
+  return partner
+}
+
+/**
+ * Practice across the partner's candidates: totals, average scores per competency, and each
+ * candidate's attempts and overall trend. Reads at most PARTNER_STATS_MAX_ATTEMPTS of the most
+ * recent attempts; `truncated` says when older ones were left out.
+ */
+const getPartnerPracticeStats = async (partner, { now = new Date() } = {}) => {
+  const [candidates, interviews] = await Promise.all([
+    Candidate.find({ partner: partner._id }).select("name email registrationNumber isActive"),
+    Interview.find({ isMock: true, "mock.partner": partner._id })
+      .select(ATTEMPT_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(PARTNER_STATS_MAX_ATTEMPTS),
+  ])
+
+  const monthStart = getMonthStart(now)
+  const byCandidate = new Map()
+  interviews.forEach((interview) => {
+    const key = String(interview.mock?.candidate)
+    if (!byCandidate.has(key)) byCandidate.set(key, [])
+    byCandidate.get(key).push(interview)
+  })
+
+  const countThisMonth = (list) => list.filter((interview) => interview.createdAt >= monthStart).length
+  const progress = buildProgress([...interviews].reverse())
+
+  return {
+    quota: getQuotaLimit(partner),
+    summary: {
+      candidates: candidates.length,
+      practicing: candidates.filter((candidate) => byCandidate.has(String(candidate._id))).length,
+      attempts: interviews.length,
+      attemptsThisMonth: countThisMonth(interviews),
+      scoredAttempts: progress.scoredAttempts,
+      averageScore: progress.overall.average,
+      competencies: progress.competencies.map(({ key, name, attempts, average: averageScore }) => ({
+        key,
+        name,
+        attempts,
+        averageScore,
+      })),
+    },
+    candidates: candidates.map((candidate) => {
+      const attempts = byCandidate.get(String(candidate._id)) || []
+      const { series, ...overall } = buildProgress([...attempts].reverse()).overall
+      return {
+        candidateId: candidate._id,
+        name: candidate.name,
+        email: candidate.email,
+        registrationNumber: candidate.registrationNumber,
+        isActive: candidate.isActive,
+        attempts: attempts.length,
+        attemptsThisMonth: countThisMonth(attempts),
+        lastAttemptAt: attempts.length ? attempts[0].createdAt : null,
+        overall,
+      }
+    }),
+    truncated: interviews.length === PARTNER_STATS_MAX_ATTEMPTS,
+  }
+}
+
+// One of the partner's candidates: their quota, progress and a page of attempts
+const getPartnerCandidatePractice = async (partner, candidateId, pagination, { now = new Date() } = {}) => {
+  const candidate = await Candidate.findOne({ _id: candidateId, partner: partner._id })
+    .select("name email registrationNumber isActive user")
+    .catch(() => null)
+  if (!candidate) {
+    throw new MockInterviewError("Candidate not found", { code: "CANDIDATE_NOT_FOUND", statusCode: 404 })
+  }
+
+  const filter = { "mock.candidate": candidate._id }
+  const [quota, progress, history] = await Promise.all([
+    getMockQuota({ applicantId: candidate.user, partner }, now),
+    loadProgress(filter),
+    listAttempts(filter, pagination),
+  ])
+  return {
+    candidate: {
+      candidateId: candidate._id,
+      name: candidate.name,
+      email: candidate.email,
+      registrationNumber: candidate.registrationNumber,
+      isActive: candidate.isActive,
+    },
+    quota,
+    progress,
+    ...history,
+  }
+}
+
+/**
+ * Set a partner's own monthly quota per candidate; null goes back to the partnership type's
+ * default. Resolves to the partner's quota as now in force.
+ */
+const setPartnerMockQuota = async (partnerId, quota) => {
+  if (quota !== null && !(Number.isInteger(quota) && quota >= 0)) {
+    throw new MockInterviewError("quota must be a whole number of 0 or more, or null for the plan default", {
+      code: "INVALID_QUOTA",
+    })
+  }
+
+  const partner = await Partner.findByIdAndUpdate(
+    partnerId,
+    { $set: { mockInterviewQuota: quota, updatedAt: new Date() } },
+    { new: true },
+  ).catch(() => null)
+  if (!partner) {
+    throw new MockInterviewError("Partner not found", { code: "PARTNER_NOT_FOUND", statusCode: 404 })
+  }
+
+  console.log(`🎯 [MOCK] ${partner.partnerName}: monthly quota set to ${quota === null ? "plan default" : quota}`)
+  return { partnerId: partner._id, partnerName: partner.partnerName, ...getQuotaLimit(partner) }
+}
+
+module.exports = {
+  MockInterviewError,
+  resolveMockTaker,
+  getMockQuota,
+  parseMockRequest,
+  startMockInterview,
+  getMockHistory,
+  getMockProgress,
+  getPartnerForUser,
+  getPartnerPracticeStats,
+  getPartnerCandidatePractice,
+  setPartnerMockQuota,
+}
@@ -17,7 +17,7 @@ class OpenAIService {
         top_p: options.top_p || 0.95,
         max_tokens: options.max_tokens || 1024,
         stream: false
-      });
+      }, { signal: options.signal }); // An aborted signal cancels the request
 
       const generatedText = completion.choices[0].message.content;
       console.log('[OpenAI Service] Raw response:', generatedText); // Log the raw response for debugging
@@ -0,0 +1,236 @@
+const Interview = require("../models/Interview")
+const ProctoringEvent = require("../models/ProctoringEvent")
+const {
+  PROCTORING_EVENT_TYPES,
+  INTEGRITY_THRESHOLDS,
+  MAX_EVENTS_PER_BATCH,
+  MAX_EVENTS_PER_INTERVIEW,
+  LATE_EVENT_GRACE_MS,
+  loadProctoringWeights,
+} = require("../config/proctoring")
+
+/**
+ * Proctoring timeline and integrity score for AI interviews.
+ *
+ * The interview client reports events (tab switches, copy-paste, face absent, ...) in batches
+ * while the interview runs. Each batch is stored on the timeline and the interview's integrity
+ * score is recomputed from the whole timeline, so retries and out-of-order batches are harmless.
+ */
+
+const PROCTORING_WEIGHTS = loadProctoringWeights()
+
+// Generous bounds for client clocks and durations
+const CLOCK_SKEW_MS = 60 * 1000
+const MAX_EVENT_DURATION_MS = 3 * 60 * 60 * 1000
+const MAX_DETAILS_LENGTH = 1000
+
+class ProctoringError extends Error {
+  constructor(message, { code, statusCode = 400 } = {}) {
+    super(message)
+    this.name = "ProctoringError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+// When the interview stopped, for accepting events the client flushes afterwards
+const getEndedAt = (interview) => interview.completedAt || interview.closedAt
+
+const assertAcceptingEvents = (interview, now) => {
+  if (["in_progress", "analyzing"].includes(interview.phase)) return
+
+  const endedAt = getEndedAt(interview)
+  if (["completed", "expired"].includes(interview.phase) && endedAt && now - endedAt <= LATE_EVENT_GRACE_MS) return
+
+  throw new ProctoringError("Proctoring events are only accepted while the interview is running", {
+    code: "PROCTORING_CLOSED",
+    statusCode: 409,
+  })
+}
+
+const parseTime = (value) => {
+  const date = typeof value === "number" ? new Date(value) : typeof value === "string" ? new Date(value) : null
+  return date && !Number.isNaN(date.getTime()) ? date : null
+}
+
+/**
+ * Validate one raw client event: { id, type, at, durationMs, details }.
+ * Resolves to { event } ready to insert, or { reason } when it is rejected.
+ */
+const normalizeEvent = (raw, interview, now) => {
+  if (!raw || typeof raw !== "object") return { reason: "Event must be an object" }
+  if (!PROCTORING_EVENT_TYPES.includes(raw.type)) return { reason: `Unknown event type "${raw.type}"` }
+  if (typeof raw.id !== "string" || !raw.id || raw.id.length > 64) {
+    return { reason: "id must be a string of at most 64 characters" }
+  }
+
+  const occurredAt = parseTime(raw.at)
+  if (!occurredAt) return { reason: "at must be an ISO date-time or epoch milliseconds" }
+  const earliest = (interview.startedAt || interview.scheduledAt || interview.createdAt).getTime() - CLOCK_SKEW_MS
+  if (occurredAt.getTime() < earliest || occurredAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+    return { reason: "at is outside the interview" }
+  }
+
+  const durationMs = raw.durationMs === undefined ? 0 : Number(raw.durationMs)
+  if (!Number.isFinite(durationMs) || durationMs < 0 || durationMs > MAX_EVENT_DURATION_MS) {
+    return { reason: "durationMs must be between 0 and 3 hours" }
+  }
+
+  let details
+  if (raw.details !== undefined) {
+    if (!raw.details || typeof raw.details !== "object" || Array.isArray(raw.details)) {
+      return { reason: "details must be an object" }
+    }
+    if (JSON.stringify(raw.details).length > MAX_DETAILS_LENGTH) return { reason: "details is too large" }
+    details = raw.details
+  }
+
+  return {
+    event: {
+      interview: interview._id,
+      roomId: interview.roomId,
+      type: raw.type,
+      clientEventId: raw.id,
+      occurredAt,
+      durationMs: Math.round(durationMs),
+      details,
+    },
+  }
+}
+
+const getEventPenalty = (weight, durationMs) =>
+  (weight.perEvent || 0) + ((weight.perMinute || 0) * durationMs) / 60000
+
+const isFlaggedType = (type, weights = PROCTORING_WEIGHTS) => {
+  const weight = weights[type]
+  return !!weight && (weight.perEvent > 0 || weight.perMinute > 0) && weight.max !== 0
+}
+
+const getIntegrityLevel = (score) => {
+  if (score >= INTEGRITY_THRESHOLDS.review) return "clear"
+  if (score >= INTEGRITY_THRESHOLDS.flagged) return "review"
+  return "flagged"
+}
+
+/**
+ * Integrity score (0-100) for a list of { type, durationMs } events: 100 minus the capped
+ * penalty of each event type. Returns the score, its level and a per-type breakdown.
+ */
+const computeIntegrity = (events, weights = PROCTORING_WEIGHTS) => {
+  const breakdown = {}
+  for (const event of events) {
+    const entry = breakdown[event.type] || (breakdown[event.type] = { count: 0, totalDurationMs: 0, penalty: 0 })
+    entry.count += 1
+    entry.totalDurationMs += event.durationMs || 0
+    entry.penalty += getEventPenalty(weights[event.type] || {}, event.durationMs || 0)
+  }
+
+  let totalPenalty = 0
+  for (const [type, entry] of Object.entries(breakdown)) {
+    const max = weights[type]?.max
+    entry.penalty = Math.round((max === undefined ? entry.penalty : Math.min(entry.penalty, max)) * 10) / 10
+    totalPenalty += entry.penalty
+  }
+
+  const score = Math.max(0, Math.round(100 - totalPenalty))
+  return { score, level: getIntegrityLevel(score), eventCount: events.length, breakdown }
+}
+
+// Stored integrity score, or null when the client has not reported anything yet
+const getInterviewIntegrity = (interview) => (interview.integrity?.computedAt ? interview.integrity : null)
+
+// Recompute the stored integrity score from the full timeline; resolves to the new value
+const refreshIntegrity = async (interview, now = new Date()) => {
+  const events = await ProctoringEvent.find({ interview: interview._id }).select("type durationMs").lean()
+  const integrity = { ...computeIntegrity(events), computedAt: now }
+  await Interview.updateOne({ _id: interview._id }, { $set: { integrity } })
+  return integrity
+}
+
+// Write errors of an unordered insertMany; the driver reports a single one without an array
+const getWriteErrors = (error) => [].concat(error.writeErrors || [])
+
+/**
+ * Store a batch of client events for a running interview and refresh its integrity score.
+ * Invalid events are skipped and reported by index; events already stored (same id) are
+ * counted as duplicates. Resolves to { accepted, duplicates, rejected, integrity }.
+ */
+const recordProctoringEvents = async (interview, rawEvents, { now = new Date() } = {}) => {
+  if (!Array.isArray(rawEvents) || !rawEvents.length) {
+    throw new ProctoringError("events must be a non-empty array", { code: "INVALID_EVENTS" })
+  }
+  if (rawEvents.length > MAX_EVENTS_PER_BATCH) {
+    throw new ProctoringError(`At most ${MAX_EVENTS_PER_BATCH} events per request`, { code: "TOO_MANY_EVENTS" })
+  }
+  assertAcceptingEvents(interview, now)
+
+  const rejected = []
+  const events = []
+  rawEvents.forEach((raw, index) => {
+    const { event, reason } = normalizeEvent(raw, interview, now)
+    if (event) events.push(event)
+    else rejected.push({ index, reason })
+  })
+
+  const stored = await ProctoringEvent.countDocuments({ interview: interview._id })
+  if (stored + events.length > MAX_EVENTS_PER_INTERVIEW) {
+    throw new ProctoringError("Proctoring event limit reached for this interview", {
+      code: "EVENT_LIMIT_REACHED",
+      statusCode: 429,
+    })
+  }
+
+  let accepted = events.length
+  if (events.length) {
+    try {
+      await ProctoringEvent.insertMany(events, { ordered: false })
+    } catch (error) {
+      const writeErrors = getWriteErrors(error)
+      if (!writeErrors.length || writeErrors.some((writeError) => writeError.code !== 11000)) throw error
+      accepted = events.length - writeErrors.length
+    }
+  }
+
+  const integrity = await refreshIntegrity(interview, now)
+  if (accepted) {
+    console.log(`🛡️ [PROCTORING] ${accepted} events for ${interview.roomId}; integrity ${integrity.score}`)
+  }
+  return { accepted, duplicates: events.length - accepted, rejected, integrity }
+}
+
+/**
+ * Flagged moments for recruiters, with offsets into the screen recording when its start time
+ * is known and into the interview otherwise.
+ */
+const getProctoringTimeline = async (interview) => {
+  const events = await ProctoringEvent.find({ interview: interview._id }).sort({ occurredAt: 1 }).lean()
+  const origin = interview.recordingStartedAt || interview.startedAt
+  const offsetsFrom = interview.recordingStartedAt ? "recording" : "interview_start"
+
+  const moments = events
+    .filter((event) => isFlaggedType(event.type))
+    .map((event) => ({
+      type: event.type,
+      occurredAt: event.occurredAt,
+      offsetSeconds: origin ? Math.max(0, Math.round((event.occurredAt - origin) / 1000)) : null,
+      durationSeconds: Math.round(event.durationMs / 1000),
+      details: event.details,
+    }))
+
+  return {
+    integrity: getInterviewIntegrity(interview),
+    offsetsFrom,
+    recordingStartedAt: interview.recordingStartedAt,
+    moments,
+  }
+}
+
+module.exports = {
+  PROCTORING_WEIGHTS,
+  ProctoringError,
+  computeIntegrity,
+  getInterviewIntegrity,
+  refreshIntegrity,
+  recordProctoringEvents,
+  getProctoringTimeline,
+}
@@ -0,0 +1,86 @@
+const defaultFetch = globalThis.fetch || require("node-fetch")
+
+const TEST_TIMEOUT_MS = 10000
+
+// fetch-compatible client used for every test; swap it out in tests with setHttpClient()
+let httpClient = defaultFetch
+
+const setHttpClient = (client) => {
+  httpClient = client || defaultFetch
+}
+
+// The cheapest authenticated request each vendor offers
+const PROVIDER_TESTS = {
+  deepgram: (apiKey) => ({
+    url: "https://api.deepgram.com/v1/projects",
+    init: { headers: { Authorization: `Token ${apiKey}` } },
+  }),
+  openai: (apiKey) => ({
+    url: "https://api.openai.com/v1/models",
+    init: { headers: { Authorization: `Bearer ${apiKey}` } },
+  }),
+  lmnt: (apiKey) => ({
+    url: "https://api.lmnt.com/v1/ai/voice/list",
+    init: { headers: { "X-API-Key": apiKey } },
+  }),
+  elevenlabs: (apiKey) => ({
+    url: "https://api.elevenlabs.io/v1/user",
+    init: { headers: { "xi-api-key": apiKey } },
+  }),
+  // Sarvam has no key-introspection endpoint; one short synthesis is the cheapest check
+  sarvam: (apiKey, configuration = {}) => ({
+    url: "https://api.sarvam.ai/text-to-speech",
+    init: {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "API-Subscription-Key": apiKey },
+      body: JSON.stringify({
+        inputs: ["ok"],
+        target_language_code: "en-IN",
+        speaker: configuration.voice || "meera",
+        model: configuration.ttsModel || "bulbul:v1",
+      }),
+    },
+  }),
+}
+
+const describeStatus = (status) => {
+  if (status >= 200 && status < 300) return "Connection successful"
+  if (status === 401 || status === 403) return "API key was rejected"
+  if (status === 429) return "Rate limited or out of quota"
+  return `Unexpected response (HTTP ${status})`
+}
+
+/**
+ * Run a cheap authenticated request against the provider.
+ * Resolves to { provider, supported, ok, status, latencyMs, message }; never throws.
+ * Providers without a test resolve with supported: false.
+ */
+const testProviderKey = async (provider, apiKey, { configuration, fetch = httpClient, timeoutMs = TEST_TIMEOUT_MS } = {}) => {
+  const buildTest = PROVIDER_TESTS[provider]
+  if (!buildTest) {
+    return { provider, supported: false, ok: null, status: null, latencyMs: null, message: `No connection test for ${provider}` }
+  }
+
+  const { url, init } = buildTest(apiKey, configuration || {})
+  const startedAt = Date.now()
+
+  try {
+    const response = await fetch(url, { method: "GET", ...init, signal: AbortSignal.timeout(timeoutMs) })
+    const result = {
+      provider,
+      supported: true,
+      ok: response.ok,
+      status: response.status,
+      latencyMs: Date.now() - startedAt,
+      message: describeStatus(response.status),
+    }
+    console.log(`🔍 [KEY-TEST] ${provider}: ${result.message} (${result.latencyMs}ms)`)
+    return result
+  } catch (error) {
+    const message = error.name === "TimeoutError" ? `No response within ${timeoutMs}ms` : error.message
+    console.error(`❌ [KEY-TEST] ${provider}: ${message}`)
+    return { provider, supported: true, ok: false, status: null, latencyMs: Date.now() - startedAt, message }
+  }
+}
+
+module.exports = { PROVIDER_TESTS, testProviderKey, setHttpClient }
@@ -0,0 +1,147 @@
+const InterviewRubric = require("../models/InterviewRubric")
+const {
+  DEFAULT_RUBRIC,
+  SCORE_MIN,
+  SCORE_MAX,
+  COMMUNICATION_COMPETENCY_KEY,
+  describeCommunication,
+} = require("../config/rubrics")
+const { getInterviewLocale } = require("../config/locales")
+
+const DEFAULT_SNAPSHOT = {
+  rubricId: null,
+  name: DEFAULT_RUBRIC.name,
+  version: DEFAULT_RUBRIC.version,
+  competencies: DEFAULT_RUBRIC.competencies,
+}
+
+const isDefaultRubric = (rubric) => !rubric?.rubricId
+
+/**
+ * Rubric for a new interview: the template's, else the job's newest active rubric,
+ * else null for the default. Only rubrics owned by the job's recruiter are used.
+ */
+const resolveInterviewRubric = async ({ template, job }) => {
+  if (template?.rubric) {
+    const rubric = await InterviewRubric.findOne({ _id: template.rubric, status: "active", recruiter: job.recruiter })
+    if (rubric) return rubric
+  }
+  return InterviewRubric.findOne({ job: job._id, status: "active", recruiter: job.recruiter }).sort({ updatedAt: -1 })
+}
+
+const buildRubricSnapshot = (rubric) => (rubric ? rubric.toSnapshot() : DEFAULT_SNAPSHOT)
+
+const toPlain = (value) => (typeof value?.toObject === "function" ? value.toObject() : value)
+
+// Default-rubric competencies for an interview language: communication is judged in that language
+const localizeCompetencies = (competencies, language) => {
+  const locale = getInterviewLocale(language)
+  if (locale.language === "en") return competencies
+  return competencies.map((competency) =>
+    competency.key === COMMUNICATION_COMPETENCY_KEY
+      ? { ...toPlain(competency), ...describeCommunication(locale.name) }
+      : competency,
+  )
+}
+
+// The rubric as scored in `language`; recruiters' own rubrics are used as written
+const localizeRubric = (rubric, language) =>
+  isDefaultRubric(rubric)
+    ? {
+        rubricId: null,
+        name: rubric.name,
+        version: rubric.version,
+        competencies: localizeCompetencies(rubric.competencies, language),
+      }
+    : rubric
+
+// Rubric an interview is scored against; interviews scheduled before rubrics use the default
+const getInterviewRubric = (interview) =>
+  localizeRubric(interview.rubric?.competencies?.length ? interview.rubric : DEFAULT_SNAPSHOT, interview.settings?.language)
+
+const clampScore = (score) => Math.min(SCORE_MAX, Math.max(SCORE_MIN, Math.round(Number(score))))
+
+// Weighted mean of the competency scores, to one decimal place
+const computeOverallScore = (competencyScores) => {
+  const scored = competencyScores.filter((competency) => Number.isFinite(competency.score))
+  const totalWeight = scored.reduce((sum, competency) => sum + (competency.weight || 1), 0)
+  if (!totalWeight) return null
+
+  const weighted = scored.reduce((sum, competency) => sum + competency.score * (competency.weight || 1), 0)
+  return Math.round((weighted / totalWeight) * 10) / 10
+}
+
+// overallScores/feedback in the shape older clients read, for default-rubric analyses
+const toLegacyScores = (competencyScores) =>
+  competencyScores.reduce(
+    (legacy, competency) => {
+      legacy.overallScores[competency.key] = competency.score
+      legacy.feedback[competency.key] = {
+        strengths: competency.strengths,
+        areasOfImprovement: competency.areasOfImprovement,
+      }
+      return legacy
+    },
+    { overallScores: {}, feedback: {} },
+  )
+
+// Feedback text the old placeholder analysis was saved with, alongside a 5 for every score
+const LEGACY_FALLBACK_FEEDBACK = ["Unable to generate detailed feedback", "विस्तृत फीडबैक तैयार करने में असमर्थ"]
+
+const isLegacyFallback = (competencies) =>
+  competencies.length > 0 &&
+  competencies.every(
+    (competency) => competency.score === 5 && LEGACY_FALLBACK_FEEDBACK.includes(competency.strengths),
+  )
+
+// Analyses saved before fallbacks were flagged are scored, unless they are the old placeholder
+const withStatus = (analysis) => {
+  if (analysis.status) return analysis
+  if (!isLegacyFallback(analysis.competencies)) return { ...analysis, status: "scored" }
+
+  const competencies = analysis.competencies.map((competency) => ({ ...competency, score: null }))
+  return { ...analysis, status: "fallback", fallbackReason: "unparseable", competencies, overallScore: null }
+}
+
+/**
+ * Analysis in rubric form. Analyses saved before rubrics only have overallScores and
+ * feedback for the three default dimensions; those are read against the default rubric.
+ */
+const toRubricAnalysis = (analysis) => {
+  if (!analysis?.analyzedAt) return analysis
+  const plain = typeof analysis.toObject === "function" ? analysis.toObject() : analysis
+  if (plain.competencies?.length) return withStatus(plain)
+
+  const competencies = localizeCompetencies(DEFAULT_RUBRIC.competencies, plain.language)
+    .filter((competency) => plain.overallScores?.[competency.key] !== undefined)
+    .map((competency) => ({
+      key: competency.key,
+      name: competency.name,
+      weight: competency.weight,
+      score: plain.overallScores[competency.key],
+      findings: [],
+      evidence: [],
+      strengths: plain.feedback?.[competency.key]?.strengths,
+      areasOfImprovement: plain.feedback?.[competency.key]?.areasOfImprovement,
+    }))
+
+  return withStatus({
+    ...plain,
+    rubric: { rubricId: null, name: DEFAULT_RUBRIC.name, version: DEFAULT_RUBRIC.version },
+    competencies,
+    overallScore: computeOverallScore(competencies),
+  })
+}
+
+module.exports = {
+  DEFAULT_RUBRIC_SNAPSHOT: DEFAULT_SNAPSHOT,
+  isDefaultRubric,
+  resolveInterviewRubric,
+  buildRubricSnapshot,
+  getInterviewRubric,
+  localizeRubric,
+  clampScore,
+  computeOverallScore,
+  toLegacyScores,
+  toRubricAnalysis,
+}
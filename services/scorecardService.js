@@ -0,0 +1,392 @@
+const mongoose = require("mongoose")
+const InterviewScorecard = require("../models/InterviewScorecard")
+const User = require("../models/User")
+const { SCORE_MIN, SCORE_MAX } = require("../config/rubrics")
+const {
+  RECOMMENDATION_VALUES,
+  RECOMMENDATIONS,
+  DISAGREEMENT_THRESHOLD,
+  MAX_PANEL_SIZE,
+  MAX_COMMENT_LENGTH,
+  MAX_NOTES_LENGTH,
+} = require("../config/scorecards")
+const { getInterviewRubric, computeOverallScore, toRubricAnalysis } = require("./rubricService")
+const { canManageInterview } = require("./interviewAccessService")
+
+/**
+ * Interviewer scorecards and the panel's consensus.
+ *
+ * The job's recruiter (or an admin) can score an interview and add other recruiters to its
+ * panel. Each panel member fills in one scorecard against the interview's rubric and submits
+ * it, which locks it. Until a member has submitted, they see neither the other scorecards, nor
+ * the consensus, nor the AI's scores, so nobody's judgment is anchored on anyone else's. The
+ * job's recruiter can score without being added, so they stay blind too until they submit.
+ */
+
+// Users who may sit on a panel
+const PANEL_ROLES = ["recruiter", "admin"]
+
+// Drafts can be started once the interview is under way; submitting needs it finished
+const SCORECARD_PHASES = ["in_progress", "completed"]
+
+class ScorecardError extends Error {
+  constructor(message, { code, statusCode = 400 } = {}) {
+    super(message)
+    this.name = "ScorecardError"
+    this.code = code
+    this.statusCode = statusCode
+  }
+}
+
+const round = (value) => Math.round(value * 10) / 10
+
+/**
+ * What `user` may do with an interview's scorecards: `manager` for the job's recruiter and
+ * admins, `scorecard` when they are on the panel. Neither means no access, as for a candidate
+ * token, which signs nobody in as a user.
+ */
+const getPanelAccess = async (user, interview) => {
+  if (!user) return { manager: false, scorecard: null }
+  return {
+    manager: await canManageInterview(user, interview),
+    scorecard: await InterviewScorecard.findOne({ interview: interview._id, interviewer: user._id }),
+  }
+}
+
+const buildDraft = (interview, rubric, { interviewer, assignedBy }) => ({
+  interview: interview._id,
+  roomId: interview.roomId,
+  interviewer,
+  assignedBy,
+  status: "draft",
+  rubric: { rubricId: rubric.rubricId || null, version: rubric.version || 1 },
+  competencies: rubric.competencies.map((competency) => ({
+    key: competency.key,
+    name: competency.name,
+    score: null,
+    comment: "",
+  })),
+})
+
+// Create the interviewer's draft unless they already have a scorecard; resolves to true when created
+const createDraft = async (interview, rubric, { interviewer, assignedBy }) => {
+  const { upsertedCount } = await InterviewScorecard.updateOne(
+    { interview: interview._id, interviewer },
+    { $setOnInsert: buildDraft(interview, rubric, { interviewer, assignedBy }) },
+    { upsert: true },
+  )
+  return upsertedCount > 0
+}
+
+/**
+ * Put recruiters on the interview's panel, given as user ids or emails. Each gets a draft
+ * scorecard. Resolves to { added, alreadyOnPanel, notFound }, each a list of what was given.
+ */
+const addPanelInterviewers = async (interview, interviewers, { assignedBy }) => {
+  if (!Array.isArray(interviewers) || !interviewers.length) {
+    throw new ScorecardError("interviewers must be a list of user ids or emails", { code: "INVALID_PANEL" })
+  }
+  if (interview.phase === "cancelled") {
+    throw new ScorecardError("Interview was cancelled", { code: "INTERVIEW_CANCELLED", statusCode: 409 })
+  }
+
+  const requested = [...new Set(interviewers.map((value) => String(value).trim()).filter(Boolean))]
+  const ids = requested.filter((value) => mongoose.Types.ObjectId.isValid(value))
+  const emails = requested.filter((value) => value.includes("@"))
+  const users = await User.find({
+    $or: [{ _id: { $in: ids } }, { email: { $in: [...emails, ...emails.map((email) => email.toLowerCase())] } }],
+    role: { $in: PANEL_ROLES },
+  }).select("email")
+
+  const panel = await InterviewScorecard.find({ interview: interview._id }).distinct("interviewer")
+  const joining = users.filter((user) => !panel.some((interviewer) => String(interviewer) === String(user._id)))
+  if (panel.length + joining.length > MAX_PANEL_SIZE) {
+    throw new ScorecardError(`A panel has at most ${MAX_PANEL_SIZE} interviewers`, {
+      code: "PANEL_FULL",
+      statusCode: 409,
+    })
+  }
+
+  const rubric = getInterviewRubric(interview)
+  const result = { added: [], alreadyOnPanel: [], notFound: [] }
+  for (const value of requested) {
+    const user = users.find(
+      (candidate) => String(candidate._id) === value || candidate.email?.toLowerCase() === value.toLowerCase(),
+    )
+    if (!user) {
+      result.notFound.push(value)
+      continue
+    }
+    const created = await createDraft(interview, rubric, { interviewer: user._id, assignedBy })
+    result[created ? "added" : "alreadyOnPanel"].push(value)
+  }
+
+  console.log(`🧑‍⚖️ [SCORECARD] ${interview.roomId}: ${result.added.length} interviewer(s) added to the panel`)
+  return result
+}
+
+const parseScore = (value, key) => {
+  if (value === null || value === undefined || value === "") return null
+  const score = Number(value)
+  if (!Number.isInteger(score) || score < SCORE_MIN || score > SCORE_MAX) {
+    throw new ScorecardError(`Score for ${key} must be a whole number from ${SCORE_MIN} to ${SCORE_MAX}`, {
+      code: "INVALID_SCORECARD",
+    })
+  }
+  return score
+}
+
+const parseText = (value, field, maxLength) => {
+  if (typeof value !== "string") {
+    throw new ScorecardError(`${field} must be text`, { code: "INVALID_SCORECARD" })
+  }
+  if (value.trim().length > maxLength) {
+    throw new ScorecardError(`${field} is limited to ${maxLength} characters`, { code: "INVALID_SCORECARD" })
+  }
+  return value.trim()
+}
+
+/**
+ * The scorecard fields to store from a request body: { competencies: [{ key, score, comment }],
+ * recommendation, notes }, all optional. Competencies left out keep their current values.
+ */
+const parseScorecardInput = (body = {}, scorecard) => {
+  const update = {}
+
+  if (body.competencies !== undefined) {
+    if (!Array.isArray(body.competencies)) {
+      throw new ScorecardError("competencies must be a list", { code: "INVALID_SCORECARD" })
+    }
+    const competencies = scorecard.competencies.map((competency) => ({
+      key: competency.key,
+      name: competency.name,
+      score: competency.score,
+      comment: competency.comment,
+    }))
+    for (const entry of body.competencies) {
+      const competency = competencies.find((candidate) => candidate.key === entry?.key)
+      if (!competency) {
+        throw new ScorecardError(`"${entry?.key}" is not a competency of this interview's rubric`, {
+          code: "INVALID_SCORECARD",
+        })
+      }
+      if (entry.score !== undefined) competency.score = parseScore(entry.score, entry.key)
+      if (entry.comment !== undefined) {
+        competency.comment = parseText(entry.comment, `Comment for ${entry.key}`, MAX_COMMENT_LENGTH)
+      }
+    }
+    update.competencies = competencies
+  }
+
+  if (body.recommendation !== undefined) {
+    if (body.recommendation !== null && !RECOMMENDATIONS.includes(body.recommendation)) {
+      throw new ScorecardError(`recommendation must be one of ${RECOMMENDATIONS.join(", ")}`, {
+        code: "INVALID_SCORECARD",
+      })
+    }
+    update.recommendation = body.recommendation
+  }
+
+  if (body.notes !== undefined) update.notes = parseText(body.notes, "notes", MAX_NOTES_LENGTH)
+  return update
+}
+
+/**
+ * Save the signed-in interviewer's scorecard from a request body; with `submit`, also lock it.
+ * The job's recruiter gets a scorecard on first save; other users must be on the panel.
+ */
+const saveScorecard = async (interview, user, access, body, { submit = false, now = new Date() } = {}) => {
+  if (!SCORECARD_PHASES.includes(interview.phase)) {
+    throw new ScorecardError("Scorecards open once the interview has started", {
+      code: "INTERVIEW_NOT_STARTED",
+      statusCode: 409,
+    })
+  }
+
+  let scorecard = access.scorecard
+  if (!scorecard) {
+    if (!access.manager) {
+      throw new ScorecardError("You are not on this interview's panel", { code: "NOT_ON_PANEL", statusCode: 403 })
+    }
+    await createDraft(interview, getInterviewRubric(interview), { interviewer: user._id, assignedBy: user._id })
+    scorecard = await InterviewScorecard.findOne({ interview: interview._id, interviewer: user._id })
+  }
+  if (scorecard.status === "submitted") {
+    throw new ScorecardError("Scorecard was already submitted", { code: "SCORECARD_LOCKED", statusCode: 409 })
+  }
+
+  const update = parseScorecardInput(body, scorecard)
+  if (submit) {
+    if (interview.phase !== "completed") {
+      throw new ScorecardError("Scorecards can be submitted once the interview is completed", {
+        code: "INTERVIEW_NOT_COMPLETED",
+        statusCode: 409,
+      })
+    }
+    const competencies = update.competencies || scorecard.competencies
+    const recommendation = update.recommendation !== undefined ? update.recommendation : scorecard.recommendation
+    if (!competencies.some((competency) => Number.isFinite(competency.score)) || !recommendation) {
+      throw new ScorecardError("Score at least one competency and give a recommendation before submitting", {
+        code: "SCORECARD_INCOMPLETE",
+      })
+    }
+    update.status = "submitted"
+    update.submittedAt = now
+  }
+  update.updatedAt = now
+
+  // Conditional on still being a draft, so a concurrent submit cannot be overwritten
+  const saved = await InterviewScorecard.findOneAndUpdate(
+    { _id: scorecard._id, status: "draft" },
+    { $set: update },
+    { new: true, runValidators: true },
+  )
+  if (!saved) {
+    throw new ScorecardError("Scorecard was already submitted", { code: "SCORECARD_LOCKED", statusCode: 409 })
+  }
+
+  if (submit) console.log(`🧑‍⚖️ [SCORECARD] ${interview.roomId}: scorecard submitted by ${user._id}`)
+  return saved
+}
+
+// Where the panel's average recommendation value leans; "mixed" when it leans neither way
+const getRecommendationLean = (mean) => {
+  if (mean >= 1.5) return "strong_hire"
+  if (mean >= 0.5) return "hire"
+  if (mean <= -1.5) return "strong_no_hire"
+  if (mean <= -0.5) return "no_hire"
+  return "mixed"
+}
+
+/**
+ * The panel's view of the interview from its submitted scorecards, next to the AI's scores:
+ * the mean interviewer score per competency, how far apart interviewers are, and where the
+ * panel and the AI differ by DISAGREEMENT_THRESHOLD points or more.
+ */
+const computeConsensus = (scorecards, rubric, analysis) => {
+  const aiCompetencies = analysis?.status === "scored" ? analysis.competencies : []
+
+  const competencies = rubric.competencies.map((competency) => {
+    const scores = scorecards
+      .map((scorecard) => scorecard.competencies.find((entry) => entry.key === competency.key)?.score)
+      .filter(Number.isFinite)
+    const humanScore = scores.length ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null
+    const spread = scores.length ? Math.max(...scores) - Math.min(...scores) : null
+    const aiScore = aiCompetencies.find((entry) => entry.key === competency.key)?.score
+    const difference = humanScore !== null && Number.isFinite(aiScore) ? round(humanScore - aiScore) : null
+
+    return {
+      key: competency.key,
+      name: competency.name,
+      weight: competency.weight,
+      humanScore,
+      scoreCount: scores.length,
+      spread,
+      panelSplit: spread !== null && spread >= DISAGREEMENT_THRESHOLD,
+      aiScore: Number.isFinite(aiScore) ? aiScore : null,
+      difference,
+      disagreement: difference !== null && Math.abs(difference) >= DISAGREEMENT_THRESHOLD,
+    }
+  })
+
+  const humanOverall = computeOverallScore(
+    competencies.map((competency) => ({ score: competency.humanScore, weight: competency.weight })),
+  )
+  const aiOverall = analysis?.status === "scored" && Number.isFinite(analysis.overallScore) ? analysis.overallScore : null
+  const overallDifference = humanOverall !== null && aiOverall !== null ? round(humanOverall - aiOverall) : null
+
+  const recommendations = scorecards.map((scorecard) => scorecard.recommendation).filter(Boolean)
+  const counts = Object.fromEntries(
+    RECOMMENDATIONS.map((value) => [value, recommendations.filter((entry) => entry === value).length]),
+  )
+  const meanValue = recommendations.length
+    ? recommendations.reduce((sum, value) => sum + RECOMMENDATION_VALUES[value], 0) / recommendations.length
+    : null
+
+  return {
+    submittedCount: scorecards.length,
+    overall: {
+      humanScore: humanOverall,
+      aiScore: aiOverall,
+      difference: overallDifference,
+      disagreement: overallDifference !== null && Math.abs(overallDifference) >= DISAGREEMENT_THRESHOLD,
+    },
+    competencies,
+    recommendation: {
+      counts,
+      consensus: meanValue === null ? null : getRecommendationLean(meanValue),
+      unanimous: recommendations.length > 0 && new Set(recommendations).size === 1,
+    },
+    disagreements: competencies.filter((competency) => competency.disagreement).map((competency) => competency.key),
+    aiStatus: analysis?.analyzedAt ? analysis.status : null,
+    threshold: DISAGREEMENT_THRESHOLD,
+  }
+}
+
+const toScorecardView = (scorecard, { withNotes }) => ({
+  id: scorecard._id,
+  interviewer: {
+    id: scorecard.interviewer?._id,
+    name: scorecard.interviewer?.name,
+    email: scorecard.interviewer?.email,
+  },
+  status: scorecard.status,
+  competencies: scorecard.competencies.map((competency) => ({
+    key: competency.key,
+    name: competency.name,
+    score: competency.score,
+    comment: competency.comment,
+  })),
+  recommendation: scorecard.recommendation,
+  ...(withNotes && { notes: scorecard.notes }),
+  submittedAt: scorecard.submittedAt,
+  updatedAt: scorecard.updatedAt,
+})
+
+/**
+ * The interview's scorecards as `user` may see them. Anyone who can still score is `blind`: a
+ * panel member with a draft, or the job's recruiter before they have a scorecard. They get their
+ * own scorecard and who has submitted, but no scores of others and no consensus.
+ * Notes are private: only their author sees them, on their own scorecard.
+ */
+const getScorecardView = async (interview, user, access) => {
+  const scorecards = await InterviewScorecard.find({ interview: interview._id })
+    .populate("interviewer", "name email")
+    .sort({ createdAt: 1 })
+
+  const isOwn = (scorecard) => String(scorecard.interviewer?._id || scorecard.interviewer) === String(user._id)
+  const own = scorecards.find(isOwn) || null
+  const blind = own ? own.status === "draft" : access.manager && SCORECARD_PHASES.includes(interview.phase)
+  const submitted = scorecards.filter((scorecard) => scorecard.status === "submitted")
+  const rubric = getInterviewRubric(interview)
+
+  return {
+    roomId: interview.roomId,
+    rubric: { rubricId: rubric.rubricId || null, name: rubric.name, version: rubric.version || 1 },
+    canManagePanel: access.manager,
+    blind,
+    own: own ? toScorecardView(own, { withNotes: true }) : null,
+    panel: scorecards.map((scorecard) => ({
+      interviewer: {
+        id: scorecard.interviewer?._id,
+        name: scorecard.interviewer?.name,
+        email: scorecard.interviewer?.email,
+      },
+      status: scorecard.status,
+      submittedAt: scorecard.submittedAt,
+    })),
+    scorecards: blind
+      ? []
+      : submitted.filter((scorecard) => !isOwn(scorecard)).map((scorecard) => toScorecardView(scorecard, { withNotes: false })),
+    consensus: blind ? null : computeConsensus(submitted, rubric, toRubricAnalysis(interview.analysis)),
+  }
+}
+
+module.exports = {
+  ScorecardError,
+  getPanelAccess,
+  addPanelInterviewers,
+  saveScorecard,
+  computeConsensus,
+  getScorecardView,
+}
@@ -0,0 +1,83 @@
+const { EventEmitter } = require("events")
+
+/**
+ * Common shape for streaming speech-to-text adapters.
+ *
+ * Feed raw caller audio with sendAudio(); listen for:
+ *   "open"           connection ready
+ *   "speechStarted"  voice activity detected (adapters without interim results)
+ *   "interim"        { text, confidence, startMs, endMs } partial hypothesis
+ *   "final"          { text, confidence, startMs, endMs } settled transcript segment
+ *   "utteranceEnd"   the caller stopped talking
+ *   "error"          Error
+ *   "close"
+ *
+ * startMs/endMs are positions on the audio clock (ms of audio sent so far).
+ */
+class STTProvider extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.options = {
+      language: "hi",
+      sampleRate: 8000,
+      encoding: "linear16",
+      channels: 1,
+      interimResults: true,
+      endpointingMs: 300,
+      ...options,
+    }
+    this.isOpen = false
+    this.isClosed = false
+    this.pendingAudio = []
+  }
+
+  get name() {
+    return "base"
+  }
+
+  async connect() {
+    throw new Error(`${this.name} STT provider does not implement connect()`)
+  }
+
+  // Buffer audio until the provider is ready, then hand it to writeAudio()
+  sendAudio(audioBuffer) {
+    if (this.isClosed || !audioBuffer?.length) return
+
+    if (!this.isOpen) {
+      this.pendingAudio.push(audioBuffer)
+      return
+    }
+    this.writeAudio(audioBuffer)
+  }
+
+  writeAudio() {
+    throw new Error(`${this.name} STT provider does not implement writeAudio()`)
+  }
+
+  markOpen() {
+    this.isOpen = true
+    const queued = this.pendingAudio
+    this.pendingAudio = []
+    queued.forEach((buffer) => this.writeAudio(buffer))
+    this.emit("open")
+  }
+
+  // Never let a provider error crash the process when nobody is listening
+  emitError(error) {
+    if (this.listenerCount("error") > 0) {
+      this.emit("error", error)
+    } else {
+      console.error(`❌ [STT:${this.name}] ${error.message}`)
+    }
+  }
+
+  close() {
+    if (this.isClosed) return
+    this.isClosed = true
+    this.isOpen = false
+    this.pendingAudio = []
+    this.emit("close")
+  }
+}
+
+module.exports = { STTProvider }
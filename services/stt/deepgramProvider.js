@@ -0,0 +1,116 @@
+const WebSocket = require("ws")
+const { STTProvider } = require("./baseProvider")
+
+const DEEPGRAM_LISTEN_URL = "wss://api.deepgram.com/v1/listen"
+
+// Deepgram prefers the bare code for Hindi and the Indian English locale
+const getDeepgramLanguage = (language, defaultLanguage = "hi") => {
+  const lang = language?.toLowerCase() || defaultLanguage
+  if (lang === "hi") return "hi"
+  if (lang === "en") return "en-IN"
+  return lang
+}
+
+// Single place that turns adapter options into Deepgram listen query params
+const buildDeepgramListenUrl = (options = {}) => {
+  const url = new URL(DEEPGRAM_LISTEN_URL)
+  const params = {
+    channels: options.channels || 1,
+    model: options.model || "nova-2",
+    language: getDeepgramLanguage(options.language),
+    interim_results: options.interimResults !== false,
+    smart_format: options.smartFormat !== false,
+    punctuate: options.punctuate !== false,
+  }
+  // Leave encoding/sample_rate unset for containerized audio (webm, wav) so Deepgram detects it
+  if (options.encoding) params.encoding = options.encoding
+  if (options.sampleRate) params.sample_rate = options.sampleRate
+  if (options.endpointingMs) params.endpointing = options.endpointingMs
+  if (options.utteranceEndMs) params.utterance_end_ms = options.utteranceEndMs
+  if (options.vadEvents) params.vad_events = true
+
+  Object.entries(params).forEach(([key, value]) => url.searchParams.append(key, String(value)))
+  return url
+}
+
+class DeepgramSTTProvider extends STTProvider {
+  get name() {
+    return "deepgram"
+  }
+
+  connect() {
+    const apiKey = this.options.apiKey || process.env.DEEPGRAM_API_KEY
+    if (!apiKey) {
+      return Promise.reject(new Error("Deepgram API key not configured"))
+    }
+
+    return new Promise((resolve, reject) => {
+      const url = buildDeepgramListenUrl(this.options)
+      console.log(`🔌 [STT:deepgram] Connecting (${url.searchParams.get("language")})...`)
+
+      this.ws = new WebSocket(url.toString(), {
+        headers: { Authorization: `Token ${apiKey}` },
+      })
+
+      this.ws.onopen = () => {
+        console.log("✅ [STT:deepgram] Connected")
+        this.markOpen()
+        resolve()
+      }
+
+      this.ws.onmessage = (event) => {
+        try {
+          this.handleMessage(JSON.parse(event.data.toString()))
+        } catch (error) {
+          console.error(`❌ [STT:deepgram] Bad message: ${error.message}`)
+        }
+      }
+
+      this.ws.onerror = (event) => {
+        const error = event.error || new Error(event.message || "Deepgram connection error")
+        if (!this.isOpen) reject(error)
+        this.emitError(error)
+      }
+
+      this.ws.onclose = () => {
+        console.log("🔌 [STT:deepgram] Connection closed")
+        super.close()
+      }
+    })
+  }
+
+  handleMessage(data) {
+    if (data.type === "Results") {
+      const alternative = data.channel?.alternatives?.[0]
+      const text = alternative?.transcript?.trim()
+      if (!text) return
+
+      const startMs = Math.round((data.start || 0) * 1000)
+      this.emit(data.is_final ? "final" : "interim", {
+        text,
+        confidence: alternative.confidence,
+        startMs,
+        endMs: startMs + Math.round((data.duration || 0) * 1000),
+      })
+    } else if (data.type === "UtteranceEnd") {
+      this.emit("utteranceEnd")
+    } else if (data.type === "SpeechStarted") {
+      this.emit("speechStarted")
+    }
+  }
+
+  writeAudio(audioBuffer) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(audioBuffer)
+    }
+  }
+
+  close() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.close()
+    }
+    super.close()
+  }
+}
+
+module.exports = { DeepgramSTTProvider, buildDeepgramListenUrl, getDeepgramLanguage }
@@ -0,0 +1,78 @@
+const fs = require("fs")
+const { STTProvider } = require("./baseProvider")
+const { pcmDurationMs } = require("../../utils/audio")
+
+/**
+ * Offline adapter that replays a scripted transcript, for exercising the call
+ * pipeline without network access.
+ *
+ * Script entries: { atMs, text, interim: ["partial", ...], utteranceEnd: true }
+ * Each entry fires once the audio clock (ms of audio sent) reaches atMs, or
+ * `spacingMs` after the previous entry when atMs is omitted. Interims are
+ * emitted first, then the final, then UtteranceEnd unless utteranceEnd is false.
+ *
+ * The script comes from options.script, or FAKE_STT_SCRIPT (inline JSON or a
+ * path to a JSON file).
+ */
+class FakeSTTProvider extends STTProvider {
+  constructor(options = {}) {
+    super({ spacingMs: 2000, ...options })
+
+    const script = options.script || FakeSTTProvider.loadScriptFromEnv()
+    let cursorMs = 0
+    this.script = script.map((entry) => {
+      const atMs = typeof entry.atMs === "number" ? entry.atMs : cursorMs + this.options.spacingMs
+      cursorMs = atMs
+      return { ...entry, atMs }
+    })
+    this.nextIndex = 0
+    this.audioClockMs = 0
+  }
+
+  static loadScriptFromEnv() {
+    const raw = process.env.FAKE_STT_SCRIPT
+    if (!raw) return []
+
+    const json = raw.trim().startsWith("[") ? raw : fs.readFileSync(raw, "utf8")
+    return JSON.parse(json)
+  }
+
+  get name() {
+    return "fake"
+  }
+
+  async connect() {
+    console.log(`✅ [STT:fake] Replaying ${this.script.length} scripted utterances`)
+    this.markOpen()
+  }
+
+  writeAudio(audioBuffer) {
+    this.audioClockMs += pcmDurationMs(audioBuffer.length, this.options.sampleRate)
+
+    while (this.nextIndex < this.script.length && this.script[this.nextIndex].atMs <= this.audioClockMs) {
+      this.replay(this.script[this.nextIndex++])
+    }
+  }
+
+  replay(entry) {
+    const endMs = Math.round(this.audioClockMs)
+    const startMs = Math.max(0, endMs - (entry.durationMs || 1000))
+
+    ;(entry.interim || []).forEach((text) => {
+      this.emit("interim", { text, confidence: 1, startMs, endMs })
+    })
+    if (entry.text) {
+      this.emit("final", { text: entry.text, confidence: 1, startMs, endMs })
+    }
+    if (entry.utteranceEnd !== false) {
+      this.emit("utteranceEnd")
+    }
+  }
+
+  // True once every scripted utterance has been replayed
+  isExhausted() {
+    return this.nextIndex >= this.script.length
+  }
+}
+
+module.exports = { FakeSTTProvider }
@@ -0,0 +1,48 @@
+const { STTProvider } = require("./baseProvider")
+const { DeepgramSTTProvider, buildDeepgramListenUrl, getDeepgramLanguage } = require("./deepgramProvider")
+const { SarvamSTTProvider } = require("./sarvamProvider")
+const { FakeSTTProvider } = require("./fakeProvider")
+
+const DEFAULT_STT_PROVIDER = "deepgram"
+
+const providers = {
+  deepgram: DeepgramSTTProvider,
+  sarvam: SarvamSTTProvider,
+  fake: FakeSTTProvider,
+}
+
+// Add a vendor adapter without touching call logic
+const registerSTTProvider = (name, ProviderClass) => {
+  providers[name] = ProviderClass
+}
+
+/**
+ * Name of the STT adapter that serves an agent's sttSelection.
+ * STT_PROVIDER in the environment overrides every agent (e.g. "fake" for offline runs);
+ * selections without an adapter yet fall back to Deepgram.
+ */
+const getSTTProviderName = (selection) => {
+  const requested = process.env.STT_PROVIDER || selection || DEFAULT_STT_PROVIDER
+  if (providers[requested]) return requested
+
+  console.warn(`⚠️ [STT] No adapter for "${requested}", falling back to ${DEFAULT_STT_PROVIDER}`)
+  return DEFAULT_STT_PROVIDER
+}
+
+// Build the STT adapter for an agent's sttSelection
+const createSTTProvider = (selection, options = {}) => {
+  const ProviderClass = providers[getSTTProviderName(selection)]
+  return new ProviderClass(options)
+}
+
+const getAvailableSTTProviders = () => Object.keys(providers)
+
+module.exports = {
+  STTProvider,
+  createSTTProvider,
+  getSTTProviderName,
+  registerSTTProvider,
+  getAvailableSTTProviders,
+  buildDeepgramListenUrl,
+  getDeepgramLanguage,
+}
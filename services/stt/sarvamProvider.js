@@ -0,0 +1,135 @@
+const { STTProvider } = require("./baseProvider")
+const { toLocaleCode } = require("../../config/languages")
+const { pcmDurationMs, pcmToWav, pcmRms } = require("../../utils/audio")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const SARVAM_STT_URL = "https://api.sarvam.ai/speech-to-text"
+
+/**
+ * Sarvam speech-to-text over the REST endpoint.
+ * A small energy-based VAD cuts the live stream into utterances; each utterance
+ * is posted as WAV and emitted as one "final" followed by "utteranceEnd".
+ * There are no interim hypotheses, so "speechStarted" is emitted instead.
+ */
+class SarvamSTTProvider extends STTProvider {
+  constructor(options = {}) {
+    super({
+      model: "saarika:v2.5",
+      speechThreshold: 500, // RMS level that counts as voice
+      minSpeechMs: 120, // Voiced audio needed before an utterance starts
+      endpointingMs: 700, // Trailing silence that ends an utterance
+      maxUtteranceMs: 30000,
+      ...options,
+    })
+
+    this.audioClockMs = 0
+    this.utteranceChunks = []
+    this.utteranceStartMs = null
+    this.voicedMs = 0
+    this.silenceMs = 0
+    this.isSpeaking = false
+    this.transcriptions = Promise.resolve()
+  }
+
+  get name() {
+    return "sarvam"
+  }
+
+  async connect() {
+    this.apiKey = this.options.apiKey || process.env.SARVAM_API_KEY
+    if (!this.apiKey) {
+      throw new Error("Sarvam API key not configured")
+    }
+    console.log(`✅ [STT:sarvam] Ready (${toLocaleCode(this.options.language)})`)
+    this.markOpen()
+  }
+
+  writeAudio(audioBuffer) {
+    const chunkMs = pcmDurationMs(audioBuffer.length, this.options.sampleRate)
+    const isVoiced = pcmRms(audioBuffer) >= this.options.speechThreshold
+    const chunkStartMs = this.audioClockMs
+    this.audioClockMs += chunkMs
+
+    if (!this.isSpeaking) {
+      if (!isVoiced) {
+        this.voicedMs = 0
+        this.utteranceChunks = []
+        return
+      }
+
+      if (this.voicedMs === 0) this.utteranceStartMs = chunkStartMs
+      this.voicedMs += chunkMs
+      this.utteranceChunks.push(audioBuffer)
+
+      if (this.voicedMs >= this.options.minSpeechMs) {
+        this.isSpeaking = true
+        this.silenceMs = 0
+        this.emit("speechStarted")
+      }
+      return
+    }
+
+    this.utteranceChunks.push(audioBuffer)
+    this.silenceMs = isVoiced ? 0 : this.silenceMs + chunkMs
+
+    const utteranceMs = this.audioClockMs - this.utteranceStartMs
+    if (this.silenceMs >= this.options.endpointingMs || utteranceMs >= this.options.maxUtteranceMs) {
+      this.flushUtterance()
+    }
+  }
+
+  flushUtterance() {
+    const pcm = Buffer.concat(this.utteranceChunks)
+    const startMs = Math.round(this.utteranceStartMs)
+    const endMs = Math.round(this.audioClockMs - this.silenceMs)
+
+    this.utteranceChunks = []
+    this.utteranceStartMs = null
+    this.voicedMs = 0
+    this.silenceMs = 0
+    this.isSpeaking = false
+
+    // Keep results in speaking order even if requests finish out of order
+    this.transcriptions = this.transcriptions.then(async () => {
+      try {
+        const text = await this.transcribe(pcm)
+        if (this.isClosed) return
+        if (text) {
+          this.emit("final", { text, confidence: null, startMs, endMs })
+        }
+        this.emit("utteranceEnd")
+      } catch (error) {
+        this.emitError(error)
+      }
+    })
+  }
+
+  async transcribe(pcm) {
+    const formData = new FormData()
+    formData.append("file", new Blob([pcmToWav(pcm, this.options.sampleRate)], { type: "audio/wav" }), "utterance.wav")
+    formData.append("model", this.options.model)
+    formData.append("language_code", toLocaleCode(this.options.language))
+
+    const response = await fetch(SARVAM_STT_URL, {
+      method: "POST",
+      headers: { "API-Subscription-Key": this.apiKey },
+      body: formData,
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      throw new Error(`Sarvam STT error: ${response.status} - ${errorText}`)
+    }
+
+    const data = await response.json()
+    return data.transcript?.trim() || ""
+  }
+
+  close() {
+    this.utteranceChunks = []
+    super.close()
+  }
+}
+
+module.exports = { SarvamSTTProvider }
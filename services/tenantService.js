@@ -0,0 +1,127 @@
+const Tenant = require("../models/Tenant")
+const { TENANT_FEATURES, PLAN_FEATURES } = require("../config/plans")
+
+class TenantAccessError extends Error {
+  constructor(message, { code, statusCode = 403, tenantId = null, feature = null, limit = null } = {}) {
+    super(message)
+    this.name = "TenantAccessError"
+    this.code = code
+    this.statusCode = statusCode
+    this.tenantId = tenantId
+    this.feature = feature
+    this.limit = limit
+  }
+}
+
+// Plan default merged with the tenant's own override for one feature: { enabled, limit }
+const getFeatureAccess = (tenant, feature) => {
+  const planDefault = PLAN_FEATURES[tenant.subscription?.plan || "free"]?.[feature] || { enabled: false, limit: 0 }
+  const override = tenant.subscription?.features?.find((entry) => entry.name === feature)
+
+  return {
+    enabled: override?.enabled ?? planDefault.enabled,
+    limit: override && override.limit !== undefined ? override.limit : planDefault.limit,
+  }
+}
+
+// Suspended, inactive or lapsed tenants may not start anything new
+const assertTenantActive = (tenant) => {
+  if (tenant.status !== "active") {
+    throw new TenantAccessError(
+      `Tenant ${tenant.tenantId} is ${tenant.status}${tenant.statusReason ? `: ${tenant.statusReason}` : ""}`,
+      { code: tenant.status === "suspended" ? "TENANT_SUSPENDED" : "TENANT_INACTIVE", tenantId: tenant.tenantId },
+    )
+  }
+
+  const endDate = tenant.subscription?.endDate
+  if (endDate && endDate < new Date()) {
+    throw new TenantAccessError(`Tenant ${tenant.tenantId}'s ${tenant.subscription.plan} subscription expired`, {
+      code: "SUBSCRIPTION_EXPIRED",
+      statusCode: 402,
+      tenantId: tenant.tenantId,
+    })
+  }
+}
+
+/**
+ * Throw a TenantAccessError unless the tenant is active, the feature is enabled for it
+ * and currentUsage is still below the feature's limit.
+ */
+const assertFeatureAvailable = (tenant, feature, currentUsage = 0) => {
+  assertTenantActive(tenant)
+
+  const { enabled, limit } = getFeatureAccess(tenant, feature)
+  const plan = tenant.subscription?.plan || "free"
+
+  if (!enabled) {
+    throw new TenantAccessError(`The ${plan} plan does not include ${feature.replace(/_/g, " ")}`, {
+      code: "FEATURE_DISABLED",
+      tenantId: tenant.tenantId,
+      feature,
+    })
+  }
+  if (limit !== null && limit !== undefined && currentUsage >= limit) {
+    throw new TenantAccessError(
+      `The ${plan} plan allows ${limit} ${feature.replace(/_/g, " ")}; upgrade the plan to add more`,
+      { code: "PLAN_LIMIT_REACHED", tenantId: tenant.tenantId, feature, limit },
+    )
+  }
+}
+
+// Live voice sessions per tenant in this process
+const activeCalls = new Map()
+
+const getActiveCallCount = (tenantId) => activeCalls.get(tenantId) || 0
+
+/**
+ * Reserve a concurrent-call slot for a voice session.
+ * Returns a release function (safe to call more than once); throws TenantAccessError when refused.
+ */
+const acquireCallSlot = (tenant) => {
+  const { tenantId } = tenant
+  assertFeatureAvailable(tenant, TENANT_FEATURES.CONCURRENT_CALLS, getActiveCallCount(tenantId))
+  activeCalls.set(tenantId, getActiveCallCount(tenantId) + 1)
+
+  let released = false
+  return () => {
+    if (released) return
+    released = true
+
+    const remaining = getActiveCallCount(tenantId) - 1
+    if (remaining > 0) {
+      activeCalls.set(tenantId, remaining)
+    } else {
+      activeCalls.delete(tenantId)
+    }
+  }
+}
+
+/**
+ * Decide whether a voice session for tenantId may connect at all.
+ * Unknown tenants are allowed (legacy agents predate tenant records); the concurrency
+ * limit is enforced later, once the call is actually started.
+ */
+const checkVoiceSessionAllowed = async (tenantId) => {
+  if (!tenantId) return { allowed: true }
+
+  const tenant = await Tenant.findOne({ tenantId })
+  if (!tenant) return { allowed: true }
+
+  try {
+    assertTenantActive(tenant)
+    return { allowed: true, tenant }
+  } catch (error) {
+    if (error instanceof TenantAccessError) return { allowed: false, reason: error.message, tenant }
+    throw error
+  }
+}
+
+module.exports = {
+  TenantAccessError,
+  getFeatureAccess,
+  assertTenantActive,
+  assertFeatureAvailable,
+  acquireCallSlot,
+  getActiveCallCount,
+  checkVoiceSessionAllowed,
+}
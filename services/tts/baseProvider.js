@@ -0,0 +1,110 @@
+const { VOICE_CATALOG, resolveVoice } = require("../../config/voices")
+const { AUDIO_ENCODINGS, normalizeAudio, bytesPerMs } = require("../../utils/audio")
+
+/**
+ * Common shape for text-to-speech adapters.
+ *
+ * synthesize(text, overrides) resolves to
+ *   { audio, encoding, sampleRate, durationMs, voice, provider }
+ * with audio already converted to the caller's encoding and sample rate
+ * ("linear16", "mulaw" or "wav"), whatever format the vendor returned.
+ *
+ * Adapters implement synthesizeRaw(text, options) and return the vendor audio as
+ * { audio, encoding, sampleRate, channels }; options.voice is a resolved catalog entry.
+ * Compressed encodings cannot be converted: an adapter lists the ones its vendor produces
+ * in passthroughEncodings, and synthesizeRaw returns them as-is when options.encoding asks
+ * for one (durationMs is then null).
+ */
+class TTSProvider {
+  constructor(options = {}) {
+    this.options = {
+      language: "hi",
+      voice: "default",
+      sampleRate: 8000,
+      encoding: "linear16",
+      ...options,
+    }
+  }
+
+  get name() {
+    return "base"
+  }
+
+  get passthroughEncodings() {
+    return []
+  }
+
+  supportsEncoding(encoding) {
+    return AUDIO_ENCODINGS.includes(encoding) || this.passthroughEncodings.includes(encoding)
+  }
+
+  getVoices() {
+    return VOICE_CATALOG[this.name]?.voices || []
+  }
+
+  resolveVoice(selection) {
+    return resolveVoice(this.name, selection)
+  }
+
+  async synthesize(text, overrides = {}) {
+    if (!text?.trim()) throw new Error("Text is required for speech synthesis")
+
+    const options = { ...this.options, ...overrides }
+    const voice = this.resolveVoice(options.voice)
+    const raw = await this.synthesizeRaw(text, { ...options, voice })
+
+    if (!raw?.audio?.length) {
+      throw new Error(`No audio data received from ${this.name}`)
+    }
+
+    if (this.passthroughEncodings.includes(options.encoding)) {
+      if (raw.encoding !== options.encoding) {
+        throw new Error(`${this.name} returned ${raw.encoding} audio instead of ${options.encoding}`)
+      }
+      return {
+        audio: raw.audio,
+        encoding: raw.encoding,
+        sampleRate: raw.sampleRate,
+        durationMs: null,
+        voice: voice.id,
+        provider: this.name,
+      }
+    }
+
+    const audio = normalizeAudio(raw, { encoding: options.encoding, sampleRate: options.sampleRate })
+    const payloadBytes = options.encoding === "wav" ? audio.length - 44 : audio.length
+
+    return {
+      audio,
+      encoding: options.encoding,
+      sampleRate: options.sampleRate,
+      durationMs: Math.round(payloadBytes / bytesPerMs(options.encoding, options.sampleRate)),
+      voice: voice.id,
+      provider: this.name,
+    }
+  }
+
+  async synthesizeRaw() {
+    throw new Error(`${this.name} TTS provider does not implement synthesizeRaw()`)
+  }
+
+  // Read a vendor error body without masking the HTTP status
+  async readError(response) {
+    const body = await response.text().catch(() => "")
+    try {
+      const parsed = JSON.parse(body)
+      return parsed.error?.message || parsed.error || parsed.message || body
+    } catch {
+      return body || response.statusText
+    }
+  }
+
+  // Error for a failed vendor response; error.status lets callers spot rejected keys
+  async responseError(label, response) {
+    const error = new Error(`${label}: ${response.status} - ${await this.readError(response)}`)
+    error.status = response.status
+    return error
+  }
+}
+
+module.exports = { TTSProvider }
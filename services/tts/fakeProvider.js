@@ -0,0 +1,58 @@
+const { TTSProvider } = require("./baseProvider")
+
+const FAKE_SAMPLE_RATE = 16000
+
+// Stable 32-bit FNV-1a hash so the same text always produces the same audio
+const hashText = (text) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return hash
+}
+
+/**
+ * Deterministic offline text-to-speech for tests and local runs.
+ * Renders a sine tone whose pitch depends on the text and voice and whose length
+ * grows with the text (msPerChar, clamped to minMs..maxMs). Nothing leaves the process.
+ * latencyMs delays each synthesis to exercise streaming and barge-in paths;
+ * every request is kept in this.requests for assertions.
+ */
+class FakeTTSProvider extends TTSProvider {
+  constructor(options = {}) {
+    super({ msPerChar: 60, minMs: 200, maxMs: 10000, latencyMs: 0, ...options })
+    this.requests = []
+  }
+
+  get name() {
+    return "fake"
+  }
+
+  async synthesizeRaw(text, options) {
+    this.requests.push({ text, voice: options.voice.id, language: options.language })
+
+    if (options.latencyMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, options.latencyMs))
+    }
+    if (options.signal?.aborted) {
+      const error = new Error("Synthesis aborted")
+      error.name = "AbortError"
+      throw error
+    }
+
+    const durationMs = Math.min(options.maxMs, Math.max(options.minMs, text.length * options.msPerChar))
+    const samples = Math.round((durationMs / 1000) * FAKE_SAMPLE_RATE)
+    const frequency = 200 + (hashText(`${options.voice.id}:${text}`) % 400)
+    const audio = Buffer.alloc(samples * 2)
+
+    for (let i = 0; i < samples; i++) {
+      const sample = Math.round(8000 * Math.sin((2 * Math.PI * frequency * i) / FAKE_SAMPLE_RATE))
+      audio.writeInt16LE(sample, i * 2)
+    }
+
+    return { audio, encoding: "linear16", sampleRate: FAKE_SAMPLE_RATE }
+  }
+}
+
+module.exports = { FakeTTSProvider }
@@ -0,0 +1,64 @@
+const { TTSProvider } = require("./baseProvider")
+const { SarvamTTSProvider } = require("./sarvamProvider")
+const { LMNTTTSProvider } = require("./lmntProvider")
+const { OpenAITTSProvider } = require("./openaiProvider")
+const { FakeTTSProvider } = require("./fakeProvider")
+const { VOICE_CATALOG, VOICE_PERSONAS, resolveVoice } = require("../../config/voices")
+
+const DEFAULT_TTS_PROVIDER = "sarvam"
+
+const providers = {
+  sarvam: SarvamTTSProvider,
+  lmnt: LMNTTTSProvider,
+  openai: OpenAITTSProvider,
+  fake: FakeTTSProvider,
+}
+
+// Add a vendor adapter without touching call logic
+const registerTTSProvider = (name, ProviderClass, catalog) => {
+  providers[name] = ProviderClass
+  if (catalog) VOICE_CATALOG[name] = catalog
+}
+
+/**
+ * Name of the TTS adapter that serves an agent's ttsSelection.
+ * TTS_PROVIDER in the environment overrides every agent (e.g. "fake" for offline runs);
+ * selections without an adapter yet fall back to Sarvam.
+ */
+const getTTSProviderName = (selection) => {
+  const requested = process.env.TTS_PROVIDER || selection || DEFAULT_TTS_PROVIDER
+  if (providers[requested]) return requested
+
+  console.warn(`⚠️ [TTS] No adapter for "${requested}", falling back to ${DEFAULT_TTS_PROVIDER}`)
+  return DEFAULT_TTS_PROVIDER
+}
+
+// Build the TTS adapter for an agent's ttsSelection
+const createTTSProvider = (selection, options = {}) => {
+  const ProviderClass = providers[getTTSProviderName(selection)]
+  return new ProviderClass(options)
+}
+
+const getAvailableTTSProviders = () => Object.keys(providers)
+
+// Voices per provider; pass a name for one provider's catalog
+const getVoiceCatalog = (providerName) => {
+  if (providerName) {
+    const catalog = VOICE_CATALOG[providerName]
+    return catalog ? { provider: providerName, ...catalog } : null
+  }
+  return getAvailableTTSProviders()
+    .filter((name) => VOICE_CATALOG[name])
+    .map((name) => ({ provider: name, ...VOICE_CATALOG[name] }))
+}
+
+module.exports = {
+  TTSProvider,
+  createTTSProvider,
+  getTTSProviderName,
+  registerTTSProvider,
+  getAvailableTTSProviders,
+  getVoiceCatalog,
+  resolveVoice,
+  VOICE_PERSONAS,
+}
@@ -0,0 +1,65 @@
+const { TTSProvider } = require("./baseProvider")
+const { VOICE_CATALOG } = require("../../config/voices")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const LMNT_SPEECH_URL = "https://api.lmnt.com/v1/ai/speech/bytes"
+const LMNT_SAMPLE_RATES = [8000, 16000, 24000]
+
+/**
+ * LMNT text-to-speech over the REST bytes endpoint.
+ * Requests raw 16-bit PCM at the closest rate LMNT offers; the base class resamples the rest.
+ * MP3 is passed through as LMNT encodes it.
+ */
+class LMNTTTSProvider extends TTSProvider {
+  constructor(options = {}) {
+    super({ model: "aurora", speed: 1.0, ...options })
+  }
+
+  get name() {
+    return "lmnt"
+  }
+
+  get passthroughEncodings() {
+    return ["mp3"]
+  }
+
+  async synthesizeRaw(text, options) {
+    const apiKey = options.apiKey || process.env.LMNT_API_KEY
+    if (!apiKey) throw new Error("LMNT API key not configured")
+
+    const sampleRate = LMNT_SAMPLE_RATES.includes(options.sampleRate) ? options.sampleRate : 24000
+    const format = options.encoding === "mp3" ? "mp3" : "raw"
+    const language = VOICE_CATALOG.lmnt.languages.includes(options.language) ? options.language : "en"
+
+    const response = await fetch(LMNT_SPEECH_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-API-Key": apiKey,
+      },
+      body: JSON.stringify({
+        text,
+        voice: options.voice.id,
+        model: options.model,
+        language,
+        format,
+        sample_rate: sampleRate,
+        speed: options.speed,
+      }),
+      signal: options.signal,
+    })
+
+    if (!response.ok) {
+      throw await this.responseError("LMNT API error", response)
+    }
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      encoding: format === "mp3" ? "mp3" : "linear16",
+      sampleRate,
+    }
+  }
+}
+
+module.exports = { LMNTTTSProvider }
@@ -0,0 +1,58 @@
+const { TTSProvider } = require("./baseProvider")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const OPENAI_SPEECH_URL = "https://api.openai.com/v1/audio/speech"
+// response_format "pcm" is always 24kHz 16-bit mono
+const OPENAI_PCM_SAMPLE_RATE = 24000
+
+/**
+ * OpenAI text-to-speech. Voices are multilingual and follow the language of the text.
+ */
+class OpenAITTSProvider extends TTSProvider {
+  constructor(options = {}) {
+    super({ model: "tts-1", speed: 1.0, ...options })
+  }
+
+  get name() {
+    return "openai"
+  }
+
+  get passthroughEncodings() {
+    return ["mp3"]
+  }
+
+  async synthesizeRaw(text, options) {
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY
+    if (!apiKey) throw new Error("OpenAI API key not configured")
+    const format = options.encoding === "mp3" ? "mp3" : "pcm"
+
+    const response = await fetch(OPENAI_SPEECH_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({
+        model: options.model,
+        input: text,
+        voice: options.voice.id,
+        response_format: format,
+        speed: options.speed,
+      }),
+      signal: options.signal,
+    })
+
+    if (!response.ok) {
+      throw await this.responseError("OpenAI TTS error", response)
+    }
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      encoding: format === "mp3" ? "mp3" : "linear16",
+      sampleRate: OPENAI_PCM_SAMPLE_RATE,
+    }
+  }
+}
+
+module.exports = { OpenAITTSProvider }
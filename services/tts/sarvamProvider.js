@@ -0,0 +1,67 @@
+const { TTSProvider } = require("./baseProvider")
+const { VOICE_CATALOG } = require("../../config/voices")
+const { toLocaleCode } = require("../../config/languages")
+
+const fetch = globalThis.fetch || require("node-fetch")
+
+const SARVAM_TTS_URL = "https://api.sarvam.ai/text-to-speech"
+const SARVAM_SAMPLE_RATES = [8000, 16000, 22050, 24000]
+
+// Sarvam names Odia "od-IN" rather than the standard "or-IN"
+const getSarvamTTSLanguage = (language) => {
+  const lang = VOICE_CATALOG.sarvam.languages.includes(language) ? language : "hi"
+  return lang === "or" ? "od-IN" : toLocaleCode(lang)
+}
+
+/**
+ * Sarvam Bulbul text-to-speech. The model (bulbul:v1 / v2) follows the chosen speaker.
+ * Audio comes back as base64 WAV, requested at the caller's rate when Sarvam supports it.
+ */
+class SarvamTTSProvider extends TTSProvider {
+  constructor(options = {}) {
+    super({ pitch: 0, pace: 1.0, loudness: 1.0, ...options })
+  }
+
+  get name() {
+    return "sarvam"
+  }
+
+  async synthesizeRaw(text, options) {
+    const apiKey = options.apiKey || process.env.SARVAM_API_KEY
+    if (!apiKey) throw new Error("Sarvam API key not configured")
+
+    const sampleRate = SARVAM_SAMPLE_RATES.includes(options.sampleRate) ? options.sampleRate : 22050
+
+    const response = await fetch(SARVAM_TTS_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "API-Subscription-Key": apiKey,
+      },
+      body: JSON.stringify({
+        inputs: [text],
+        target_language_code: getSarvamTTSLanguage(options.language),
+        speaker: options.voice.id,
+        pitch: options.pitch,
+        pace: options.pace,
+        loudness: options.loudness,
+        speech_sample_rate: sampleRate,
+        enable_preprocessing: false,
+        model: options.voice.model,
+      }),
+      signal: options.signal,
+    })
+
+    if (!response.ok) {
+      throw await this.responseError("Sarvam API error", response)
+    }
+
+    const data = await response.json()
+    const audioBase64 = data.audios?.[0]
+    if (!audioBase64) throw new Error("No audio data received from Sarvam API")
+
+    return { audio: Buffer.from(audioBase64, "base64"), encoding: "wav" }
+  }
+}
+
+module.exports = { SarvamTTSProvider, getSarvamTTSLanguage }
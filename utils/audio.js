@@ -0,0 +1,204 @@
+// PCM helpers shared by the speech providers. All PCM here is 16-bit little-endian mono.
+
+const BYTES_PER_SAMPLE = 2
+
+const pcmDurationMs = (byteLength, sampleRate) => (byteLength / BYTES_PER_SAMPLE / sampleRate) * 1000
+
+// Wrap raw PCM in a RIFF/WAVE header
+const pcmToWav = (pcmBuffer, sampleRate = 8000, channels = 1) => {
+  const byteRate = sampleRate * channels * BYTES_PER_SAMPLE
+  const header = Buffer.alloc(44)
+
+  header.write("RIFF", 0)
+  header.writeUInt32LE(36 + pcmBuffer.length, 4)
+  header.write("WAVE", 8)
+  header.write("fmt ", 12)
+  header.writeUInt32LE(16, 16)
+  header.writeUInt16LE(1, 20)
+  header.writeUInt16LE(channels, 22)
+  header.writeUInt32LE(sampleRate, 24)
+  header.writeUInt32LE(byteRate, 28)
+  header.writeUInt16LE(channels * BYTES_PER_SAMPLE, 32)
+  header.writeUInt16LE(BYTES_PER_SAMPLE * 8, 34)
+  header.write("data", 36)
+  header.writeUInt32LE(pcmBuffer.length, 40)
+
+  return Buffer.concat([header, pcmBuffer])
+}
+
+// Root-mean-square level of a PCM frame, 0..32768
+const pcmRms = (pcmBuffer) => {
+  const samples = Math.floor(pcmBuffer.length / BYTES_PER_SAMPLE)
+  if (samples === 0) return 0
+
+  let sumSquares = 0
+  for (let i = 0; i < samples; i++) {
+    const sample = pcmBuffer.readInt16LE(i * BYTES_PER_SAMPLE)
+    sumSquares += sample * sample
+  }
+  return Math.sqrt(sumSquares / samples)
+}
+
+// Split a RIFF/WAVE file into its PCM payload and format. Supports 16-bit PCM and 8-bit mu-law.
+const parseWav = (wavBuffer) => {
+  if (wavBuffer.length < 12 || wavBuffer.toString("ascii", 0, 4) !== "RIFF" || wavBuffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("Audio is not a RIFF/WAVE file")
+  }
+
+  let format = null
+  let offset = 12
+  while (offset + 8 <= wavBuffer.length) {
+    const chunkId = wavBuffer.toString("ascii", offset, offset + 4)
+    const chunkSize = wavBuffer.readUInt32LE(offset + 4)
+    const body = offset + 8
+
+    if (chunkId === "fmt ") {
+      format = {
+        audioFormat: wavBuffer.readUInt16LE(body),
+        channels: wavBuffer.readUInt16LE(body + 2),
+        sampleRate: wavBuffer.readUInt32LE(body + 4),
+        bitsPerSample: wavBuffer.readUInt16LE(body + 14),
+      }
+    } else if (chunkId === "data") {
+      if (!format) throw new Error("WAV data chunk appears before its fmt chunk")
+      // Streaming encoders write 0 or 0xFFFFFFFF when the length is unknown
+      const end = chunkSize && chunkSize !== 0xffffffff ? Math.min(body + chunkSize, wavBuffer.length) : wavBuffer.length
+      const data = wavBuffer.subarray(body, end)
+
+      if (format.audioFormat === 7 && format.bitsPerSample === 8) {
+        return { audio: data, encoding: "mulaw", sampleRate: format.sampleRate, channels: format.channels }
+      }
+      if (format.audioFormat === 1 && format.bitsPerSample === 16) {
+        return { audio: data, encoding: "linear16", sampleRate: format.sampleRate, channels: format.channels }
+      }
+      throw new Error(`Unsupported WAV format ${format.audioFormat} (${format.bitsPerSample}-bit)`)
+    }
+
+    offset = body + chunkSize + (chunkSize % 2)
+  }
+
+  throw new Error("WAV file has no data chunk")
+}
+
+// G.711 mu-law, as used by most telephony media streams
+const MULAW_BIAS = 0x84
+const MULAW_CLIP = 32635
+
+const mulawToPcm = (mulawBuffer) => {
+  const pcm = Buffer.alloc(mulawBuffer.length * BYTES_PER_SAMPLE)
+  for (let i = 0; i < mulawBuffer.length; i++) {
+    const value = ~mulawBuffer[i] & 0xff
+    const exponent = (value >> 4) & 0x07
+    const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS
+    pcm.writeInt16LE(value & 0x80 ? -magnitude : magnitude, i * BYTES_PER_SAMPLE)
+  }
+  return pcm
+}
+
+const pcmToMulaw = (pcmBuffer) => {
+  const samples = Math.floor(pcmBuffer.length / BYTES_PER_SAMPLE)
+  const mulaw = Buffer.alloc(samples)
+  for (let i = 0; i < samples; i++) {
+    let sample = pcmBuffer.readInt16LE(i * BYTES_PER_SAMPLE)
+    const sign = sample < 0 ? 0x80 : 0
+    if (sign) sample = -sample
+    sample = Math.min(sample, MULAW_CLIP) + MULAW_BIAS
+
+    let exponent = 7
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent--
+    const mantissa = (sample >> (exponent + 3)) & 0x0f
+
+    mulaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xff
+  }
+  return mulaw
+}
+
+// Average interleaved channels down to mono
+const downmixToMono = (pcmBuffer, channels) => {
+  if (channels <= 1) return pcmBuffer
+
+  const frames = Math.floor(pcmBuffer.length / (BYTES_PER_SAMPLE * channels))
+  const mono = Buffer.alloc(frames * BYTES_PER_SAMPLE)
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0
+    for (let channel = 0; channel < channels; channel++) {
+      sum += pcmBuffer.readInt16LE((frame * channels + channel) * BYTES_PER_SAMPLE)
+    }
+    mono.writeInt16LE(Math.round(sum / channels), frame * BYTES_PER_SAMPLE)
+  }
+  return mono
+}
+
+// Linear-interpolation resampler; good enough for speech going to 8-24kHz
+const resamplePcm = (pcmBuffer, fromRate, toRate) => {
+  if (!fromRate || !toRate || fromRate === toRate) return pcmBuffer
+
+  const inputSamples = Math.floor(pcmBuffer.length / BYTES_PER_SAMPLE)
+  if (inputSamples === 0) return Buffer.alloc(0)
+
+  const outputSamples = Math.max(1, Math.round((inputSamples * toRate) / fromRate))
+  const output = Buffer.alloc(outputSamples * BYTES_PER_SAMPLE)
+  const step = fromRate / toRate
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * step
+    const index = Math.min(Math.floor(position), inputSamples - 1)
+    const next = Math.min(index + 1, inputSamples - 1)
+    const fraction = position - index
+    const current = pcmBuffer.readInt16LE(index * BYTES_PER_SAMPLE)
+    const following = pcmBuffer.readInt16LE(next * BYTES_PER_SAMPLE)
+    output.writeInt16LE(Math.round(current + (following - current) * fraction), i * BYTES_PER_SAMPLE)
+  }
+  return output
+}
+
+const AUDIO_ENCODINGS = ["linear16", "mulaw", "wav"]
+
+/**
+ * Convert { audio, encoding, sampleRate, channels } into the target { encoding, sampleRate }.
+ * Encodings: "linear16" (raw 16-bit PCM), "mulaw" (raw G.711) and "wav" (16-bit PCM in a WAV header).
+ * A WAV input describes itself, so its sampleRate/channels need not be given.
+ */
+const normalizeAudio = (input, target) => {
+  let { audio, encoding, sampleRate, channels = 1 } = input
+
+  if (encoding === "wav") {
+    ;({ audio, encoding, sampleRate, channels } = parseWav(audio))
+  }
+  if (encoding === "mulaw") {
+    audio = mulawToPcm(audio)
+  } else if (encoding !== "linear16") {
+    throw new Error(`Cannot normalize ${encoding} audio`)
+  }
+
+  const pcm = resamplePcm(downmixToMono(audio, channels), sampleRate, target.sampleRate)
+
+  switch (target.encoding) {
+    case "linear16":
+      return pcm
+    case "mulaw":
+      return pcmToMulaw(pcm)
+    case "wav":
+      return pcmToWav(pcm, target.sampleRate)
+    default:
+      throw new Error(`Unsupported target encoding ${target.encoding}`)
+  }
+}
+
+// Bytes of encoded audio per millisecond, used to pace playback
+const bytesPerMs = (encoding, sampleRate) => (sampleRate * (encoding === "mulaw" ? 1 : BYTES_PER_SAMPLE)) / 1000
+
+module.exports = {
+  BYTES_PER_SAMPLE,
+  AUDIO_ENCODINGS,
+  pcmDurationMs,
+  pcmToWav,
+  pcmRms,
+  parseWav,
+  mulawToPcm,
+  pcmToMulaw,
+  downmixToMono,
+  resamplePcm,
+  normalizeAudio,
+  bytesPerMs,
+}
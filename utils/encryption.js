@@ -0,0 +1,191 @@
+const crypto = require("crypto")
+
+/**
+ * Versioned AES-256-GCM encryption for secrets stored in the database.
+ *
+ * Ciphertexts look like "v2:<iv>:<authTag>:<data>" (hex). The version names the
+ * master key that sealed them, so several master keys can be live at once:
+ *
+ *   ENCRYPTION_KEYS="2:<new secret>,1:<old secret>"
+ *
+ * New values are always sealed with the highest version; older versions stay
+ * readable until reencryptApiKeys() in services/apiKeyService has moved
+ * everything forward. A plain ENCRYPTION_SECRET is treated as version 1.
+ *
+ * Values written before versioning ("<iv>:<data>", AES-256-CBC) are still
+ * readable so they can be migrated.
+ */
+
+const ALGORITHM = "aes-256-gcm"
+const IV_BYTES = 12
+const MIN_SECRET_LENGTH = 32
+
+// The old fallback; anything sealed with it is readable by whoever has the source
+const LEGACY_DEFAULT_SECRET = "default-secret-key-change-in-production"
+const DEVELOPMENT_SECRET = "development-only-encryption-secret-do-not-use"
+
+const VERSIONED_PATTERN = /^v(\d+):([0-9a-f]+):([0-9a-f]+):([0-9a-f]*)$/
+const LEGACY_PATTERN = /^([0-9a-f]{32}):([0-9a-f]+)$/
+
+const deriveKey = (secret) => crypto.createHash("sha256").update(secret).digest()
+
+const isProduction = () => process.env.NODE_ENV === "production"
+
+// { version, secret } entries from the environment, newest first
+const readMasterSecrets = () => {
+  if (process.env.ENCRYPTION_KEYS) {
+    return process.env.ENCRYPTION_KEYS.split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const separator = entry.indexOf(":")
+        const version = Number(entry.slice(0, separator))
+        if (separator < 1 || !Number.isInteger(version) || version < 1) {
+          throw new Error(`ENCRYPTION_KEYS entries must look like "<version>:<secret>"`)
+        }
+        return { version, secret: entry.slice(separator + 1) }
+      })
+      .sort((a, b) => b.version - a.version)
+  }
+  if (process.env.ENCRYPTION_SECRET) {
+    return [{ version: 1, secret: process.env.ENCRYPTION_SECRET }]
+  }
+  return []
+}
+
+// Reasons the configured secrets are unfit for production; empty when they are fine
+const getEncryptionProblems = (secrets = readMasterSecrets()) => {
+  if (!secrets.length) return ["ENCRYPTION_KEYS or ENCRYPTION_SECRET is not set"]
+
+  const problems = []
+  const versions = new Set()
+  for (const { version, secret } of secrets) {
+    if (versions.has(version)) problems.push(`Encryption key version ${version} is defined twice`)
+    versions.add(version)
+    if (secret === LEGACY_DEFAULT_SECRET || secret === DEVELOPMENT_SECRET) {
+      problems.push(`Encryption key version ${version} is a published default`)
+    } else if (secret.length < MIN_SECRET_LENGTH) {
+      problems.push(`Encryption key version ${version} is shorter than ${MIN_SECRET_LENGTH} characters`)
+    }
+  }
+  return problems
+}
+
+let keyRing = null
+
+// Derived keys by version, built once; development falls back to a throwaway secret
+const getKeyRing = () => {
+  if (keyRing) return keyRing
+
+  let secrets = readMasterSecrets()
+  if (!secrets.length) {
+    if (isProduction()) throw new Error("Refusing to encrypt secrets without ENCRYPTION_KEYS or ENCRYPTION_SECRET")
+    console.warn("⚠️ [ENCRYPTION] No ENCRYPTION_KEYS or ENCRYPTION_SECRET set; using a development-only key")
+    secrets = [{ version: 1, secret: DEVELOPMENT_SECRET }]
+  }
+
+  keyRing = {
+    currentVersion: secrets[0].version,
+    keys: new Map(secrets.map(({ version, secret }) => [version, deriveKey(secret)])),
+    secrets: secrets.map(({ secret }) => secret),
+  }
+  return keyRing
+}
+
+// Forget cached keys, e.g. after changing the environment in a test
+const resetKeyRing = () => {
+  keyRing = null
+}
+
+/**
+ * Refuse to start in production without real master keys.
+ * Outside production the problems are only logged.
+ */
+const assertEncryptionConfigured = () => {
+  const problems = getEncryptionProblems()
+  if (!problems.length) {
+    const { currentVersion, keys } = getKeyRing()
+    console.log(`🔐 [ENCRYPTION] Sealing with key v${currentVersion} (${keys.size} key${keys.size === 1 ? "" : "s"} loaded)`)
+    return
+  }
+
+  if (isProduction()) {
+    throw new Error(`Encryption is not configured for production: ${problems.join("; ")}`)
+  }
+  problems.forEach((problem) => console.warn(`⚠️ [ENCRYPTION] ${problem}`))
+}
+
+const encrypt = (plaintext) => {
+  const { currentVersion, keys } = getKeyRing()
+  const iv = crypto.randomBytes(IV_BYTES)
+
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentVersion), iv)
+  const encrypted = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()])
+
+  return `v${currentVersion}:${iv.toString("hex")}:${cipher.getAuthTag().toString("hex")}:${encrypted.toString("hex")}`
+}
+
+// Legacy values are provider API keys: printable ASCII without whitespace
+const LEGACY_PLAINTEXT_PATTERN = /^[\x21-\x7e]+$/
+
+// AES-256-CBC values from before versioning. CBC has no authentication, so a wrong
+// secret still passes the padding check about one time in 256; a candidate only counts
+// when its plaintext looks like a key, and a value two secrets can both open is refused.
+const decryptLegacy = (iv, data) => {
+  const candidates = [...new Set([...getKeyRing().secrets, LEGACY_DEFAULT_SECRET])]
+  const plaintexts = new Set()
+
+  for (const secret of candidates) {
+    try {
+      const decipher = crypto.createDecipheriv("aes-256-cbc", deriveKey(secret), Buffer.from(iv, "hex"))
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(data, "hex")), decipher.final()]).toString("latin1")
+      if (LEGACY_PLAINTEXT_PATTERN.test(plaintext)) plaintexts.add(plaintext)
+    } catch {
+      // Wrong key; the padding check failed
+    }
+  }
+
+  if (plaintexts.size > 1) throw new Error("Legacy value decrypts to a plausible key under more than one secret")
+  if (!plaintexts.size) throw new Error("Unable to decrypt legacy value with any configured secret")
+  return [...plaintexts][0]
+}
+
+const decrypt = (ciphertext) => {
+  const versioned = VERSIONED_PATTERN.exec(ciphertext)
+  if (versioned) {
+    const [, version, iv, authTag, data] = versioned
+    const key = getKeyRing().keys.get(Number(version))
+    if (!key) throw new Error(`Encryption key v${version} is not configured`)
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, "hex"))
+    decipher.setAuthTag(Buffer.from(authTag, "hex"))
+    return Buffer.concat([decipher.update(Buffer.from(data, "hex")), decipher.final()]).toString("utf8")
+  }
+
+  const legacy = LEGACY_PATTERN.exec(ciphertext)
+  if (legacy) return decryptLegacy(legacy[1], legacy[2])
+
+  throw new Error("Unrecognised encrypted value")
+}
+
+// Key version a value was sealed with; 0 for legacy CBC values
+const getEncryptionVersion = (ciphertext) => {
+  const versioned = VERSIONED_PATTERN.exec(ciphertext || "")
+  return versioned ? Number(versioned[1]) : 0
+}
+
+// True when the value should be re-sealed with the current key
+const needsReencryption = (ciphertext) => getEncryptionVersion(ciphertext) !== getKeyRing().currentVersion
+
+const getCurrentKeyVersion = () => getKeyRing().currentVersion
+
+module.exports = {
+  encrypt,
+  decrypt,
+  getEncryptionVersion,
+  needsReencryption,
+  getCurrentKeyVersion,
+  getEncryptionProblems,
+  assertEncryptionConfigured,
+  resetKeyRing,
+}
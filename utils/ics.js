@@ -0,0 +1,93 @@
+// Minimal RFC 5545 (iCalendar) writer for single-event invites and cancellations
+
+const PRODUCT_ID = "-//Airuter//Interview Scheduler//EN"
+const MAX_LINE_OCTETS = 75
+
+// 20261020T090000Z
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")
+
+// TEXT values escape backslash, semicolon, comma and newlines (RFC 5545 section 3.3.11)
+const escapeText = (value = "") =>
+  String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n")
+
+// Parameter values containing ":", ";" or "," must be quoted; quotes themselves are not allowed
+const quoteParam = (value = "") => {
+  const clean = String(value).replace(/"/g, "'")
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean
+}
+
+// Fold lines longer than 75 octets without splitting a UTF-8 character (section 3.1)
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line
+
+  const chunks = []
+  let current = ""
+  let limit = MAX_LINE_OCTETS
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current)
+      current = ""
+      limit = MAX_LINE_OCTETS - 1 // continuation lines start with a space
+    }
+    current += char
+  }
+  chunks.push(current)
+  return chunks.join("\r\n ")
+}
+
+const person = (property, { name, email }, params = []) =>
+  `${property}${name ? `;CN=${quoteParam(name)}` : ""}${params.map((param) => `;${param}`).join("")}:mailto:${email}`
+
+/**
+ * Build a VCALENDAR with one VEVENT.
+ * method is "REQUEST" for new and updated invites or "CANCEL"; calendar clients match
+ * updates by uid and apply the one with the highest sequence.
+ */
+const buildCalendarEvent = ({
+  method = "REQUEST",
+  uid,
+  sequence = 0,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendee,
+  now = new Date(),
+}) => {
+  const cancelled = method === "CANCEL"
+  const lines = [
+    "BEGIN:VCALENDAR",
+    `PRODID:${PRODUCT_ID}`,
+    "VERSION:2.0",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    url && `URL:${url}`,
+    organizer && person("ORGANIZER", organizer),
+    attendee &&
+      person("ATTENDEE", attendee, [
+        "ROLE=REQ-PARTICIPANT",
+        `PARTSTAT=${cancelled ? "DECLINED" : "NEEDS-ACTION"}`,
+        `RSVP=${cancelled ? "FALSE" : "TRUE"}`,
+      ]),
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "TRANSP:OPAQUE",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].filter(Boolean)
+
+  return lines.map(foldLine).join("\r\n") + "\r\n"
+}
+
+module.exports = { buildCalendarEvent, escapeText, foldLine }
@@ -0,0 +1,37 @@
+// Checking that a quote attributed to a candidate really appears in what they said
+
+// Shortest quote (after normalizing) that counts as evidence; shorter ones match almost anything
+const MIN_QUOTE_LENGTH = 8
+
+// Case, punctuation and spacing differ between the model's copy and speech-to-text transcripts
+const normalizeText = (text = "") =>
+  String(text)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+
+/**
+ * Whether `quote` appears in `text`. An ellipsis in the quote ("I built ... in React") marks
+ * omitted words; every fragment must then appear, in order.
+ */
+const containsQuote = (text, quote) => {
+  const fragments = String(quote || "")
+    .split(/\.\.\.|…/)
+    .map(normalizeText)
+    .filter(Boolean)
+  if (!fragments.length || fragments.join(" ").length < MIN_QUOTE_LENGTH) return false
+
+  const haystack = ` ${normalizeText(text)} `
+  let from = 0
+  for (const fragment of fragments) {
+    // Whole words only, so "use" does not match inside "because"
+    const found = haystack.indexOf(` ${fragment} `, from)
+    if (found === -1) return false
+    from = found + fragment.length + 1
+  }
+  return true
+}
+
+module.exports = { MIN_QUOTE_LENGTH, normalizeText, containsQuote }
@@ -0,0 +1,113 @@
+// IANA time zone helpers built on Intl, so no time zone database dependency is needed
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone }).format()
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Wall-clock fields of `date` as seen in `timeZone`
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date)
+
+  return parts.reduce((fields, { type, value }) => {
+    if (type !== "literal") fields[type] = Number(value)
+    return fields
+  }, {})
+}
+
+// Milliseconds `timeZone` is ahead of UTC at instant `date`
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone)
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second)
+  return asUtc - (date.getTime() - date.getMilliseconds())
+}
+
+/**
+ * UTC instant for a wall-clock time in `timeZone`.
+ * The second pass corrects the offset when the first guess lands on the other side of a DST change.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute)
+  let utc = wallClock - getTimeZoneOffsetMs(new Date(wallClock), timeZone)
+  utc = wallClock - getTimeZoneOffsetMs(new Date(utc), timeZone)
+  return new Date(utc)
+}
+
+const DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/
+
+/**
+ * Parse the date ("2026-10-20") and time ("14:30" or "2:30 PM") strings the scheduling
+ * form sends, as wall-clock time in `timeZone`. Returns null when either is unrecognized.
+ */
+const parseLocalDateTime = (date, time, timeZone) => {
+  const dateMatch = DATE_PATTERN.exec(String(date || "").trim())
+  const timeMatch = TIME_PATTERN.exec(String(time || "").trim())
+  if (!dateMatch || !timeMatch) return null
+
+  const [, year, month, day] = dateMatch.map(Number)
+  let hour = Number(timeMatch[1])
+  const minute = Number(timeMatch[2])
+  const meridiem = timeMatch[3]?.toLowerCase()
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null
+    hour = (hour % 12) + (meridiem === "pm" ? 12 : 0)
+  }
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null
+
+  const result = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone)
+  // Reject dates like 2026-02-31 that Date.UTC would roll into March
+  const check = getZonedParts(result, timeZone)
+  if (check.year !== year || check.month !== month || check.day !== day) return null
+  return result
+}
+
+// "2026-10-20" and "14:30" for `date` in `timeZone`; the shape of Interview.date / Interview.time
+const toLocalDateTimeStrings = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(date, timeZone)
+  const pad = (value) => String(value).padStart(2, "0")
+  return { date: `${year}-${pad(month)}-${pad(day)}`, time: `${pad(hour)}:${pad(minute)}` }
+}
+
+// Human-readable time in the recipient's zone and language, e.g. "Tuesday, October 20, 2026 at 2:30 PM (India Standard Time)"
+const formatDateTime = (date, timeZone, locale = "en") => {
+  try {
+    return new Intl.DateTimeFormat(locale, {
+      timeZone,
+      dateStyle: "full",
+      timeStyle: "short",
+    }).format(date) + ` (${getTimeZoneName(date, timeZone, locale)})`
+  } catch {
+    return date.toISOString()
+  }
+}
+
+const getTimeZoneName = (date, timeZone, locale = "en") => {
+  const part = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: "long" })
+    .formatToParts(date)
+    .find(({ type }) => type === "timeZoneName")
+  return part ? part.value : timeZone
+}
+
+module.exports = {
+  isValidTimeZone,
+  getTimeZoneOffsetMs,
+  zonedTimeToUtc,
+  parseLocalDateTime,
+  toLocalDateTimeStrings,
+  formatDateTime,
+}
@@ -1,5 +1,6 @@
 const WebSocket = require("ws")
 const { DeepgramRateLimiter } = require("./deepgramRateLimiter")
+const { buildDeepgramListenUrl } = require("../services/stt")
 require('dotenv').config();
 
 class DeepgramConnectionPool {
@@ -65,23 +66,15 @@ class DeepgramConnectionPool {
         }
 
         // Build optimized Deepgram URL
-        const deepgramUrl = new URL("wss://api.deepgram.com/v1/listen")
-        const params = {
-          sample_rate: "16000",
-          channels: "1",
-          interim_results: "true",
+        const deepgramUrl = buildDeepgramListenUrl({
+          sampleRate: 16000,
+          channels: 1,
+          interimResults: true,
           language: language,
           model: "nova-2",
-          smart_format: "true",
-          punctuate: "true",
-          diarize: "false",
-          endpointing: "500", // Longer endpointing to reduce reconnections
-          vad_events: "true", // Voice activity detection
-          utterance_end_ms: "1000", // Utterance end detection
-        }
-
-        Object.entries(params).forEach(([key, value]) => {
-          deepgramUrl.searchParams.append(key, value)
+          endpointingMs: 500, // Longer endpointing to reduce reconnections
+          vadEvents: true, // Voice activity detection
+          utteranceEndMs: 1000, // Utterance end detection
         })
 
         const ws = new WebSocket(deepgramUrl.toString(), ["token", process.env.DEEPGRAM_API_KEY])
@@ -1,51 +1,69 @@
 const WebSocket = require('ws');
-const { DeepgramClient } = require('./deepgramClient');
+const { createSTTProvider } = require('../services/stt');
 
 const setupDeepgramServer = (wss) => {
   wss.on('connection', (ws, req) => {
-    let deepgramClient = null;
+    let sttProvider = null;
     const url = new URL(req.url, 'http://localhost');
     const language = url.searchParams.get('language') || 'hi';
+    const provider = url.searchParams.get('provider') || 'deepgram';
+
+    const sendToClient = (payload) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(payload));
+      }
+    };
 
     ws.on('message', async (message) => {
       try {
-        if (!deepgramClient) {
-          deepgramClient = new DeepgramClient('01f47e676cb12c10160c4c215ee658643b5a028b');
-          
-          deepgramClient.onTranscript = (transcript, detectedLanguage, confidence) => {
-            if (ws.readyState === WebSocket.OPEN) {
-              ws.send(JSON.stringify({ 
-                type: 'transcript', 
-                data: transcript,
-                language: detectedLanguage,
-                confidence: confidence
-              }));
-            }
-          };
-
-          await deepgramClient.connect({
+        if (!sttProvider) {
+          // Browser MediaRecorder chunks are containerized, so let the provider detect the encoding
+          sttProvider = createSTTProvider(provider, {
             language: language,
-            model: 'nova-2',
-            punctuate: true,
-            diarize: false,
-            tier: 'enhanced'
+            model: url.searchParams.get('model') || 'nova-2',
+            encoding: null,
+            sampleRate: null,
+            interimResults: true,
+            endpointingMs: null,
+          });
+
+          sttProvider.on('final', ({ text, confidence }) => {
+            sendToClient({
+              type: 'transcript',
+              data: text,
+              language: language,
+              confidence: confidence
+            });
           });
+
+          sttProvider.on('interim', ({ text, confidence }) => {
+            sendToClient({ type: 'interim', data: text, language: language, confidence: confidence });
+          });
+
+          sttProvider.on('error', (error) => {
+            sendToClient({ type: 'error', error: error.message });
+          });
+
+          await sttProvider.connect();
         }
-        deepgramClient.sendAudio(message);
+        sttProvider.sendAudio(Buffer.isBuffer(message) ? message : Buffer.from(message));
       } catch (error) {
-        if (ws.readyState === WebSocket.OPEN) {
-          ws.send(JSON.stringify({ 
-            type: 'error', 
-            error: error.message 
-          }));
+        // Let the next audio chunk retry the connection
+        if (sttProvider && !sttProvider.isOpen) {
+          sttProvider.close();
+          sttProvider = null;
         }
+        sendToClient({ 
+          type: 'error', 
+          error: error.message 
+        });
       }
     });
 
     ws.on('close', () => {
-      if (deepgramClient) {
-        deepgramClient.close();
-        deepgramClient = null;
+      if (sttProvider) {
+        sttProvider.close();
+        sttProvider = null;
       }
     });
   });
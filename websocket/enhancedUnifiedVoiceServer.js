@@ -1,5 +1,6 @@
 const WebSocket = require("ws")
 const { createClient } = require("@deepgram/sdk")
+const { createSTTProvider } = require("../services/stt")
 
 // Enhanced Deepgram Client with better error handling and diagnostics
 class EnhancedDeepgramClient {
@@ -335,6 +336,7 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
     const url = new URL(req.url, "http://localhost")
     const language = url.searchParams.get("language") || "hi"
     const model = url.searchParams.get("model") || "nova-2"
+    const sttSelection = url.searchParams.get("stt") || "deepgram"
 
     console.log(`🌐 Connection established with language: ${language}, model: ${model}`)
     console.log("🔧 Environment check:", {
@@ -344,13 +346,8 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
       nodeEnv: process.env.NODE_ENV,
     })
 
-    // Enhanced Deepgram initialization with better error handling
+    // Transcription initialization through the STT provider layer
     const initializeDeepgram = async () => {
-      if (!process.env.DEEPGRAM_API_KEY) {
-        console.error("❌ DEEPGRAM_API_KEY not configured")
-        return { success: false, error: "DEEPGRAM_API_KEY not configured" }
-      }
-
       try {
         // Run network diagnostics first
         const networkOk = await runNetworkDiagnostics()
@@ -358,9 +355,17 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
           console.warn("⚠️ Network connectivity issues detected")
         }
 
-        deepgramClient = new EnhancedDeepgramClient(process.env.DEEPGRAM_API_KEY)
+        deepgramClient = createSTTProvider(sttSelection, {
+          language: language,
+          model: model,
+          encoding: "linear16",
+          sampleRate: 16000,
+          channels: 1,
+          interimResults: false,
+          endpointingMs: null,
+        })
 
-        deepgramClient.onTranscript = (transcript, data) => {
+        deepgramClient.on("final", ({ text: transcript, confidence, startMs, endMs }) => {
           if (ws.readyState === WebSocket.OPEN) {
             const response = {
               data: {
@@ -369,8 +374,9 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
                 text: transcript,
                 transcription_data: {
                   transcript: transcript,
-                  confidence: data.channel?.alternatives?.[0]?.confidence || 0.9,
-                  words: data.channel?.alternatives?.[0]?.words || [],
+                  confidence: confidence || 0.9,
+                  start_ms: startMs,
+                  end_ms: endMs,
                   language: language,
                   timestamp: Date.now(),
                   latency: Date.now() - connectionStartTime,
@@ -384,9 +390,9 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
             console.log("📤 Sending transcription response")
             ws.send(JSON.stringify(response))
           }
-        }
+        })
 
-        deepgramClient.onError = (error) => {
+        deepgramClient.on("error", (error) => {
           console.error("❌ Deepgram client error:", error)
           if (ws.readyState === WebSocket.OPEN) {
             const errorResponse = {
@@ -406,20 +412,10 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
             }
             ws.send(JSON.stringify(errorResponse))
           }
-        }
+        })
 
-        const deepgramLanguageCode = getDeepgramLanguageCode(language)
-        
         // Try to connect with timeout
-        const connectPromise = deepgramClient.connect({
-          language: deepgramLanguageCode,
-          model: model,
-          smart_format: true,
-          interim_results: false,
-          encoding: "linear16",
-          sample_rate: 16000,
-          channels: 1,
-        })
+        const connectPromise = deepgramClient.connect()
 
         // Add overall timeout for the entire connection process
         const timeoutPromise = new Promise((_, reject) => {
@@ -481,25 +477,6 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
       }
     }
 
-    // Helper function for language codes
-    function getDeepgramLanguageCode(lang) {
-      const languageMap = {
-        hi: "hi-IN",
-        en: "en-US",
-        te: "te-IN",
-        ta: "ta-IN",
-        bn: "bn-IN",
-        gu: "gu-IN",
-        kn: "kn-IN",
-        ml: "ml-IN",
-        mr: "mr-IN",
-        or: "or-IN",
-        pa: "pa-IN",
-        ur: "ur-IN",
-      }
-      return languageMap[lang] || "en-US"
-    }
-
     // Enhanced message handler
     ws.on("message", async (message) => {
       const messageStartTime = Date.now()
@@ -632,7 +609,7 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
         sessionId = data.session_id || data.uuid || generateSessionId()
       }
 
-      if (!deepgramClient || !deepgramClient.isConnected) {
+      if (!deepgramClient || !deepgramClient.isOpen) {
         console.error("⚠️ Deepgram not available for transcription")
         sendErrorResponse("Transcription service unavailable - connection failed during initialization", "transcription_error")
         return
@@ -647,10 +624,7 @@ const setupEnhancedUnifiedVoiceServer = (wss) => {
         const audioBuffer = Buffer.from(data.audio_data, "base64")
         console.log(`📤 Processing audio for transcription (${audioBuffer.length} bytes)`)
 
-        const sent = deepgramClient.sendAudio(audioBuffer)
-        if (!sent) {
-          throw new Error("Failed to send audio to Deepgram")
-        }
+        deepgramClient.sendAudio(audioBuffer)
 
         console.log(`✅ Audio sent to Deepgram successfully (latency: ${Date.now() - startTime}ms)`)
       } catch (error) {
@@ -0,0 +1,395 @@
+const WebSocket = require("ws")
+const { createSTTProvider } = require("../services/stt")
+const { createTTSProvider } = require("../services/tts")
+const {
+  InterviewStateError,
+  ANSWER_GRACE_MS,
+  getAnswerDeadline,
+  startInterview,
+  getNextQuestion,
+  submitAnswer,
+  completeInterview,
+  buildInterviewState,
+} = require("../services/interviewSessionService")
+const { InterviewAccessError, authorizeInterviewToken } = require("../services/interviewAccessService")
+const { ProctoringError, recordProctoringEvents } = require("../services/proctoringService")
+
+/**
+ * Server-driven AI interview sessions on /ws/interview.
+ *
+ * Client -> server (JSON text frames):
+ *   { type: "start", token, roomId, language, speak, audio: { encoding, sampleRate } }
+ *   { type: "answer", index, text }   typed answer to question `index`
+ *   <binary frames>                   spoken answer, in the encoding announced in "start"
+ *   { type: "answer_end", index }     the spoken answer to question `index` is complete
+ *   { type: "end" }                   stop early and score what has been answered
+ *   { type: "proctoring", events }    proctoring events, as for POST /api/interview/proctoring/:roomId
+ *
+ * Server -> client:
+ *   session, question, question_audio, transcript, answer_saved, question_timeout,
+ *   proctoring_ack, analyzing, complete, error
+ *
+ * Question order, answers and time limits live in the Interview document (see
+ * services/interviewSessionService), so a reconnect with the same roomId resumes
+ * where it stopped and the browser cannot rewrite its own history.
+ *
+ * "start" must carry the candidate's interview token (or pass ?token= on the socket URL);
+ * roomId defaults to the token's room. See services/interviewAccessService.
+ *
+ * Speech vendors and the question voice are server settings (INTERVIEW_TTS_PROVIDER,
+ * INTERVIEW_STT_PROVIDER, INTERVIEW_VOICE); the client only describes its microphone audio,
+ * and only in the formats below.
+ */
+
+const ANSWER_SETTLE_MS = 1500
+const DEFAULT_AUDIO = { encoding: "linear16", sampleRate: 16000 }
+const CLIENT_AUDIO_ENCODINGS = ["linear16", "mulaw"]
+const CLIENT_SAMPLE_RATES = [8000, 16000, 24000, 44100, 48000]
+const QUESTION_AUDIO_SAMPLE_RATE = 16000
+
+// roomId -> session; a second connection for the same room takes over
+const activeSessions = new Map()
+
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message))
+  }
+}
+
+const sendError = (ws, message, code) => send(ws, { type: "error", message, code })
+
+const getUrlParam = (request, name) => {
+  try {
+    return new URL(request.url, "http://localhost").searchParams.get(name)
+  } catch {
+    return null
+  }
+}
+
+// The client's microphone format, limited to what the STT adapters accept; anything else gets the default
+const parseClientAudio = (audio = {}) => ({
+  encoding: CLIENT_AUDIO_ENCODINGS.includes(audio.encoding) ? audio.encoding : DEFAULT_AUDIO.encoding,
+  sampleRate: CLIENT_SAMPLE_RATES.includes(Number(audio.sampleRate)) ? Number(audio.sampleRate) : DEFAULT_AUDIO.sampleRate,
+})
+
+const createSession = (ws, request) => ({
+  ws,
+  roomId: getUrlParam(request, "roomId"),
+  token: getUrlParam(request, "token"),
+  interview: null,
+  speak: false,
+  audio: DEFAULT_AUDIO,
+  currentQuestion: null,
+  stt: null,
+  finals: [],
+  answerTimer: null,
+  deadlineTimer: null,
+  closed: false,
+  queue: Promise.resolve(),
+})
+
+// Run session work one step at a time so answers can never race the next question
+const enqueue = (session, label, task) => {
+  session.queue = session.queue
+    .then(() => (session.closed ? undefined : task()))
+    .catch((error) => {
+      if (error instanceof InterviewStateError) {
+        return sendError(session.ws, error.message, error.code)
+      }
+      console.error(`❌ [INTERVIEW] ${label} failed for room ${session.roomId}:`, error)
+      sendError(session.ws, `Could not process ${label}`)
+    })
+  return session.queue
+}
+
+const clearAnswerTimer = (session) => {
+  clearTimeout(session.answerTimer)
+  session.answerTimer = null
+}
+
+const speakQuestion = async (session, index, text) => {
+  try {
+    const tts = createTTSProvider(process.env.INTERVIEW_TTS_PROVIDER, {
+      language: session.interview.settings.language,
+      voice: process.env.INTERVIEW_VOICE || "default",
+      encoding: "wav",
+      sampleRate: QUESTION_AUDIO_SAMPLE_RATE,
+    })
+    const result = await tts.synthesize(text)
+    send(session.ws, {
+      type: "question_audio",
+      index,
+      format: "wav",
+      sampleRate: result.sampleRate,
+      durationMs: result.durationMs,
+      audio: result.audio.toString("base64"),
+    })
+  } catch (error) {
+    // The text question already went out; the interview goes on without audio
+    console.error(`❌ [INTERVIEW] TTS failed for room ${session.roomId}: ${error.message}`)
+  }
+}
+
+const askNextQuestion = async (session) => {
+  clearAnswerTimer(session)
+
+  const { interview, question } = await getNextQuestion(session.interview)
+  session.interview = interview
+  if (!question) return finishInterview(session)
+
+  session.currentQuestion = { index: question.index, text: question.text }
+  session.finals = []
+
+  const answerDeadlineAt = getAnswerDeadline(interview, question)
+  send(session.ws, {
+    type: "question",
+    index: question.index,
+    total: interview.settings.questionCount,
+    text: question.text,
+    answerDeadlineAt,
+    remainingMs: interview.getRemainingMs(),
+  })
+
+  session.answerTimer = setTimeout(
+    () => enqueue(session, "question_timeout", () => handleAnswerTimeout(session, question.index)),
+    Math.max(0, answerDeadlineAt.getTime() - Date.now()) + ANSWER_GRACE_MS,
+  )
+
+  if (session.speak) await speakQuestion(session, question.index, question.text)
+}
+
+const handleAnswerTimeout = async (session, index) => {
+  if (session.currentQuestion?.index !== index) return
+
+  discardSpeechRecognition(session)
+  session.currentQuestion = null
+  send(session.ws, { type: "question_timeout", index })
+  await askNextQuestion(session)
+}
+
+const startSession = async (session, data) => {
+  if (session.interview) {
+    return sendError(session.ws, "Interview already started")
+  }
+
+  let access
+  try {
+    access = await authorizeInterviewToken(data.token || session.token, { roomId: data.roomId || session.roomId })
+  } catch (error) {
+    if (!(error instanceof InterviewAccessError)) throw error
+    sendError(session.ws, error.message, error.code)
+    return session.ws.close(1008, "Interview access denied")
+  }
+  const { interview } = access
+  const { roomId } = interview
+
+  const existing = activeSessions.get(roomId)
+  if (existing && existing !== session) {
+    console.log(`🔁 [INTERVIEW] Room ${roomId} reconnected; closing the previous connection`)
+    closeSession(existing)
+    existing.ws.close(4000, "Replaced by a new connection")
+  }
+  activeSessions.set(roomId, session)
+
+  session.roomId = roomId
+  session.speak = !!data.speak
+  session.audio = parseClientAudio(data.audio)
+  session.interview = await startInterview(interview, { language: data.language })
+
+  const state = buildInterviewState(session.interview)
+  console.log(`💼 [INTERVIEW] Session started for room ${roomId} (${state.answered} answers stored)`)
+  send(session.ws, { type: "session", jobTitle: interview.jobTitle, ...state })
+
+  session.deadlineTimer = setTimeout(
+    () => enqueue(session, "deadline", () => finishInterview(session)),
+    session.interview.getRemainingMs(),
+  )
+
+  await askNextQuestion(session)
+}
+
+const recordAnswer = async (session, index, answer) => {
+  try {
+    const { interview } = await submitAnswer(session.interview, { questionIndex: index, answer })
+    session.interview = interview
+  } catch (error) {
+    if (error.code === "INTERVIEW_TIME_EXPIRED") return finishInterview(session)
+    if (error.code === "ANSWER_TIME_EXPIRED") return handleAnswerTimeout(session, session.currentQuestion?.index)
+    throw error
+  }
+
+  clearAnswerTimer(session)
+  session.currentQuestion = null
+  send(session.ws, { type: "answer_saved", index: Number(index), answer })
+  await askNextQuestion(session)
+}
+
+const handleTextAnswer = async (session, data) => {
+  if (!session.currentQuestion) {
+    return sendError(session.ws, "No question is awaiting an answer")
+  }
+
+  if (data.index === undefined) {
+    return sendError(session.ws, "Answer index is required")
+  }
+  const answer = typeof data.text === "string" ? data.text.trim() : ""
+  if (!answer) {
+    return sendError(session.ws, "Answer text is required")
+  }
+  discardSpeechRecognition(session)
+  await recordAnswer(session, data.index, answer)
+}
+
+const openSpeechRecognition = (session) => {
+  const stt = createSTTProvider(process.env.INTERVIEW_STT_PROVIDER, {
+    language: session.interview.settings.language,
+    encoding: session.audio.encoding,
+    sampleRate: session.audio.sampleRate,
+    interimResults: true,
+  })
+
+  stt.on("interim", ({ text }) => send(session.ws, { type: "transcript", text, isFinal: false }))
+  stt.on("final", ({ text }) => {
+    session.finals.push(text)
+    send(session.ws, { type: "transcript", text, isFinal: true })
+  })
+  stt.on("error", (error) => {
+    console.error(`❌ [INTERVIEW] STT error for room ${session.roomId}: ${error.message}`)
+    sendError(session.ws, "Speech recognition failed; please type your answer")
+  })
+
+  stt.connect().catch((error) => {
+    console.error(`❌ [INTERVIEW] STT connect failed for room ${session.roomId}: ${error.message}`)
+    sendError(session.ws, "Speech recognition is unavailable; please type your answer")
+  })
+  return stt
+}
+
+const discardSpeechRecognition = (session) => {
+  if (session.stt) {
+    session.stt.close()
+    session.stt = null
+  }
+  session.finals = []
+}
+
+const handleAudio = (session, chunk) => {
+  if (!session.currentQuestion || session.closed) return
+
+  if (!session.stt) session.stt = openSpeechRecognition(session)
+  session.stt.sendAudio(chunk)
+}
+
+// Let the recognizer deliver its last segment, then close it
+const settleSpeechRecognition = (stt) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ANSWER_SETTLE_MS)
+    stt.once("utteranceEnd", () => {
+      clearTimeout(timer)
+      resolve()
+    })
+  }).then(() => stt.close())
+
+const handleAnswerEnd = async (session, data) => {
+  if (!session.currentQuestion) {
+    return sendError(session.ws, "No question is awaiting an answer")
+  }
+  if (data.index === undefined) {
+    return sendError(session.ws, "Answer index is required")
+  }
+  if (!session.stt) {
+    return sendError(session.ws, "No answer audio was received")
+  }
+
+  const stt = session.stt
+  session.stt = null
+  await settleSpeechRecognition(stt)
+
+  const answer = session.finals.join(" ").trim()
+  session.finals = []
+  if (!answer) {
+    return sendError(session.ws, "No speech was detected; please answer again")
+  }
+  await recordAnswer(session, data.index, answer)
+}
+
+const finishInterview = async (session) => {
+  if (session.interview.phase !== "in_progress") return
+  clearAnswerTimer(session)
+  discardSpeechRecognition(session)
+  session.currentQuestion = null
+  send(session.ws, { type: "analyzing" })
+
+  const { interview, analysis } = await completeInterview(session.interview)
+  session.interview = interview
+
+  const state = buildInterviewState(interview)
+  send(session.ws, { type: "complete", answered: state.answered, analysis })
+  closeSession(session)
+  session.ws.close(1000, "Interview complete")
+}
+
+const closeSession = (session) => {
+  session.closed = true
+  clearAnswerTimer(session)
+  clearTimeout(session.deadlineTimer)
+  discardSpeechRecognition(session)
+  if (session.roomId && activeSessions.get(session.roomId) === session) {
+    activeSessions.delete(session.roomId)
+  }
+}
+
+const handleProctoring = async (session, data) => {
+  try {
+    const { accepted, duplicates, rejected } = await recordProctoringEvents(session.interview, data.events)
+    send(session.ws, { type: "proctoring_ack", accepted, duplicates, rejected })
+  } catch (error) {
+    if (!(error instanceof ProctoringError)) throw error
+    sendError(session.ws, error.message, error.code)
+  }
+}
+
+const handlers = {
+  start: startSession,
+  answer: handleTextAnswer,
+  answer_end: handleAnswerEnd,
+  end: finishInterview,
+  proctoring: handleProctoring,
+}
+
+const setupInterviewServer = (wss) => {
+  console.log("💼 Interview WebSocket server initialized")
+
+  wss.on("connection", (ws, request) => {
+    const session = createSession(ws, request)
+    console.log(`💼 [INTERVIEW] Client connected${session.roomId ? ` for room ${session.roomId}` : ""}`)
+
+    ws.on("message", (message, isBinary) => {
+      if (isBinary) return handleAudio(session, message)
+
+      let data
+      try {
+        data = JSON.parse(message.toString())
+      } catch {
+        return sendError(ws, "Messages must be JSON")
+      }
+
+      const handler = handlers[data.type]
+      if (!handler) return sendError(ws, `Unknown message type "${data.type}"`)
+      if (data.type !== "start" && !session.interview) return sendError(ws, "Send a start message first")
+
+      enqueue(session, data.type, () => handler(session, data))
+    })
+
+    ws.on("close", () => {
+      closeSession(session)
+      console.log(`💼 [INTERVIEW] Client disconnected from room ${session.roomId || "(not started)"}`)
+    })
+
+    ws.on("error", (error) => {
+      console.error(`❌ [INTERVIEW] Socket error for room ${session.roomId}: ${error.message}`)
+    })
+  })
+}
+
+module.exports = { setupInterviewServer }
@@ -1,8 +1,8 @@
 const WebSocket = require("ws")
-const { SarvamStreamingClient } = require("./sarvamStreaming")
+const { createTTSProvider } = require("../services/tts")
 
 const setupWebSocketServer = (wss) => {
-  console.log("WebSocket server initialized with Sarvam AI")
+  console.log("WebSocket server initialized with the TTS provider layer")
 
   wss.on("connection", async (ws) => {
     console.log("New WebSocket connection established")
@@ -13,45 +13,21 @@ const setupWebSocketServer = (wss) => {
         const data = JSON.parse(message)
         console.log("Received message data:", JSON.stringify(data, null, 2))
 
-        if (!process.env.SARVAM_API_KEY) {
-          console.error("Error: Sarvam AI API key not configured")
-          throw new Error("Sarvam AI API key is not configured")
-        }
-
-        console.log("Initializing Sarvam AI client...")
-        const sarvamClient = new SarvamStreamingClient(process.env.SARVAM_API_KEY)
-
-        // Sarvam AI voice options
-        const supportedSpeakers = ["meera", "aditi", "kabir", "raghav", "arjun"]
-        const requestedSpeaker = data.speaker || "meera"
-        const speaker = supportedSpeakers.includes(requestedSpeaker) ? requestedSpeaker : "meera"
-
-        if (speaker !== requestedSpeaker) {
-          console.warn(`Requested speaker "${requestedSpeaker}" not supported, using "${speaker}" instead`)
-        }
-
-        const synthesisOptions = {
-          language_code: data.language_code || "en-IN",
-          speaker: speaker,
+        // Sarvam stays the default; clients may pick any registered provider
+        const ttsProvider = createTTSProvider(data.provider || "sarvam", {
+          language: (data.language || data.language_code || "en-IN").split("-")[0],
+          voice: data.voice || data.speaker || "meera",
+          sampleRate: data.speech_sample_rate || 22050,
+          encoding: "wav",
           pitch: data.pitch || 0,
           pace: data.pace || 1.0,
           loudness: data.loudness || 1.0,
-          speech_sample_rate: data.speech_sample_rate || 22050,
-          enable_preprocessing: data.enable_preprocessing || true,
-          model: data.model || "bulbul:v1"
-        }
-
-        console.log("Final synthesis options:", JSON.stringify(synthesisOptions, null, 2))
+        })
 
-        console.log("Starting audio synthesis with Sarvam AI...")
-        const audioData = await sarvamClient.synthesize(data.text, synthesisOptions)
-
-        if (!audioData || audioData.length === 0) {
-          console.error("Error: Received empty audio data")
-          throw new Error("Received empty audio data from Sarvam AI")
-        }
+        console.log(`Starting audio synthesis with ${ttsProvider.name}...`)
+        const { audio: audioBuffer, voice } = await ttsProvider.synthesize(data.text)
+        console.log(`Synthesized ${audioBuffer.length} bytes with voice "${voice}"`)
 
-        const audioBuffer = Buffer.from(audioData)
         const chunkSize = 16384
         const totalChunks = Math.ceil(audioBuffer.length / chunkSize)
 
@@ -86,7 +62,7 @@ const setupWebSocketServer = (wss) => {
           const errorMessage = {
             type: "error",
             error: error.message,
-            details: "Speech synthesis failed with Sarvam AI",
+            details: "Speech synthesis failed",
           }
           console.error("Sending error to client:", errorMessage)
           ws.send(JSON.stringify(errorMessage))
@@ -1,16 +1,26 @@
 const WebSocket = require("ws");
-
-// Load API keys from environment variables
-const API_KEYS = {
-  deepgram: process.env.DEEPGRAM_API_KEY,
-  sarvam: process.env.SARVAM_API_KEY,
-  openai: process.env.OPENAI_API_KEY,
-};
-
-// Validate API keys
-if (!API_KEYS.deepgram || !API_KEYS.sarvam || !API_KEYS.openai) {
-  console.error("❌ Missing required API keys in environment variables");
-  process.exit(1);
+const {
+  DEFAULT_AGENT_CONFIG,
+  resolveAgentConfig,
+  buildSystemPrompt,
+} = require("../services/agentConfigService");
+const { CallLogRecorder } = require("../services/callLogService");
+const { createSTTProvider, getSTTProviderName } = require("../services/stt");
+const { createTTSProvider, getTTSProviderName } = require("../services/tts");
+const {
+  keyProviderFor,
+  getMissingPlatformKeys,
+  resolveApiKeys,
+  applyKeyConfiguration,
+} = require("../services/apiKeyService");
+const { acquireCallSlot } = require("../services/tenantService");
+const Tenant = require("../models/Tenant");
+const { AUDIO_ENCODINGS, normalizeAudio, bytesPerMs } = require("../utils/audio");
+
+// Platform keys are only a fallback; tenants may bring their own, so a gap here is not fatal
+const missingPlatformKeys = getMissingPlatformKeys(["deepgram", "sarvam", "openai"]);
+if (missingPlatformKeys.length > 0) {
+  console.warn(`⚠️ [API-KEY] No platform key for ${missingPlatformKeys.join(", ")}; calls need tenant keys for these`);
 }
 
 const fetch = globalThis.fetch || require("node-fetch");
@@ -25,82 +35,36 @@ const createTimer = (label) => {
   };
 };
 
-// Language mappings
-const LANGUAGE_MAPPING = {
-  hi: "hi-IN", en: "en-IN", bn: "bn-IN", te: "te-IN", ta: "ta-IN",
-  mr: "mr-IN", gu: "gu-IN", kn: "kn-IN", ml: "ml-IN", pa: "pa-IN",
-  or: "or-IN", as: "as-IN", ur: "ur-IN",
-};
+// SIP media streams carry 8kHz 16-bit linear PCM in both directions
+const CALL_AUDIO_FORMAT = { encoding: "linear16", sampleRate: 8000 };
 
-const getSarvamLanguage = (detectedLang, defaultLang = "hi") => {
-  const lang = detectedLang?.toLowerCase() || defaultLang;
-  return LANGUAGE_MAPPING[lang] || "hi-IN";
-};
+// Stored greetings may be WAV or raw PCM/mu-law at any rate; anything else (e.g. mp3) is re-synthesized
+const prepareStoredGreeting = (agentConfig) => {
+  if (!agentConfig.greetingAudio) return null;
 
-const getDeepgramLanguage = (detectedLang, defaultLang = "hi") => {
-  const lang = detectedLang?.toLowerCase() || defaultLang;
-  if (lang === "hi") return "hi";
-  if (lang === "en") return "en-IN";
-  return lang;
-};
-
-// Valid Sarvam voice options
-const VALID_SARVAM_VOICES = ["meera", "pavithra", "arvind", "amol", "maya"];
+  const audio = Buffer.from(agentConfig.greetingAudio, "base64");
+  const { format, sampleRate } = agentConfig.greetingAudioFormat || {};
+  const encoding = audio.toString("ascii", 0, 4) === "RIFF" ? "wav" : format;
+  if (!AUDIO_ENCODINGS.includes(encoding)) return null;
 
-const getValidSarvamVoice = (voiceSelection = "pavithra") => {
-  if (VALID_SARVAM_VOICES.includes(voiceSelection)) {
-    return voiceSelection;
+  try {
+    return normalizeAudio({ audio, encoding, sampleRate }, CALL_AUDIO_FORMAT);
+  } catch (error) {
+    console.warn(`⚠️ [GREETING] Stored audio unusable, synthesizing instead: ${error.message}`);
+    return null;
   }
-  
-  const voiceMapping = {
-    "male-professional": "arvind",
-    "female-professional": "pavithra",
-    "male-friendly": "amol",
-    "female-friendly": "maya",
-    neutral: "pavithra",
-    default: "pavithra",
-  };
-  
-  return voiceMapping[voiceSelection] || "pavithra";
-};
-
-// Basic configuration
-const DEFAULT_CONFIG = {
-  agentName: "हिंदी सहायक",
-  language: "hi",
-  voiceSelection: "pavithra",
-  firstMessage: "नमस्कार! एआई तोता में संपर्क करने के लिए धन्यवाद। बताइए, मैं आपकी किस प्रकार मदद कर सकता हूँ?",
-  personality: "friendly",
-  category: "customer service",
-  contextMemory: "customer service conversation in Hindi",
 };
 
 // Optimized OpenAI streaming with phrase-based chunking
-const processWithOpenAIStreaming = async (userMessage, conversationHistory, onPhrase, onComplete) => {
+// options.signal cancels the stream mid-reply (barge-in; onComplete is skipped when aborted),
+// options.onFirstToken fires once on the first streamed token for latency tracking,
+// options.apiKey/options.model come from the call's resolved OpenAI key
+const processWithOpenAIStreaming = async (userMessage, conversationHistory, agentConfig, onPhrase, onComplete, options = {}) => {
+  const { signal, onFirstToken, apiKey, model = "gpt-4o-mini" } = options;
   const timer = createTimer("OPENAI_STREAMING");
   
   try {
-    const systemPrompt = `You are Aitota, a polite, emotionally intelligent AI customer care executive. You speak fluently in English and Hindi. Use natural, conversational language with warmth and empathy. Keep responses short—just 1–2 lines. End each message with a friendly follow-up question to keep the conversation going. When speaking Hindi, use Devanagari script (e.g., नमस्ते, कैसे मदद कर सकता हूँ?). Your goal is to make customers feel heard, supported, and valued.
-
-💬 Example Conversations (2 English + 2 Hindi)
----
-🗨️ English Example 1
-👤: I forgot my password.
-🤖: No worries, I can help reset it. Should I send the reset link to your email now?
----
-🗨️ English Example 2
-👤: How can I track my order?
-🤖: I'll check it for you—could you share your order ID please?
----
-🗨️ Hindi Example 1
-👤: मेरा रिचार्ज नहीं हुआ है।
-🤖: क्षमा कीजिए, मैं तुरंत जाँच करता हूँ। क्या आप अपना मोबाइल नंबर बता सकते हैं?
----
-🗨️ Hindi Example 2
-👤: मुझे नया पता जोड़ना है।
-🤖: बिल्कुल, कृपया नया पता बताइए। क्या आप इसे डिलीवरी एड्रेस भी बनाना चाहेंगे?
-
-Language: ${DEFAULT_CONFIG.language}`;
+    const systemPrompt = buildSystemPrompt(agentConfig);
 
     const messages = [
       { role: "system", content: systemPrompt },
@@ -112,15 +76,16 @@ Language: ${DEFAULT_CONFIG.language}`;
       method: "POST",
       headers: {
         "Content-Type": "application/json",
-        Authorization: `Bearer ${API_KEYS.openai}`,
+        Authorization: `Bearer ${apiKey}`,
       },
       body: JSON.stringify({
-        model: "gpt-4o-mini",
+        model,
         messages,
         max_tokens: 50,
         temperature: 0.3,
         stream: true,
       }),
+      signal,
     });
 
     if (!response.ok) {
@@ -131,6 +96,7 @@ Language: ${DEFAULT_CONFIG.language}`;
     let fullResponse = "";
     let phraseBuffer = "";
     let isFirstPhrase = true;
+    let isFirstToken = true;
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
@@ -159,6 +125,10 @@ Language: ${DEFAULT_CONFIG.language}`;
             const content = parsed.choices?.[0]?.delta?.content;
             
             if (content) {
+              if (isFirstToken) {
+                isFirstToken = false;
+                if (onFirstToken) onFirstToken();
+              }
               phraseBuffer += content;
               
               // Phrase-based chunking: send when we have meaningful phrases
@@ -187,11 +157,21 @@ Language: ${DEFAULT_CONFIG.language}`;
     return fullResponse;
 
   } catch (error) {
+    if (error.name === "AbortError") {
+      console.log(`✋ [OPENAI] Stream aborted after ${timer.end()}ms`);
+      return null;
+    }
     console.error(`❌ [OPENAI] Error: ${error.message}`);
     return null;
   }
 };
 
+// Minimum interim transcript length that counts as the caller talking over the agent
+const BARGE_IN_MIN_CHARS = 3;
+
+// Caller audio kept while a call is still being set up, before its STT adapter exists
+const EARLY_AUDIO_MAX_MS = 10000;
+
 // Smart phrase detection for better chunking
 const shouldSendPhrase = (buffer) => {
   // Send phrase if we have:
@@ -213,16 +193,28 @@ const shouldSendPhrase = (buffer) => {
   return false;
 };
 
-// Enhanced TTS processor with sentence-based optimization and SIP streaming
-class OptimizedSarvamTTSProcessor {
-  constructor(language, ws, streamSid) {
-    this.language = language;
+// Enhanced TTS processor with sentence-based optimization and SIP streaming.
+// The speech vendor comes from the agent's ttsSelection/voiceSelection.
+class OptimizedTTSProcessor {
+  constructor(agentConfig, ws, streamSid, { providerName, resolvedKey } = {}) {
+    this.language = agentConfig.language;
     this.ws = ws;
     this.streamSid = streamSid;
     this.queue = [];
     this.isProcessing = false;
-    this.sarvamLanguage = getSarvamLanguage(language);
-    this.voice = getValidSarvamVoice(DEFAULT_CONFIG.voiceSelection);
+    this.provider = createTTSProvider(
+      providerName || agentConfig.ttsSelection,
+      applyKeyConfiguration(
+        {
+          language: agentConfig.language,
+          voice: agentConfig.voiceSelection,
+          apiKey: resolvedKey?.apiKey,
+          ...CALL_AUDIO_FORMAT,
+        },
+        resolvedKey,
+        "tts"
+      )
+    );
     
     // Sentence-based processing settings
     this.sentenceBuffer = "";
@@ -232,10 +224,21 @@ class OptimizedSarvamTTSProcessor {
     // Audio streaming stats
     this.totalChunks = 0;
     this.totalAudioBytes = 0;
+
+    // Barge-in tracking: what the caller has actually heard so far
+    this.isInterrupted = false;
+    this.abortController = new AbortController();
+    this.spokenSegments = [];
+    this.currentSegment = null; // { text, sentBytes, totalBytes }
+
+    // Latency checkpoints (epoch ms) for call logs
+    this.firstPhraseAt = null;
+    this.firstAudioAt = null;
   }
 
   addPhrase(phrase) {
-    if (!phrase.trim()) return;
+    if (!phrase.trim() || this.isInterrupted) return;
+    if (!this.firstPhraseAt) this.firstPhraseAt = Date.now();
     
     this.sentenceBuffer += (this.sentenceBuffer ? " " : "") + phrase.trim();
     
@@ -307,7 +310,7 @@ class OptimizedSarvamTTSProcessor {
   }
 
   async processQueue() {
-    if (this.isProcessing || this.queue.length === 0) return;
+    if (this.isProcessing || this.queue.length === 0 || this.isInterrupted) return;
 
     this.isProcessing = true;
     const textToProcess = this.queue.shift();
@@ -315,76 +318,50 @@ class OptimizedSarvamTTSProcessor {
     try {
       await this.synthesizeAndStream(textToProcess);
     } catch (error) {
-      console.error(`❌ [SARVAM-TTS] Error: ${error.message}`);
+      if (!this.isInterrupted) {
+        console.error(`❌ [TTS:${this.provider.name}] Error: ${error.message}`);
+      }
     } finally {
       this.isProcessing = false;
       
       // Process next item in queue
-      if (this.queue.length > 0) {
+      if (this.queue.length > 0 && !this.isInterrupted) {
         setTimeout(() => this.processQueue(), 10);
       }
     }
   }
 
   async synthesizeAndStream(text) {
-    const timer = createTimer("SARVAM_TTS_SENTENCE");
+    const timer = createTimer("TTS_SENTENCE");
     
     try {
-      console.log(`🎵 [SARVAM-TTS] Synthesizing: "${text}" (${this.sarvamLanguage})`);
+      console.log(`🎵 [TTS:${this.provider.name}] Synthesizing: "${text}" (${this.language})`);
 
-      const response = await fetch("https://api.sarvam.ai/text-to-speech", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "API-Subscription-Key": API_KEYS.sarvam,
-        },
-        body: JSON.stringify({
-          inputs: [text],
-          target_language_code: this.sarvamLanguage,
-          speaker: this.voice,
-          pitch: 0,
-          pace: 1.0, // Optimal pace for SIP
-          loudness: 1.0,
-          speech_sample_rate: 8000, // Match SIP requirements
-          enable_preprocessing: false,
-          model: "bulbul:v1",
-        }),
-      });
+      const { audio } = await this.provider.synthesize(text, { signal: this.abortController.signal });
 
-      if (!response.ok) {
-        throw new Error(`Sarvam API error: ${response.status} - ${response.statusText}`);
-      }
-
-      const responseData = await response.json();
-      const audioBase64 = responseData.audios?.[0];
-      
-      if (!audioBase64) {
-        throw new Error("No audio data received from Sarvam API");
-      }
-
-      console.log(`⚡ [SARVAM-TTS] Synthesis completed in ${timer.end()}ms`);
+      console.log(`⚡ [TTS:${this.provider.name}] Synthesis completed in ${timer.end()}ms`);
       
       // Stream audio with optimized SIP chunking
-      await this.streamAudioOptimizedForSIP(audioBase64);
+      await this.streamAudioOptimizedForSIP(audio, text);
       
       // Update stats
-      const audioBuffer = Buffer.from(audioBase64, "base64");
-      this.totalAudioBytes += audioBuffer.length;
+      this.totalAudioBytes += audio.length;
       this.totalChunks++;
       
     } catch (error) {
-      console.error(`❌ [SARVAM-TTS] Synthesis error: ${error.message}`);
+      if (!this.isInterrupted) {
+        console.error(`❌ [TTS:${this.provider.name}] Synthesis error: ${error.message}`);
+      }
       throw error;
     }
   }
 
-  async streamAudioOptimizedForSIP(audioBase64) {
-    const audioBuffer = Buffer.from(audioBase64, "base64");
+  // audioBuffer must already be in CALL_AUDIO_FORMAT
+  async streamAudioOptimizedForSIP(audioBuffer, text = "") {
+    this.currentSegment = { text, sentBytes: 0, totalBytes: audioBuffer.length };
     
     // SIP audio chunk specifications
-    const SAMPLE_RATE = 8000; // 8kHz
-    const BYTES_PER_SAMPLE = 2; // 16-bit audio = 2 bytes per sample
-    const BYTES_PER_MS = (SAMPLE_RATE * BYTES_PER_SAMPLE) / 1000; // 16 bytes per ms
+    const BYTES_PER_MS = bytesPerMs(CALL_AUDIO_FORMAT.encoding, CALL_AUDIO_FORMAT.sampleRate); // 16 bytes per ms
     
     // Chunk size constraints for SIP (20ms - 100ms)
     const MIN_CHUNK_SIZE = Math.floor(20 * BYTES_PER_MS);   // 320 bytes (20ms)
@@ -398,13 +375,19 @@ class OptimizedSarvamTTSProcessor {
     const maxChunk = alignToSample(MAX_CHUNK_SIZE);
     const optimalChunk = alignToSample(OPTIMAL_CHUNK_SIZE);
     
-    console.log(`📦 [SARVAM-SIP] Streaming ${audioBuffer.length} bytes`);
-    console.log(`📦 [SARVAM-SIP] Chunk config: ${minChunk}-${maxChunk} bytes (${minChunk/16}-${maxChunk/16}ms)`);
+    console.log(`📦 [SIP] Streaming ${audioBuffer.length} bytes`);
+    console.log(`📦 [SIP] Chunk config: ${minChunk}-${maxChunk} bytes (${minChunk/BYTES_PER_MS}-${maxChunk/BYTES_PER_MS}ms)`);
     
     let position = 0;
     let chunkIndex = 0;
     
     while (position < audioBuffer.length) {
+      // Stop immediately once the caller barges in
+      if (this.isInterrupted) {
+        console.log(`✋ [SIP] Streaming interrupted after ${chunkIndex} chunks`);
+        return;
+      }
+
       // Calculate chunk size for this iteration
       const remaining = audioBuffer.length - position;
       let chunkSize;
@@ -427,7 +410,7 @@ class OptimizedSarvamTTSProcessor {
       if (chunk.length >= minChunk) {
         const durationMs = (chunk.length / BYTES_PER_MS).toFixed(1);
         
-        console.log(`📤 [SARVAM-SIP] Chunk ${chunkIndex + 1}: ${chunk.length} bytes (${durationMs}ms)`);
+        console.log(`📤 [SIP] Chunk ${chunkIndex + 1}: ${chunk.length} bytes (${durationMs}ms)`);
         
         // Send to SIP
         const mediaMessage = {
@@ -440,6 +423,7 @@ class OptimizedSarvamTTSProcessor {
 
         if (this.ws.readyState === WebSocket.OPEN) {
           this.ws.send(JSON.stringify(mediaMessage));
+          if (!this.firstAudioAt) this.firstAudioAt = Date.now();
         }
         
         // Calculate delay based on actual chunk duration
@@ -458,12 +442,53 @@ class OptimizedSarvamTTSProcessor {
       }
       
       position += chunkSize;
+      this.currentSegment.sentBytes = position;
     }
     
-    console.log(`✅ [SARVAM-SIP] Completed streaming ${chunkIndex} chunks`);
+    if (text) this.spokenSegments.push(text);
+    this.currentSegment = null;
+    console.log(`✅ [SIP] Completed streaming ${chunkIndex} chunks`);
+  }
+
+  // True while there is text buffered, queued, synthesizing or streaming
+  isBusy() {
+    return (
+      !this.isInterrupted &&
+      (this.isProcessing || this.queue.length > 0 || !!this.sentenceBuffer.trim() || !!this.currentSegment)
+    );
+  }
+
+  // Stop all pending and in-flight audio for this reply
+  interrupt() {
+    if (this.isInterrupted) return;
+
+    this.isInterrupted = true;
+    this.abortController.abort();
+    if (this.sentenceTimer) {
+      clearTimeout(this.sentenceTimer);
+      this.sentenceTimer = null;
+    }
+    this.queue = [];
+    this.sentenceBuffer = "";
+  }
+
+  // Text the caller heard: fully streamed segments plus the played share of the current one
+  getHeardText() {
+    const heard = [...this.spokenSegments];
+    const segment = this.currentSegment;
+
+    if (segment?.text && segment.totalBytes > 0 && segment.sentBytes > 0) {
+      const words = segment.text.split(/\s+/);
+      const heardWords = Math.floor(words.length * (segment.sentBytes / segment.totalBytes));
+      if (heardWords > 0) heard.push(words.slice(0, heardWords).join(" "));
+    }
+
+    return heard.join(" ").trim();
   }
 
   complete() {
+    if (this.isInterrupted) return;
+
     // Process any remaining buffered text
     if (this.sentenceBuffer.trim()) {
       this.queue.push(this.sentenceBuffer.trim());
@@ -476,7 +501,7 @@ class OptimizedSarvamTTSProcessor {
     }
     
     // Log final stats
-    console.log(`📊 [SARVAM-STATS] Total: ${this.totalChunks} sentences, ${this.totalAudioBytes} bytes`);
+    console.log(`📊 [TTS-STATS] Total: ${this.totalChunks} sentences, ${this.totalAudioBytes} bytes`);
   }
 
   // Method to get streaming statistics
@@ -498,129 +523,287 @@ const setupUnifiedVoiceServer = (wss) => {
 
     // Session state
     let streamSid = null;
+    let agentConfig = { ...DEFAULT_AGENT_CONFIG };
     let conversationHistory = [];
-    let isProcessing = false;
+    let currentTurn = null; // { userText, tts, abortController, assistantMessage, isGenerating, log, startedAt }
     let userUtteranceBuffer = "";
+    const callLog = new CallLogRecorder();
+
+    // Audio clock for STT latency: ms of caller audio handed to the STT adapter so far, the
+    // same clock the adapter's startMs/endMs are on
+    let audioReceivedMs = 0;
+    // Caller audio that arrived while the agent, call slot and keys were still resolving
+    let earlyAudio = [];
+    let earlyAudioMs = 0;
+    let lastSttLatencyMs = null;
     let lastProcessedText = "";
     let optimizedTTS = null;
 
-    // Deepgram WebSocket connection
-    let deepgramWs = null;
-    let deepgramReady = false;
-    let deepgramAudioQueue = [];
+    // Speech-to-text adapter, picked from the agent's sttSelection
+    let sttProvider = null;
+
+    // Adapters queue audio themselves until their connection opens, but there is no adapter
+    // before connectToSTT, so until then frames are held here (the newest EARLY_AUDIO_MAX_MS)
+    const forwardCallerAudio = (audioBuffer) => {
+      const durationMs = audioBuffer.length / bytesPerMs(CALL_AUDIO_FORMAT.encoding, CALL_AUDIO_FORMAT.sampleRate);
+      if (!sttProvider) {
+        earlyAudio.push({ audioBuffer, durationMs });
+        earlyAudioMs += durationMs;
+        while (earlyAudioMs > EARLY_AUDIO_MAX_MS && earlyAudio.length > 1) {
+          earlyAudioMs -= earlyAudio.shift().durationMs;
+        }
+        return;
+      }
+      audioReceivedMs += durationMs;
+      sttProvider.sendAudio(audioBuffer);
+    };
+
+    // Adapters and their keys for this call: { stt, tts } adapter names, { stt, tts, llm } resolved keys
+    let callProviders = {};
+    let callKeys = {};
 
-    // Optimized Deepgram connection
-    const connectToDeepgram = async () => {
-      try {
-        console.log("🔌 [DEEPGRAM] Connecting...");
-        const deepgramLanguage = getDeepgramLanguage(DEFAULT_CONFIG.language);
-        
-        const deepgramUrl = new URL("wss://api.deepgram.com/v1/listen");
-        deepgramUrl.searchParams.append("sample_rate", "8000");
-        deepgramUrl.searchParams.append("channels", "1");
-        deepgramUrl.searchParams.append("encoding", "linear16");
-        deepgramUrl.searchParams.append("model", "nova-2");
-        deepgramUrl.searchParams.append("language", deepgramLanguage);
-        deepgramUrl.searchParams.append("interim_results", "true");
-        deepgramUrl.searchParams.append("smart_format", "true");
-        deepgramUrl.searchParams.append("endpointing", "300"); // Faster endpointing
-
-        deepgramWs = new WebSocket(deepgramUrl.toString(), {
-          headers: { Authorization: `Token ${API_KEYS.deepgram}` },
-        });
-
-        deepgramWs.onopen = () => {
-          deepgramReady = true;
-          console.log("✅ [DEEPGRAM] Connected");
-          
-          // Send buffered audio
-          deepgramAudioQueue.forEach(buffer => deepgramWs.send(buffer));
-          deepgramAudioQueue = [];
-        };
+    // Concurrent-call slot held for the tenant while the call is live
+    let releaseCallSlot = null;
 
-        deepgramWs.onmessage = async (event) => {
-          const data = JSON.parse(event.data);
-          await handleDeepgramResponse(data);
-        };
+    // Throws when the tenant is suspended or already at its plan's concurrent-call limit. This is
+    // the suspension check every call passes: the upgrade check in server.js only sees ?tenantId
+    const reserveCallSlot = async (tenantId) => {
+      if (!tenantId) return;
 
-        deepgramWs.onerror = (error) => {
-          console.error("❌ [DEEPGRAM] Error:", error);
-          deepgramReady = false;
-        };
+      const tenant = await Tenant.findOne({ tenantId });
+      if (!tenant) return; // Legacy agents predate tenant records
 
-        deepgramWs.onclose = () => {
-          console.log("🔌 [DEEPGRAM] Connection closed");
-          deepgramReady = false;
-        };
+      releaseCallSlot = acquireCallSlot(tenant);
+    };
+
+    const freeCallSlot = () => {
+      releaseCallSlot?.();
+      releaseCallSlot = null;
+    };
+
+    // Set once the socket closes; "start" checks it after every await, since the caller can
+    // hang up while it is still setting up the call, and only the first "start" counts
+    let closed = false;
+    let started = false;
+    const hungUpDuringSetup = () => {
+      if (!closed) return false;
+      console.log("📞 [OPTIMIZED] Caller hung up during call setup");
+      freeCallSlot();
+      return true;
+    };
+
+    // Tenant keys are metered once per call and provider; throws when a limit is used up
+    const resolveCallKeys = async () => {
+      callProviders = {
+        stt: getSTTProviderName(agentConfig.sttSelection),
+        tts: getTTSProviderName(agentConfig.ttsSelection),
+      };
+      callKeys = await resolveApiKeys(agentConfig.tenantId, {
+        stt: keyProviderFor(callProviders.stt),
+        tts: keyProviderFor(callProviders.tts),
+        llm: "openai",
+      });
 
+      const sources = Object.entries(callKeys)
+        .filter(([, key]) => key)
+        .map(([slot, key]) => `${slot}=${key.source}`);
+      console.log(`🔑 [API-KEY] Keys resolved (${sources.join(", ")})`);
+    };
+
+    const createTTSProcessor = () =>
+      new OptimizedTTSProcessor(agentConfig, ws, streamSid, {
+        providerName: callProviders.tts,
+        resolvedKey: callKeys.tts,
+      });
+
+    const connectToSTT = async () => {
+      sttProvider = createSTTProvider(
+        callProviders.stt || agentConfig.sttSelection,
+        applyKeyConfiguration(
+          {
+            apiKey: callKeys.stt?.apiKey,
+            language: agentConfig.language,
+            ...CALL_AUDIO_FORMAT,
+            interimResults: true,
+            endpointingMs: 300, // Faster endpointing
+          },
+          callKeys.stt,
+          "stt"
+        )
+      );
+
+      sttProvider.on("interim", handleInterimTranscript);
+      sttProvider.on("speechStarted", handleSpeechStarted);
+      sttProvider.on("final", handleFinalTranscript);
+      sttProvider.on("utteranceEnd", handleUtteranceEnd);
+      sttProvider.on("error", (error) => {
+        console.error(`❌ [STT:${sttProvider?.name}] Error: ${error.message}`);
+      });
+
+      const held = earlyAudio;
+      earlyAudio = [];
+      earlyAudioMs = 0;
+      held.forEach(({ audioBuffer }) => forwardCallerAudio(audioBuffer));
+
+      try {
+        await sttProvider.connect();
       } catch (error) {
-        console.error("❌ [DEEPGRAM] Setup error:", error.message);
+        console.error(`❌ [STT] Setup error: ${error.message}`);
       }
     };
 
-    // Handle Deepgram responses
-    const handleDeepgramResponse = async (data) => {
-      if (data.type === "Results") {
-        const transcript = data.channel?.alternatives?.[0]?.transcript;
-        const is_final = data.is_final;
-        
-        if (transcript?.trim()) {
-          if (is_final) {
-            userUtteranceBuffer += (userUtteranceBuffer ? " " : "") + transcript.trim();
-            await processUserUtterance(userUtteranceBuffer);
-            userUtteranceBuffer = "";
-          }
+    // Caller started talking over the agent - cut the agent off right away
+    const handleInterimTranscript = ({ text }) => {
+      if (isAgentSpeaking() && text.length >= BARGE_IN_MIN_CHARS) {
+        interruptCurrentTurn();
+      }
+    };
+
+    // Adapters without interim results only report voice activity
+    const handleSpeechStarted = () => {
+      if (isAgentSpeaking()) {
+        interruptCurrentTurn();
+      }
+    };
+
+    // processUserUtterance takes care of interrupting a reply that is still playing
+    const handleFinalTranscript = async ({ text, endMs }) => {
+      if (typeof endMs === "number") {
+        lastSttLatencyMs = Math.max(0, Math.round(audioReceivedMs - endMs));
+      }
+      userUtteranceBuffer += (userUtteranceBuffer ? " " : "") + text;
+      await processUserUtterance(userUtteranceBuffer);
+      userUtteranceBuffer = "";
+    };
+
+    const handleUtteranceEnd = async () => {
+      if (userUtteranceBuffer.trim()) {
+        await processUserUtterance(userUtteranceBuffer);
+        userUtteranceBuffer = "";
+      }
+    };
+
+    // Agent is still generating or playing its reply (or greeting)
+    const isAgentSpeaking = () => {
+      return !!currentTurn && (currentTurn.isGenerating || currentTurn.tts.isBusy());
+    };
+
+    // Barge-in: clear telephony playback, abort LLM + TTS, and keep only what was heard in history
+    const interruptCurrentTurn = () => {
+      const turn = currentTurn;
+      if (!turn) return;
+      currentTurn = null;
+
+      turn.abortController?.abort();
+      turn.tts.interrupt();
+
+      if (ws.readyState === WebSocket.OPEN && streamSid) {
+        ws.send(JSON.stringify({ event: "clear", streamSid }));
+      }
+
+      const heardText = turn.tts.getHeardText();
+      console.log(`✋ [BARGE-IN] Caller interrupted, heard: "${heardText}"`);
+
+      // The greeting has no user turn to attach to
+      if (!turn.userText) {
+        callLog.recordInterruption();
+        return;
+      }
+
+      turn.log.interrupted = true;
+      turn.log.heardText = heardText;
+      finishTurnLog(turn);
+
+      const assistantIndex = conversationHistory.indexOf(turn.assistantMessage);
+      if (assistantIndex !== -1) {
+        if (heardText) {
+          turn.assistantMessage.content = heardText;
+        } else {
+          conversationHistory.splice(assistantIndex, 1);
         }
-      } else if (data.type === "UtteranceEnd") {
-        if (userUtteranceBuffer.trim()) {
-          await processUserUtterance(userUtteranceBuffer);
-          userUtteranceBuffer = "";
+      } else {
+        conversationHistory.push({ role: "user", content: turn.userText });
+        if (heardText) {
+          conversationHistory.push({ role: "assistant", content: heardText });
         }
       }
+
+      if (conversationHistory.length > 10) {
+        conversationHistory = conversationHistory.slice(-10);
+      }
     };
 
     // Optimized utterance processing with enhanced TTS
     const processUserUtterance = async (text) => {
-      if (!text.trim() || isProcessing || text === lastProcessedText) return;
+      if (!text.trim() || text === lastProcessedText) return;
+
+      // A new utterance always wins over whatever the agent is still saying
+      if (isAgentSpeaking()) {
+        interruptCurrentTurn();
+      } else if (currentTurn) {
+        finishTurnLog(currentTurn);
+      }
 
-      isProcessing = true;
       lastProcessedText = text;
       const timer = createTimer("UTTERANCE_PROCESSING");
 
+      // Use the enhanced TTS processor
+      optimizedTTS = createTTSProcessor();
+      const turn = {
+        userText: text,
+        tts: optimizedTTS,
+        abortController: new AbortController(),
+        assistantMessage: null,
+        isGenerating: true,
+        log: callLog.createTurn(text, lastSttLatencyMs),
+        startedAt: Date.now(),
+      };
+      currentTurn = turn;
+      lastSttLatencyMs = null;
+
       try {
         console.log(`🎤 [USER] Processing: "${text}"`);
 
-        // Use the enhanced TTS processor
-        optimizedTTS = new OptimizedSarvamTTSProcessor(DEFAULT_CONFIG.language, ws, streamSid);
-
         // Process with OpenAI streaming
         const response = await processWithOpenAIStreaming(
           text,
           conversationHistory,
+          agentConfig,
           (phrase) => {
             // Handle phrase chunks with sentence-based optimization
             console.log(`📤 [PHRASE] "${phrase}"`);
-            optimizedTTS.addPhrase(phrase);
+            turn.log.assistantText += (turn.log.assistantText ? " " : "") + phrase;
+            turn.tts.addPhrase(phrase);
           },
           (fullResponse) => {
             // Handle completion
             console.log(`✅ [COMPLETE] "${fullResponse}"`);
-            optimizedTTS.complete();
+            turn.log.assistantText = fullResponse;
+            turn.tts.complete();
             
             // Log TTS stats
-            const stats = optimizedTTS.getStats();
+            const stats = turn.tts.getStats();
             console.log(`📊 [TTS-STATS] ${stats.totalChunks} chunks, ${stats.avgBytesPerChunk} avg bytes/chunk`);
             
-            // Update conversation history
+            // Update conversation history; trimmed later if the caller barges in
+            turn.assistantMessage = { role: "assistant", content: fullResponse };
             conversationHistory.push(
               { role: "user", content: text },
-              { role: "assistant", content: fullResponse }
+              turn.assistantMessage
             );
 
             // Keep last 10 messages for context
             if (conversationHistory.length > 10) {
               conversationHistory = conversationHistory.slice(-10);
             }
+          },
+          {
+            signal: turn.abortController.signal,
+            apiKey: callKeys.llm?.apiKey,
+            model: callKeys.llm?.configuration?.model || undefined,
+            onFirstToken: () => {
+              turn.log.latency.llmFirstTokenMs = Date.now() - turn.startedAt;
+            },
           }
         );
 
@@ -629,15 +812,59 @@ const setupUnifiedVoiceServer = (wss) => {
       } catch (error) {
         console.error(`❌ [PROCESSING] Error: ${error.message}`);
       } finally {
-        isProcessing = false;
+        turn.isGenerating = false;
       }
     };
 
-    // Optimized initial greeting
+    // Write a user turn to the call log with the TTS timings gathered so far
+    const finishTurnLog = (turn) => {
+      if (!turn?.log) return;
+
+      const { firstPhraseAt, firstAudioAt } = turn.tts;
+      if (firstAudioAt) {
+        turn.log.latency.responseMs = firstAudioAt - turn.startedAt;
+        if (firstPhraseAt) turn.log.latency.ttsFirstByteMs = firstAudioAt - firstPhraseAt;
+      }
+
+      callLog.finishTurn(turn.log);
+    };
+
+    // Close out the call log once, with the first reason that ended the session
+    const endCallLog = (endReason) => {
+      if (currentTurn) finishTurnLog(currentTurn);
+      callLog.end(endReason);
+    };
+
+    // Optimized initial greeting - prefer the agent's pre-rendered audio over a fresh synthesis
     const sendInitialGreeting = async () => {
-      console.log("👋 [GREETING] Sending initial greeting");
-      const tts = new OptimizedSarvamTTSProcessor(DEFAULT_CONFIG.language, ws, streamSid);
-      await tts.synthesizeAndStream(DEFAULT_CONFIG.firstMessage);
+      const tts = createTTSProcessor();
+      currentTurn = { userText: null, tts, abortController: null, assistantMessage: null, isGenerating: false };
+
+      try {
+        const storedGreeting = prepareStoredGreeting(agentConfig);
+        if (storedGreeting) {
+          console.log("👋 [GREETING] Playing stored greeting audio");
+          await tts.streamAudioOptimizedForSIP(storedGreeting, agentConfig.firstMessage);
+          return;
+        }
+
+        console.log("👋 [GREETING] Synthesizing initial greeting");
+        await tts.synthesizeAndStream(agentConfig.firstMessage);
+      } catch (error) {
+        if (!tts.isInterrupted) throw error;
+      }
+    };
+
+    // Pull tenant/agent/DID hints from the start event, falling back to the upgrade URL
+    const getCallParameters = (data) => {
+      const custom = data.start?.customParameters || data.start?.custom_parameters || {};
+      const query = new URL(req.url, "http://localhost").searchParams;
+
+      return {
+        tenantId: custom.tenantId || custom.tenant_id || query.get("tenantId"),
+        agentId: custom.agentId || custom.agent_id || query.get("agentId"),
+        didNumber: custom.didNumber || custom.did_number || data.start?.to || query.get("didNumber"),
+      };
     };
 
     // WebSocket message handling
@@ -651,30 +878,51 @@ const setupUnifiedVoiceServer = (wss) => {
             break;
 
           case "start":
+            if (started) {
+              console.warn("⚠️ [OPTIMIZED] Ignoring a repeated start event");
+              break;
+            }
+            started = true;
             streamSid = data.streamSid || data.start?.streamSid;
             console.log(`🎯 [OPTIMIZED] Stream started - StreamSid: ${streamSid}`);
-            
-            await connectToDeepgram();
+
+            const callParameters = getCallParameters(data);
+            const resolvedAgentConfig = await resolveAgentConfig(callParameters);
+            if (hungUpDuringSetup()) break;
+            agentConfig = resolvedAgentConfig;
+            callLog.start({ streamSid, agentConfig, didNumber: callParameters.didNumber });
+
+            try {
+              await reserveCallSlot(agentConfig.tenantId || callParameters.tenantId);
+              if (hungUpDuringSetup()) break;
+              await resolveCallKeys();
+            } catch (error) {
+              // Tenant suspended, over its plan, or without a usable key - hang up rather than run a silent call
+              console.error(`❌ [OPTIMIZED] Call refused: ${error.message}`);
+              endCallLog("error");
+              freeCallSlot();
+              ws.close();
+              break;
+            }
+
+            if (hungUpDuringSetup()) break;
+
+            await connectToSTT();
+            if (hungUpDuringSetup()) break;
             await sendInitialGreeting();
             break;
 
           case "media":
             if (data.media?.payload) {
-              const audioBuffer = Buffer.from(data.media.payload, "base64");
-              
-              if (deepgramWs && deepgramReady && deepgramWs.readyState === WebSocket.OPEN) {
-                deepgramWs.send(audioBuffer);
-              } else {
-                deepgramAudioQueue.push(audioBuffer);
-              }
+              forwardCallerAudio(Buffer.from(data.media.payload, "base64"));
             }
             break;
 
           case "stop":
             console.log(`📞 [OPTIMIZED] Stream stopped`);
-            if (deepgramWs?.readyState === WebSocket.OPEN) {
-              deepgramWs.close();
-            }
+            endCallLog("stream_stopped");
+            freeCallSlot();
+            sttProvider?.close();
             break;
 
           default:
@@ -688,24 +936,34 @@ const setupUnifiedVoiceServer = (wss) => {
     // Connection cleanup
     ws.on("close", () => {
       console.log("🔗 [OPTIMIZED] Connection closed");
+      closed = true;
+      endCallLog("connection_closed");
+      freeCallSlot();
       
-      if (deepgramWs?.readyState === WebSocket.OPEN) {
-        deepgramWs.close();
-      }
+      sttProvider?.close();
 
       // Reset state
       streamSid = null;
+      agentConfig = { ...DEFAULT_AGENT_CONFIG };
+      if (currentTurn) {
+        currentTurn.abortController?.abort();
+        currentTurn.tts.interrupt();
+      }
       conversationHistory = [];
-      isProcessing = false;
+      currentTurn = null;
       userUtteranceBuffer = "";
       lastProcessedText = "";
-      deepgramReady = false;
-      deepgramAudioQueue = [];
+      sttProvider = null;
+      earlyAudio = [];
+      earlyAudioMs = 0;
       optimizedTTS = null;
+      callProviders = {};
+      callKeys = {};
     });
 
     ws.on("error", (error) => {
       console.error(`❌ [OPTIMIZED] WebSocket error: ${error.message}`);
+      endCallLog("error");
     });
   });
 };